@@ -0,0 +1,118 @@
+// What article HTML may contain. utils/sanitizeContent.js removes everything
+// else and reports what it removed back to the editor. Markdown articles are
+// rendered (utils/markdown.js) and then held to the same policy, widened for
+// what the renderer itself emits: tables and KaTeX math.
+
+// Tags and the attributes each may carry: Quill's formatting (it marks alignment,
+// indentation, sizes and fonts with ql-* classes), code blocks, images and video embeds
+const ALLOWED_TAGS = {
+  p: ['class'],
+  br: [],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  u: [],
+  s: [],
+  sub: [],
+  sup: [],
+  h1: ['class'],
+  h2: ['class'],
+  h3: ['class'],
+  h4: ['class'],
+  h5: ['class'],
+  h6: ['class'],
+  ol: ['class'],
+  ul: ['class'],
+  li: ['class'],
+  blockquote: ['class'],
+  pre: ['class', 'spellcheck'],
+  code: ['class'],
+  a: ['href', 'title', 'target', 'rel'],
+  img: ['src', 'alt', 'title', 'width', 'height', 'class'],
+  iframe: ['src', 'class', 'width', 'height', 'frameborder', 'allowfullscreen'],
+  div: ['class'],
+  span: ['class', 'style']
+};
+
+// CSS properties allowed in style attributes; Quill sets text colours inline
+const ALLOWED_STYLES = ['color', 'background-color'];
+
+// MathML elements KaTeX writes for screen readers, and the presentation attributes they carry
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+  'mfrac', 'msqrt', 'mroot', 'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover',
+  'mstyle', 'mpadded', 'mphantom', 'menclose', 'mtable', 'mtr', 'mtd', 'mlabeledtr'
+];
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'display', 'encoding', 'mathvariant', 'mathcolor', 'mathbackground', 'stretchy', 'fence',
+  'separator', 'accent', 'accentunder', 'lspace', 'rspace', 'width', 'height', 'depth', 'voffset',
+  'minsize', 'maxsize', 'movablelimits', 'symmetric', 'largeop', 'scriptlevel', 'displaystyle',
+  'linethickness', 'notation', 'rowspacing', 'columnspacing', 'columnalign', 'rowalign',
+  'columnlines', 'rowlines', 'frame', 'side'
+];
+
+// Tags rendered Markdown may contain on top of ALLOWED_TAGS: tables, rules and KaTeX,
+// which lays formulas out with positioned spans and draws some symbols as SVG
+const MARKDOWN_TAGS = {
+  ...ALLOWED_TAGS,
+  ...Object.fromEntries(MATHML_TAGS.map(tag => [tag, MATHML_ATTRIBUTES])),
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['style'],
+  td: ['style'],
+  hr: [],
+  span: ['class', 'style', 'title', 'aria-hidden'],
+  svg: ['xmlns', 'width', 'height', 'viewBox', 'preserveAspectRatio', 'style'],
+  path: ['d'],
+  line: ['x1', 'y1', 'x2', 'y2', 'stroke-width']
+};
+
+// Table cells are aligned and KaTeX sizes and places every glyph inline
+const MARKDOWN_STYLES = [
+  ...ALLOWED_STYLES,
+  'text-align', 'width', 'min-width', 'height', 'top', 'left', 'position', 'vertical-align',
+  'margin-left', 'margin-right', 'padding-left', 'border-style', 'border-width', 'border-bottom-width'
+];
+
+// Elements removed together with their content rather than unwrapped
+const STRIPPED_WITH_CONTENT = ['script', 'style', 'object', 'embed', 'noscript', 'template'];
+
+// Paths our own uploads are served from (see server.js); images there are always allowed
+const UPLOAD_PATHS = ['/uploads/', '/api/uploads/'];
+
+// Sites whose players may be embedded when CONTENT_EMBED_DOMAINS is not set
+const DEFAULT_EMBED_DOMAINS = ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+
+const listFromEnv = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+};
+
+// The policy in effect for content in format ('html' or 'markdown'). Hosts come
+// from the environment and apply to both:
+// CONTENT_IMAGE_HOSTS - hosts images may be loaded from besides our upload paths,
+//   e.g. a CDN in front of the uploads directory
+// CONTENT_EMBED_DOMAINS - hosts iframes may point at
+const getContentPolicy = (format = 'html') => ({
+  tags: format === 'markdown' ? MARKDOWN_TAGS : ALLOWED_TAGS,
+  styles: format === 'markdown' ? MARKDOWN_STYLES : ALLOWED_STYLES,
+  strippedWithContent: STRIPPED_WITH_CONTENT,
+  uploadPaths: UPLOAD_PATHS,
+  imageHosts: listFromEnv(process.env.CONTENT_IMAGE_HOSTS, []),
+  embedDomains: listFromEnv(process.env.CONTENT_EMBED_DOMAINS, DEFAULT_EMBED_DOMAINS)
+});
+
+module.exports = {
+  ALLOWED_TAGS,
+  ALLOWED_STYLES,
+  MARKDOWN_TAGS,
+  MARKDOWN_STYLES,
+  DEFAULT_EMBED_DOMAINS,
+  getContentPolicy
+};
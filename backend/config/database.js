@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { stripHtml } = require('../utils/html');
 
 class DatabaseManager {
   constructor() {
@@ -29,6 +30,9 @@ class DatabaseManager {
       // Set journal mode to WAL for better performance
       this.db.pragma('journal_mode = WAL');
 
+      // Register SQL functions used by migrations and triggers
+      this.registerFunctions(this.db);
+
       console.log('✅ Database connection established');
       console.log(`📁 Database file: ${this.dbPath}`);
       
@@ -38,6 +42,12 @@ class DatabaseManager {
     }
   }
 
+  // strip_html() feeds the articles_fts index (see 008_create_articles_fts.sql).
+  // Any other connection that writes to articles must register it as well.
+  registerFunctions(db) {
+    db.function('strip_html', { deterministic: true }, (html) => stripHtml(html));
+  }
+
   async initializeSchema() {
     // Initialize migration manager and run migrations
     if (!this.migrationManager) {
@@ -0,0 +1,54 @@
+// Roles, from most to least privileged
+const ROLES = ['admin', 'editor', 'author', 'viewer'];
+
+// Role given to new users when none is specified
+const DEFAULT_ROLE = 'viewer';
+
+// Permission matrix - each permission lists the roles that hold it.
+// Authors only hold article permissions for articles they wrote; the
+// *.any permissions lift that restriction.
+const PERMISSIONS = {
+  'articles.read': ['admin', 'editor', 'author', 'viewer'],
+  'articles.create': ['admin', 'editor', 'author'],
+  'articles.update': ['admin', 'editor', 'author'],
+  'articles.delete': ['admin', 'editor', 'author'],
+  'articles.update.any': ['admin', 'editor'],
+  'articles.delete.any': ['admin', 'editor'],
+  'articles.publish': ['admin', 'editor'],
+  'categories.read': ['admin', 'editor', 'author', 'viewer'],
+  'categories.manage': ['admin', 'editor'],
+  'tags.read': ['admin', 'editor', 'author', 'viewer'],
+  'tags.create': ['admin', 'editor', 'author'],
+  'tags.manage': ['admin', 'editor'],
+  'analytics.read': ['admin', 'editor', 'author', 'viewer'],
+  'uploads.create': ['admin', 'editor', 'author'],
+  'uploads.delete': ['admin', 'editor'],
+  'media.read': ['admin', 'editor', 'author'],
+  'media.update': ['admin', 'editor', 'author'],
+  'media.cleanup': ['admin'],
+  'users.manage': ['admin']
+};
+
+const rolesFor = (permission) => {
+  const roles = PERMISSIONS[permission];
+
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return roles;
+};
+
+const hasPermission = (role, permission) => rolesFor(permission).includes(role);
+
+// All permissions held by a role, e.g. to send to the client
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  rolesFor,
+  hasPermission,
+  permissionsFor
+};
@@ -1,64 +1,109 @@
 const jwtUtils = require('../utils/jwt');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { rolesFor } = require('../config/permissions');
 
-// Authentication middleware - verifies JWT token
-const authenticate = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    const token = jwtUtils.extractTokenFromHeader(authHeader);
+// Authentication middleware - verifies JWT token. Users with a forced password
+// reset pending are turned away until they change it, unless allowPasswordReset.
+const createAuthenticate = ({ allowPasswordReset = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const token = jwtUtils.extractTokenFromHeader(authHeader);
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'MISSING_TOKEN',
-          message: 'Access token is required'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'MISSING_TOKEN',
+            message: 'Access token is required'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
 
-    // Verify the token
-    const decoded = jwtUtils.verifyToken(token);
+      // Verify the token
+      const decoded = jwtUtils.verifyToken(token);
     
-    // Get user from database to ensure they still exist
-    const user = User.findById(decoded.id);
-    if (!user) {
-      return res.status(401).json({
+      // Get user from database to ensure they still exist
+      const user = User.findById(decoded.id);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'User associated with token no longer exists'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (user.disabled_at) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_DISABLED',
+            message: 'This account has been disabled'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Signing out a session also ends the access tokens issued for it
+      if (decoded.sid && !RefreshToken.isSessionActive(decoded.sid)) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'SESSION_REVOKED',
+            message: 'This session has been signed out'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (user.password_reset_required && !allowPasswordReset) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'PASSWORD_RESET_REQUIRED',
+            message: 'You must change your password before continuing'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Add user info to request object
+      req.user = user.toJSON ? user.toJSON() : user;
+      req.token = token;
+      req.sessionId = decoded.sid || null;
+    
+      next();
+    } catch (error) {
+      let errorCode = 'INVALID_TOKEN';
+      let statusCode = 401;
+
+      if (error.message.includes('expired')) {
+        errorCode = 'TOKEN_EXPIRED';
+      } else if (error.message.includes('Invalid token')) {
+        errorCode = 'INVALID_TOKEN';
+      }
+
+      return res.status(statusCode).json({
         success: false,
         error: {
-          code: 'USER_NOT_FOUND',
-          message: 'User associated with token no longer exists'
+          code: errorCode,
+          message: error.message
         },
         timestamp: new Date().toISOString()
       });
     }
+  };
+};
 
-    // Add user info to request object
-    req.user = user.toJSON ? user.toJSON() : user;
-    req.token = token;
-    
-    next();
-  } catch (error) {
-    let errorCode = 'INVALID_TOKEN';
-    let statusCode = 401;
+const authenticate = createAuthenticate();
 
-    if (error.message.includes('expired')) {
-      errorCode = 'TOKEN_EXPIRED';
-    } else if (error.message.includes('Invalid token')) {
-      errorCode = 'INVALID_TOKEN';
-    }
-
-    return res.status(statusCode).json({
-      success: false,
-      error: {
-        code: errorCode,
-        message: error.message
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-};
+// For the endpoints a user needs to complete a forced password reset
+const authenticateAllowingPasswordReset = createAuthenticate({ allowPasswordReset: true });
 
 // Authorization middleware - checks user role
 const authorize = (roles = []) => {
@@ -95,6 +140,9 @@ const authorize = (roles = []) => {
   };
 };
 
+// Permission middleware - checks the user's role against the permission matrix
+const requirePermission = (permission) => authorize(rolesFor(permission));
+
 // Optional authentication middleware - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -105,9 +153,12 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwtUtils.verifyToken(token);
       const user = User.findById(decoded.id);
       
-      if (user) {
+      const sessionActive = !decoded.sid || RefreshToken.isSessionActive(decoded.sid);
+
+      if (user && !user.disabled_at && sessionActive) {
         req.user = user.toJSON();
         req.token = token;
+        req.sessionId = decoded.sid || null;
       }
     }
     
@@ -193,11 +244,51 @@ const loginRateLimit = rateLimit({
   skipSuccessfulRequests: false
 });
 
+// Rate limiting for password reset requests. Every request counts, as
+// forgot-password answers the same way whether or not the account exists.
+const passwordResetRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 password reset requests per windowMs
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many password reset attempts, please try again later'
+    },
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false
+});
+
+// Rate limiting for two-factor codes. Only failures count, so guessing a code
+// is slow while signing in normally is unaffected.
+const mfaRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 wrong codes per windowMs
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many two-factor attempts, please try again later'
+    },
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
 module.exports = {
   authenticate,
+  authenticateAllowingPasswordReset,
   authorize,
+  requirePermission,
   optionalAuth,
   requireOwnershipOrAdmin,
   authRateLimit,
-  loginRateLimit
+  loginRateLimit,
+  passwordResetRateLimit,
+  mfaRateLimit
 };
\ No newline at end of file
@@ -4,6 +4,8 @@ const NodeCache = require('node-cache');
 const shortCache = new NodeCache({ stdTTL: 300 }); // 5 minutes
 const mediumCache = new NodeCache({ stdTTL: 1800 }); // 30 minutes
 const longCache = new NodeCache({ stdTTL: 3600 }); // 1 hour
+const publicCache = new NodeCache({ stdTTL: 300 }); // 5 minutes, public API only
+const sitemapCache = new NodeCache({ stdTTL: 3600 }); // 1 hour, flushed whenever articles change
 
 // Cache middleware factory
 const createCacheMiddleware = (cache, keyGenerator, ttl) => {
@@ -63,6 +65,56 @@ const createCacheMiddleware = (cache, keyGenerator, ttl) => {
   };
 };
 
+// Cache middleware factory for documents sent with res.send rather than res.json,
+// such as XML feeds. The body is cached with its content type.
+const createDocumentCacheMiddleware = (cache, keyGenerator, ttl) => {
+  return (req, res, next) => {
+    if (req.method !== 'GET') {
+      return next();
+    }
+
+    const cacheKey = keyGenerator ? keyGenerator(req) : `${req.method}:${req.originalUrl}`;
+    const cachedResponse = cache.get(cacheKey);
+
+    if (cachedResponse) {
+      res.set({
+        'X-Cache': 'HIT',
+        'Cache-Control': `public, max-age=${ttl || cache.options.stdTTL}`,
+        'Content-Type': cachedResponse.contentType,
+        'ETag': cachedResponse.etag
+      });
+
+      return res.status(cachedResponse.status).send(cachedResponse.body);
+    }
+
+    const originalSend = res.send;
+
+    res.send = function(body) {
+      if (res.statusCode >= 200 && res.statusCode < 300 && typeof body === 'string') {
+        const etag = generateETag(body);
+
+        cache.set(cacheKey, {
+          status: res.statusCode,
+          body: body,
+          contentType: res.get('Content-Type'),
+          etag: etag,
+          timestamp: new Date().toISOString()
+        }, ttl);
+
+        res.set({
+          'X-Cache': 'MISS',
+          'Cache-Control': `public, max-age=${ttl || cache.options.stdTTL}`,
+          'ETag': etag
+        });
+      }
+
+      return originalSend.call(this, body);
+    };
+
+    next();
+  };
+};
+
 // Generate ETag for response data
 const generateETag = (data) => {
   const crypto = require('crypto');
@@ -72,8 +124,8 @@ const generateETag = (data) => {
 // Cache key generators for different endpoints
 const cacheKeyGenerators = {
   articles: (req) => {
-    const { status, category_id, author_id, page, limit, orderBy, orderDir } = req.query;
-    return `articles:${status || 'all'}:${category_id || 'all'}:${author_id || 'all'}:${page || 1}:${limit || 10}:${orderBy || 'created_at'}:${orderDir || 'DESC'}`;
+    const { status, category_id, include_descendants, author_id, tag, tag_id, q, page, limit, orderBy, orderDir } = req.query;
+    return `articles:${status || 'all'}:${category_id || 'all'}:${include_descendants === 'true' ? 'tree' : 'flat'}:${author_id || 'all'}:${tag || 'all'}:${tag_id || 'all'}:${q || ''}:${page || 1}:${limit || 10}:${orderBy || 'created_at'}:${orderDir || 'DESC'}`;
   },
   
   categories: (req) => {
@@ -126,7 +178,16 @@ const cacheMiddleware = {
   articleById: createCacheMiddleware(mediumCache, cacheKeyGenerators.articleById, 1800),
   
   // Specific caching for articles by slug
-  articleBySlug: createCacheMiddleware(mediumCache, cacheKeyGenerators.articleBySlug, 1800)
+  articleBySlug: createCacheMiddleware(mediumCache, cacheKeyGenerators.articleBySlug, 1800),
+  
+  // Caching for the public read-only API (keyed by full URL)
+  public: createCacheMiddleware(publicCache, null, 300),
+
+  // Caching for RSS and Atom feeds, flushed with the public API whenever articles change
+  feeds: createDocumentCacheMiddleware(publicCache, null, 300),
+
+  // Caching for the sitemap and robots.txt
+  sitemap: createDocumentCacheMiddleware(sitemapCache, null, 3600)
 };
 
 // Cache invalidation helpers
@@ -134,10 +195,22 @@ const invalidateCache = {
   articles: () => {
     shortCache.flushAll();
     mediumCache.flushAll();
+    publicCache.flushAll();
+    sitemapCache.flushAll();
   },
   
   categories: () => {
     longCache.del('categories:all');
+    publicCache.flushAll();
+    sitemapCache.flushAll();
+  },
+  
+  public: () => {
+    publicCache.flushAll();
+  },
+
+  sitemap: () => {
+    sitemapCache.flushAll();
   },
   
   analytics: () => {
@@ -160,6 +233,8 @@ const invalidateCache = {
     shortCache.flushAll();
     mediumCache.flushAll();
     longCache.flushAll();
+    publicCache.flushAll();
+    sitemapCache.flushAll();
   }
 };
 
@@ -183,6 +258,25 @@ const conditionalRequest = (req, res, next) => {
     
     return originalJson.call(this, data);
   };
+
+  // Same for text documents such as feeds. res.json sends through res.send too,
+  // so JSON bodies are left to the check above.
+  const originalSend = res.send;
+  res.send = function(body) {
+    const isJson = /json/.test(res.get('Content-Type') || '');
+    const isRead = req.method === 'GET' || req.method === 'HEAD';
+
+    if (isRead && typeof body === 'string' && !isJson && res.statusCode >= 200 && res.statusCode < 300) {
+      const etag = res.get('ETag') || generateETag(body);
+      res.set('ETag', etag);
+
+      if (res.locals.clientETag === etag) {
+        return res.status(304).end();
+      }
+    }
+
+    return originalSend.call(this, body);
+  };
   
   next();
 };
@@ -193,5 +287,7 @@ module.exports = {
   conditionalRequest,
   shortCache,
   mediumCache,
-  longCache
+  longCache,
+  publicCache,
+  sitemapCache
 };
\ No newline at end of file
@@ -108,11 +108,28 @@ const contentLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting for the unauthenticated public read-only API
+const publicApiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // limit each IP to 300 public requests per windowMs
+  message: {
+    success: false,
+    error: {
+      code: 'PUBLIC_RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests to the public API, please try again later'
+    },
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 module.exports = {
   generalApiLimiter,
   authLimiter,
   loginLimiter,
   uploadLimiter,
   analyticsLimiter,
-  contentLimiter
+  contentLimiter,
+  publicApiLimiter
 };
\ No newline at end of file
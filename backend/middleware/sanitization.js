@@ -12,9 +12,15 @@ const mongoSanitization = mongoSanitize({
 
 // XSS protection middleware
 const xssProtection = (req, res, next) => {
-  // Sanitize request body
+  // Sanitize request body. Article content is left to the content sanitizer
+  // (utils/sanitizeContent.js), which knows what rich text may contain.
   if (req.body && typeof req.body === 'object') {
+    const { content } = req.body;
     req.body = sanitizeObject(req.body);
+
+    if (typeof content === 'string') {
+      req.body.content = content;
+    }
   }
 
   // Sanitize query parameters
@@ -104,44 +110,6 @@ const sanitizeString = (str) => {
   return cleaned;
 };
 
-// Content-specific sanitization for articles
-const sanitizeArticleContent = (content) => {
-  if (typeof content !== 'string') {
-    return content;
-  }
-
-  // More permissive XSS filtering for rich text content
-  return xss(content, {
-    whiteList: {
-      p: ['class', 'style'],
-      br: [],
-      strong: [],
-      b: [],
-      em: [],
-      i: [],
-      u: [],
-      h1: ['class'],
-      h2: ['class'],
-      h3: ['class'],
-      h4: ['class'],
-      h5: ['class'],
-      h6: ['class'],
-      ul: ['class'],
-      ol: ['class'],
-      li: ['class'],
-      blockquote: ['class'],
-      code: ['class'],
-      pre: ['class'],
-      a: ['href', 'title', 'target'],
-      img: ['src', 'alt', 'title', 'width', 'height', 'class'],
-      div: ['class'],
-      span: ['class', 'style']
-    },
-    stripIgnoreTag: true,
-    stripIgnoreTagBody: ['script', 'style', 'iframe', 'object', 'embed']
-  });
-};
-
 // Input validation helpers
 const validateInput = {
   email: (email) => {
@@ -187,6 +155,5 @@ module.exports = {
   xssProtection,
   sanitizeString,
   sanitizeObject,
-  sanitizeArticleContent,
   validateInput
 };
\ No newline at end of file
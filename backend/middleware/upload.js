@@ -1,17 +1,19 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const Storage = require('../services/storage');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Uploads are received and processed here, then copied to the storage adapter
+const stagingDir = path.join(os.tmpdir(), 'blog-uploads');
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
 }
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp and random string
@@ -96,7 +98,62 @@ const handleUploadError = (err, req, res, next) => {
   next(err);
 };
 
+// Plain upload file names only: no paths, and no dotfiles such as the quarantine folder
+const isValidFilename = (filename) =>
+  Boolean(filename) && !filename.startsWith('.') && !/[/\\]/.test(filename) && !filename.includes('..');
+
+// Write a file read from the storage adapter to the response
+const sendStoredFile = (req, res, file) => {
+  res.setHeader('Content-Type', file.contentType);
+  if (file.size !== undefined) {
+    res.setHeader('Content-Length', file.size);
+  }
+  if (file.modified_at) {
+    res.setHeader('Last-Modified', new Date(file.modified_at).toUTCString());
+  }
+
+  if (req.method === 'HEAD') {
+    file.stream.destroy();
+    return res.end();
+  }
+
+  file.stream.on('error', (error) => {
+    console.error('File streaming error:', error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
+
+// Serve uploads through the storage adapter, in place of a static folder. Anything
+// that is not a stored upload falls through to the 404 handler.
+const serveUploads = async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+
+  try {
+    const filename = decodeURIComponent(req.path.slice(1));
+    if (!isValidFilename(filename)) {
+      return next();
+    }
+
+    const file = await Storage.getAdapter().read(filename);
+    if (!file) {
+      return next();
+    }
+
+    sendStoredFile(req, res, file);
+  } catch (error) {
+    // A malformed escape in the path cannot name an upload
+    next(error instanceof URIError ? undefined : error);
+  }
+};
+
 module.exports = {
+  stagingDir,
   upload,
-  handleUploadError
+  handleUploadError,
+  isValidFilename,
+  sendStoredFile,
+  serveUploads
 };
\ No newline at end of file
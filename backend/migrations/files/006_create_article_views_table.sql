@@ -1,10 +1,11 @@
 -- Create article_views table for tracking unique views per IP per day
+-- (per-day uniqueness is enforced in AnalyticsService.incrementViewCount;
+-- SQLite rejects expressions such as DATE(created_at) in UNIQUE constraints)
 CREATE TABLE article_views (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     article_id INTEGER NOT NULL,
     ip_address VARCHAR(45) NOT NULL,
     user_agent TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
-    UNIQUE(article_id, ip_address, DATE(created_at))
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE
 );
\ No newline at end of file
@@ -0,0 +1,29 @@
+-- Full-text search index over article title, excerpt and HTML-stripped content
+-- strip_html() is a SQL function registered by config/database.js
+CREATE VIRTUAL TABLE articles_fts USING fts5(
+    title,
+    excerpt,
+    content,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Index articles that existed before this migration
+INSERT INTO articles_fts (rowid, title, excerpt, content)
+SELECT id, title, COALESCE(excerpt, ''), strip_html(content) FROM articles;
+
+-- Keep the index in sync with the articles table
+CREATE TRIGGER articles_fts_after_insert AFTER INSERT ON articles BEGIN
+    INSERT INTO articles_fts (rowid, title, excerpt, content)
+    VALUES (new.id, new.title, COALESCE(new.excerpt, ''), strip_html(new.content));
+END;
+
+CREATE TRIGGER articles_fts_after_delete AFTER DELETE ON articles BEGIN
+    DELETE FROM articles_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER articles_fts_after_update AFTER UPDATE OF title, excerpt, content ON articles BEGIN
+    DELETE FROM articles_fts WHERE rowid = old.id;
+    INSERT INTO articles_fts (rowid, title, excerpt, content)
+    VALUES (new.id, new.title, COALESCE(new.excerpt, ''), strip_html(new.content));
+END;
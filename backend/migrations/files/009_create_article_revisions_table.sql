@@ -0,0 +1,20 @@
+-- Create article_revisions table holding a snapshot of every saved version of an article
+CREATE TABLE article_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    article_id INTEGER NOT NULL,
+    revision_number INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    thumbnail_url VARCHAR(500),
+    category_id INTEGER,
+    author_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(article_id, revision_number)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_article_revisions_article_id ON article_revisions(article_id, revision_number DESC);
+CREATE INDEX idx_article_revisions_author_id ON article_revisions(author_id);
@@ -0,0 +1,5 @@
+-- Add scheduled publishing: articles with status 'scheduled' are published at publish_at
+ALTER TABLE articles ADD COLUMN publish_at DATETIME;
+
+-- The scheduler looks up due articles by status and time
+CREATE INDEX idx_articles_status_publish_at ON articles(status, publish_at);
@@ -0,0 +1,5 @@
+-- Allow categories to be nested under a parent category
+ALTER TABLE categories ADD COLUMN parent_id INTEGER REFERENCES categories(id);
+
+-- Create index for looking up child categories
+CREATE INDEX idx_categories_parent_id ON categories(parent_id);
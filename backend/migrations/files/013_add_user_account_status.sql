@@ -0,0 +1,5 @@
+-- Let admins disable accounts; disabled users can no longer sign in or use their tokens
+ALTER TABLE users ADD COLUMN disabled_at DATETIME;
+
+-- Set when an admin forces a password reset; cleared once the user changes their password
+ALTER TABLE users ADD COLUMN password_reset_required INTEGER DEFAULT 0;
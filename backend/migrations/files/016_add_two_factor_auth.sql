@@ -0,0 +1,27 @@
+-- TOTP secret (base32); set during enrollment and kept only while enrolled
+ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64);
+
+-- Set once the user confirmed enrollment with a code; 2FA is on while this is set
+ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME;
+
+-- Time step of the last accepted code, so a code can't be used twice
+ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+
+-- One-time recovery codes for signing in without the authenticator; only hashes are stored
+CREATE TABLE user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Site-wide settings changed through the admin API, stored as JSON values
+CREATE TABLE settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,8 @@
+-- Articles are written either as HTML (the rich text editor) or as Markdown
+ALTER TABLE articles ADD COLUMN content_format VARCHAR(10) NOT NULL DEFAULT 'html' CHECK (content_format IN ('html', 'markdown'));
+
+-- Markdown rendered to sanitized HTML when the article is saved; NULL for HTML articles
+ALTER TABLE articles ADD COLUMN content_html TEXT;
+
+-- Revisions keep the format of the content they captured, so restoring brings it back
+ALTER TABLE article_revisions ADD COLUMN content_format VARCHAR(10) NOT NULL DEFAULT 'html';
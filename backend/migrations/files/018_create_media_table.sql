@@ -0,0 +1,22 @@
+-- Uploaded files, so the library knows who uploaded what. The file itself (and its
+-- resized variants) lives in the uploads directory under `filename`.
+CREATE TABLE media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename VARCHAR(255) UNIQUE NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(50) NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    blurhash VARCHAR(100),
+    -- JSON list of the resized copies: [{ width, height, url, mime, size }]
+    variants TEXT NOT NULL DEFAULT '[]',
+    alt_text VARCHAR(255) NOT NULL DEFAULT '',
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_media_created_at ON media(created_at);
+CREATE INDEX idx_media_uploaded_by ON media(uploaded_by);
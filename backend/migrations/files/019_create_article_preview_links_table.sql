@@ -0,0 +1,16 @@
+-- Shareable links for reading an unpublished article. The link's token is signed
+-- (see utils/jwt.js) and carries token_id; a link stops working once it expires or is revoked.
+CREATE TABLE article_preview_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    article_id INTEGER NOT NULL,
+    token_id VARCHAR(36) UNIQUE NOT NULL,
+    created_by INTEGER,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    last_viewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_article_preview_links_article_id ON article_preview_links(article_id);
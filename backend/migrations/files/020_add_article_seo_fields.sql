@@ -0,0 +1,9 @@
+-- Optional search and social metadata. Empty fields fall back to the title, excerpt,
+-- article URL and thumbnail when the public API builds an article's SEO tags.
+ALTER TABLE articles ADD COLUMN meta_title VARCHAR(120);
+ALTER TABLE articles ADD COLUMN meta_description VARCHAR(320);
+ALTER TABLE articles ADD COLUMN canonical_url VARCHAR(500);
+ALTER TABLE articles ADD COLUMN og_image VARCHAR(500);
+
+-- 1 asks search engines not to index the article; such articles are left out of the sitemap
+ALTER TABLE articles ADD COLUMN noindex INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- Slugs articles and categories had before they were renamed, so old links can be
+-- redirected to the current slug. entity_id refers to articles or categories
+-- depending on entity_type; a slug redirects to the entity that gave it up last.
+CREATE TABLE slug_redirects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('article', 'category')),
+    entity_id INTEGER NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (entity_type, slug)
+);
+
+CREATE INDEX idx_slug_redirects_entity ON slug_redirects(entity_type, entity_id);
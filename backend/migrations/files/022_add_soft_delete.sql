@@ -0,0 +1,8 @@
+-- Deleted articles and categories go to the trash first: deleted_at is set instead of
+-- removing the row, and the trash retention job purges them once they are old enough
+ALTER TABLE articles ADD COLUMN deleted_at DATETIME;
+ALTER TABLE categories ADD COLUMN deleted_at DATETIME;
+
+-- Create indexes for listing and purging the trash
+CREATE INDEX idx_articles_deleted_at ON articles(deleted_at);
+CREATE INDEX idx_categories_deleted_at ON categories(deleted_at);
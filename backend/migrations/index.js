@@ -67,11 +67,7 @@ class MigrationManager {
             continue;
           }
           
-          // Split by semicolon and execute each statement
-          const statements = migrationSql
-            .split(';')
-            .map(stmt => stmt.trim())
-            .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+          const statements = this.splitStatements(migrationSql);
           
           for (const statement of statements) {
             try {
@@ -98,6 +94,47 @@ class MigrationManager {
     }
   }
 
+  // Split a migration file into statements, dropping comment lines and
+  // keeping CREATE TRIGGER ... BEGIN ... END; bodies together
+  splitStatements(sql) {
+    const chunks = sql
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n')
+      .split(';');
+
+    const statements = [];
+    let pending = null;
+
+    for (const chunk of chunks) {
+      if (pending !== null) {
+        pending += ';' + chunk;
+        if (/^\s*END\s*$/i.test(chunk)) {
+          statements.push(pending.trim());
+          pending = null;
+        }
+        continue;
+      }
+
+      const statement = chunk.trim();
+      if (statement.length === 0) {
+        continue;
+      }
+
+      if (/^CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER/i.test(statement)) {
+        pending = chunk;
+      } else {
+        statements.push(statement);
+      }
+    }
+
+    if (pending !== null) {
+      throw new Error('Unterminated trigger definition in migration');
+    }
+
+    return statements;
+  }
+
   getMigrationFiles() {
     if (!fs.existsSync(this.migrationsDir)) {
       fs.mkdirSync(this.migrationsDir, { recursive: true });
@@ -1,4 +1,39 @@
 const dbManager = require('../config/database');
+const ArticleRevision = require('./ArticleRevision');
+const Tag = require('./Tag');
+const Category = require('./Category');
+const SlugRedirect = require('./SlugRedirect');
+const { escapeHtml } = require('../utils/html');
+const { renderMarkdown } = require('../utils/markdown');
+const { sanitizeContent } = require('../utils/sanitizeContent');
+const { getContentPolicy } = require('../config/contentPolicy');
+const { generateSlug } = require('../utils/slug');
+
+// Control characters used to mark FTS highlights before HTML escaping
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const VALID_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+// Actions that can be applied to many articles at once (see Article.bulk)
+const BULK_ACTIONS = ['publish', 'archive', 'draft', 'delete', 'move-category', 'add-tag'];
+const BULK_STATUSES = { publish: 'published', archive: 'archived', draft: 'draft' };
+
+// Optional search and social metadata (see services/seo.js), with their maximum lengths
+const SEO_TEXT_FIELDS = { meta_title: 120, meta_description: 320, canonical_url: 500, og_image: 500 };
+const SEO_FIELDS = [...Object.keys(SEO_TEXT_FIELDS), 'noindex'];
+
+// Columns search results may be ordered by besides relevance
+const SEARCH_ORDER_FIELDS = ['created_at', 'updated_at', 'published_at', 'title', 'view_count', 'like_count'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
 
 class Article {
   constructor(data = {}) {
@@ -6,6 +41,8 @@ class Article {
     this.title = data.title;
     this.slug = data.slug;
     this.content = data.content;
+    this.content_format = data.content_format || 'html';
+    this.content_html = data.content_html || null;
     this.excerpt = data.excerpt;
     this.thumbnail_url = data.thumbnail_url;
     this.category_id = data.category_id;
@@ -14,18 +51,55 @@ class Article {
     this.view_count = data.view_count || 0;
     this.like_count = data.like_count || 0;
     this.published_at = data.published_at;
+    this.publish_at = data.publish_at || null;
+    this.meta_title = data.meta_title || null;
+    this.meta_description = data.meta_description || null;
+    this.canonical_url = data.canonical_url || null;
+    this.og_image = data.og_image || null;
+    this.noindex = Boolean(data.noindex);
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
+    this.deleted_at = data.deleted_at || null;
+  }
+
+  // Content as it is stored: HTML is sanitized against the content policy, and
+  // Markdown is kept as written with its rendering, sanitized the same way, cached
+  // in content_html. warnings describe anything the sanitizer removed.
+  static prepareContent(content, format) {
+    if (format === 'markdown') {
+      const { html, warnings } = sanitizeContent(renderMarkdown(content), getContentPolicy('markdown'));
+      return { content, content_html: html, warnings };
+    }
+
+    const { html, warnings } = sanitizeContent(content);
+    return { content: html, content_html: null, warnings };
   }
 
-  // Generate SEO-friendly slug from title
+  // SEO fields as they are stored: blank text becomes NULL and noindex 0 or 1.
+  // Fields not in data are left out, so partial updates keep their current values.
+  static normalizeSeoFields(data) {
+    const fields = {};
+
+    for (const field of Object.keys(SEO_TEXT_FIELDS)) {
+      if (data[field] !== undefined) {
+        fields[field] = typeof data[field] === 'string' && data[field].trim() ? data[field].trim() : null;
+      }
+    }
+    if (data.noindex !== undefined) {
+      fields.noindex = data.noindex === true || data.noindex === 1 || data.noindex === 'true' ? 1 : 0;
+    }
+
+    return fields;
+  }
+
+  // The article body as HTML, whatever format it was written in
+  getHtml() {
+    return this.content_format === 'markdown' ? this.content_html : this.content;
+  }
+
+  // Generate SEO-friendly slug from title (see utils/slug.js)
   static generateSlug(title) {
-    return title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+    return generateSlug(title, { fallback: 'article' });
   }
 
   // Ensure unique slug by appending number if needed
@@ -63,7 +137,10 @@ class Article {
       thumbnail_url, 
       category_id, 
       author_id, 
-      status = 'draft' 
+      status = 'draft',
+      content_format = 'html',
+      publish_at,
+      tag_ids
     } = articleData;
     
     // Validate required fields
@@ -76,23 +153,40 @@ class Article {
     const slug = await this.ensureUniqueSlug(baseSlug);
 
     const db = dbManager.getDatabase();
+    const prepared = this.prepareContent(content, content_format);
+    const seo = this.normalizeSeoFields(articleData);
     
     try {
       const published_at = status === 'published' ? new Date().toISOString() : null;
+      const scheduledAt = status === 'scheduled' && publish_at ? new Date(publish_at).toISOString() : null;
       
-      const result = db.prepare(`
-        INSERT INTO articles (
-          title, slug, content, excerpt, thumbnail_url, 
-          category_id, author_id, status, published_at,
-          created_at, updated_at
-        )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
-      `).run(
-        title, slug, content, excerpt, thumbnail_url,
-        category_id, author_id, status, published_at
-      );
-
-      return this.findById(result.lastInsertRowid);
+      const articleId = db.transaction(() => {
+        const result = db.prepare(`
+          INSERT INTO articles (
+            title, slug, content, content_format, content_html, excerpt, thumbnail_url, 
+            category_id, author_id, status, published_at, publish_at,
+            meta_title, meta_description, canonical_url, og_image, noindex,
+            created_at, updated_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+        `).run(
+          title, slug, prepared.content, content_format, prepared.content_html, excerpt, thumbnail_url,
+          category_id, author_id, status, published_at, scheduledAt,
+          seo.meta_title ?? null, seo.meta_description ?? null, seo.canonical_url ?? null,
+          seo.og_image ?? null, seo.noindex ?? 0
+        );
+
+        if (Array.isArray(tag_ids)) {
+          Tag.setArticleTags(result.lastInsertRowid, tag_ids);
+        }
+
+        return result.lastInsertRowid;
+      })();
+
+      // Saved articles report what the sanitizer removed, so the editor can tell the author
+      const article = this.findById(articleId);
+      article.content_warnings = prepared.warnings;
+      return article;
     } catch (error) {
       if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
         throw new Error('Article slug already exists');
@@ -104,11 +198,190 @@ class Article {
     }
   }
 
+  // Build an Article from a joined query row
+  static fromRow(articleData, includeRelations = true) {
+    const article = new Article(articleData);
+    
+    if (includeRelations && articleData.category_name) {
+      article.category = {
+        id: articleData.category_id,
+        name: articleData.category_name,
+        slug: articleData.category_slug
+      };
+      article.author = {
+        id: articleData.author_id,
+        username: articleData.author_username
+      };
+    }
+    
+    return article;
+  }
+
+  // Load the tags of the given articles in a single query
+  static attachTags(articles) {
+    const tagsByArticle = Tag.findByArticleIds(articles.map(article => article.id));
+    articles.forEach(article => {
+      article.tags = tagsByArticle.get(article.id) || [];
+    });
+    return articles;
+  }
+
+  // WHERE conditions shared by findAll, search and count. `column` qualifies column names.
+  // Articles in the trash are left out unless `deleted` is set, which lists only those.
+  static buildFilters(options, column = (name) => `a.${name}`) {
+    const { status, category_id, include_descendants, author_id, tag, tag_id, search, deleted = false } = options;
+    const conditions = [`${column('deleted_at')} ${deleted ? 'IS NOT NULL' : 'IS NULL'}`];
+    const params = [];
+
+    if (status) {
+      conditions.push(`${column('status')} = ?`);
+      params.push(status);
+    }
+    
+    if (category_id && include_descendants) {
+      conditions.push(`${column('category_id')} IN (
+        WITH RECURSIVE subtree(id) AS (
+          SELECT ?
+          UNION ALL
+          SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+        )
+        SELECT id FROM subtree
+      )`);
+      params.push(category_id);
+    } else if (category_id) {
+      conditions.push(`${column('category_id')} = ?`);
+      params.push(category_id);
+    }
+    
+    if (author_id) {
+      conditions.push(`${column('author_id')} = ?`);
+      params.push(author_id);
+    }
+
+    if (tag_id) {
+      conditions.push(`${column('id')} IN (SELECT article_id FROM article_tags WHERE tag_id = ?)`);
+      params.push(tag_id);
+    }
+
+    if (tag) {
+      conditions.push(`${column('id')} IN (
+        SELECT at.article_id FROM article_tags at JOIN tags t ON t.id = at.tag_id WHERE t.slug = ?
+      )`);
+      params.push(tag);
+    }
+
+    if (search) {
+      conditions.push(`${column('id')} IN (SELECT rowid FROM articles_fts WHERE articles_fts MATCH ?)`);
+      params.push(Article.buildSearchQuery(search) || '""');
+    }
+
+    return { conditions, params };
+  }
+
+  // Translate user input into an FTS5 MATCH expression.
+  // "quoted text" becomes a phrase query, bare words are prefix-matched,
+  // and all terms must match. Returns null when nothing searchable remains.
+  static buildSearchQuery(input) {
+    if (!input || typeof input !== 'string') {
+      return null;
+    }
+
+    const terms = [];
+    const phrasePattern = /"([^"]*)"/g;
+    let match;
+
+    while ((match = phrasePattern.exec(input)) !== null) {
+      const words = Article.tokenizeSearchTerm(match[1]);
+      if (words.length > 0) {
+        terms.push(`"${words.join(' ')}"`);
+      }
+    }
+
+    const remainder = input.replace(phrasePattern, ' ');
+    for (const word of Article.tokenizeSearchTerm(remainder)) {
+      terms.push(`"${word}"*`);
+    }
+
+    return terms.length > 0 ? terms.join(' AND ') : null;
+  }
+
+  // Split text into words, dropping FTS5 operators and punctuation
+  static tokenizeSearchTerm(text) {
+    return text
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(word => word.length > 0 && !['AND', 'OR', 'NOT', 'NEAR'].includes(word));
+  }
+
+  // Wrap FTS highlight markers in <mark> after escaping the surrounding text
+  static formatHighlight(text) {
+    if (!text) return '';
+    return escapeHtml(text)
+      .replace(new RegExp(HIGHLIGHT_START, 'g'), '<mark>')
+      .replace(new RegExp(HIGHLIGHT_END, 'g'), '</mark>');
+  }
+
+  // Ranked full-text search with highlighted title and content snippet
+  static search(input, options = {}) {
+    const {
+      limit = 50,
+      offset = 0,
+      orderBy = 'rank',
+      orderDir = 'DESC'
+    } = options;
+
+    const matchQuery = Article.buildSearchQuery(input);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const db = dbManager.getDatabase();
+    const filters = Article.buildFilters({ ...options, search: undefined });
+    const conditions = ['articles_fts MATCH ?', ...filters.conditions];
+    const params = [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, matchQuery, ...filters.params];
+
+    // bm25 scores are lower for better matches; title hits weigh the most
+    const orderClause = orderBy === 'rank' || !SEARCH_ORDER_FIELDS.includes(orderBy)
+      ? 'rank ASC'
+      : `a.${orderBy} ${orderDir === 'ASC' ? 'ASC' : 'DESC'}`;
+
+    const query = `
+      SELECT 
+        a.*,
+        c.name as category_name,
+        c.slug as category_slug,
+        u.username as author_username,
+        bm25(articles_fts, 10.0, 4.0, 1.0) as rank,
+        highlight(articles_fts, 0, ?, ?) as title_highlight,
+        snippet(articles_fts, 2, ?, ?, '…', 24) as content_snippet
+      FROM articles_fts
+      JOIN articles a ON a.id = articles_fts.rowid
+      LEFT JOIN categories c ON a.category_id = c.id
+      LEFT JOIN users u ON a.author_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderClause}
+      LIMIT ? OFFSET ?
+    `;
+    params.push(limit, offset);
+
+    const articles = db.prepare(query).all(...params).map(row => {
+      const article = Article.fromRow(row);
+      article.search = {
+        rank: row.rank,
+        title: Article.formatHighlight(row.title_highlight),
+        snippet: Article.formatHighlight(row.content_snippet)
+      };
+      return article;
+    });
+
+    return Article.attachTags(articles);
+  }
+
   // Find article by ID with related data
-  static findById(id, includeRelations = true) {
+  static findById(id, includeRelations = true, { withDeleted = false } = {}) {
     const db = dbManager.getDatabase();
+    const trash = withDeleted ? '' : ' AND a.deleted_at IS NULL';
     
-    let query = 'SELECT * FROM articles WHERE id = ?';
+    let query = `SELECT * FROM articles a WHERE a.id = ?${trash}`;
     
     if (includeRelations) {
       query = `
@@ -120,7 +393,7 @@ class Article {
         FROM articles a
         LEFT JOIN categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.author_id = u.id
-        WHERE a.id = ?
+        WHERE a.id = ?${trash}
       `;
     }
     
@@ -128,28 +401,16 @@ class Article {
     
     if (!articleData) return null;
 
-    const article = new Article(articleData);
-    
-    if (includeRelations && articleData.category_name) {
-      article.category = {
-        id: articleData.category_id,
-        name: articleData.category_name,
-        slug: articleData.category_slug
-      };
-      article.author = {
-        id: articleData.author_id,
-        username: articleData.author_username
-      };
-    }
-    
-    return article;
+    const article = Article.fromRow(articleData, includeRelations);
+    return includeRelations ? Article.attachTags([article])[0] : article;
   }
 
   // Find article by slug with related data
-  static findBySlug(slug, includeRelations = true) {
+  static findBySlug(slug, includeRelations = true, { withDeleted = false } = {}) {
     const db = dbManager.getDatabase();
+    const trash = withDeleted ? '' : ' AND a.deleted_at IS NULL';
     
-    let query = 'SELECT * FROM articles WHERE slug = ?';
+    let query = `SELECT * FROM articles a WHERE a.slug = ?${trash}`;
     
     if (includeRelations) {
       query = `
@@ -161,7 +422,7 @@ class Article {
         FROM articles a
         LEFT JOIN categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.author_id = u.id
-        WHERE a.slug = ?
+        WHERE a.slug = ?${trash}
       `;
     }
     
@@ -169,29 +430,19 @@ class Article {
     
     if (!articleData) return null;
 
-    const article = new Article(articleData);
-    
-    if (includeRelations && articleData.category_name) {
-      article.category = {
-        id: articleData.category_id,
-        name: articleData.category_name,
-        slug: articleData.category_slug
-      };
-      article.author = {
-        id: articleData.author_id,
-        username: articleData.author_username
-      };
-    }
-    
-    return article;
+    const article = Article.fromRow(articleData, includeRelations);
+    return includeRelations ? Article.attachTags([article])[0] : article;
+  }
+
+  // Find the article an old slug redirects to, for links made before it was renamed
+  static findByOldSlug(slug, includeRelations = true) {
+    const id = SlugRedirect.resolve('article', slug);
+    return id ? Article.findById(id, includeRelations) : null;
   }
 
   // Find all articles with filtering and pagination
   static findAll(options = {}) {
     const {
-      status,
-      category_id,
-      author_id,
       limit = 50,
       offset = 0,
       orderBy = 'created_at',
@@ -200,24 +451,9 @@ class Article {
     } = options;
 
     const db = dbManager.getDatabase();
-    const conditions = [];
-    const params = [];
 
     // Build WHERE conditions
-    if (status) {
-      conditions.push('a.status = ?');
-      params.push(status);
-    }
-    
-    if (category_id) {
-      conditions.push('a.category_id = ?');
-      params.push(category_id);
-    }
-    
-    if (author_id) {
-      conditions.push('a.author_id = ?');
-      params.push(author_id);
-    }
+    const { conditions, params } = Article.buildFilters(options);
 
     let query;
     if (includeRelations) {
@@ -242,43 +478,49 @@ class Article {
     query += ` ORDER BY a.${orderBy} ${orderDir} LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
-    const articles = db.prepare(query).all(...params);
+    const articles = db.prepare(query).all(...params)
+      .map(articleData => Article.fromRow(articleData, includeRelations));
     
-    return articles.map(articleData => {
-      const article = new Article(articleData);
-      
-      if (includeRelations && articleData.category_name) {
-        article.category = {
-          id: articleData.category_id,
-          name: articleData.category_name,
-          slug: articleData.category_slug
-        };
-        article.author = {
-          id: articleData.author_id,
-          username: articleData.author_username
-        };
-      }
-      
-      return article;
-    });
+    return includeRelations ? Article.attachTags(articles) : articles;
   }
 
-  // Update article
-  async update(updateData) {
+  // Update article. Content changes are recorded as a revision attributed to
+  // options.editorId (the article author when not given).
+  async update(updateData, options = {}) {
     const db = dbManager.getDatabase();
     const allowedFields = [
-      'title', 'content', 'excerpt', 'thumbnail_url', 
-      'category_id', 'status'
+      'title', 'content', 'content_format', 'excerpt', 'thumbnail_url', 
+      'category_id', 'status', 'publish_at', ...SEO_FIELDS
     ];
     const updates = [];
     const values = [];
-
-    // Handle title update with slug regeneration
-    if (updateData.title && updateData.title !== this.title) {
-      const baseSlug = Article.generateSlug(updateData.title);
-      const uniqueSlug = await Article.ensureUniqueSlug(baseSlug, this.id);
-      updateData.slug = uniqueSlug;
-      allowedFields.push('slug');
+    let contentWarnings = [];
+
+    // Prepare the content again whenever it or its format changes, before looking
+    // for changes, so content the sanitizer reduces to what is stored makes no revision
+    if (updateData.content !== undefined || updateData.content_format !== undefined) {
+      const prepared = Article.prepareContent(
+        updateData.content !== undefined ? updateData.content : this.content,
+        updateData.content_format || this.content_format
+      );
+      updateData.content = prepared.content;
+      updateData.content_html = prepared.content_html;
+      contentWarnings = prepared.warnings;
+      allowedFields.push('content_html');
+    }
+
+    const createsRevision = ArticleRevision.hasChanges(this, updateData);
+
+    // The slug stays put when the title changes, so links keep working, unless a new
+    // one is asked for with regenerate_slug. The old slug then redirects to the new one.
+    let newSlug = null;
+    if (updateData.regenerate_slug === true) {
+      const uniqueSlug = await Article.ensureUniqueSlug(Article.generateSlug(updateData.title || this.title), this.id);
+      if (uniqueSlug !== this.slug) {
+        newSlug = uniqueSlug;
+        updates.push('slug = ?');
+        values.push(newSlug);
+      }
     }
 
     // Handle status change to published
@@ -287,6 +529,17 @@ class Article {
       allowedFields.push('published_at');
     }
 
+    // Only scheduled articles keep a publish time; store it in the same ISO format as published_at
+    if ((updateData.status || this.status) !== 'scheduled') {
+      if (updateData.status || updateData.publish_at !== undefined) {
+        updateData.publish_at = null;
+      }
+    } else if (updateData.publish_at) {
+      updateData.publish_at = new Date(updateData.publish_at).toISOString();
+    }
+
+    Object.assign(updateData, Article.normalizeSeoFields(updateData));
+
     // Build dynamic update query
     for (const [key, value] of Object.entries(updateData)) {
       if (allowedFields.includes(key) && value !== undefined) {
@@ -295,7 +548,9 @@ class Article {
       }
     }
 
-    if (updates.length === 0) {
+    const updatesTags = Array.isArray(updateData.tag_ids);
+
+    if (updates.length === 0 && !updatesTags) {
       throw new Error('No valid fields to update');
     }
 
@@ -303,18 +558,38 @@ class Article {
     updates.push('updated_at = datetime(\'now\')');
     values.push(this.id);
 
-    const sql = `UPDATE articles SET ${updates.join(', ')} WHERE id = ?`;
+    const sql = `UPDATE articles SET ${updates.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
     
     try {
-      const result = db.prepare(sql).run(...values);
-      
-      if (result.changes === 0) {
-        throw new Error('Article not found');
-      }
+      const updatedArticle = db.transaction(() => {
+        const result = db.prepare(sql).run(...values);
+
+        if (result.changes === 0) {
+          throw new Error('Article not found');
+        }
+
+        if (updatesTags) {
+          Tag.setArticleTags(this.id, updateData.tag_ids);
+        }
+
+        if (newSlug) {
+          SlugRedirect.record('article', this.id, this.slug, newSlug);
+        }
+
+        const refreshed = Article.findById(this.id);
+        if (createsRevision) {
+          // Articles with no history yet get their previous state (still held by this instance) as revision 1
+          if (ArticleRevision.count(this.id) === 0) {
+            ArticleRevision.create(this, this.author_id, this.updated_at);
+          }
+          ArticleRevision.create(refreshed, options.editorId || this.author_id);
+        }
+        return refreshed;
+      })();
 
       // Refresh the instance with updated data
-      const updatedArticle = Article.findById(this.id);
       Object.assign(this, updatedArticle);
+      this.content_warnings = contentWarnings;
       
       return this;
     } catch (error) {
@@ -328,36 +603,164 @@ class Article {
     }
   }
 
-  // Delete article
+  // Publish every scheduled article whose publish time has passed. published_at is
+  // set to the scheduled time rather than now, so articles missed while the server
+  // was down are dated correctly. Returns the ids of the published articles.
+  static publishDueScheduled(now = new Date()) {
+    const db = dbManager.getDatabase();
+    const cutoff = now.toISOString();
+
+    return db.transaction(() => {
+      const due = db.prepare(`
+        SELECT id FROM articles
+        WHERE status = 'scheduled' AND publish_at IS NOT NULL AND publish_at <= ? AND deleted_at IS NULL
+      `).all(cutoff);
+
+      if (due.length > 0) {
+        db.prepare(`
+          UPDATE articles
+          SET status = 'published', published_at = publish_at, publish_at = NULL, updated_at = datetime('now')
+          WHERE status = 'scheduled' AND publish_at IS NOT NULL AND publish_at <= ? AND deleted_at IS NULL
+        `).run(cutoff);
+      }
+
+      return due.map(row => row.id);
+    })();
+  }
+
+  // Move an article to the trash. It keeps its slug, tags and history until purged.
   static delete(id) {
     const db = dbManager.getDatabase();
-    const result = db.prepare('DELETE FROM articles WHERE id = ?').run(id);
-    
+    const result = db.prepare(`
+      UPDATE articles SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL
+    `).run(id);
+
     return result.changes > 0;
   }
 
-  // Count articles with optional filtering
-  static count(options = {}) {
-    const { status, category_id, author_id } = options;
+  // Take an article out of the trash, along with any trashed categories above it
+  static restore(id) {
     const db = dbManager.getDatabase();
-    const conditions = [];
-    const params = [];
 
-    if (status) {
-      conditions.push('status = ?');
-      params.push(status);
-    }
-    
-    if (category_id) {
-      conditions.push('category_id = ?');
-      params.push(category_id);
-    }
-    
-    if (author_id) {
-      conditions.push('author_id = ?');
-      params.push(author_id);
+    return db.transaction(() => {
+      const article = Article.findById(id, false, { withDeleted: true });
+      if (!article || !article.deleted_at) {
+        return false;
+      }
+
+      Category.restoreAncestors(article.category_id, db);
+      db.prepare('UPDATE articles SET deleted_at = NULL WHERE id = ?').run(id);
+      return true;
+    })();
+  }
+
+  // Delete an article in the trash for good, with its views, likes, revisions and old slugs
+  static purge(id) {
+    const db = dbManager.getDatabase();
+    const result = db.transaction(() => {
+      const purged = db.prepare('DELETE FROM articles WHERE id = ? AND deleted_at IS NOT NULL').run(id);
+      if (purged.changes > 0) {
+        SlugRedirect.deleteByEntity('article', id);
+      }
+      return purged;
+    })();
+
+    return result.changes > 0;
+  }
+
+  // Purge every article trashed before `cutoff` (a SQLite datetime string).
+  // Returns the ids of the purged articles.
+  static purgeDeletedBefore(cutoff) {
+    const db = dbManager.getDatabase();
+    const ids = db.prepare('SELECT id FROM articles WHERE deleted_at IS NOT NULL AND deleted_at < ?')
+      .all(cutoff)
+      .map(row => row.id);
+
+    db.transaction(() => ids.forEach(id => Article.purge(id)))();
+    return ids;
+  }
+
+  // Apply one action to many articles in a single transaction. check(article) may
+  // refuse an article by returning an error ({ code, message }); the others are
+  // still processed. Returns a result per id, in the order given.
+  // Status changes go through the same schedule and SEO validation as update() and,
+  // as there, clear any publish date and record no revision (status isn't versioned).
+  static bulk(ids, action, { categoryId = null, tagId = null, editorId = null, check = null } = {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Action must be one of: ${BULK_ACTIONS.join(', ')}`);
     }
 
+    const db = dbManager.getDatabase();
+
+    if (action === 'move-category' && !db.prepare('SELECT id FROM categories WHERE id = ? AND deleted_at IS NULL').get(categoryId)) {
+      throw new Error('Invalid category_id');
+    }
+
+    if (action === 'add-tag' && !db.prepare('SELECT id FROM tags WHERE id = ?').get(tagId)) {
+      throw new Error('Invalid tag_id');
+    }
+
+    const setStatus = db.prepare(`
+      UPDATE articles SET status = ?, publish_at = NULL, published_at = ?, updated_at = datetime('now') WHERE id = ?
+    `);
+    const setCategory = db.prepare(`UPDATE articles SET category_id = ?, updated_at = datetime('now') WHERE id = ?`);
+    const addTag = db.prepare('INSERT OR IGNORE INTO article_tags (article_id, tag_id) VALUES (?, ?)');
+    const now = new Date().toISOString();
+
+    // Errors update() would report for the article with its new status, or null
+    const validate = (article) => {
+      if (!BULK_STATUSES[action]) return null;
+
+      const errors = [
+        ...Article.validateSchedule(BULK_STATUSES[action], null),
+        ...Article.validateSeoFields(article)
+      ];
+      return errors.length > 0 ? { code: 'VALIDATION_ERROR', message: errors.join('; ') } : null;
+    };
+
+    const apply = (article) => {
+      if (BULK_STATUSES[action]) {
+        const status = BULK_STATUSES[action];
+        const publishing = status === 'published' && article.status !== 'published';
+        setStatus.run(status, publishing ? now : article.published_at, article.id);
+      } else if (action === 'delete') {
+        Article.delete(article.id);
+      } else if (action === 'move-category') {
+        // The category is part of an article's revision history, as with update()
+        if (article.category_id !== categoryId) {
+          if (ArticleRevision.count(article.id) === 0) {
+            ArticleRevision.create(article, article.author_id, article.updated_at);
+          }
+          setCategory.run(categoryId, article.id);
+          ArticleRevision.create(Article.findById(article.id, false), editorId || article.author_id);
+        }
+      } else if (action === 'add-tag') {
+        addTag.run(article.id, tagId);
+      }
+    };
+
+    return db.transaction(() => ids.map((id) => {
+      const article = Article.findById(id, false);
+
+      if (!article) {
+        return { id, success: false, error: { code: 'ARTICLE_NOT_FOUND', message: 'Article not found' } };
+      }
+
+      const refusal = (check && check(article)) || validate(article);
+      if (refusal) {
+        return { id, success: false, error: refusal };
+      }
+
+      apply(article);
+      return { id, success: true };
+    }))();
+  }
+
+  // Count articles with optional filtering
+  static count(options = {}) {
+    const db = dbManager.getDatabase();
+    const { conditions, params } = Article.buildFilters(options, (name) => name);
+
     let query = 'SELECT COUNT(*) as count FROM articles';
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
@@ -400,10 +803,34 @@ class Article {
     return json;
   }
 
+  // Convert to the flattened shape served by the public API
+  toPublicJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      slug: this.slug,
+      content: this.getHtml(),
+      excerpt: this.excerpt,
+      thumbnail_url: this.thumbnail_url,
+      category_id: this.category_id,
+      category_name: this.category ? this.category.name : null,
+      category_slug: this.category ? this.category.slug : null,
+      tags: this.tags || [],
+      author_username: this.author ? this.author.username : null,
+      status: this.status,
+      view_count: this.view_count,
+      like_count: this.like_count,
+      published_at: this.published_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      ...(this.search ? { search: this.search } : {})
+    };
+  }
+
   // Validate article data
   static validateArticleData(articleData) {
     const errors = [];
-    const { title, content, category_id, author_id, status } = articleData;
+    const { title, content, content_format, category_id, author_id, status, publish_at } = articleData;
 
     // Title validation
     if (!title || title.trim().length === 0) {
@@ -418,6 +845,10 @@ class Article {
       errors.push('Content is required');
     }
 
+    if (content_format !== undefined && !CONTENT_FORMATS.includes(content_format)) {
+      errors.push(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`);
+    }
+
     // Category validation
     if (!category_id) {
       errors.push('Category is required');
@@ -435,9 +866,15 @@ class Article {
     }
 
     // Status validation
-    const validStatuses = ['draft', 'published', 'archived'];
-    if (status && !validStatuses.includes(status)) {
-      errors.push('Status must be one of: draft, published, archived');
+    if (status && !VALID_STATUSES.includes(status)) {
+      errors.push(`Status must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+
+    errors.push(...Article.validateSchedule(status, publish_at));
+
+    // Tag validation
+    if (articleData.tag_ids !== undefined && !Article.isValidTagIds(articleData.tag_ids)) {
+      errors.push('Tag IDs must be an array of integers');
     }
 
     // Excerpt validation
@@ -445,8 +882,76 @@ class Article {
       errors.push('Excerpt must be less than 500 characters');
     }
 
+    errors.push(...Article.validateSeoFields(articleData));
+
+    return errors;
+  }
+
+  // Validate the optional SEO fields that are present in data. The canonical URL must be
+  // absolute; the social image may also be a root-relative upload such as /uploads/x.jpg.
+  static validateSeoFields(data) {
+    const errors = [];
+    const labels = {
+      meta_title: 'Meta title',
+      meta_description: 'Meta description',
+      canonical_url: 'Canonical URL',
+      og_image: 'Social image'
+    };
+
+    for (const [field, maxLength] of Object.entries(SEO_TEXT_FIELDS)) {
+      const value = data[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      if (typeof value !== 'string') {
+        errors.push(`${labels[field]} must be a string`);
+      } else if (value.trim().length > maxLength) {
+        errors.push(`${labels[field]} must be at most ${maxLength} characters`);
+      }
+    }
+
+    if (typeof data.canonical_url === 'string' && data.canonical_url.trim() && !isHttpUrl(data.canonical_url.trim())) {
+      errors.push('Canonical URL must be an absolute http(s) URL');
+    }
+
+    if (typeof data.og_image === 'string' && data.og_image.trim()) {
+      const image = data.og_image.trim();
+      if (!isHttpUrl(image) && !(image.startsWith('/') && !image.startsWith('//'))) {
+        errors.push('Social image must be an http(s) URL or a path such as /uploads/image.jpg');
+      }
+    }
+
+    if (data.noindex !== undefined && ![true, false, 0, 1, 'true', 'false'].includes(data.noindex)) {
+      errors.push('noindex must be a boolean');
+    }
+
+    return errors;
+  }
+
+  static isValidTagIds(tagIds) {
+    return Array.isArray(tagIds) && tagIds.every(id => Number.isInteger(Number(id)));
+  }
+
+  // Validate the publish time of a scheduled article
+  static validateSchedule(status, publishAt) {
+    const errors = [];
+
+    if (status === 'scheduled' && !publishAt) {
+      errors.push('Publish date is required for scheduled articles');
+    } else if (publishAt && isNaN(Date.parse(publishAt))) {
+      errors.push('Publish date must be a valid date');
+    } else if (status === 'scheduled' && new Date(publishAt) <= new Date()) {
+      errors.push('Publish date must be in the future');
+    }
+
     return errors;
   }
 }
 
+Article.VALID_STATUSES = VALID_STATUSES;
+Article.CONTENT_FORMATS = CONTENT_FORMATS;
+Article.SEO_FIELDS = SEO_FIELDS;
+Article.BULK_ACTIONS = BULK_ACTIONS;
+
 module.exports = Article;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const jwtUtils = require('../utils/jwt');
+
+// How long a preview link stays valid unless another lifetime is asked for
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 30 * 24;
+
+class ArticlePreviewLink {
+  static get ttlHours() {
+    return parseInt(process.env.PREVIEW_LINK_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  }
+
+  static get maxTtlHours() {
+    return MAX_TTL_HOURS;
+  }
+
+  // Page reviewers open; the token is appended. PREVIEW_URL points it at the public
+  // site, otherwise the admin frontend's /preview page is used.
+  static get baseUrl() {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return (process.env.PREVIEW_URL || `${frontendUrl}/preview`).replace(/\/$/, '');
+  }
+
+  // Create a link to articleId, valid for ttlHours. Times are stored as ISO strings,
+  // as the signed token is derived from them.
+  static create(articleId, { createdBy = null, ttlHours = this.ttlHours } = {}) {
+    const db = dbManager.getDatabase();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+
+    const result = db.prepare(`
+      INSERT INTO article_preview_links (article_id, token_id, created_by, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(articleId, crypto.randomUUID(), createdBy, expiresAt.toISOString(), now.toISOString());
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  static findById(id) {
+    const db = dbManager.getDatabase();
+    return ArticlePreviewLink.fromRow(db.prepare(`${ArticlePreviewLink.selectQuery()} WHERE l.id = ?`).get(id));
+  }
+
+  // Links of an article that still work, newest first
+  static findActiveByArticle(articleId) {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      ${ArticlePreviewLink.selectQuery()}
+      WHERE l.article_id = ? AND l.revoked_at IS NULL AND l.expires_at > ?
+      ORDER BY l.created_at DESC, l.id DESC
+    `).all(articleId, new Date().toISOString()).map(ArticlePreviewLink.fromRow);
+  }
+
+  static revoke(id) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE article_preview_links SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL
+    `).run(new Date().toISOString(), id);
+
+    if (result.changes === 0) {
+      throw new Error('Preview link not found');
+    }
+
+    return { success: true, revokedId: id };
+  }
+
+  // Check a token from a preview URL and record the visit, returning { article_id, expires_at }.
+  // Throws when the token is forged, expired or revoked.
+  static verify(token) {
+    const { jti, article_id, exp } = jwtUtils.verifyPreviewToken(String(token));
+    const db = dbManager.getDatabase();
+    const now = new Date().toISOString();
+
+    const result = db.prepare(`
+      UPDATE article_preview_links SET last_viewed_at = ?
+      WHERE token_id = ? AND article_id = ? AND revoked_at IS NULL AND expires_at > ?
+    `).run(now, jti, article_id, now);
+
+    if (result.changes === 0) {
+      throw new Error('Invalid preview link');
+    }
+
+    return { article_id, expires_at: new Date(exp * 1000).toISOString() };
+  }
+
+  static selectQuery() {
+    return `
+      SELECT l.*, u.username as creator_username
+      FROM article_preview_links l
+      LEFT JOIN users u ON u.id = l.created_by
+    `;
+  }
+
+  // API shape of a link, with its token and the URL to share
+  static fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    const { creator_username, token_id, ...link } = row;
+    const token = jwtUtils.generatePreviewToken({ ...link, token_id });
+
+    return {
+      ...link,
+      token,
+      url: `${ArticlePreviewLink.baseUrl}/${token}`,
+      creator: link.created_by ? { id: link.created_by, username: creator_username } : null
+    };
+  }
+}
+
+module.exports = ArticlePreviewLink;
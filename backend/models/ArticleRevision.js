@@ -0,0 +1,143 @@
+const dbManager = require('../config/database');
+const { diffText, diffHtml, diffTextToHtml } = require('../utils/diff');
+
+// Article columns captured in each revision (and restored from it)
+const REVISION_FIELDS = ['title', 'content', 'content_format', 'excerpt', 'thumbnail_url', 'category_id'];
+
+// Normalise values so '2' and 2, or null and '', compare equal
+const normalize = (value) => (value === null || value === undefined ? '' : String(value));
+
+class ArticleRevision {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.article_id = data.article_id;
+    this.revision_number = data.revision_number;
+    this.title = data.title;
+    this.content = data.content;
+    this.content_format = data.content_format || 'html';
+    this.excerpt = data.excerpt;
+    this.thumbnail_url = data.thumbnail_url;
+    this.category_id = data.category_id;
+    this.author_id = data.author_id;
+    this.created_at = data.created_at;
+
+    if (data.author_username !== undefined) {
+      this.author = data.author_id ? { id: data.author_id, username: data.author_username } : null;
+    }
+  }
+
+  // Whether applying updateData to article changes any revisioned field
+  static hasChanges(article, updateData) {
+    return REVISION_FIELDS.some(field =>
+      updateData[field] !== undefined && normalize(updateData[field]) !== normalize(article[field])
+    );
+  }
+
+  // Store a snapshot of the given article state as its next revision
+  static create(article, authorId = null, createdAt = null) {
+    const db = dbManager.getDatabase();
+    const { next } = db.prepare(`
+      SELECT COALESCE(MAX(revision_number), 0) + 1 as next
+      FROM article_revisions WHERE article_id = ?
+    `).get(article.id);
+
+    const result = db.prepare(`
+      INSERT INTO article_revisions (
+        article_id, revision_number, title, content, content_format, excerpt,
+        thumbnail_url, category_id, author_id, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+    `).run(
+      article.id, next, article.title, article.content, article.content_format || 'html', article.excerpt,
+      article.thumbnail_url, article.category_id, authorId, createdAt
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  static findById(id) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare(`
+      SELECT r.*, u.username as author_username
+      FROM article_revisions r
+      LEFT JOIN users u ON r.author_id = u.id
+      WHERE r.id = ?
+    `).get(id);
+
+    return row ? new ArticleRevision(row) : null;
+  }
+
+  // Find a revision by its per-article number
+  static findByNumber(articleId, revisionNumber) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare(`
+      SELECT r.*, u.username as author_username
+      FROM article_revisions r
+      LEFT JOIN users u ON r.author_id = u.id
+      WHERE r.article_id = ? AND r.revision_number = ?
+    `).get(articleId, revisionNumber);
+
+    return row ? new ArticleRevision(row) : null;
+  }
+
+  // List revisions of an article, newest first. Content is left out to keep the list light.
+  static findByArticle(articleId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const db = dbManager.getDatabase();
+    const rows = db.prepare(`
+      SELECT r.id, r.article_id, r.revision_number, r.title, r.content_format, r.excerpt,
+             r.thumbnail_url, r.category_id, r.author_id, r.created_at,
+             u.username as author_username
+      FROM article_revisions r
+      LEFT JOIN users u ON r.author_id = u.id
+      WHERE r.article_id = ?
+      ORDER BY r.revision_number DESC
+      LIMIT ? OFFSET ?
+    `).all(articleId, limit, offset);
+
+    return rows.map(row => new ArticleRevision(row));
+  }
+
+  static count(articleId) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare('SELECT COUNT(*) as count FROM article_revisions WHERE article_id = ?').get(articleId);
+    return result.count;
+  }
+
+  // Field values to pass to Article#update when restoring this revision
+  toUpdateData() {
+    return REVISION_FIELDS.reduce((data, field) => {
+      data[field] = this[field];
+      return data;
+    }, {});
+  }
+
+  // Field-level diff from this revision to the current article
+  compare(article) {
+    const fields = {};
+    const changed = [];
+
+    for (const field of REVISION_FIELDS) {
+      const revisionValue = this[field] === undefined ? null : this[field];
+      const currentValue = article[field] === undefined ? null : article[field];
+      const isChanged = normalize(revisionValue) !== normalize(currentValue);
+      const entry = { revision: revisionValue, current: currentValue, changed: isChanged };
+
+      if (isChanged) {
+        changed.push(field);
+        if (field === 'content') {
+          entry.html = diffHtml(revisionValue, currentValue);
+        } else if (field === 'title' || field === 'excerpt') {
+          entry.changes = diffText(revisionValue, currentValue);
+          entry.html = diffTextToHtml(revisionValue, currentValue);
+        }
+      }
+
+      fields[field] = entry;
+    }
+
+    return { changed, fields };
+  }
+}
+
+module.exports = ArticleRevision;
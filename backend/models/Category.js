@@ -1,5 +1,10 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const SlugRedirect = require('./SlugRedirect');
+const { generateSlug, slugMaxLength } = require('../utils/slug');
+
+// Longest slug the categories table takes
+const MAX_SLUG_LENGTH = 100;
 
 class Category {
   constructor() {
@@ -9,15 +14,17 @@ class Category {
 
   // Create a new category
   create(categoryData) {
-    const { name, description, slug } = categoryData;
+    const { name, description, slug, parent_id = null } = categoryData;
+    
+    this.validateParent(null, parent_id);
     
     const stmt = this.db.prepare(`
-      INSERT INTO categories (name, description, slug, created_at, updated_at)
-      VALUES (?, ?, ?, datetime('now'), datetime('now'))
+      INSERT INTO categories (name, description, slug, parent_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
     `);
     
     try {
-      const result = stmt.run(name, description, slug);
+      const result = stmt.run(name, description, slug, parent_id);
       return this.findById(result.lastInsertRowid);
     } catch (error) {
       if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
@@ -27,23 +34,30 @@ class Category {
     }
   }
 
-  // Find category by ID
-  findById(id) {
-    const stmt = this.db.prepare('SELECT * FROM categories WHERE id = ?');
+  // Find category by ID; categories in the trash only with withDeleted
+  findById(id, { withDeleted = false } = {}) {
+    const stmt = this.db.prepare(`SELECT * FROM categories WHERE id = ?${withDeleted ? '' : ' AND deleted_at IS NULL'}`);
     return stmt.get(id);
   }
 
   // Find category by slug
   findBySlug(slug) {
-    const stmt = this.db.prepare('SELECT * FROM categories WHERE slug = ?');
+    const stmt = this.db.prepare('SELECT * FROM categories WHERE slug = ? AND deleted_at IS NULL');
     return stmt.get(slug);
   }
 
-  // Get all categories with optional pagination
+  // Find the category an old slug redirects to, for links made before it was renamed
+  findByOldSlug(slug) {
+    const id = SlugRedirect.resolve('category', slug, this.db);
+    return id ? this.findById(id) : undefined;
+  }
+
+  // Get all categories with optional pagination. Categories in the trash are left out
+  // unless `deleted` is set, which lists only those.
   findAll(options = {}) {
-    const { limit, offset, orderBy = 'name', orderDir = 'ASC' } = options;
+    const { limit, offset, orderBy = 'name', orderDir = 'ASC', deleted = false } = options;
     
-    let query = `SELECT * FROM categories ORDER BY ${orderBy} ${orderDir}`;
+    let query = `SELECT * FROM categories WHERE deleted_at ${deleted ? 'IS NOT NULL' : 'IS NULL'} ORDER BY ${orderBy} ${orderDir}`;
     const params = [];
     
     if (limit) {
@@ -60,18 +74,77 @@ class Category {
     return stmt.all(...params);
   }
 
-  // Update category
+  // Get categories nested by parent_id; each node has a `children` array
+  findTree() {
+    const categories = this.findAll();
+    const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+    const roots = [];
+    
+    for (const node of nodes.values()) {
+      const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+    
+    return roots;
+  }
+
+  // IDs of a category and all categories nested below it
+  getDescendantIds(id) {
+    const stmt = this.db.prepare(`
+      WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM categories WHERE id = ?
+        UNION ALL
+        SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id WHERE c.deleted_at IS NULL
+      )
+      SELECT id FROM subtree
+    `);
+    return stmt.all(id).map(row => row.id);
+  }
+
+  // Make sure a parent exists and would not create a cycle (id is null for new categories)
+  validateParent(id, parentId) {
+    if (parentId === null || parentId === undefined) {
+      return;
+    }
+    
+    if (!this.findById(parentId)) {
+      throw new Error('Parent category not found');
+    }
+    
+    if (id !== null && this.getDescendantIds(id).includes(parentId)) {
+      throw new Error('Category cannot be nested under itself or one of its descendants');
+    }
+  }
+
+  // Update category. parent_id and slug are kept when not provided; a replaced slug
+  // redirects to the new one.
   update(id, categoryData) {
-    const { name, description, slug } = categoryData;
+    const { name, description } = categoryData;
+    
+    const existing = this.findById(id);
+    if (!existing) {
+      throw new Error('Category not found');
+    }
+    
+    const slug = categoryData.slug || existing.slug;
+    const parentId = categoryData.parent_id === undefined ? existing.parent_id : categoryData.parent_id;
+    this.validateParent(id, parentId);
     
     const stmt = this.db.prepare(`
       UPDATE categories 
-      SET name = ?, description = ?, slug = ?, updated_at = datetime('now')
-      WHERE id = ?
+      SET name = ?, description = ?, slug = ?, parent_id = ?, updated_at = datetime('now')
+      WHERE id = ? AND deleted_at IS NULL
     `);
     
     try {
-      const result = stmt.run(name, description, slug, id);
+      const result = this.db.transaction(() => {
+        SlugRedirect.record('category', id, existing.slug, slug, this.db);
+        return stmt.run(name, description, slug, parentId, id);
+      })();
       
       if (result.changes === 0) {
         throw new Error('Category not found');
@@ -86,17 +159,28 @@ class Category {
     }
   }
 
-  // Delete category (with check for associated articles)
+  // Move a category to the trash. Only empty categories can be deleted: articles and
+  // subcategories in the trash do not count, and come back with it when restored.
   delete(id) {
-    // First check if category has associated articles
-    const articleCheckStmt = this.db.prepare('SELECT COUNT(*) as count FROM articles WHERE category_id = ?');
+    const articleCheckStmt = this.db.prepare(
+      'SELECT COUNT(*) as count FROM articles WHERE category_id = ? AND deleted_at IS NULL'
+    );
     const articleCount = articleCheckStmt.get(id);
     
     if (articleCount.count > 0) {
       throw new Error('Cannot delete category with associated articles');
     }
     
-    const stmt = this.db.prepare('DELETE FROM categories WHERE id = ?');
+    const childCheckStmt = this.db.prepare(
+      'SELECT COUNT(*) as count FROM categories WHERE parent_id = ? AND deleted_at IS NULL'
+    );
+    if (childCheckStmt.get(id).count > 0) {
+      throw new Error('Cannot delete category with subcategories');
+    }
+    
+    const stmt = this.db.prepare(`
+      UPDATE categories SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL
+    `);
     const result = stmt.run(id);
     
     if (result.changes === 0) {
@@ -106,18 +190,88 @@ class Category {
     return { success: true, deletedId: id };
   }
 
+  // Take a category out of the trash, along with any trashed categories above it
+  restore(id) {
+    const category = this.findById(id, { withDeleted: true });
+    if (!category || !category.deleted_at) {
+      throw new Error('Category not found in trash');
+    }
+    
+    Category.restoreAncestors(id, this.db);
+    return this.findById(id);
+  }
+
+  // Delete a category in the trash for good. Refused while articles or subcategories,
+  // trashed or not, still belong to it.
+  purge(id) {
+    const category = this.findById(id, { withDeleted: true });
+    if (!category || !category.deleted_at) {
+      throw new Error('Category not found in trash');
+    }
+    
+    if (this.db.prepare('SELECT COUNT(*) as count FROM articles WHERE category_id = ?').get(id).count > 0) {
+      throw new Error('Cannot purge category with associated articles');
+    }
+    
+    if (this.db.prepare('SELECT COUNT(*) as count FROM categories WHERE parent_id = ?').get(id).count > 0) {
+      throw new Error('Cannot purge category with subcategories');
+    }
+    
+    this.db.transaction(() => {
+      SlugRedirect.deleteByEntity('category', id, this.db);
+      this.db.prepare('DELETE FROM categories WHERE id = ?').run(id);
+    })();
+    
+    return { success: true, deletedId: id };
+  }
+
+  // Purge every category trashed before `cutoff` (a SQLite datetime string) that nothing
+  // belongs to any more. Subcategories go first, so a trashed branch is purged whole.
+  // Returns the ids of the purged categories.
+  purgeDeletedBefore(cutoff) {
+    const purgeable = this.db.prepare(`
+      SELECT id FROM categories c
+      WHERE deleted_at IS NOT NULL AND deleted_at < ?
+        AND NOT EXISTS (SELECT 1 FROM articles a WHERE a.category_id = c.id)
+        AND NOT EXISTS (SELECT 1 FROM categories child WHERE child.parent_id = c.id)
+    `);
+    const purged = [];
+    
+    let batch = purgeable.all(cutoff);
+    while (batch.length > 0) {
+      for (const { id } of batch) {
+        this.purge(id);
+        purged.push(id);
+      }
+      batch = purgeable.all(cutoff);
+    }
+    
+    return purged;
+  }
+
   // Get category count
   count() {
-    const stmt = this.db.prepare('SELECT COUNT(*) as count FROM categories');
+    const stmt = this.db.prepare('SELECT COUNT(*) as count FROM categories WHERE deleted_at IS NULL');
     return stmt.get().count;
   }
 
-  // Generate slug from name
+  // Clear deleted_at on a category and every trashed category above it, through the
+  // given connection (the Article model restores the category of a restored article)
+  static restoreAncestors(id, db) {
+    db.prepare(`
+      WITH RECURSIVE ancestors(id, parent_id) AS (
+        SELECT id, parent_id FROM categories WHERE id = ?
+        UNION ALL
+        SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+      )
+      UPDATE categories SET deleted_at = NULL
+      WHERE id IN (SELECT id FROM ancestors) AND deleted_at IS NOT NULL
+    `).run(id);
+  }
+
+  // Generate slug from name (see utils/slug.js)
   static generateSlug(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    return generateSlug(name, { maxLength: Math.min(slugMaxLength(), MAX_SLUG_LENGTH), fallback: 'category' });
   }
 
   // Validate category data
@@ -140,7 +294,7 @@ class Category {
       errors.push('Slug is required');
     }
     
-    if (categoryData.slug && categoryData.slug.length > 100) {
+    if (categoryData.slug && categoryData.slug.length > MAX_SLUG_LENGTH) {
       errors.push('Slug must be less than 100 characters');
     }
     
@@ -149,6 +303,11 @@ class Category {
       errors.push('Slug can only contain lowercase letters, numbers, and hyphens');
     }
     
+    if (categoryData.parent_id !== undefined && categoryData.parent_id !== null
+      && !Number.isInteger(categoryData.parent_id)) {
+      errors.push('Parent category must be a valid ID');
+    }
+    
     return errors;
   }
 }
@@ -0,0 +1,192 @@
+const dbManager = require('../config/database');
+const ImageProcessor = require('../services/imageProcessor');
+const Storage = require('../services/storage');
+
+// Columns that may be used for ordering (interpolated into SQL, so whitelist them)
+const ORDER_FIELDS = ['created_at', 'original_name', 'size'];
+
+const ALT_TEXT_MAX_LENGTH = 255;
+
+class Media {
+  // Record an uploaded file. `variants` is the list from the image manifest.
+  static create(mediaData) {
+    const {
+      filename,
+      original_name = null,
+      mime_type,
+      size,
+      width = null,
+      height = null,
+      blurhash = null,
+      variants = [],
+      alt_text = '',
+      uploaded_by = null
+    } = mediaData;
+    const db = dbManager.getDatabase();
+
+    try {
+      const result = db.prepare(`
+        INSERT INTO media (filename, original_name, mime_type, size, width, height, blurhash, variants, alt_text, uploaded_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(filename, original_name, mime_type, size, width, height, blurhash, JSON.stringify(variants), alt_text, uploaded_by);
+
+      return this.findById(result.lastInsertRowid);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('Media file already exists');
+      }
+      throw error;
+    }
+  }
+
+  static findById(id) {
+    const db = dbManager.getDatabase();
+    return Media.fromRow(db.prepare(`${Media.selectQuery()} WHERE m.id = ?`).get(id));
+  }
+
+  static findByFilename(filename) {
+    const db = dbManager.getDatabase();
+    return Media.fromRow(db.prepare(`${Media.selectQuery()} WHERE m.filename = ?`).get(filename));
+  }
+
+  // List media, newest first by default. `search` matches the original name, filename
+  // and alt text; `type` narrows by mime type prefix (e.g. 'image/').
+  static findAll(options = {}) {
+    const { limit, offset, orderBy = 'created_at', orderDir = 'DESC' } = options;
+    const db = dbManager.getDatabase();
+    const column = ORDER_FIELDS.includes(orderBy) ? orderBy : 'created_at';
+    const direction = String(orderDir).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const { where, params } = Media.buildFilters(options);
+
+    let query = `${Media.selectQuery()} ${where} ORDER BY m.${column} ${direction}, m.id ${direction}`;
+    if (limit) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset || 0);
+    }
+
+    return db.prepare(query).all(...params).map(Media.fromRow);
+  }
+
+  static count(options = {}) {
+    const db = dbManager.getDatabase();
+    const { where, params } = Media.buildFilters(options);
+    return db.prepare(`SELECT COUNT(*) as count FROM media m ${where}`).get(...params).count;
+  }
+
+  // Update the editable fields (currently the alt text)
+  static update(id, mediaData) {
+    const db = dbManager.getDatabase();
+
+    const result = db.prepare(`
+      UPDATE media
+      SET alt_text = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(mediaData.alt_text, id);
+
+    if (result.changes === 0) {
+      throw new Error('Media not found');
+    }
+
+    return this.findById(id);
+  }
+
+  // Delete the record. Callers check findReferencingArticles first and remove the files.
+  static delete(id) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare('DELETE FROM media WHERE id = ?').run(id);
+
+    if (result.changes === 0) {
+      throw new Error('Media not found');
+    }
+
+    return { success: true, deletedId: id };
+  }
+
+  // Articles whose thumbnail or content points at the file or one of its variants.
+  // Articles in the trash are included, as restoring them brings the file back into use.
+  static findReferencingArticles(filename) {
+    const db = dbManager.getDatabase();
+    const base = filename.replace(/\.[^.]+$/, '');
+    // Variants are named <base>-<width>w.<ext> and <base>.webp
+    const patterns = [`%/uploads/${Media.escapeLike(base)}.%`, `%/uploads/${Media.escapeLike(base)}-%`];
+    const matches = "(a.thumbnail_url LIKE ? ESCAPE '\\' OR a.content LIKE ? ESCAPE '\\' OR a.content_html LIKE ? ESCAPE '\\')";
+
+    return db.prepare(`
+      SELECT a.id, a.title, a.slug, a.status
+      FROM articles a
+      WHERE ${matches} OR ${matches}
+      ORDER BY a.updated_at DESC, a.id DESC
+    `).all(patterns[0], patterns[0], patterns[0], patterns[1], patterns[1], patterns[1]);
+  }
+
+  static validate(mediaData) {
+    const errors = [];
+
+    if (typeof mediaData.alt_text !== 'string') {
+      errors.push('Alt text must be a string');
+    } else if (mediaData.alt_text.length > ALT_TEXT_MAX_LENGTH) {
+      errors.push(`Alt text must be less than ${ALT_TEXT_MAX_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  static selectQuery() {
+    return `
+      SELECT m.*, u.username as uploader_username
+      FROM media m
+      LEFT JOIN users u ON u.id = m.uploaded_by
+    `;
+  }
+
+  static buildFilters({ search, type, uploadedBy } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      const pattern = `%${Media.escapeLike(search)}%`;
+      conditions.push("(m.original_name LIKE ? ESCAPE '\\' OR m.filename LIKE ? ESCAPE '\\' OR m.alt_text LIKE ? ESCAPE '\\')");
+      params.push(pattern, pattern, pattern);
+    }
+
+    if (type) {
+      conditions.push("m.mime_type LIKE ? ESCAPE '\\'");
+      params.push(`${Media.escapeLike(type)}%`);
+    }
+
+    if (uploadedBy) {
+      conditions.push('m.uploaded_by = ?');
+      params.push(uploadedBy);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // API shape of a media row: parsed variants, the public URL and a srcset per format
+  static fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    const { uploader_username, ...media } = row;
+    const variants = JSON.parse(media.variants || '[]');
+
+    return {
+      ...media,
+      url: Storage.url(media.filename),
+      variants,
+      srcset: ImageProcessor.buildSrcset(variants),
+      uploader: media.uploaded_by ? { id: media.uploaded_by, username: uploader_username } : null
+    };
+  }
+
+  // Escape LIKE wildcards in user input
+  static escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&');
+  }
+}
+
+module.exports = Media;
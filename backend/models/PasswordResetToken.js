@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+
+// How long a reset link stays valid
+const DEFAULT_TTL_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetToken {
+  static get ttlMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  }
+
+  // Create a reset token for userId, invalidating any earlier unused ones.
+  // Returns the token itself; only its hash is stored.
+  static create(userId) {
+    const db = dbManager.getDatabase();
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlMinutes * 60 * 1000);
+
+    const create = db.transaction(() => {
+      db.prepare(`
+        UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL
+      `).run(now.toISOString(), userId);
+
+      db.prepare(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
+        VALUES (?, ?, ?, datetime('now'))
+      `).run(userId, hashToken(token), expiresAt.toISOString());
+    });
+
+    create();
+    return { token, expires_at: expiresAt.toISOString() };
+  }
+
+  // Use up a token, returning the id of the user it was issued to.
+  // The UPDATE only matches an unused, unexpired token, so it succeeds once.
+  static consume(token) {
+    const db = dbManager.getDatabase();
+    const now = new Date().toISOString();
+    const tokenHash = hashToken(String(token));
+
+    const consume = db.transaction(() => {
+      const result = db.prepare(`
+        UPDATE password_reset_tokens SET used_at = ?
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+      `).run(now, tokenHash, now);
+
+      if (result.changes === 0) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      return db.prepare('SELECT user_id FROM password_reset_tokens WHERE token_hash = ?').get(tokenHash).user_id;
+    });
+
+    return consume();
+  }
+}
+
+module.exports = PasswordResetToken;
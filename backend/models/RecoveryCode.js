@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+
+// Codes handed out per enrollment; each one signs in once
+const CODE_COUNT = 10;
+
+// Codes are compared case-insensitively and without their separators
+const normalizeCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// 64 random bits, shown as xxxx-xxxx-xxxx-xxxx
+const generateCode = () => crypto.randomBytes(8).toString('hex').match(/.{4}/g).join('-');
+
+class RecoveryCode {
+  // Replace a user's recovery codes with a fresh set. Returns the codes
+  // themselves, which can't be shown again; only their hashes are stored.
+  static regenerate(userId) {
+    const db = dbManager.getDatabase();
+    const codes = Array.from({ length: CODE_COUNT }, generateCode);
+
+    const regenerate = db.transaction(() => {
+      db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+
+      const insert = db.prepare(`
+        INSERT INTO user_recovery_codes (user_id, code_hash, created_at)
+        VALUES (?, ?, datetime('now'))
+      `);
+      for (const code of codes) {
+        insert.run(userId, hashCode(code));
+      }
+    });
+
+    regenerate();
+    return codes;
+  }
+
+  // Use up one of a user's recovery codes. Returns whether the code was valid;
+  // the UPDATE only matches an unused code, so each one succeeds once.
+  static consume(userId, code) {
+    if (normalizeCode(code).length !== 16) {
+      return false;
+    }
+
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE user_recovery_codes SET used_at = ?
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(new Date().toISOString(), userId, hashCode(code));
+
+    return result.changes > 0;
+  }
+
+  // Number of unused codes a user has left
+  static countRemaining(userId) {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL
+    `).get(userId).count;
+  }
+
+  static deleteForUser(userId) {
+    const db = dbManager.getDatabase();
+    return db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId).changes;
+  }
+}
+
+module.exports = RecoveryCode;
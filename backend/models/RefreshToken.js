@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const jwtUtils = require('../utils/jwt');
+
+// Refresh tokens are long random JWTs, so a plain SHA-256 is enough to keep
+// a leaked database from handing out usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class RefreshToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.family_id = data.family_id;
+    this.device_label = data.device_label;
+    this.ip_address = data.ip_address;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+    this.replaced_by = data.replaced_by;
+    this.created_at = data.created_at;
+  }
+
+  isExpired() {
+    return new Date(this.expires_at) <= new Date();
+  }
+
+  // Issue a refresh token for user and store its hash. Without a familyId this
+  // starts a new session; returns the token itself along with its record.
+  static issue(user, { familyId = null, deviceLabel = null, ipAddress = null } = {}) {
+    const db = dbManager.getDatabase();
+    const sessionId = familyId || crypto.randomUUID();
+    const token = jwtUtils.generateRefreshToken(user, { sessionId });
+    const expiresAt = jwtUtils.getTokenExpiration(token).toISOString();
+
+    // Expired tokens can no longer be replayed, so there is nothing left to detect
+    db.prepare('DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at <= ?').run(user.id, new Date().toISOString());
+
+    const result = db.prepare(`
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, device_label, ip_address, expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    `).run(user.id, sessionId, hashToken(token), deviceLabel, ipAddress, expiresAt);
+
+    return { token, record: this.findById(result.lastInsertRowid) };
+  }
+
+  static findById(id) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare('SELECT * FROM refresh_tokens WHERE id = ?').get(id);
+    return row ? new RefreshToken(row) : null;
+  }
+
+  static findByToken(token) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(hashToken(token));
+    return row ? new RefreshToken(row) : null;
+  }
+
+  // Exchange a refresh token for a new one in the same family. Presenting a
+  // token that was already rotated means it was stolen (or the client was),
+  // so the whole family is revoked.
+  static rotate(token, user, { ipAddress = null } = {}) {
+    const db = dbManager.getDatabase();
+    const record = this.findByToken(token);
+
+    if (!record || record.user_id !== user.id) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (record.replaced_by) {
+      this.revokeFamily(record.family_id);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    if (record.revoked_at) {
+      throw new Error('Refresh token has been revoked');
+    }
+
+    if (record.isExpired()) {
+      throw new Error('Refresh token has expired');
+    }
+
+    const rotate = db.transaction(() => {
+      const issued = this.issue(user, {
+        familyId: record.family_id,
+        deviceLabel: record.device_label,
+        ipAddress: ipAddress || record.ip_address
+      });
+
+      db.prepare(`
+        UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?
+      `).run(new Date().toISOString(), issued.record.id, record.id);
+
+      return issued;
+    });
+
+    return rotate();
+  }
+
+  // Revoke every live token in a session, optionally only if it belongs to userId.
+  // Returns whether there was anything to revoke.
+  static revokeFamily(familyId, userId = null) {
+    const db = dbManager.getDatabase();
+    let query = 'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL';
+    const params = [new Date().toISOString(), familyId];
+
+    if (userId !== null) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+
+    return db.prepare(query).run(...params).changes > 0;
+  }
+
+  // Revoke all of a user's sessions, except the one named by exceptFamilyId.
+  // Returns the number of sessions revoked.
+  static revokeAllForUser(userId, { exceptFamilyId = null } = {}) {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND family_id IS NOT ?
+    `).run(new Date().toISOString(), userId, exceptFamilyId).changes;
+  }
+
+  // A session stays active while its latest token is neither revoked nor expired
+  static isSessionActive(familyId) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare(`
+      SELECT 1 FROM refresh_tokens
+      WHERE family_id = ? AND revoked_at IS NULL AND expires_at > ?
+    `).get(familyId, new Date().toISOString());
+
+    return !!row;
+  }
+
+  // Active sessions of a user, most recently used first
+  static findSessions(userId) {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      SELECT
+        t.family_id as id,
+        t.device_label,
+        t.ip_address,
+        (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = t.family_id) as created_at,
+        t.created_at as last_used_at,
+        t.expires_at
+      FROM refresh_tokens t
+      WHERE t.user_id = ? AND t.revoked_at IS NULL AND t.expires_at > ?
+      ORDER BY t.created_at DESC, t.id DESC
+    `).all(userId, new Date().toISOString());
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,23 @@
+const dbManager = require('../config/database');
+
+// Site-wide settings, stored as JSON values keyed by name
+class Setting {
+  // Value of a setting, or defaultValue if it was never set
+  static get(key, defaultValue = null) {
+    const db = dbManager.getDatabase();
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : defaultValue;
+  }
+
+  static set(key, value) {
+    const db = dbManager.getDatabase();
+    db.prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, datetime('now'))
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(key, JSON.stringify(value));
+
+    return value;
+  }
+}
+
+module.exports = Setting;
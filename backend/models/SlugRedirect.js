@@ -0,0 +1,34 @@
+const dbManager = require('../config/database');
+
+// Old slugs of renamed articles and categories. Every method takes the connection to use,
+// as the Category model keeps its own; it defaults to the shared one.
+class SlugRedirect {
+  // Remember that an entity moved from oldSlug to newSlug. A slug given up by several
+  // entities over time redirects to the last one, and one taken again stops redirecting.
+  static record(entityType, entityId, oldSlug, newSlug, db = dbManager.getDatabase()) {
+    if (!oldSlug || oldSlug === newSlug) {
+      return;
+    }
+
+    db.prepare('DELETE FROM slug_redirects WHERE entity_type = ? AND slug = ?').run(entityType, newSlug);
+    db.prepare(`
+      INSERT INTO slug_redirects (entity_type, entity_id, slug, created_at)
+      VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT (entity_type, slug) DO UPDATE SET entity_id = excluded.entity_id, created_at = excluded.created_at
+    `).run(entityType, entityId, oldSlug);
+  }
+
+  // Id of the entity an old slug now belongs to, or null
+  static resolve(entityType, slug, db = dbManager.getDatabase()) {
+    const row = db.prepare('SELECT entity_id FROM slug_redirects WHERE entity_type = ? AND slug = ?')
+      .get(entityType, slug);
+    return row ? row.entity_id : null;
+  }
+
+  static deleteByEntity(entityType, entityId, db = dbManager.getDatabase()) {
+    return db.prepare('DELETE FROM slug_redirects WHERE entity_type = ? AND entity_id = ?')
+      .run(entityType, entityId).changes;
+  }
+}
+
+module.exports = SlugRedirect;
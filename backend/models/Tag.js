@@ -0,0 +1,220 @@
+const dbManager = require('../config/database');
+const { generateSlug, slugMaxLength } = require('../utils/slug');
+
+// Columns that may be used for ordering (interpolated into SQL, so whitelist them)
+const ORDER_FIELDS = ['name', 'slug', 'created_at', 'updated_at'];
+
+const MAX_SLUG_LENGTH = 50;
+
+class Tag {
+  // Create a new tag
+  static create(tagData) {
+    const { name, slug } = tagData;
+    const db = dbManager.getDatabase();
+
+    try {
+      const result = db.prepare(`
+        INSERT INTO tags (name, slug, created_at, updated_at)
+        VALUES (?, ?, datetime('now'), datetime('now'))
+      `).run(name, slug);
+
+      return this.findById(result.lastInsertRowid);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('Tag name or slug already exists');
+      }
+      throw error;
+    }
+  }
+
+  static findById(id) {
+    const db = dbManager.getDatabase();
+    return db.prepare('SELECT * FROM tags WHERE id = ?').get(id);
+  }
+
+  static findBySlug(slug) {
+    const db = dbManager.getDatabase();
+    return db.prepare('SELECT * FROM tags WHERE slug = ?').get(slug);
+  }
+
+  // Get all tags, optionally narrowed to names starting with `search` (for autocomplete)
+  static findAll(options = {}) {
+    const { search, limit, offset, orderBy = 'name', orderDir = 'ASC' } = options;
+    const db = dbManager.getDatabase();
+    const column = ORDER_FIELDS.includes(orderBy) ? orderBy : 'name';
+    const direction = String(orderDir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    const params = [];
+
+    let query = 'SELECT * FROM tags';
+    if (search) {
+      query += " WHERE name LIKE ? ESCAPE '\\'";
+      params.push(`${Tag.escapeLike(search)}%`);
+    }
+    query += ` ORDER BY ${column} ${direction}`;
+
+    if (limit) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset || 0);
+    }
+
+    return db.prepare(query).all(...params);
+  }
+
+  static count(options = {}) {
+    const { search } = options;
+    const db = dbManager.getDatabase();
+
+    if (search) {
+      return db.prepare("SELECT COUNT(*) as count FROM tags WHERE name LIKE ? ESCAPE '\\'")
+        .get(`${Tag.escapeLike(search)}%`).count;
+    }
+    return db.prepare('SELECT COUNT(*) as count FROM tags').get().count;
+  }
+
+  // Update tag
+  static update(id, tagData) {
+    const { name, slug } = tagData;
+    const db = dbManager.getDatabase();
+
+    try {
+      const result = db.prepare(`
+        UPDATE tags
+        SET name = ?, slug = ?, updated_at = datetime('now')
+        WHERE id = ?
+      `).run(name, slug, id);
+
+      if (result.changes === 0) {
+        throw new Error('Tag not found');
+      }
+
+      return this.findById(id);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error('Tag name or slug already exists');
+      }
+      throw error;
+    }
+  }
+
+  // Delete tag. Unlike categories, tags are detached from their articles rather than blocking deletion.
+  static delete(id) {
+    const db = dbManager.getDatabase();
+
+    const result = db.transaction(() => {
+      db.prepare('DELETE FROM article_tags WHERE tag_id = ?').run(id);
+      return db.prepare('DELETE FROM tags WHERE id = ?').run(id);
+    })();
+
+    if (result.changes === 0) {
+      throw new Error('Tag not found');
+    }
+
+    return { success: true, deletedId: id };
+  }
+
+  // Tags with total and published article counts, most used first. Articles in the trash are not counted.
+  static stats() {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      SELECT
+        t.*,
+        COUNT(a.id) as article_count,
+        COALESCE(SUM(CASE WHEN a.status = 'published' THEN 1 ELSE 0 END), 0) as published_count
+      FROM tags t
+      LEFT JOIN article_tags at ON at.tag_id = t.id
+      LEFT JOIN articles a ON a.id = at.article_id AND a.deleted_at IS NULL
+      GROUP BY t.id
+      ORDER BY article_count DESC, t.name ASC
+    `).all();
+  }
+
+  // Tags of several articles in one query, as a Map of article id => tags
+  static findByArticleIds(articleIds) {
+    const tagsByArticle = new Map(articleIds.map(id => [id, []]));
+    if (articleIds.length === 0) {
+      return tagsByArticle;
+    }
+
+    const db = dbManager.getDatabase();
+    const rows = db.prepare(`
+      SELECT at.article_id, t.id, t.name, t.slug
+      FROM article_tags at
+      JOIN tags t ON t.id = at.tag_id
+      WHERE at.article_id IN (${articleIds.map(() => '?').join(', ')})
+      ORDER BY t.name ASC
+    `).all(...articleIds);
+
+    for (const { article_id, ...tag } of rows) {
+      tagsByArticle.get(article_id).push(tag);
+    }
+
+    return tagsByArticle;
+  }
+
+  // Replace the tags of an article
+  static setArticleTags(articleId, tagIds) {
+    const db = dbManager.getDatabase();
+    const ids = [...new Set(tagIds.map(id => parseInt(id)))];
+
+    if (ids.some(id => !Number.isInteger(id))) {
+      throw new Error('Invalid tag_ids');
+    }
+
+    db.transaction(() => {
+      if (ids.length > 0) {
+        const { count } = db.prepare(`
+          SELECT COUNT(*) as count FROM tags WHERE id IN (${ids.map(() => '?').join(', ')})
+        `).get(...ids);
+
+        if (count !== ids.length) {
+          throw new Error('Invalid tag_ids');
+        }
+      }
+
+      db.prepare('DELETE FROM article_tags WHERE article_id = ?').run(articleId);
+
+      const insert = db.prepare('INSERT INTO article_tags (article_id, tag_id) VALUES (?, ?)');
+      ids.forEach(tagId => insert.run(articleId, tagId));
+    })();
+  }
+
+  // Escape LIKE wildcards in user input
+  static escapeLike(text) {
+    return String(text).replace(/[\\%_]/g, '\\$&');
+  }
+
+  // Generate slug from name
+  static generateSlug(name) {
+    return generateSlug(name, { maxLength: Math.min(slugMaxLength(), MAX_SLUG_LENGTH), fallback: 'tag' });
+  }
+
+  // Validate tag data
+  static validate(tagData) {
+    const errors = [];
+
+    if (!tagData.name || tagData.name.trim().length === 0) {
+      errors.push('Name is required');
+    }
+
+    if (tagData.name && tagData.name.length > 50) {
+      errors.push('Name must be less than 50 characters');
+    }
+
+    if (!tagData.slug || tagData.slug.trim().length === 0) {
+      errors.push('Slug is required');
+    }
+
+    if (tagData.slug && tagData.slug.length > MAX_SLUG_LENGTH) {
+      errors.push('Slug must be less than 50 characters');
+    }
+
+    // Validate slug format (only lowercase letters, numbers, and hyphens)
+    if (tagData.slug && !/^[a-z0-9-]+$/.test(tagData.slug)) {
+      errors.push('Slug can only contain lowercase letters, numbers, and hyphens');
+    }
+
+    return errors;
+  }
+}
+
+module.exports = Tag;
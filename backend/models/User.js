@@ -1,5 +1,6 @@
 const bcrypt = require('bcrypt');
 const dbManager = require('../config/database');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
 
 class User {
   constructor(data = {}) {
@@ -7,7 +8,12 @@ class User {
     this.username = data.username;
     this.email = data.email;
     this.password_hash = data.password_hash;
-    this.role = data.role || 'admin';
+    this.role = data.role || DEFAULT_ROLE;
+    this.disabled_at = data.disabled_at || null;
+    this.password_reset_required = Boolean(data.password_reset_required);
+    this.totp_secret = data.totp_secret || null;
+    this.totp_enabled_at = data.totp_enabled_at || null;
+    this.totp_last_step = data.totp_last_step ?? null;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -25,12 +31,16 @@ class User {
 
   // Create a new user
   static async create(userData) {
-    const { username, email, password, role = 'admin' } = userData;
+    const { username, email, password, role = DEFAULT_ROLE } = userData;
     
     if (!username || !email || !password) {
       throw new Error('Username, email, and password are required');
     }
 
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
     // Hash the password
     const password_hash = await this.hashPassword(password);
     
@@ -94,6 +104,10 @@ class User {
       throw new Error('No valid fields to update');
     }
 
+    if (updateData.role !== undefined && !ROLES.includes(updateData.role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
     // Add updated_at timestamp
     updates.push('updated_at = datetime(\'now\')');
     values.push(this.id);
@@ -129,9 +143,10 @@ class User {
     const password_hash = await User.hashPassword(newPassword);
     const db = dbManager.getDatabase();
     
+    // A new password satisfies any pending forced reset
     const result = db.prepare(`
       UPDATE users 
-      SET password_hash = ?, updated_at = datetime('now') 
+      SET password_hash = ?, password_reset_required = 0, updated_at = datetime('now') 
       WHERE id = ?
     `).run(password_hash, this.id);
 
@@ -140,79 +155,254 @@ class User {
     }
 
     this.password_hash = password_hash;
+    this.password_reset_required = false;
     return this;
   }
 
-  // Delete user
-  static delete(id) {
+  // Disable or re-enable the account
+  setDisabled(disabled) {
     const db = dbManager.getDatabase();
-    const result = db.prepare('DELETE FROM users WHERE id = ?').run(id);
-    
-    return result.changes > 0;
+    const result = db.prepare(`
+      UPDATE users
+      SET disabled_at = CASE WHEN ? THEN datetime('now') END, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(disabled ? 1 : 0, this.id);
+
+    if (result.changes === 0) {
+      throw new Error('User not found');
+    }
+
+    Object.assign(this, User.findById(this.id));
+    return this;
   }
 
-  // Get all users (for admin purposes)
-  static findAll(limit = 50, offset = 0) {
+  // Make the user choose a new password at their next sign-in, optionally
+  // replacing the current one with a temporary password
+  async requirePasswordReset(temporaryPassword = null) {
+    if (temporaryPassword) {
+      await this.changePassword(temporaryPassword);
+    }
+
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET password_reset_required = 1, updated_at = datetime('now') WHERE id = ?
+    `).run(this.id);
+
+    if (result.changes === 0) {
+      throw new Error('User not found');
+    }
+
+    this.password_reset_required = true;
+    return this;
+  }
+
+  // Store a TOTP secret that is waiting to be confirmed. Until enableTotp is
+  // called the secret is not used for signing in.
+  setTotpSecret(secret) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(secret, this.id);
+
+    if (result.changes === 0) {
+      throw new Error('User not found');
+    }
+
+    Object.assign(this, User.findById(this.id));
+    return this;
+  }
+
+  // Turn on two-factor authentication with the stored secret. step is the
+  // time step of the code that confirmed enrollment.
+  enableTotp(step) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET totp_enabled_at = datetime('now'), totp_last_step = ?, updated_at = datetime('now')
+      WHERE id = ? AND totp_secret IS NOT NULL
+    `).run(step, this.id);
+
+    if (result.changes === 0) {
+      throw new Error('Two-factor enrollment has not been started');
+    }
+
+    Object.assign(this, User.findById(this.id));
+    return this;
+  }
+
+  // Turn off two-factor authentication and forget the secret
+  disableTotp() {
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(this.id);
+
+    if (result.changes === 0) {
+      throw new Error('User not found');
+    }
+
+    Object.assign(this, User.findById(this.id));
+    return this;
+  }
+
+  // Remember the time step of an accepted code. Only moves forward, so
+  // returns false if the step (or a later one) was already used.
+  recordTotpStep(step) {
+    const db = dbManager.getDatabase();
+    const result = db.prepare(`
+      UPDATE users SET totp_last_step = ?
+      WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `).run(step, this.id, step);
+
+    if (result.changes === 0) {
+      return false;
+    }
+
+    this.totp_last_step = step;
+    return true;
+  }
+
+  // Number of articles written by a user
+  static countArticles(id) {
+    const db = dbManager.getDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM articles WHERE author_id = ?').get(id).count;
+  }
+
+  // Delete user. Articles reference their author with ON DELETE RESTRICT, so
+  // a user with articles can only be deleted by handing them to another author.
+  static delete(id, reassignTo = null) {
+    const db = dbManager.getDatabase();
+
+    if (!reassignTo && User.countArticles(id) > 0) {
+      throw new Error('User has articles that must be reassigned');
+    }
+
+    if (reassignTo && (Number(reassignTo) === Number(id) || !User.findById(reassignTo))) {
+      throw new Error('Invalid reassign_to user');
+    }
+
+    const deleteUser = db.transaction(() => {
+      if (reassignTo) {
+        db.prepare('UPDATE articles SET author_id = ? WHERE author_id = ?').run(reassignTo, id);
+      }
+
+      return db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    });
+
+    return deleteUser().changes > 0;
+  }
+
+  // Build WHERE clause for user list filters
+  static buildFilters(options = {}) {
+    const { search, role, status } = options;
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      conditions.push('(username LIKE ? OR email LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+
+    if (status === 'active') {
+      conditions.push('disabled_at IS NULL');
+    } else if (status === 'disabled') {
+      conditions.push('disabled_at IS NOT NULL');
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Get all users (for admin purposes), optionally filtered by search, role and status
+  static findAll(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = User.buildFilters(options);
     const db = dbManager.getDatabase();
     const users = db.prepare(`
       SELECT * FROM users 
-      ORDER BY created_at DESC 
+      ${where}
+      ORDER BY created_at DESC, id DESC 
       LIMIT ? OFFSET ?
-    `).all(limit, offset);
+    `).all(...params, limit, offset);
     
     return users.map(userData => new User(userData));
   }
 
-  // Count total users
-  static count() {
+  // Count users matching the same filters as findAll
+  static count(options = {}) {
+    const { where, params } = User.buildFilters(options);
     const db = dbManager.getDatabase();
-    const result = db.prepare('SELECT COUNT(*) as count FROM users').get();
+    const result = db.prepare(`SELECT COUNT(*) as count FROM users ${where}`).get(...params);
     return result.count;
   }
 
-  // Convert to JSON (exclude password hash)
+  // Convert to JSON (exclude password hash and TOTP state)
   toJSON() {
-    const { password_hash, ...userWithoutPassword } = this;
-    return userWithoutPassword;
+    const { password_hash, totp_secret, totp_last_step, ...userWithoutSecrets } = this;
+    return {
+      ...userWithoutSecrets,
+      two_factor_enabled: Boolean(this.totp_enabled_at)
+    };
   }
 
-  // Validate user data
-  static validateUserData(userData) {
+  // Validate user data. With partial, only the fields present are checked (for updates).
+  static validateUserData(userData, { partial = false } = {}) {
     const errors = [];
-    const { username, email, password } = userData;
+    const { username, email, password, role } = userData;
 
     // Username validation
-    if (!username || username.length < 3) {
-      errors.push('Username must be at least 3 characters long');
-    }
-    if (username && username.length > 50) {
-      errors.push('Username must be less than 50 characters');
-    }
-    if (username && !/^[a-zA-Z0-9_]+$/.test(username)) {
-      errors.push('Username can only contain letters, numbers, and underscores');
+    if (!partial || username !== undefined) {
+      if (!username || username.length < 3) {
+        errors.push('Username must be at least 3 characters long');
+      }
+      if (username && username.length > 50) {
+        errors.push('Username must be less than 50 characters');
+      }
+      if (username && !/^[a-zA-Z0-9_]+$/.test(username)) {
+        errors.push('Username can only contain letters, numbers, and underscores');
+      }
     }
 
     // Email validation
-    if (!email) {
-      errors.push('Email is required');
-    }
-    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      errors.push('Invalid email format');
+    if (!partial || email !== undefined) {
+      if (!email) {
+        errors.push('Email is required');
+      }
+      if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        errors.push('Invalid email format');
+      }
     }
 
     // Password validation
-    if (!password) {
-      errors.push('Password is required');
-    }
-    if (password && password.length < 8) {
-      errors.push('Password must be at least 8 characters long');
+    if (!partial || password !== undefined) {
+      if (!password) {
+        errors.push('Password is required');
+      }
+      if (password && password.length < 8) {
+        errors.push('Password must be at least 8 characters long');
+      }
+      if (password && !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+        errors.push('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+      }
     }
-    if (password && !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
-      errors.push('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
+    // Role validation
+    if (role !== undefined && !ROLES.includes(role)) {
+      errors.push(`Role must be one of: ${ROLES.join(', ')}`);
     }
 
     return errors;
   }
 }
 
+User.ROLES = ROLES;
+
 module.exports = User;
\ No newline at end of file
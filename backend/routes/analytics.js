@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const AnalyticsService = require('../services/analytics');
 const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Middleware to get client IP address
 const getClientIP = (req) => {
@@ -29,6 +30,9 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// View, like and like-status tracking is called by the public site and needs
+// no sign-in; the reporting endpoints require the analytics.read permission
+
 /**
  * POST /api/analytics/articles/:id/view
  * Increment view count for an article
@@ -141,6 +145,8 @@ router.get('/articles/:id/status', [
  * Get dashboard metrics and analytics
  */
 router.get('/dashboard', [
+  authenticate,
+  requirePermission('analytics.read'),
   query('range').optional().isIn(['7d', '30d', 'all']).withMessage('Range must be 7d, 30d, or all'),
   handleValidationErrors
 ], async (req, res) => {
@@ -177,6 +183,8 @@ router.get('/dashboard', [
  * Get top performing articles
  */
 router.get('/articles/top', [
+  authenticate,
+  requirePermission('analytics.read'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('range').optional().isIn(['7d', '30d', 'all']).withMessage('Range must be 7d, 30d, or all'),
   handleValidationErrors
@@ -215,6 +223,8 @@ router.get('/articles/top', [
  * Get analytics for a specific article
  */
 router.get('/articles/:id', [
+  authenticate,
+  requirePermission('analytics.read'),
   param('id').isInt({ min: 1 }).withMessage('Article ID must be a positive integer'),
   handleValidationErrors
 ], async (req, res) => {
@@ -248,6 +258,8 @@ router.get('/articles/:id', [
  * Get engagement summary for specified date range
  */
 router.get('/engagement', [
+  authenticate,
+  requirePermission('analytics.read'),
   query('range').optional().isIn(['7d', '30d']).withMessage('Range must be 7d or 30d'),
   handleValidationErrors
 ], async (req, res) => {
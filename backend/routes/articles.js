@@ -3,13 +3,39 @@ const router = express.Router();
 const Article = require('../models/Article');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const ArticleRevision = require('../models/ArticleRevision');
+const ArticlePreviewLink = require('../models/ArticlePreviewLink');
+const { invalidateCache } = require('../middleware/caching');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { sendSlugRedirect } = require('../utils/redirects');
+const TrashRetention = require('../services/trashRetention');
+
+// Statuses that take an article out of draft and need the publish permission
+const PUBLISHING_STATUSES = ['scheduled', 'published', 'archived'];
+
+// Permission each bulk action needs, and the most articles one request may change
+const BULK_PERMISSIONS = {
+  publish: 'articles.publish',
+  archive: 'articles.publish',
+  draft: 'articles.update',
+  delete: 'articles.delete',
+  'move-category': 'articles.update',
+  'add-tag': 'articles.update'
+};
+const MAX_BULK_IDS = 100;
+
+const isId = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+// Every article route requires a signed-in user
+router.use(authenticate);
 
 // Middleware to validate article data
 const validateArticleData = (req, res, next) => {
   const dataToValidate = { ...req.body };
-  // Set default author_id to 1 if not provided (no auth required)
+  // Articles are written by the signed-in user unless another author is given
   if (!dataToValidate.author_id) {
-    dataToValidate.author_id = 1;
+    dataToValidate.author_id = req.user.id;
   }
   
   const errors = Article.validateArticleData(dataToValidate);
@@ -28,15 +54,54 @@ const validateArticleData = (req, res, next) => {
   next();
 };
 
+// Authors may only change their own articles; editors and admins may change any.
+// Sends a 403 and returns false when the signed-in user may not.
+const ensureCanModify = (req, res, article, permission) => {
+  if (article.author_id === req.user.id || hasPermission(req.user.role, `${permission}.any`)) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: {
+      code: 'ACCESS_DENIED',
+      message: 'You can only modify your own articles'
+    }
+  });
+  return false;
+};
+
+// Sends a 403 and returns false when a status change would publish, schedule
+// or archive an article and the signed-in user may not do that
+const ensureCanPublish = (req, res, status, currentStatus = 'draft') => {
+  const publishing = status !== currentStatus && PUBLISHING_STATUSES.includes(status);
+
+  if (!publishing || hasPermission(req.user.role, 'articles.publish')) {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: {
+      code: 'INSUFFICIENT_PERMISSIONS',
+      message: 'You do not have permission to publish articles'
+    }
+  });
+  return false;
+};
+
 // Middleware to check if category exists
+// Whether articles may be filed under a category: it exists and is not in the trash
+const isLiveCategory = (categoryId) => {
+  const dbManager = require('../config/database');
+  const db = dbManager.getDatabase();
+  return !!db.prepare('SELECT id FROM categories WHERE id = ? AND deleted_at IS NULL').get(categoryId);
+};
+
 const validateCategory = async (req, res, next) => {
   if (req.body.category_id) {
     try {
-      const dbManager = require('../config/database');
-      const db = dbManager.getDatabase();
-      const category = db.prepare('SELECT id FROM categories WHERE id = ?').get(req.body.category_id);
-      
-      if (!category) {
+      if (!isLiveCategory(req.body.category_id)) {
         return res.status(400).json({
           success: false,
           error: {
@@ -59,25 +124,41 @@ const validateCategory = async (req, res, next) => {
   next();
 };
 
-// GET /api/articles - List articles with pagination and filtering
-router.get('/', async (req, res) => {
+// GET /api/articles - List articles with pagination, filtering and full-text search (?q=)
+router.get('/', requirePermission('articles.read'), async (req, res) => {
   try {
     const {
       status,
       category_id,
+      include_descendants,
       author_id,
+      tag,
+      tag_id,
+      q,
       page = 1,
       limit = 10,
-      orderBy = 'created_at',
       orderDir = 'DESC'
     } = req.query;
+    const search = q ? String(q).trim() : '';
+    // Full-text searches are ordered by relevance unless asked otherwise
+    let orderBy = req.query.orderBy || (search ? 'rank' : 'created_at');
+    if (orderBy === 'rank' && !search) {
+      orderBy = 'created_at';
+    }
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
-    const options = {
+    const filters = {
       status,
       category_id: category_id ? parseInt(category_id) : undefined,
+      include_descendants: include_descendants === 'true',
       author_id: author_id ? parseInt(author_id) : undefined,
+      tag: tag || undefined,
+      tag_id: tag_id ? parseInt(tag_id) : undefined
+    };
+
+    const options = {
+      ...filters,
       limit: parseInt(limit),
       offset,
       orderBy,
@@ -85,12 +166,10 @@ router.get('/', async (req, res) => {
       includeRelations: true
     };
 
-    const articles = Article.findAll(options);
-    const totalCount = Article.count({
-      status,
-      category_id: category_id ? parseInt(category_id) : undefined,
-      author_id: author_id ? parseInt(author_id) : undefined
-    });
+    const articles = search
+      ? Article.search(search, options)
+      : Article.findAll(options);
+    const totalCount = Article.count({ ...filters, search: search || undefined });
 
     const totalPages = Math.ceil(totalCount / parseInt(limit));
 
@@ -120,8 +199,57 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/articles/trash - Articles in the trash, most recently deleted first.
+// Authors only see their own.
+router.get('/trash', requirePermission('articles.delete'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const filters = {
+      deleted: true,
+      author_id: hasPermission(req.user.role, 'articles.delete.any') ? undefined : req.user.id
+    };
+
+    const retentionDays = TrashRetention.retentionDays();
+    const articles = Article.findAll({
+      ...filters,
+      limit: parseInt(limit),
+      offset,
+      orderBy: 'deleted_at',
+      orderDir: 'DESC'
+    }).map(article => ({ ...article, purge_at: TrashRetention.purgeDate(article.deleted_at, retentionDays) }));
+    const totalCount = Article.count(filters);
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        articles,
+        retention_days: retentionDays,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          limit: parseInt(limit),
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trashed articles:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error fetching trashed articles'
+      }
+    });
+  }
+});
+
 // GET /api/articles/:id - Get article by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('articles.read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -164,13 +292,19 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET /api/articles/slug/:slug - Get article by slug
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', requirePermission('articles.read'), async (req, res) => {
   try {
     const { slug } = req.params;
     
     const article = Article.findBySlug(slug, true);
     
     if (!article) {
+      // Links made before the article was renamed
+      const moved = Article.findByOldSlug(slug, false);
+      if (moved) {
+        return sendSlugRedirect(res, `${req.baseUrl}/slug/${encodeURIComponent(moved.slug)}`, moved.slug);
+      }
+
       return res.status(404).json({
         success: false,
         error: {
@@ -197,14 +331,28 @@ router.get('/slug/:slug', async (req, res) => {
 });
 
 // POST /api/articles - Create new article
-router.post('/', validateArticleData, validateCategory, async (req, res) => {
+router.post('/', requirePermission('articles.create'), validateArticleData, validateCategory, async (req, res) => {
   try {
     const articleData = {
       ...req.body,
-      author_id: req.body.author_id || 1 // Set default author_id to 1 if not provided
+      author_id: req.body.author_id ? parseInt(req.body.author_id) : req.user.id
     };
 
+    // Only users who may edit any article can write on behalf of someone else
+    if (articleData.author_id !== req.user.id && !hasPermission(req.user.role, 'articles.update.any')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'You can only create articles as yourself'
+        }
+      });
+    }
+
+    if (!ensureCanPublish(req, res, articleData.status)) return;
+
     const article = await Article.create(articleData);
+    invalidateCache.articles();
     
     res.status(201).json({
       success: true,
@@ -234,6 +382,16 @@ router.post('/', validateArticleData, validateCategory, async (req, res) => {
       });
     }
 
+    if (error.message.includes('Invalid tag_ids')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAGS',
+          message: 'One or more tags do not exist'
+        }
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -244,8 +402,191 @@ router.post('/', validateArticleData, validateCategory, async (req, res) => {
   }
 });
 
+// POST /api/articles/bulk - Apply one action to many articles: { action, ids }, plus
+// category_id for move-category and tag_id for add-tag. Runs in a single transaction
+// and reports a result per article, so some may fail while the rest succeed.
+router.post('/bulk', async (req, res) => {
+  try {
+    const { action, ids, category_id, tag_id } = req.body;
+    const errors = [];
+
+    if (!Article.BULK_ACTIONS.includes(action)) {
+      errors.push(`Action must be one of: ${Article.BULK_ACTIONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS || !ids.every(isId)) {
+      errors.push(`ids must be an array of 1 to ${MAX_BULK_IDS} article IDs`);
+    }
+
+    if (action === 'move-category' && !isId(category_id)) {
+      errors.push('category_id is required to move articles');
+    }
+
+    if (action === 'add-tag' && !isId(tag_id)) {
+      errors.push('tag_id is required to tag articles');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid bulk operation',
+          details: errors
+        }
+      });
+    }
+
+    const permission = BULK_PERMISSIONS[action];
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Insufficient permissions to access this resource'
+        }
+      });
+    }
+
+    // Authors may only change their own articles, as with single updates and deletes
+    const anyPermission = action === 'delete' ? 'articles.delete.any' : 'articles.update.any';
+    const check = (article) => {
+      if (article.author_id === req.user.id || hasPermission(req.user.role, anyPermission)) {
+        return null;
+      }
+      return { code: 'ACCESS_DENIED', message: 'You can only modify your own articles' };
+    };
+
+    const results = Article.bulk([...new Set(ids.map(Number))], action, {
+      categoryId: Number(category_id),
+      tagId: Number(tag_id),
+      editorId: req.user.id,
+      check
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    if (succeeded > 0) {
+      invalidateCache.articles();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        action,
+        results,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      message: `${succeeded} of ${results.length} articles updated`
+    });
+  } catch (error) {
+    console.error('Error running bulk article operation:', error);
+
+    if (error.message.includes('Invalid category_id')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'Category not found'
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid tag_id')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAGS',
+          message: 'Tag not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error running bulk operation'
+      }
+    });
+  }
+});
+
+// POST /api/articles/render - Render Markdown the way it will be stored and served,
+// for the editor's live preview. Nothing is saved.
+router.post('/render', requirePermission('articles.create'), (req, res) => {
+  try {
+    const { content, content_format } = req.body;
+
+    if (typeof content !== 'string' || content_format !== 'markdown') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Markdown content is required',
+          details: ['content must be a string and content_format must be markdown']
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        html: Article.prepareContent(content, content_format).content_html
+      }
+    });
+  } catch (error) {
+    console.error('Error rendering article content:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RENDER_ERROR',
+        message: 'Error rendering content'
+      }
+    });
+  }
+});
+
+// POST /api/articles/slug-preview - The slug a title would get, already made unique.
+// article_id leaves out that article's own slug, for renames. Nothing is saved.
+router.post('/slug-preview', requirePermission('articles.create'), async (req, res) => {
+  try {
+    const { title, article_id } = req.body;
+
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Title is required',
+          details: ['title must be a non-empty string']
+        }
+      });
+    }
+
+    const excludeId = isId(article_id) ? Number(article_id) : null;
+
+    res.json({
+      success: true,
+      data: {
+        slug: await Article.ensureUniqueSlug(Article.generateSlug(title), excludeId)
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing article slug:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error previewing slug'
+      }
+    });
+  }
+});
+
 // PUT /api/articles/:id - Update article
-router.put('/:id', validateCategory, async (req, res) => {
+router.put('/:id', requirePermission('articles.update'), validateCategory, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -271,6 +612,9 @@ router.put('/:id', validateCategory, async (req, res) => {
       });
     }
 
+    if (!ensureCanModify(req, res, article, 'articles.update')) return;
+    if (!ensureCanPublish(req, res, req.body.status, article.status)) return;
+
     // Validate update data (partial validation)
     const updateData = req.body;
     const errors = [];
@@ -290,17 +634,34 @@ router.put('/:id', validateCategory, async (req, res) => {
       }
     }
 
+    if (updateData.content_format !== undefined && !Article.CONTENT_FORMATS.includes(updateData.content_format)) {
+      errors.push(`Content format must be one of: ${Article.CONTENT_FORMATS.join(', ')}`);
+    }
+
     if (updateData.status !== undefined) {
-      const validStatuses = ['draft', 'published', 'archived'];
-      if (!validStatuses.includes(updateData.status)) {
-        errors.push('Status must be one of: draft, published, archived');
+      if (!Article.VALID_STATUSES.includes(updateData.status)) {
+        errors.push(`Status must be one of: ${Article.VALID_STATUSES.join(', ')}`);
       }
     }
 
+    // A new schedule must lie in the future; keeping an existing one only needs a publish date
+    if (updateData.status === 'scheduled' || updateData.publish_at) {
+      errors.push(...Article.validateSchedule(
+        updateData.status || article.status,
+        updateData.publish_at !== undefined ? updateData.publish_at : article.publish_at
+      ));
+    }
+
     if (updateData.excerpt && updateData.excerpt.length > 500) {
       errors.push('Excerpt must be less than 500 characters');
     }
 
+    if (updateData.tag_ids !== undefined && !Article.isValidTagIds(updateData.tag_ids)) {
+      errors.push('Tag IDs must be an array of integers');
+    }
+
+    errors.push(...Article.validateSeoFields(updateData));
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -312,7 +673,8 @@ router.put('/:id', validateCategory, async (req, res) => {
       });
     }
 
-    const updatedArticle = await article.update(updateData);
+    const updatedArticle = await article.update(updateData, { editorId: req.user.id });
+    invalidateCache.articles();
     
     res.json({
       success: true,
@@ -342,6 +704,16 @@ router.put('/:id', validateCategory, async (req, res) => {
       });
     }
 
+    if (error.message.includes('Invalid tag_ids')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAGS',
+          message: 'One or more tags do not exist'
+        }
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -352,8 +724,194 @@ router.put('/:id', validateCategory, async (req, res) => {
   }
 });
 
+// Resolve the article and revision named in the URL, or send the error response
+const findRevision = (req, res) => {
+  const { id, rev } = req.params;
+
+  if (!Number.isInteger(Number(id)) || !Number.isInteger(Number(rev))) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'Article ID and revision number must be valid integers'
+      }
+    });
+    return null;
+  }
+
+  const article = Article.findById(parseInt(id));
+
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      }
+    });
+    return null;
+  }
+
+  const revision = ArticleRevision.findByNumber(article.id, parseInt(rev));
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'REVISION_NOT_FOUND',
+        message: 'Revision not found'
+      }
+    });
+    return null;
+  }
+
+  return { article, revision };
+};
+
+// GET /api/articles/:id/revisions - List revisions of an article, newest first
+router.get('/:id/revisions', requirePermission('articles.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    
+    if (!Number.isInteger(Number(id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Article ID must be a valid integer'
+        }
+      });
+    }
+
+    const article = Article.findById(parseInt(id));
+    
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ARTICLE_NOT_FOUND',
+          message: 'Article not found'
+        }
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+    const revisions = ArticleRevision.findByArticle(article.id, {
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+    const totalCount = ArticleRevision.count(article.id);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching article revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error fetching article revisions'
+      }
+    });
+  }
+});
+
+// GET /api/articles/:id/revisions/:rev - Get a revision with its diff against the current article
+router.get('/:id/revisions/:rev', requirePermission('articles.read'), async (req, res) => {
+  try {
+    const found = findRevision(req, res);
+    if (!found) return;
+
+    const { article, revision } = found;
+
+    res.json({
+      success: true,
+      data: {
+        revision,
+        diff: revision.compare(article)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching article revision:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error fetching article revision'
+      }
+    });
+  }
+});
+
+// POST /api/articles/:id/revisions/:rev/restore - Restore article content from a revision
+router.post('/:id/revisions/:rev/restore', requirePermission('articles.update'), async (req, res) => {
+  try {
+    const found = findRevision(req, res);
+    if (!found) return;
+
+    const { article, revision } = found;
+    if (!ensureCanModify(req, res, article, 'articles.update')) return;
+
+    // A revision may name a category that has since been trashed
+    if (revision.category_id && !isLiveCategory(revision.category_id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'The category of this revision no longer exists or is in the trash'
+        }
+      });
+    }
+
+    // Restoring is itself an update, so it is recorded as a new revision and can be undone
+    const restoredArticle = await article.update(revision.toUpdateData(), { editorId: req.user.id });
+    invalidateCache.articles();
+    
+    res.json({
+      success: true,
+      data: restoredArticle,
+      message: `Article restored to revision ${revision.revision_number}`
+    });
+  } catch (error) {
+    console.error('Error restoring article revision:', error);
+
+    if (error.message.includes('Invalid category_id')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY',
+          message: 'The category of this revision no longer exists'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error restoring article revision'
+      }
+    });
+  }
+});
+
 // POST /api/articles/:id/publish - Publish article
-router.post('/:id/publish', async (req, res) => {
+router.post('/:id/publish', requirePermission('articles.publish'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -380,6 +938,7 @@ router.post('/:id/publish', async (req, res) => {
     }
 
     const publishedArticle = await article.publish();
+    invalidateCache.articles();
     
     res.json({
       success: true,
@@ -410,7 +969,7 @@ router.post('/:id/publish', async (req, res) => {
 });
 
 // POST /api/articles/:id/archive - Archive article
-router.post('/:id/archive', async (req, res) => {
+router.post('/:id/archive', requirePermission('articles.publish'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -437,6 +996,7 @@ router.post('/:id/archive', async (req, res) => {
     }
 
     const archivedArticle = await article.archive();
+    invalidateCache.articles();
     
     res.json({
       success: true,
@@ -455,8 +1015,235 @@ router.post('/:id/archive', async (req, res) => {
   }
 });
 
-// DELETE /api/articles/:id - Delete article
-router.delete('/:id', async (req, res) => {
+// Resolve the article named in the URL for sharing previews of it, or send the error
+// response. Preview links follow edit rights: authors only share their own articles.
+const findPreviewArticle = (req, res) => {
+  const { id } = req.params;
+
+  if (!Number.isInteger(Number(id))) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'Article ID must be a valid integer'
+      }
+    });
+    return null;
+  }
+
+  const article = Article.findById(parseInt(id));
+
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found'
+      }
+    });
+    return null;
+  }
+
+  if (!ensureCanModify(req, res, article, 'articles.update')) return null;
+
+  return article;
+};
+
+// POST /api/articles/:id/preview-link - Create an expiring link for reading the article before it is published
+router.post('/:id/preview-link', requirePermission('articles.update'), async (req, res) => {
+  try {
+    const article = findPreviewArticle(req, res);
+    if (!article) return;
+
+    const { expires_in_hours } = req.body || {};
+    const ttlHours = expires_in_hours === undefined ? ArticlePreviewLink.ttlHours : Number(expires_in_hours);
+
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > ArticlePreviewLink.maxTtlHours) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `expires_in_hours must be a positive number of hours, at most ${ArticlePreviewLink.maxTtlHours}`
+        }
+      });
+    }
+
+    const link = ArticlePreviewLink.create(article.id, { createdBy: req.user.id, ttlHours });
+
+    res.status(201).json({
+      success: true,
+      data: link,
+      message: 'Preview link created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating preview link:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error creating preview link'
+      }
+    });
+  }
+});
+
+// GET /api/articles/:id/preview-links - List the article's preview links that still work
+router.get('/:id/preview-links', requirePermission('articles.update'), async (req, res) => {
+  try {
+    const article = findPreviewArticle(req, res);
+    if (!article) return;
+
+    res.json({
+      success: true,
+      data: ArticlePreviewLink.findActiveByArticle(article.id)
+    });
+  } catch (error) {
+    console.error('Error fetching preview links:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error fetching preview links'
+      }
+    });
+  }
+});
+
+// DELETE /api/articles/:id/preview-links/:linkId - Revoke a preview link
+router.delete('/:id/preview-links/:linkId', requirePermission('articles.update'), async (req, res) => {
+  try {
+    const article = findPreviewArticle(req, res);
+    if (!article) return;
+
+    const link = isId(req.params.linkId) ? ArticlePreviewLink.findById(parseInt(req.params.linkId)) : null;
+
+    if (!link || link.article_id !== article.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PREVIEW_LINK_NOT_FOUND',
+          message: 'Preview link not found'
+        }
+      });
+    }
+
+    ArticlePreviewLink.revoke(link.id);
+
+    res.json({
+      success: true,
+      message: 'Preview link revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking preview link:', error);
+
+    if (error.message === 'Preview link not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PREVIEW_LINK_NOT_FOUND',
+          message: 'Preview link not found'
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error revoking preview link'
+      }
+    });
+  }
+});
+
+// Looks up an article in the trash for the restore and permanent delete routes.
+// Sends a 400, 404 or 403 and returns null when it cannot be changed.
+const findTrashedArticle = (req, res) => {
+  const { id } = req.params;
+
+  if (!Number.isInteger(Number(id))) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID',
+        message: 'Article ID must be a valid integer'
+      }
+    });
+    return null;
+  }
+
+  const article = Article.findById(parseInt(id), false, { withDeleted: true });
+
+  if (!article || !article.deleted_at) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ARTICLE_NOT_FOUND',
+        message: 'Article not found in trash'
+      }
+    });
+    return null;
+  }
+
+  return ensureCanModify(req, res, article, 'articles.delete') ? article : null;
+};
+
+// POST /api/articles/:id/restore - Take an article out of the trash
+router.post('/:id/restore', requirePermission('articles.delete'), async (req, res) => {
+  try {
+    const article = findTrashedArticle(req, res);
+    if (!article) return;
+
+    Article.restore(article.id);
+
+    invalidateCache.articles();
+    invalidateCache.categories();
+
+    res.json({
+      success: true,
+      data: Article.findById(article.id),
+      message: 'Article restored successfully'
+    });
+  } catch (error) {
+    console.error('Error restoring article:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error restoring article'
+      }
+    });
+  }
+});
+
+// DELETE /api/articles/:id/permanent - Delete an article in the trash for good
+router.delete('/:id/permanent', requirePermission('articles.delete'), async (req, res) => {
+  try {
+    const article = findTrashedArticle(req, res);
+    if (!article) return;
+
+    Article.purge(article.id);
+
+    invalidateCache.articles();
+
+    res.json({
+      success: true,
+      message: 'Article deleted permanently'
+    });
+  } catch (error) {
+    console.error('Error purging article:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Error deleting article'
+      }
+    });
+  }
+});
+
+// DELETE /api/articles/:id - Move article to the trash
+router.delete('/:id', requirePermission('articles.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -482,6 +1269,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    if (!ensureCanModify(req, res, article, 'articles.delete')) return;
+
     const deleted = Article.delete(parseInt(id));
     
     if (!deleted) {
@@ -494,9 +1283,11 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    invalidateCache.articles();
+    
     res.json({
       success: true,
-      message: 'Article deleted successfully'
+      message: 'Article moved to trash'
     });
   } catch (error) {
     console.error('Error deleting article:', error);
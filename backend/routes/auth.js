@@ -1,8 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Mailer = require('../services/mailer');
+const TwoFactor = require('../services/twoFactor');
 const jwtUtils = require('../utils/jwt');
-const { authenticate, loginRateLimit, authRateLimit } = require('../middleware/auth');
+const {
+  authenticate,
+  authenticateAllowingPasswordReset,
+  loginRateLimit,
+  authRateLimit,
+  passwordResetRateLimit,
+  mfaRateLimit
+} = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -47,6 +58,15 @@ const registerValidation = [
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
+// New passwords must meet the same rules wherever they are set
+const newPasswordValidation = body('new_password')
+  .notEmpty()
+  .withMessage('New password is required')
+  .isLength({ min: 8 })
+  .withMessage('New password must be at least 8 characters long')
+  .matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number');
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -64,7 +84,29 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// POST /api/auth/login - User login
+// Describe the client a session is started from, for the sessions list
+const sessionInfo = (req) => ({
+  deviceLabel: String(req.body.device_label || req.get('user-agent') || 'Unknown device').slice(0, 255),
+  ipAddress: req.ip || null
+});
+
+// Start a session for user; returns the data of a successful sign-in response
+const startSession = (req, user) => {
+  const { token: refreshToken, record } = RefreshToken.issue(user, sessionInfo(req));
+  const accessToken = jwtUtils.generateToken(user, { sessionId: record.family_id });
+
+  return {
+    user: user.toJSON(),
+    tokens: {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: process.env.JWT_EXPIRES_IN || '1h'
+    }
+  };
+};
+
+// POST /api/auth/login - User login (optional device_label names the session)
 router.post('/login', loginRateLimit, loginValidation, handleValidationErrors, async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -95,22 +137,38 @@ router.post('/login', loginRateLimit, loginValidation, handleValidationErrors, a
       });
     }
 
-    // Generate tokens
-    const accessToken = jwtUtils.generateToken(user);
-    const refreshToken = jwtUtils.generateRefreshToken(user);
+    if (user.disabled_at) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DISABLED',
+          message: 'This account has been disabled'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // With two-factor authentication on, the password alone doesn't sign in: the
+    // client finishes at /2fa/verify with the mfa_token. Users the policy requires
+    // to use 2FA who haven't set it up yet have to enroll first.
+    const twoFactorEnabled = TwoFactor.isEnabled(user);
+    if (twoFactorEnabled || TwoFactor.isRequiredFor(user)) {
+      return res.json({
+        success: true,
+        data: {
+          mfa_required: true,
+          enrollment_required: !twoFactorEnabled,
+          mfa_token: jwtUtils.generateMfaToken(user, { purpose: twoFactorEnabled ? 'verify' : 'enroll' })
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Return success response with tokens
+    // Users with a forced password reset pending can sign in, but only to
+    // change their password (see user.password_reset_required)
     res.json({
       success: true,
-      data: {
-        user: user.toJSON(),
-        tokens: {
-          access_token: accessToken,
-          refresh_token: refreshToken,
-          token_type: 'Bearer',
-          expires_in: process.env.JWT_EXPIRES_IN || '1h'
-        }
-      },
+      data: startSession(req, user),
       timestamp: new Date().toISOString()
     });
 
@@ -127,7 +185,8 @@ router.post('/login', loginRateLimit, loginValidation, handleValidationErrors, a
   }
 });
 
-// POST /api/auth/refresh - Refresh access token
+// POST /api/auth/refresh - Refresh access token. The refresh token is rotated:
+// the response carries its replacement and the old one stops working.
 router.post('/refresh', authRateLimit, async (req, res) => {
   try {
     const { refresh_token } = req.body;
@@ -159,13 +218,39 @@ router.post('/refresh', authRateLimit, async (req, res) => {
       });
     }
 
+    if (user.disabled_at) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DISABLED',
+          message: 'This account has been disabled'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Once the policy requires 2FA, sessions can't be extended without enrolling
+    if (TwoFactor.isRequiredFor(user) && !TwoFactor.isEnabled(user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'MFA_ENROLLMENT_REQUIRED',
+          message: 'Two-factor authentication must be set up; please sign in again'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { token: refreshToken, record } = RefreshToken.rotate(refresh_token, user, { ipAddress: req.ip });
+
     // Generate new access token
-    const accessToken = jwtUtils.generateToken(user);
+    const accessToken = jwtUtils.generateToken(user, { sessionId: record.family_id });
 
     res.json({
       success: true,
       data: {
         access_token: accessToken,
+        refresh_token: refreshToken,
         token_type: 'Bearer',
         expires_in: process.env.JWT_EXPIRES_IN || '1h'
       },
@@ -178,7 +263,10 @@ router.post('/refresh', authRateLimit, async (req, res) => {
     let errorCode = 'TOKEN_REFRESH_ERROR';
     let statusCode = 500;
 
-    if (error.message.includes('expired') || error.message.includes('Invalid')) {
+    if (error.message.includes('reuse detected')) {
+      errorCode = 'REFRESH_TOKEN_REUSED';
+      statusCode = 401;
+    } else if (error.message.includes('expired') || error.message.includes('Invalid') || error.message.includes('revoked')) {
       errorCode = 'INVALID_REFRESH_TOKEN';
       statusCode = 401;
     }
@@ -194,21 +282,125 @@ router.post('/refresh', authRateLimit, async (req, res) => {
   }
 });
 
-// POST /api/auth/logout - User logout (optional - mainly for client-side cleanup)
-router.post('/logout', authenticate, (req, res) => {
-  // In a stateless JWT system, logout is mainly handled client-side
-  // by removing the token. This endpoint is for consistency and 
-  // potential future token blacklisting implementation.
-  
-  res.json({
-    success: true,
-    message: 'Logged out successfully',
-    timestamp: new Date().toISOString()
-  });
+// POST /api/auth/logout - End the current session. Tokens issued before sessions
+// were tracked carry no session, so a refresh_token may be given instead.
+router.post('/logout', authenticateAllowingPasswordReset, (req, res) => {
+  try {
+    if (req.sessionId) {
+      RefreshToken.revokeFamily(req.sessionId, req.user.id);
+    } else if (req.body.refresh_token) {
+      const record = RefreshToken.findByToken(req.body.refresh_token);
+      if (record) {
+        RefreshToken.revokeFamily(record.family_id, req.user.id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_ERROR',
+        message: 'An error occurred during logout'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/auth/logout-all - End every session of the current user, this one included
+router.post('/logout-all', authenticateAllowingPasswordReset, (req, res) => {
+  try {
+    const revoked = RefreshToken.revokeAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        revoked_sessions: revoked
+      },
+      message: 'Logged out of all sessions',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_ERROR',
+        message: 'An error occurred during logout'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions', authenticate, (req, res) => {
+  try {
+    const sessions = RefreshToken.findSessions(req.user.id).map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_SESSIONS_ERROR',
+        message: 'Failed to fetch sessions'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticate, (req, res) => {
+  try {
+    if (!RefreshToken.revokeFamily(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVOKE_SESSION_ERROR',
+        message: 'Failed to revoke session'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
 // GET /api/auth/verify - Verify current token and get user info
-router.get('/verify', authenticate, (req, res) => {
+router.get('/verify', authenticateAllowingPasswordReset, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -220,7 +412,7 @@ router.get('/verify', authenticate, (req, res) => {
 });
 
 // GET /api/auth/profile - Get current user profile
-router.get('/profile', authenticate, (req, res) => {
+router.get('/profile', authenticateAllowingPasswordReset, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -310,17 +502,11 @@ router.put('/profile', authenticate, [
 });
 
 // PUT /api/auth/change-password - Change user password
-router.put('/change-password', authenticate, [
+router.put('/change-password', authenticateAllowingPasswordReset, [
   body('current_password')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('new_password')
-    .notEmpty()
-    .withMessage('New password is required')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+  newPasswordValidation
 ], handleValidationErrors, async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
@@ -350,8 +536,9 @@ router.put('/change-password', authenticate, [
       });
     }
 
-    // Change password
+    // Change password and sign out every other session
     await user.changePassword(new_password);
+    RefreshToken.revokeAllForUser(user.id, { exceptFamilyId: req.sessionId });
 
     res.json({
       success: true,
@@ -372,4 +559,402 @@ router.put('/change-password', authenticate, [
   }
 });
 
+// Email a link for resetting the password of user
+const sendPasswordResetEmail = async (user, token) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  const resetUrl = `${frontendUrl}/reset-password?token=${token}`;
+  const ttl = PasswordResetToken.ttlMinutes;
+
+  return Mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n`
+      + `Someone asked to reset the password of your account. If it was you, open this link within ${ttl} minutes:\n\n`
+      + `${resetUrl}\n\n`
+      + 'If it wasn\'t you, you can ignore this email; your password stays the same.'
+  });
+};
+
+// POST /api/auth/forgot-password - Email a password reset link. Answers the same
+// whether or not the address belongs to an account, so it can't be used to probe for users.
+router.post('/forgot-password', passwordResetRateLimit, [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = User.findByEmail(req.body.email);
+
+    if (user && !user.disabled_at) {
+      const { token } = PasswordResetToken.create(user.id);
+
+      // Not awaited: answering only once the mail is sent would take longer for
+      // known addresses, and a failure must not change the response either
+      sendPasswordResetEmail(user, token).catch(error => {
+        console.error('Password reset email error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FORGOT_PASSWORD_ERROR',
+        message: 'An error occurred while requesting a password reset'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const invalidResetTokenResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_RESET_TOKEN',
+    message: 'Reset link is invalid or has expired'
+  },
+  timestamp: new Date().toISOString()
+});
+
+// POST /api/auth/reset-password - Set a new password with a token from a reset email.
+// Each token works once, and every existing session is signed out.
+router.post('/reset-password', passwordResetRateLimit, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  newPasswordValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+    const userId = PasswordResetToken.consume(token);
+    const user = User.findById(userId);
+
+    if (!user || user.disabled_at) {
+      return invalidResetTokenResponse(res);
+    }
+
+    await user.changePassword(new_password);
+    RefreshToken.revokeAllForUser(user.id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.message.includes('Invalid or expired reset token')) {
+      return invalidResetTokenResponse(res);
+    }
+
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_ERROR',
+        message: 'An error occurred while resetting password'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const invalidMfaTokenResponse = (res) => res.status(401).json({
+  success: false,
+  error: {
+    code: 'INVALID_MFA_TOKEN',
+    message: 'Sign-in has expired, please sign in again'
+  },
+  timestamp: new Date().toISOString()
+});
+
+const invalidMfaCodeResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_MFA_CODE',
+    message: 'Invalid two-factor code'
+  },
+  timestamp: new Date().toISOString()
+});
+
+const twoFactorErrorResponse = (res, error, fallbackCode) => {
+  let errorCode = fallbackCode;
+  let statusCode = 500;
+
+  if (error.message.includes('Invalid two-factor code')) {
+    return invalidMfaCodeResponse(res);
+  } else if (error.message.includes('already enabled')) {
+    errorCode = 'MFA_ALREADY_ENABLED';
+    statusCode = 409;
+  } else if (error.message.includes('not been started')) {
+    errorCode = 'MFA_SETUP_REQUIRED';
+    statusCode = 400;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      code: errorCode,
+      message: statusCode === 500 ? 'An error occurred during two-factor authentication' : error.message
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Enrollment works while signed in, or halfway through signing in when the policy
+// requires 2FA of a user who hasn't set it up: the body then carries the mfa_token
+// from /login instead of an access token.
+const authenticateForEnrollment = (req, res, next) => {
+  if (!req.body.mfa_token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = jwtUtils.verifyMfaToken(req.body.mfa_token, { purpose: 'enroll' });
+    const user = User.findById(decoded.id);
+
+    if (!user || user.disabled_at) {
+      return invalidMfaTokenResponse(res);
+    }
+
+    req.user = user.toJSON();
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    return invalidMfaTokenResponse(res);
+  }
+};
+
+// Either a code from the authenticator app or a recovery code
+const mfaCodeValidation = [
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recovery_code))
+    .withMessage('A two-factor code or recovery code is required')
+];
+
+// POST /api/auth/2fa/verify - Second step of signing in with 2FA: exchange the
+// mfa_token from /login and a code (or recovery code) for a session
+router.post('/2fa/verify', mfaRateLimit, [
+  body('mfa_token')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  ...mfaCodeValidation
+], handleValidationErrors, (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwtUtils.verifyMfaToken(mfa_token, { purpose: 'verify' });
+    } catch (error) {
+      return invalidMfaTokenResponse(res);
+    }
+
+    const user = User.findById(decoded.id);
+    if (!user || user.disabled_at) {
+      return invalidMfaTokenResponse(res);
+    }
+
+    if (!TwoFactor.verify(user, { code, recoveryCode: recovery_code })) {
+      return invalidMfaCodeResponse(res);
+    }
+
+    const data = startSession(req, user);
+
+    // Let users know when they are running out of recovery codes
+    if (!code) {
+      data.recovery_codes_remaining = TwoFactor.status(user).recovery_codes_remaining;
+    }
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_ERROR',
+        message: 'An error occurred during login'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', authenticate, (req, res) => {
+  try {
+    const user = User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      data: TwoFactor.status(user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    twoFactorErrorResponse(res, error, 'FETCH_2FA_STATUS_ERROR');
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment: returns a new secret and its QR code
+router.post('/2fa/setup', authenticateForEnrollment, async (req, res) => {
+  try {
+    const user = User.findById(req.user.id);
+    const enrollment = await TwoFactor.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      data: enrollment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    twoFactorErrorResponse(res, error, 'MFA_SETUP_ERROR');
+  }
+});
+
+// POST /api/auth/2fa/enable - Finish enrollment with a code from the authenticator
+// app. Returns recovery codes, and a session when enrolling during sign-in.
+router.post('/2fa/enable', mfaRateLimit, authenticateForEnrollment, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], handleValidationErrors, (req, res) => {
+  try {
+    const user = User.findById(req.user.id);
+    const recoveryCodes = TwoFactor.confirmEnrollment(user, req.body.code);
+
+    const data = req.mfaEnrollment ? startSession(req, user) : { user: user.toJSON() };
+    data.recovery_codes = recoveryCodes;
+
+    res.json({
+      success: true,
+      data,
+      message: 'Two-factor authentication enabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    twoFactorErrorResponse(res, error, 'MFA_ENABLE_ERROR');
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off; needs the password and a current code
+router.post('/2fa/disable', mfaRateLimit, authenticate, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...mfaCodeValidation
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+    const user = User.findById(req.user.id);
+
+    if (!TwoFactor.isEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MFA_NOT_ENABLED',
+          message: 'Two-factor authentication is not enabled'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (TwoFactor.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'MFA_REQUIRED_BY_POLICY',
+          message: 'Two-factor authentication is required for your role'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!(await user.verifyPassword(password))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Password is incorrect'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!TwoFactor.verify(user, { code, recoveryCode: recovery_code })) {
+      return invalidMfaCodeResponse(res);
+    }
+
+    TwoFactor.disable(user);
+
+    res.json({
+      success: true,
+      data: {
+        user: User.findById(user.id).toJSON()
+      },
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    twoFactorErrorResponse(res, error, 'MFA_DISABLE_ERROR');
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes; needs a current code
+router.post('/2fa/recovery-codes', mfaRateLimit, authenticate, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], handleValidationErrors, (req, res) => {
+  try {
+    const user = User.findById(req.user.id);
+
+    if (!TwoFactor.verify(user, { code: req.body.code })) {
+      return invalidMfaCodeResponse(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: TwoFactor.regenerateRecoveryCodes(user)
+      },
+      message: 'Recovery codes regenerated',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    twoFactorErrorResponse(res, error, 'RECOVERY_CODES_ERROR');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
+const { invalidateCache } = require('../middleware/caching');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { sendSlugRedirect } = require('../utils/redirects');
+const TrashRetention = require('../services/trashRetention');
+
+// Every category route requires a signed-in user
+router.use(authenticate);
+
+// undefined keeps the current parent, null or '' makes a top-level category
+const parseParentId = (parentId) => {
+  if (parentId === undefined) return undefined;
+  if (parentId === null || parentId === '') return null;
+  return Number(parentId);
+};
+
+const invalidParentResponse = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_PARENT',
+    message: error.message
+  },
+  timestamp: new Date().toISOString()
+});
 
 // GET /api/categories - List all categories
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('categories.read'), async (req, res) => {
   try {
     const { limit, offset, orderBy, orderDir } = req.query;
     
@@ -40,8 +63,61 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/categories/trash - Categories in the trash, most recently deleted first
+router.get('/trash', requirePermission('categories.manage'), async (_, res) => {
+  try {
+    const retentionDays = TrashRetention.retentionDays();
+    const categories = new Category().findAll({ deleted: true, orderBy: 'deleted_at', orderDir: 'DESC' })
+      .map(category => ({ ...category, purge_at: TrashRetention.purgeDate(category.deleted_at, retentionDays) }));
+    
+    res.json({
+      success: true,
+      data: {
+        categories,
+        total: categories.length,
+        retention_days: retentionDays
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching trashed categories:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_CATEGORIES_ERROR',
+        message: 'Failed to fetch trashed categories'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/categories/tree - Get categories nested under their parents
+router.get('/tree', requirePermission('categories.read'), async (_, res) => {
+  try {
+    const category = new Category();
+    const tree = category.findTree();
+    
+    res.json({
+      success: true,
+      data: tree,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_CATEGORY_TREE_ERROR',
+        message: 'Failed to fetch category tree'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /api/categories/:id - Get category by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('categories.read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -89,15 +165,16 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/categories - Create new category
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('categories.manage'), async (req, res) => {
   try {
-    const { name, description, slug } = req.body;
+    const { name, description, slug, parent_id } = req.body;
     
     // Auto-generate slug if not provided
     const categoryData = {
       name: name?.trim(),
       description: description?.trim() || null,
-      slug: slug?.trim() || Category.generateSlug(name?.trim() || '')
+      slug: slug?.trim() || Category.generateSlug(name?.trim() || ''),
+      parent_id: parseParentId(parent_id) ?? null
     };
     
     // Validate input
@@ -116,6 +193,7 @@ router.post('/', async (req, res) => {
     
     const category = new Category();
     const newCategory = category.create(categoryData);
+    invalidateCache.categories();
     
     res.status(201).json({
       success: true,
@@ -126,6 +204,10 @@ router.post('/', async (req, res) => {
   } catch (error) {
     console.error('Error creating category:', error);
     
+    if (error.message.startsWith('Parent category')) {
+      return invalidParentResponse(res, error);
+    }
+    
     if (error.message.includes('already exists')) {
       return res.status(409).json({
         success: false,
@@ -149,10 +231,10 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/categories/:id - Update category
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('categories.manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, slug } = req.body;
+    const { name, description, slug, parent_id } = req.body;
     
     if (!id || isNaN(parseInt(id))) {
       return res.status(400).json({
@@ -165,11 +247,15 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Auto-generate slug if not provided
+    const category = new Category();
+    
+    // The slug is kept when left out, so links keep working; an empty one is generated from the name
     const categoryData = {
       name: name?.trim(),
       description: description?.trim() || null,
-      slug: slug?.trim() || Category.generateSlug(name?.trim() || '')
+      slug: (slug === undefined ? category.findById(parseInt(id))?.slug : slug?.trim())
+        || Category.generateSlug(name?.trim() || ''),
+      parent_id: parseParentId(parent_id)
     };
     
     // Validate input
@@ -186,8 +272,12 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    const category = new Category();
     const updatedCategory = category.update(parseInt(id), categoryData);
+    invalidateCache.categories();
+    if (categoryData.parent_id !== undefined) {
+      // Moving a category changes which articles its ancestors include
+      invalidateCache.articles();
+    }
     
     res.json({
       success: true,
@@ -198,6 +288,10 @@ router.put('/:id', async (req, res) => {
   } catch (error) {
     console.error('Error updating category:', error);
     
+    if (error.message.startsWith('Parent category') || error.message.includes('nested under itself')) {
+      return invalidParentResponse(res, error);
+    }
+    
     if (error.message === 'Category not found') {
       return res.status(404).json({
         success: false,
@@ -231,8 +325,96 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/categories/:id - Delete category
-router.delete('/:id', async (req, res) => {
+const trashErrorResponse = (res, error, fallback) => {
+  if (error.message === 'Category not found in trash') {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_NOT_FOUND',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (error.message.includes('associated articles') || error.message.includes('subcategories')) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: error.message.includes('subcategories') ? 'CATEGORY_HAS_CHILDREN' : 'CATEGORY_HAS_ARTICLES',
+        message: error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  return res.status(500).json({
+    success: false,
+    error: fallback,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const invalidCategoryIdResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_CATEGORY_ID',
+    message: 'Valid category ID is required'
+  },
+  timestamp: new Date().toISOString()
+});
+
+// POST /api/categories/:id/restore - Take a category, and any trashed parents, out of the trash
+router.post('/:id/restore', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || isNaN(parseInt(id))) {
+      return invalidCategoryIdResponse(res);
+    }
+    
+    const restored = new Category().restore(parseInt(id));
+    invalidateCache.categories();
+    invalidateCache.articles();
+    
+    res.json({
+      success: true,
+      data: restored,
+      message: 'Category restored successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error restoring category:', error);
+    trashErrorResponse(res, error, { code: 'RESTORE_CATEGORY_ERROR', message: 'Failed to restore category' });
+  }
+});
+
+// DELETE /api/categories/:id/permanent - Delete a category in the trash for good
+router.delete('/:id/permanent', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || isNaN(parseInt(id))) {
+      return invalidCategoryIdResponse(res);
+    }
+    
+    const result = new Category().purge(parseInt(id));
+    invalidateCache.categories();
+    
+    res.json({
+      success: true,
+      data: result,
+      message: 'Category deleted permanently',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error purging category:', error);
+    trashErrorResponse(res, error, { code: 'DELETE_CATEGORY_ERROR', message: 'Failed to delete category' });
+  }
+});
+
+// DELETE /api/categories/:id - Move category to the trash
+router.delete('/:id', requirePermission('categories.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -249,11 +431,12 @@ router.delete('/:id', async (req, res) => {
     
     const category = new Category();
     const result = category.delete(parseInt(id));
+    invalidateCache.categories();
     
     res.json({
       success: true,
       data: result,
-      message: 'Category deleted successfully',
+      message: 'Category moved to trash',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -281,6 +464,17 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    if (error.message.includes('subcategories')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_HAS_CHILDREN',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: {
@@ -293,7 +487,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // GET /api/categories/stats - Get categories with article counts
-router.get('/stats', async (_, res) => {
+router.get('/stats', requirePermission('categories.read'), async (_, res) => {
   try {
     const Article = require('../models/Article');
     const category = new Category();
@@ -332,10 +526,10 @@ router.get('/stats', async (_, res) => {
 });
 
 // GET /api/categories/:id/articles - Get articles for a specific category
-router.get('/:id/articles', async (req, res) => {
+router.get('/:id/articles', requirePermission('categories.read'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, limit, offset, orderBy, orderDir } = req.query;
+    const { status, limit, offset, orderBy, orderDir, include_descendants } = req.query;
     
     if (!id || isNaN(parseInt(id))) {
       return res.status(400).json({
@@ -365,7 +559,8 @@ router.get('/:id/articles', async (req, res) => {
     
     const Article = require('../models/Article');
     const options = {
-      category_id: parseInt(id)
+      category_id: parseInt(id),
+      include_descendants: include_descendants === 'true'
     };
     
     if (status) options.status = status;
@@ -375,7 +570,7 @@ router.get('/:id/articles', async (req, res) => {
     if (orderDir) options.orderDir = orderDir;
     
     const articles = Article.findAll(options);
-    const total = Article.count({ category_id: parseInt(id), status });
+    const total = Article.count({ category_id: options.category_id, include_descendants: options.include_descendants, status });
     
     res.json({
       success: true,
@@ -402,7 +597,7 @@ router.get('/:id/articles', async (req, res) => {
 });
 
 // GET /api/categories/slug/:slug - Get category by slug
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', requirePermission('categories.read'), async (req, res) => {
   try {
     const { slug } = req.params;
     
@@ -421,6 +616,12 @@ router.get('/slug/:slug', async (req, res) => {
     const categoryData = category.findBySlug(slug);
     
     if (!categoryData) {
+      // Links made before the category was renamed
+      const moved = category.findByOldSlug(slug);
+      if (moved) {
+        return sendSlugRedirect(res, `${req.baseUrl}/slug/${encodeURIComponent(moved.slug)}`, moved.slug);
+      }
+      
       return res.status(404).json({
         success: false,
         error: {
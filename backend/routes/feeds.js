@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const Feeds = require('../services/feeds');
+const { publicApiLimiter } = require('../middleware/rateLimiting');
+const { cacheMiddleware } = require('../middleware/caching');
+
+// RSS and Atom feeds of published articles, served from the site root (/feed.xml, /atom.xml).
+// Middleware is attached per route, as this router sees every request to the server.
+
+const FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: feed => Feeds.renderRss(feed) },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: feed => Feeds.renderAtom(feed) }
+};
+
+const feedRoute = (format, findCategory) => [publicApiLimiter, cacheMiddleware.feeds, (req, res) => {
+  try {
+    let category = null;
+
+    if (findCategory) {
+      category = Feeds.findCategory(req.params.slug);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_NOT_FOUND',
+            message: 'Category not found'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const feed = Feeds.build({ category, selfPath: req.path });
+
+    res.type(FORMATS[format].contentType).send(FORMATS[format].render(feed));
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FEED_ERROR',
+        message: 'Failed to build feed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+}];
+
+// GET /feed.xml and /atom.xml - Newest published articles
+router.get('/feed.xml', ...feedRoute('rss'));
+router.get('/atom.xml', ...feedRoute('atom'));
+
+// GET /categories/:slug/feed.xml and /categories/:slug/atom.xml - Newest articles of a
+// category, including its subcategories
+router.get('/categories/:slug/feed.xml', ...feedRoute('rss', true));
+router.get('/categories/:slug/atom.xml', ...feedRoute('atom', true));
+
+module.exports = router;
@@ -14,15 +14,23 @@ const cors = require('cors');
 const authRoutes = require('./auth');
 const articleRoutes = require('./articles');
 const categoryRoutes = require('./categories');
+const tagRoutes = require('./tags');
+const userRoutes = require('./users');
 const analyticsRoutes = require('./analytics');
 const uploadRoutes = require('./upload');
+const mediaRoutes = require('./media');
+const publicRoutes = require('./public');
 
 // Mount routes with specific middleware
 router.use('/auth', authLimiter, authRoutes);
 router.use('/articles', articleRoutes);
 router.use('/categories', categoryRoutes);
+router.use('/tags', tagRoutes);
+router.use('/users', userRoutes);
 router.use('/analytics', analyticsLimiter, analyticsRoutes);
 router.use('/upload', uploadLimiter, uploadRoutes);
+router.use('/media', mediaRoutes);
+router.use('/public', publicRoutes); // Has its own CORS, rate limiter and cache
 
 // Placeholder route for testing
 router.get('/status', (req, res) => {
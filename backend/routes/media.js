@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const ImageProcessor = require('../services/imageProcessor');
+const UploadCleanup = require('../services/uploadCleanup');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Every media route requires a signed-in user
+router.use(authenticate);
+
+const invalidIdResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_MEDIA_ID',
+    message: 'Valid media ID is required'
+  },
+  timestamp: new Date().toISOString()
+});
+
+const notFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'MEDIA_NOT_FOUND',
+    message: 'Media not found'
+  },
+  timestamp: new Date().toISOString()
+});
+
+// GET /api/media - List media (?search= matches name, filename and alt text; ?type= a mime prefix)
+router.get('/', requirePermission('media.read'), async (req, res) => {
+  try {
+    const { search, type, uploaded_by, limit, offset, orderBy, orderDir } = req.query;
+
+    const options = {};
+    if (search) options.search = String(search).trim();
+    if (type) options.type = String(type);
+    if (uploaded_by) options.uploadedBy = parseInt(uploaded_by);
+    if (limit) options.limit = parseInt(limit);
+    if (offset) options.offset = parseInt(offset);
+    if (orderBy) options.orderBy = orderBy;
+    if (orderDir) options.orderDir = orderDir;
+
+    const media = Media.findAll(options).map(item => ({
+      ...item,
+      articles: Media.findReferencingArticles(item.filename)
+    }));
+    const total = Media.count(options);
+
+    res.json({
+      success: true,
+      data: {
+        media,
+        total,
+        limit: options.limit || null,
+        offset: options.offset || 0
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_MEDIA_ERROR',
+        message: 'Failed to fetch media'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// grace_hours in the query or body overrides UPLOAD_GC_GRACE_HOURS; null when it is invalid
+const parseCleanupOptions = (source) => {
+  if (source.grace_hours === undefined) {
+    return {};
+  }
+
+  const graceHours = parseFloat(source.grace_hours);
+  return Number.isFinite(graceHours) && graceHours >= 0 ? { graceHours } : null;
+};
+
+const invalidGraceResponse = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_GRACE_PERIOD',
+    message: 'grace_hours must be a non-negative number'
+  },
+  timestamp: new Date().toISOString()
+});
+
+// GET /api/media/orphans - Report upload files no article references (dry run)
+router.get('/orphans', requirePermission('media.cleanup'), async (req, res) => {
+  try {
+    const options = parseCleanupOptions(req.query);
+    if (!options) {
+      return invalidGraceResponse(res);
+    }
+
+    const result = await UploadCleanup.run({ ...options, dryRun: true });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error finding orphaned uploads:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPLOAD_CLEANUP_ERROR',
+        message: 'Failed to scan uploads'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/media/orphans/quarantine - Move orphaned uploads to quarantine and purge old quarantine
+router.post('/orphans/quarantine', requirePermission('media.cleanup'), async (req, res) => {
+  try {
+    const options = parseCleanupOptions(req.body || {});
+    if (!options) {
+      return invalidGraceResponse(res);
+    }
+
+    const result = await UploadCleanup.run({ ...options, dryRun: false });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Quarantined ${result.quarantined} file(s)`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error quarantining orphaned uploads:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPLOAD_CLEANUP_ERROR',
+        message: 'Failed to clean up uploads'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/media/:id - Get a media item with the articles that use it
+router.get('/:id', requirePermission('media.read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const media = Media.findById(id);
+    if (!media) {
+      return notFoundResponse(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...media,
+        articles: Media.findReferencingArticles(media.filename)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching media item:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_MEDIA_ERROR',
+        message: 'Failed to fetch media'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/media/:id - Update alt text
+router.put('/:id', requirePermission('media.update'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const mediaData = {
+      alt_text: typeof req.body.alt_text === 'string' ? req.body.alt_text.trim() : req.body.alt_text
+    };
+
+    const validationErrors = Media.validate(mediaData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid media data',
+          details: validationErrors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const media = Media.update(id, mediaData);
+
+    res.json({
+      success: true,
+      data: media,
+      message: 'Media updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating media:', error);
+
+    if (error.message === 'Media not found') {
+      return notFoundResponse(res);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_MEDIA_ERROR',
+        message: 'Failed to update media'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/media/:id - Delete a media item and its files, unless an article still uses it
+router.delete('/:id', requirePermission('uploads.delete'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const media = Media.findById(id);
+    if (!media) {
+      return notFoundResponse(res);
+    }
+
+    const articles = Media.findReferencingArticles(media.filename);
+    if (articles.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MEDIA_IN_USE',
+          message: `Media is used by ${articles.length} article(s)`,
+          details: { articles }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await ImageProcessor.removeStoredUpload(media.filename);
+    const result = Media.delete(id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Media deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_MEDIA_ERROR',
+        message: 'Failed to delete media'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
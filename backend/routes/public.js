@@ -0,0 +1,407 @@
+const express = require('express');
+const cors = require('cors');
+const router = express.Router();
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const ArticlePreviewLink = require('../models/ArticlePreviewLink');
+const Seo = require('../services/seo');
+const { sendSlugRedirect } = require('../utils/redirects');
+const { publicApiLimiter } = require('../middleware/rateLimiting');
+const { cacheMiddleware } = require('../middleware/caching');
+
+// Columns that may be used for ordering (interpolated into SQL, so whitelist them)
+const ARTICLE_ORDER_FIELDS = ['created_at', 'updated_at', 'published_at', 'title', 'view_count', 'like_count'];
+const CATEGORY_ORDER_FIELDS = ['created_at', 'updated_at', 'name'];
+const MAX_LIMIT = 100;
+
+// Permissive CORS - the public API is meant to be consumed by external sites
+router.use(cors({
+  origin: '*',
+  methods: ['GET', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'X-Requested-With'],
+  exposedHeaders: ['X-Cache'],
+  maxAge: 86400 // 24 hours
+}));
+
+router.use(publicApiLimiter);
+
+// GET /api/public/preview/:token - Read an article of any status through a preview link.
+// Registered ahead of the cache, so revoking a link takes effect at once.
+router.get('/preview/:token', (req, res) => {
+  res.set({
+    'Cache-Control': 'private, no-store',
+    'X-Robots-Tag': 'noindex, nofollow'
+  });
+
+  try {
+    let preview;
+    try {
+      preview = ArticlePreviewLink.verify(req.params.token);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PREVIEW_NOT_FOUND',
+          message: error.message === 'Preview link has expired'
+            ? 'This preview link has expired'
+            : 'This preview link is invalid or has been revoked'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const article = Article.findById(preview.article_id);
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ARTICLE_NOT_FOUND',
+          message: 'Article not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        article: article.toPublicJSON(),
+        preview: {
+          expires_at: preview.expires_at
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching article preview:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ARTICLES_FETCH_ERROR',
+        message: 'Failed to fetch article'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.use(cacheMiddleware.public);
+
+// Parse ordering and pagination query parameters shared by the list endpoints
+const parseListOptions = (query, orderFields, defaults) => {
+  const limit = parseInt(query.limit);
+  const offset = parseInt(query.offset);
+  const orderBy = orderFields.includes(query.orderBy) ? query.orderBy : 'created_at';
+  const orderDir = String(query.orderDir || '').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  return {
+    limit: limit > 0 ? Math.min(limit, MAX_LIMIT) : defaults.limit,
+    offset: offset > 0 ? offset : 0,
+    orderBy,
+    orderDir
+  };
+};
+
+// GET /api/public/articles - List published articles
+router.get('/articles', (req, res) => {
+  try {
+    const { category_id } = req.query;
+    const search = req.query.search ? String(req.query.search).trim() : '';
+    const { limit, offset, orderBy, orderDir } = parseListOptions(req.query, ARTICLE_ORDER_FIELDS, { limit: 50 });
+
+    if (category_id !== undefined && isNaN(parseInt(category_id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY_ID',
+          message: 'Valid category ID is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const filters = {
+      status: 'published',
+      category_id: category_id ? parseInt(category_id) : undefined,
+      include_descendants: req.query.include_descendants === 'true',
+      tag: req.query.tag ? String(req.query.tag) : undefined
+    };
+
+    // Searches are ranked by relevance unless an explicit order is requested
+    const articles = search
+      ? Article.search(search, { ...filters, limit, offset, orderBy: req.query.orderBy ? orderBy : 'rank', orderDir })
+      : Article.findAll({ ...filters, limit, offset, orderBy, orderDir });
+    const total = Article.count({ ...filters, search: search || undefined });
+
+    res.json({
+      success: true,
+      data: {
+        articles: articles.map(article => article.toPublicJSON()),
+        total,
+        limit,
+        offset
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public articles:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ARTICLES_FETCH_ERROR',
+        message: 'Failed to fetch articles'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/public/articles/slug/:slug - Get published article by slug
+router.get('/articles/slug/:slug', (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!slug || !slug.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SLUG',
+          message: 'Valid article slug is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const article = Article.findBySlug(slug);
+
+    if (!article) {
+      // Links made before the article was renamed
+      const moved = Article.findByOldSlug(slug, false);
+      if (moved && moved.status === 'published') {
+        return sendSlugRedirect(res, `${req.baseUrl}/articles/slug/${encodeURIComponent(moved.slug)}`, moved.slug);
+      }
+    }
+
+    if (!article || article.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ARTICLE_NOT_FOUND',
+          message: 'Article not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        article: article.toPublicJSON(),
+        seo: Seo.forArticle(article)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public article by slug:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ARTICLES_FETCH_ERROR',
+        message: 'Failed to fetch article'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/public/articles/:id - Get published article by ID
+router.get('/articles/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!Number.isInteger(Number(id)) || Number(id) < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ARTICLE_ID',
+          message: 'Article ID must be a valid integer'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const article = Article.findById(parseInt(id));
+
+    if (!article || article.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ARTICLE_NOT_FOUND',
+          message: 'Article not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        article: article.toPublicJSON(),
+        seo: Seo.forArticle(article)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public article:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ARTICLES_FETCH_ERROR',
+        message: 'Failed to fetch article'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/public/categories - List all categories
+router.get('/categories', (req, res) => {
+  try {
+    const hasLimit = req.query.limit !== undefined;
+    const { limit, offset, orderBy, orderDir } = parseListOptions(req.query, CATEGORY_ORDER_FIELDS, { limit: null });
+
+    const category = new Category();
+    const categories = category.findAll({ limit, offset, orderBy, orderDir });
+    const total = category.count();
+
+    res.json({
+      success: true,
+      data: {
+        categories,
+        total,
+        limit: hasLimit ? limit : null,
+        offset
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public categories:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_FETCH_ERROR',
+        message: 'Failed to fetch categories'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/public/categories/slug/:slug - Get category by slug
+router.get('/categories/slug/:slug', (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    if (!slug || !slug.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SLUG',
+          message: 'Valid category slug is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const category = new Category();
+    const categoryData = category.findBySlug(slug);
+
+    if (!categoryData) {
+      // Links made before the category was renamed
+      const moved = category.findByOldSlug(slug);
+      if (moved) {
+        return sendSlugRedirect(res, `${req.baseUrl}/categories/slug/${encodeURIComponent(moved.slug)}`, moved.slug);
+      }
+
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_NOT_FOUND',
+          message: 'Category not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        category: categoryData
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public category by slug:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_FETCH_ERROR',
+        message: 'Failed to fetch category'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/public/categories/:id - Get category by ID
+router.get('/categories/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!Number.isInteger(Number(id)) || Number(id) < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CATEGORY_ID',
+          message: 'Valid category ID is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const category = new Category();
+    const categoryData = category.findById(parseInt(id));
+
+    if (!categoryData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_NOT_FOUND',
+          message: 'Category not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        category: categoryData
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching public category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_FETCH_ERROR',
+        message: 'Failed to fetch category'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const Sitemap = require('../services/sitemap');
+const { publicApiLimiter } = require('../middleware/rateLimiting');
+const { cacheMiddleware } = require('../middleware/caching');
+
+// Sitemap and robots.txt for search engines, served from the site root. Middleware is
+// attached per route, as this router sees every request to the server.
+
+const XML_TYPE = 'application/xml; charset=utf-8';
+
+const notFoundResponse = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'SITEMAP_NOT_FOUND',
+    message: 'Sitemap not found'
+  },
+  timestamp: new Date().toISOString()
+});
+
+const errorResponse = (res) => res.status(500).json({
+  success: false,
+  error: {
+    code: 'SITEMAP_ERROR',
+    message: 'Failed to build sitemap'
+  },
+  timestamp: new Date().toISOString()
+});
+
+// GET /sitemap.xml - Every public page, or an index of /sitemap-<n>.xml files once
+// there are more URLs than one sitemap may hold
+router.get('/sitemap.xml', publicApiLimiter, cacheMiddleware.sitemap, (req, res) => {
+  try {
+    const urls = Sitemap.urls();
+    const body = Sitemap.pageCount(urls) > 1 ? Sitemap.renderIndex(urls) : Sitemap.renderUrlset(urls);
+
+    res.type(XML_TYPE).send(body);
+  } catch (error) {
+    console.error('Error building sitemap:', error);
+    errorResponse(res);
+  }
+});
+
+// GET /sitemap-:page.xml - One page of a split sitemap
+router.get('/sitemap-:page.xml', publicApiLimiter, cacheMiddleware.sitemap, (req, res) => {
+  try {
+    const page = /^\d+$/.test(req.params.page) ? parseInt(req.params.page) : NaN;
+    const urls = Sitemap.urls();
+    const pageCount = Sitemap.pageCount(urls);
+
+    // Pages only exist while /sitemap.xml is an index
+    if (pageCount === 1 || !(page >= 1 && page <= pageCount)) {
+      return notFoundResponse(res);
+    }
+
+    res.type(XML_TYPE).send(Sitemap.renderUrlset(Sitemap.page(urls, page)));
+  } catch (error) {
+    console.error('Error building sitemap page:', error);
+    errorResponse(res);
+  }
+});
+
+// GET /robots.txt - Crawler rules, configured by ROBOTS_DISALLOW and ROBOTS_ALLOW_INDEXING
+router.get('/robots.txt', publicApiLimiter, cacheMiddleware.sitemap, (req, res) => {
+  res.type('text/plain; charset=utf-8').send(Sitemap.renderRobots());
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const { invalidateCache } = require('../middleware/caching');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Every tag route requires a signed-in user
+router.use(authenticate);
+
+// Build tag data from the request body, generating the slug from the name if needed
+const buildTagData = (body) => {
+  const { name, slug } = body;
+
+  return {
+    name: name?.trim(),
+    slug: slug?.trim() || Tag.generateSlug(name?.trim() || '')
+  };
+};
+
+// GET /api/tags - List tags (?search= matches name prefixes for autocomplete)
+router.get('/', requirePermission('tags.read'), async (req, res) => {
+  try {
+    const { search, limit, offset, orderBy, orderDir } = req.query;
+
+    const options = {};
+    if (search) options.search = String(search).trim();
+    if (limit) options.limit = parseInt(limit);
+    if (offset) options.offset = parseInt(offset);
+    if (orderBy) options.orderBy = orderBy;
+    if (orderDir) options.orderDir = orderDir;
+
+    const tags = Tag.findAll(options);
+    const total = Tag.count({ search: options.search });
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        total,
+        limit: options.limit || null,
+        offset: options.offset || 0
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TAGS_ERROR',
+        message: 'Failed to fetch tags'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/tags/stats - Get tags with article counts
+router.get('/stats', requirePermission('tags.read'), async (_, res) => {
+  try {
+    const tags = Tag.stats();
+
+    res.json({
+      success: true,
+      data: {
+        tags,
+        total: tags.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tag stats:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TAG_STATS_ERROR',
+        message: 'Failed to fetch tag statistics'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/tags/slug/:slug - Get tag by slug
+router.get('/slug/:slug', requirePermission('tags.read'), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const tag = Tag.findBySlug(slug);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TAG_NOT_FOUND',
+          message: 'Tag not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tag,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tag by slug:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TAG_ERROR',
+        message: 'Failed to fetch tag'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/tags/:id - Get tag by ID
+router.get('/:id', requirePermission('tags.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAG_ID',
+          message: 'Valid tag ID is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tag = Tag.findById(parseInt(id));
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TAG_NOT_FOUND',
+          message: 'Tag not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tag,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching tag:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TAG_ERROR',
+        message: 'Failed to fetch tag'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/tags - Create new tag
+router.post('/', requirePermission('tags.create'), async (req, res) => {
+  try {
+    const tagData = buildTagData(req.body);
+
+    // Validate input
+    const validationErrors = Tag.validate(tagData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid tag data',
+          details: validationErrors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const newTag = Tag.create(tagData);
+
+    res.status(201).json({
+      success: true,
+      data: newTag,
+      message: 'Tag created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'TAG_EXISTS',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_TAG_ERROR',
+        message: 'Failed to create tag'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/tags/:id - Update tag
+router.put('/:id', requirePermission('tags.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAG_ID',
+          message: 'Valid tag ID is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tagData = buildTagData(req.body);
+
+    // Validate input
+    const validationErrors = Tag.validate(tagData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid tag data',
+          details: validationErrors
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const updatedTag = Tag.update(parseInt(id), tagData);
+    // Articles embed their tags
+    invalidateCache.articles();
+
+    res.json({
+      success: true,
+      data: updatedTag,
+      message: 'Tag updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TAG_NOT_FOUND',
+          message: 'Tag not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'TAG_EXISTS',
+          message: error.message
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_TAG_ERROR',
+        message: 'Failed to update tag'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/tags/:id - Delete tag and detach it from its articles
+router.delete('/:id', requirePermission('tags.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TAG_ID',
+          message: 'Valid tag ID is required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = Tag.delete(parseInt(id));
+    invalidateCache.articles();
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Tag deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TAG_NOT_FOUND',
+          message: 'Tag not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_TAG_ERROR',
+        message: 'Failed to delete tag'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
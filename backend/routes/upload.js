@@ -1,13 +1,14 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
-const { upload, handleUploadError } = require('../middleware/upload');
-const { authenticate } = require('../middleware/auth');
+const { upload, handleUploadError, isValidFilename, sendStoredFile } = require('../middleware/upload');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const ImageProcessor = require('../services/imageProcessor');
+const Storage = require('../services/storage');
+const Media = require('../models/Media');
 
 const router = express.Router();
 
 // Upload thumbnail endpoint
-router.post('/thumbnail', authenticate, upload.single('thumbnail'), handleUploadError, (req, res) => {
+router.post('/thumbnail', authenticate, requirePermission('uploads.create'), upload.single('thumbnail'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -20,17 +21,62 @@ router.post('/thumbnail', authenticate, upload.single('thumbnail'), handleUpload
       });
     }
 
-    // Generate URL for the uploaded file
-    const fileUrl = `/uploads/${req.file.filename}`;
+    // Resize into variants and strip metadata; the received file is replaced by the clean copy
+    let manifest;
+    try {
+      manifest = await ImageProcessor.processUpload(req.file.path);
+    } catch (error) {
+      await ImageProcessor.removeFiles([req.file.path]);
+
+      if (error.message.includes('Invalid image file')) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_IMAGE',
+            message: 'The uploaded file is not a readable image'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      throw error;
+    }
+
+    // Move the original, variants and manifest into storage; URLs in the manifest come from it
+    await ImageProcessor.storeUpload(req.file.path, manifest);
+
+    // Record the upload in the media library
+    let media;
+    try {
+      media = Media.create({
+        filename: req.file.filename,
+        original_name: req.file.originalname,
+        mime_type: manifest.mime,
+        size: manifest.size,
+        width: manifest.width,
+        height: manifest.height,
+        blurhash: manifest.blurhash,
+        variants: manifest.variants,
+        uploaded_by: req.user.id
+      });
+    } catch (error) {
+      await ImageProcessor.removeStoredUpload(req.file.filename);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
       data: {
+        id: media.id,
         filename: req.file.filename,
         originalName: req.file.originalname,
-        size: req.file.size,
+        size: manifest.size,
         mimetype: req.file.mimetype,
-        url: fileUrl
+        url: manifest.url,
+        width: manifest.width,
+        height: manifest.height,
+        blurhash: manifest.blurhash,
+        variants: manifest.variants,
+        srcset: manifest.srcset
       },
       message: 'Thumbnail uploaded successfully',
       timestamp: new Date().toISOString()
@@ -50,12 +96,12 @@ router.post('/thumbnail', authenticate, upload.single('thumbnail'), handleUpload
 });
 
 // Serve uploaded files
-router.get('/:filename', (req, res) => {
+router.get('/:filename', async (req, res) => {
   try {
     const filename = req.params.filename;
     
     // Validate filename to prevent directory traversal
-    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+    if (!isValidFilename(filename)) {
       return res.status(400).json({
         success: false,
         error: {
@@ -66,10 +112,10 @@ router.get('/:filename', (req, res) => {
       });
     }
 
-    const filePath = path.join(__dirname, '../uploads', filename);
+    const file = await Storage.getAdapter().read(filename);
     
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!file) {
       return res.status(404).json({
         success: false,
         error: {
@@ -80,21 +126,10 @@ router.get('/:filename', (req, res) => {
       });
     }
 
-    // Set appropriate headers
-    const ext = path.extname(filename).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.png': 'image/png',
-      '.webp': 'image/webp'
-    };
-
-    const mimeType = mimeTypes[ext] || 'application/octet-stream';
-    res.setHeader('Content-Type', mimeType);
     res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
 
     // Send file
-    res.sendFile(filePath);
+    sendStoredFile(req, res, file);
 
   } catch (error) {
     console.error('File serving error:', error);
@@ -110,12 +145,12 @@ router.get('/:filename', (req, res) => {
 });
 
 // Delete uploaded file endpoint (for cleanup)
-router.delete('/:filename', authenticate, (req, res) => {
+router.delete('/:filename', authenticate, requirePermission('uploads.delete'), async (req, res) => {
   try {
     const filename = req.params.filename;
     
     // Validate filename
-    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+    if (!isValidFilename(filename)) {
       return res.status(400).json({
         success: false,
         error: {
@@ -126,10 +161,8 @@ router.delete('/:filename', authenticate, (req, res) => {
       });
     }
 
-    const filePath = path.join(__dirname, '../uploads', filename);
-    
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!(await Storage.getAdapter().exists(filename))) {
       return res.status(404).json({
         success: false,
         error: {
@@ -140,8 +173,26 @@ router.delete('/:filename', authenticate, (req, res) => {
       });
     }
 
-    // Delete file
-    fs.unlinkSync(filePath);
+    // Refuse while articles still show the image
+    const articles = Media.findReferencingArticles(filename);
+    if (articles.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MEDIA_IN_USE',
+          message: `File is used by ${articles.length} article(s)`,
+          details: { articles }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Delete file along with its generated variants and library record
+    await ImageProcessor.removeStoredUpload(filename);
+    const media = Media.findByFilename(filename);
+    if (media) {
+      Media.delete(media.id);
+    }
 
     res.json({
       success: true,
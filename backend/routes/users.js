@@ -0,0 +1,469 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const TwoFactor = require('../services/twoFactor');
+const { invalidateCache } = require('../middleware/caching');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// User management is for admins only
+router.use(authenticate, requirePermission('users.manage'));
+
+// Resolve the user named in the URL, or send the error response
+const findUser = (req, res) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(parseInt(id))) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_USER_ID',
+        message: 'Valid user ID is required'
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const user = User.findById(parseInt(id));
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Admins cannot lock themselves out by disabling, demoting or deleting their own account
+const selfModificationResponse = (res, message) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'CANNOT_MODIFY_SELF',
+    message
+  },
+  timestamp: new Date().toISOString()
+});
+
+const validationResponse = (res, errors) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Invalid user data',
+    details: errors
+  },
+  timestamp: new Date().toISOString()
+});
+
+const userExistsResponse = (res, error) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'USER_EXISTS',
+    message: error.message
+  },
+  timestamp: new Date().toISOString()
+});
+
+// GET /api/users - List users with pagination (?search=, ?role=, ?status=active|disabled)
+router.get('/', async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const filters = {
+      search: search ? String(search).trim() : undefined,
+      role: role || undefined,
+      status: status || undefined
+    };
+
+    const users = User.findAll({ ...filters, limit: limitNum, offset: (pageNum - 1) * limitNum });
+    const totalCount = User.count(filters);
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => user.toJSON()),
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalCount,
+          limit: limitNum,
+          hasNext: pageNum < totalPages,
+          hasPrev: pageNum > 1
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_USERS_ERROR',
+        message: 'Failed to fetch users'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/users/2fa-policy - Roles that must use two-factor authentication
+router.get('/2fa-policy', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        required_roles: TwoFactor.requiredRoles(),
+        roles: User.ROLES
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching 2FA policy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_2FA_POLICY_ERROR',
+        message: 'Failed to fetch two-factor policy'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/users/2fa-policy - Require two-factor authentication for the given roles.
+// Users of those roles without 2FA have to set it up at their next sign-in.
+router.put('/2fa-policy', (req, res) => {
+  try {
+    const { required_roles } = req.body;
+
+    if (!Array.isArray(required_roles)) {
+      return validationResponse(res, ['required_roles must be an array of roles']);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        required_roles: TwoFactor.setRequiredRoles(required_roles),
+        roles: User.ROLES
+      },
+      message: 'Two-factor policy updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.message.includes('Role must be one of')) {
+      return validationResponse(res, [error.message]);
+    }
+
+    console.error('Error updating 2FA policy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_2FA_POLICY_ERROR',
+        message: 'Failed to update two-factor policy'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /api/users/:id - Get user by ID, with the number of articles they wrote
+router.get('/:id', async (req, res) => {
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toJSON(),
+        article_count: User.countArticles(user.id)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_USER_ERROR',
+        message: 'Failed to fetch user'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/users - Create user
+router.post('/', async (req, res) => {
+  try {
+    const userData = {
+      username: req.body.username?.trim(),
+      email: req.body.email?.trim(),
+      password: req.body.password,
+      role: req.body.role
+    };
+
+    const validationErrors = User.validateUserData(userData);
+    if (validationErrors.length > 0) {
+      return validationResponse(res, validationErrors);
+    }
+
+    const user = await User.create(userData);
+
+    res.status(201).json({
+      success: true,
+      data: user.toJSON(),
+      message: 'User created successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+
+    if (error.message.includes('already exists')) {
+      return userExistsResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_USER_ERROR',
+        message: 'Failed to create user'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PUT /api/users/:id - Update username, email and role
+router.put('/:id', async (req, res) => {
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    const updateData = {
+      username: req.body.username?.trim(),
+      email: req.body.email?.trim(),
+      role: req.body.role
+    };
+
+    const validationErrors = User.validateUserData(updateData, { partial: true });
+    if (validationErrors.length > 0) {
+      return validationResponse(res, validationErrors);
+    }
+
+    if (user.id === req.user.id && updateData.role !== undefined && updateData.role !== user.role) {
+      return selfModificationResponse(res, 'You cannot change your own role');
+    }
+
+    const updatedUser = await user.update(updateData);
+    // Articles embed their author's name
+    invalidateCache.articles();
+
+    res.json({
+      success: true,
+      data: updatedUser.toJSON(),
+      message: 'User updated successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+
+    if (error.message.includes('already exists')) {
+      return userExistsResponse(res, error);
+    }
+
+    if (error.message === 'No valid fields to update') {
+      return validationResponse(res, [error.message]);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_USER_ERROR',
+        message: 'Failed to update user'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Handler that disables or re-enables the account named in the URL
+const setDisabled = (disabled) => async (req, res) => {
+  const action = disabled ? 'disable' : 'enable';
+
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.user.id) {
+      return selfModificationResponse(res, `You cannot ${action} your own account`);
+    }
+
+    const updatedUser = user.setDisabled(disabled);
+    if (disabled) {
+      RefreshToken.revokeAllForUser(user.id);
+    }
+
+    res.json({
+      success: true,
+      data: updatedUser.toJSON(),
+      message: `User ${action}d successfully`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error trying to ${action} user:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: `${action.toUpperCase()}_USER_ERROR`,
+        message: `Failed to ${action} user`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// POST /api/users/:id/disable - Disable an account; its tokens stop working immediately
+router.post('/:id/disable', setDisabled(true));
+
+// POST /api/users/:id/enable - Re-enable a disabled account
+router.post('/:id/enable', setDisabled(false));
+
+// POST /api/users/:id/reset-password - Sign the user out and force them to choose a new
+// password at their next sign-in; an optional temporary_password replaces the current one
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    const { temporary_password } = req.body;
+
+    if (temporary_password !== undefined) {
+      const validationErrors = User.validateUserData({ password: temporary_password }, { partial: true });
+      if (validationErrors.length > 0) {
+        return validationResponse(res, validationErrors);
+      }
+    }
+
+    const updatedUser = await user.requirePasswordReset(temporary_password || null);
+    // Existing sessions must not outlive the reset
+    RefreshToken.revokeAllForUser(user.id);
+
+    res.json({
+      success: true,
+      data: updatedUser.toJSON(),
+      message: 'User must change their password at next sign-in',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESET_PASSWORD_ERROR',
+        message: 'Failed to force password reset'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /api/users/:id/disable-2fa - Turn off a user's two-factor authentication,
+// e.g. when they lost their authenticator and recovery codes
+router.post('/:id/disable-2fa', async (req, res) => {
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    TwoFactor.disable(user);
+
+    res.json({
+      success: true,
+      data: User.findById(user.id).toJSON(),
+      message: 'Two-factor authentication disabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DISABLE_2FA_ERROR',
+        message: 'Failed to disable two-factor authentication'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete user (?reassign_to= hands their articles to another user)
+router.delete('/:id', async (req, res) => {
+  try {
+    const user = findUser(req, res);
+    if (!user) return;
+
+    if (user.id === req.user.id) {
+      return selfModificationResponse(res, 'You cannot delete your own account');
+    }
+
+    const reassignTo = req.query.reassign_to ? parseInt(req.query.reassign_to) : null;
+    const articleCount = User.countArticles(user.id);
+
+    User.delete(user.id, reassignTo);
+    invalidateCache.articles();
+
+    res.json({
+      success: true,
+      data: {
+        reassigned_articles: reassignTo ? articleCount : 0
+      },
+      message: 'User deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+
+    if (error.message.includes('must be reassigned')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_HAS_ARTICLES',
+          message: 'User has articles; choose another user to reassign them to'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('Invalid reassign_to')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REASSIGN_USER',
+          message: 'Articles must be reassigned to another existing user'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_USER_ERROR',
+        message: 'Failed to delete user'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
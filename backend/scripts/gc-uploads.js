@@ -0,0 +1,56 @@
+// Find uploads no article references any more and quarantine them.
+//
+//   node scripts/gc-uploads.js               report orphans only (dry run)
+//   node scripts/gc-uploads.js --quarantine  move orphans to quarantine and purge old quarantine
+//   --grace-hours=N, --quarantine-hours=N    override UPLOAD_GC_GRACE_HOURS / UPLOAD_GC_QUARANTINE_HOURS
+const UploadCleanup = require('../services/uploadCleanup');
+
+const parseArgs = (args) => {
+  const options = { dryRun: !args.includes('--quarantine') };
+
+  const hours = (name, value) => {
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(`${name} must be a non-negative number of hours`);
+    }
+    return parsed;
+  };
+
+  for (const arg of args) {
+    const [name, value] = arg.split('=');
+    if (name === '--grace-hours') options.graceHours = hours(name, value);
+    if (name === '--quarantine-hours') options.quarantineHours = hours(name, value);
+  }
+
+  return options;
+};
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const result = await UploadCleanup.run(options);
+
+  console.log(`🔍 ${result.orphans.length} orphaned upload file(s), ${formatSize(result.orphan_bytes)}, unreferenced for over ${result.grace_hours}h`);
+  for (const file of result.orphans) {
+    console.log(`   ${file.filename}  ${formatSize(file.size)}  ${file.modified_at}`);
+  }
+
+  if (result.dry_run) {
+    console.log('Dry run: nothing was moved. Pass --quarantine to quarantine these files.');
+    return;
+  }
+
+  console.log(`🧹 Quarantined ${result.quarantined}, restored ${result.restored.length}, purged ${result.purged} file(s)`);
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Upload cleanup failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
@@ -11,6 +11,7 @@ const PORT = process.env.PORT || 3000;
 const { generalApiLimiter } = require('./middleware/rateLimiting');
 const { mongoSanitization, xssProtection } = require('./middleware/sanitization');
 const { conditionalRequest } = require('./middleware/caching');
+const { serveUploads } = require('./middleware/upload');
 
 // Security middleware - Enhanced helmet configuration
 app.use(helmet({
@@ -50,8 +51,13 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
-// Rate limiting - Use enhanced rate limiter
-app.use('/api/', generalApiLimiter);
+// Rate limiting - Use enhanced rate limiter (public routes have their own limiter)
+app.use('/api/', (req, res, next) => {
+  if (req.path.startsWith('/public/')) {
+    return next();
+  }
+  generalApiLimiter(req, res, next);
+});
 
 // CORS configuration - Enhanced for production
 const corsOptions = {
@@ -106,7 +112,7 @@ app.use(express.urlencoded({
   parameterLimit: 100
 }));
 
-// Serve static files from uploads directory with CORS headers
+// Serve uploads from the storage adapter with CORS headers
 app.use('/api/uploads', (req, res, next) => {
   // Set CORS headers for image requests
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
@@ -120,7 +126,7 @@ app.use('/api/uploads', (req, res, next) => {
   } else {
     next();
   }
-}, express.static('uploads'));
+}, serveUploads);
 
 // Also serve uploads from /uploads path (without /api prefix)
 app.use('/uploads', (req, res, next) => {
@@ -136,7 +142,7 @@ app.use('/uploads', (req, res, next) => {
   } else {
     next();
   }
-}, express.static('uploads'));
+}, serveUploads);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -153,6 +159,10 @@ const apiRoutes = require('./routes');
 // API routes
 app.use('/api', apiRoutes);
 
+// RSS and Atom feeds, the sitemap and robots.txt at the site root
+app.use(require('./routes/feeds'));
+app.use(require('./routes/sitemap'));
+
 // Global error handler
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -184,6 +194,15 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`🚀 Blog Admin API server running on port ${PORT}`);
     console.log(`📊 Health check available at http://localhost:${PORT}/health`);
   });
+
+  // Publish scheduled articles, including any that came due while the server was down
+  require('./services/publishScheduler').start();
+
+  // Quarantine uploads no article uses any more, when UPLOAD_GC_ENABLED is set
+  require('./services/uploadCleanup').start();
+
+  // Purge articles and categories that have been in the trash for TRASH_RETENTION_DAYS
+  require('./services/trashRetention').start();
 }
 
 module.exports = app;
\ No newline at end of file
@@ -33,7 +33,7 @@ class AnalyticsService {
         const result = db.prepare(`
           UPDATE articles 
           SET view_count = view_count + 1, updated_at = datetime('now')
-          WHERE id = ?
+          WHERE id = ? AND deleted_at IS NULL
         `).run(articleId);
         
         if (result.changes === 0) {
@@ -81,7 +81,7 @@ class AnalyticsService {
           const result = db.prepare(`
             UPDATE articles 
             SET like_count = like_count - 1, updated_at = datetime('now')
-            WHERE id = ?
+            WHERE id = ? AND deleted_at IS NULL
           `).run(articleId);
           
           if (result.changes === 0) {
@@ -100,7 +100,7 @@ class AnalyticsService {
           const result = db.prepare(`
             UPDATE articles 
             SET like_count = like_count + 1, updated_at = datetime('now')
-            WHERE id = ?
+            WHERE id = ? AND deleted_at IS NULL
           `).run(articleId);
           
           if (result.changes === 0) {
@@ -144,11 +144,11 @@ class AnalyticsService {
       }
       
       // Get total counts
-      const totalArticles = db.prepare('SELECT COUNT(*) as count FROM articles WHERE status = \'published\'').get().count;
+      const totalArticles = db.prepare('SELECT COUNT(*) as count FROM articles WHERE status = \'published\' AND deleted_at IS NULL').get().count;
       
-      const totalViews = db.prepare('SELECT COALESCE(SUM(view_count), 0) as total FROM articles WHERE status = \'published\'').get().total;
+      const totalViews = db.prepare('SELECT COALESCE(SUM(view_count), 0) as total FROM articles WHERE status = \'published\' AND deleted_at IS NULL').get().total;
       
-      const totalLikes = db.prepare('SELECT COALESCE(SUM(like_count), 0) as total FROM articles WHERE status = \'published\'').get().total;
+      const totalLikes = db.prepare('SELECT COALESCE(SUM(like_count), 0) as total FROM articles WHERE status = \'published\' AND deleted_at IS NULL').get().total;
       
       // Get recent articles (last 5 published)
       const recentArticles = db.prepare(`
@@ -158,7 +158,7 @@ class AnalyticsService {
           c.name as category_name, c.slug as category_slug
         FROM articles a
         LEFT JOIN categories c ON a.category_id = c.id
-        WHERE a.status = 'published'
+        WHERE a.status = 'published' AND a.deleted_at IS NULL
         ORDER BY a.published_at DESC
         LIMIT 5
       `).all();
@@ -172,6 +172,7 @@ class AnalyticsService {
           DATE(av.created_at) as date,
           COUNT(*) as views
         FROM article_views av
+        JOIN articles a ON a.id = av.article_id AND a.deleted_at IS NULL
         WHERE av.created_at >= datetime('now', '-7 days')
         GROUP BY DATE(av.created_at)
         ORDER BY date ASC
@@ -231,7 +232,7 @@ class AnalyticsService {
         FROM articles a
         LEFT JOIN categories c ON a.category_id = c.id
         LEFT JOIN users u ON a.author_id = u.id
-        WHERE a.status = 'published' ${dateFilter}
+        WHERE a.status = 'published' AND a.deleted_at IS NULL ${dateFilter}
         ORDER BY a.view_count DESC, a.like_count DESC
         LIMIT ?
       `;
@@ -271,7 +272,7 @@ class AnalyticsService {
       const article = db.prepare(`
         SELECT id, title, slug, view_count, like_count, published_at
         FROM articles 
-        WHERE id = ?
+        WHERE id = ? AND deleted_at IS NULL
       `).get(articleId);
       
       if (!article) {
@@ -350,9 +351,11 @@ class AnalyticsService {
           (
             SELECT COUNT(*) 
             FROM article_likes al 
+            JOIN articles a ON a.id = al.article_id AND a.deleted_at IS NULL
             WHERE al.created_at >= datetime('now', '-${days} days')
           ) as total_likes
         FROM article_views av
+        JOIN articles a ON a.id = av.article_id AND a.deleted_at IS NULL
         WHERE av.created_at >= datetime('now', '-${days} days')
       `).get();
       
@@ -0,0 +1,202 @@
+const dbManager = require('../config/database');
+const Article = require('../models/Article');
+const Media = require('../models/Media');
+const Storage = require('./storage');
+const { stripHtml } = require('../utils/html');
+const { escapeXml, parseTimestamp, latestDate } = require('../utils/xml');
+const {
+  siteUrl,
+  apiUrl,
+  siteTitle,
+  siteDescription,
+  articleUrl,
+  categoryUrl,
+  absoluteUrl
+} = require('../utils/siteUrl');
+
+const DEFAULT_ITEM_LIMIT = 20;
+
+// Length of the summary made from the content when an article has no excerpt
+const SUMMARY_LENGTH = 300;
+
+// Readers resolve relative URLs against the article's page on the public site, which does
+// not serve uploads. Point root-relative upload URLs at this server and the rest at the site.
+const resolveContentUrl = (url) =>
+  absoluteUrl(url, /^\/(api\/)?uploads\//.test(url) ? apiUrl() : siteUrl());
+
+const absolutizeHtml = (html) => String(html || '')
+  .replace(/(\s(?:src|href)=["'])(\/(?!\/)[^"']*)/gi, (_, attribute, url) => `${attribute}${resolveContentUrl(url)}`)
+  .replace(/(\ssrcset=["'])([^"']*)/gi, (_, attribute, srcset) => attribute + srcset
+    .split(',')
+    .map(candidate => candidate.trim().replace(/^\S+/, resolveContentUrl))
+    .join(', '));
+
+const summarize = (article) => {
+  if (article.excerpt) {
+    return article.excerpt;
+  }
+
+  const text = stripHtml(article.getHtml());
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH).trimEnd()}…` : text;
+};
+
+// Stable id of an article that survives slug changes (RFC 4151 tag URI)
+const entryId = (article) => {
+  const host = new URL(siteUrl()).hostname;
+  const created = (parseTimestamp(article.created_at) || new Date(0)).toISOString().slice(0, 10);
+  return `tag:${host},${created}:article-${article.id}`;
+};
+
+class Feeds {
+  static get itemLimit() {
+    return parseInt(process.env.FEED_ITEM_LIMIT) || DEFAULT_ITEM_LIMIT;
+  }
+
+  /**
+   * Category for a per-category feed. Read from the same database as the articles,
+   * which the Category model (on its own connection) is not guaranteed to be.
+   */
+  static findCategory(slug) {
+    const db = dbManager.getDatabase();
+    return db.prepare('SELECT * FROM categories WHERE slug = ? AND deleted_at IS NULL').get(slug);
+  }
+
+  /**
+   * Collect the newest published articles into a feed, optionally those of a category
+   * and its subcategories. selfPath is the feed's own path on this server.
+   */
+  static build({ category = null, selfPath }) {
+    const baseUrl = apiUrl();
+    const articles = Article.findAll({
+      status: 'published',
+      category_id: category ? category.id : undefined,
+      include_descendants: Boolean(category),
+      orderBy: 'published_at',
+      orderDir: 'DESC',
+      limit: this.itemLimit
+    });
+
+    const items = articles.map(article => {
+      const published = parseTimestamp(article.published_at) || parseTimestamp(article.created_at);
+
+      return {
+        id: entryId(article),
+        title: article.title,
+        link: articleUrl(article),
+        summary: summarize(article),
+        content: absolutizeHtml(article.getHtml()),
+        author: article.author ? article.author.username : null,
+        categories: [
+          ...(article.category ? [article.category.name] : []),
+          ...(article.tags || []).map(tag => tag.name)
+        ],
+        published,
+        updated: latestDate(published, parseTimestamp(article.updated_at)),
+        enclosure: this.enclosureFor(article.thumbnail_url, baseUrl)
+      };
+    });
+
+    return {
+      title: category ? `${siteTitle()}: ${category.name}` : siteTitle(),
+      description: (category && category.description) || siteDescription() || siteTitle(),
+      link: category ? categoryUrl(category) : siteUrl(),
+      selfUrl: `${baseUrl}${selfPath}`,
+      updated: latestDate(...items.map(item => item.updated)),
+      items
+    };
+  }
+
+  /**
+   * Enclosure for an article thumbnail. Size and type come from the media library
+   * when the thumbnail is an upload it knows; otherwise the length is unknown (0).
+   */
+  static enclosureFor(thumbnailUrl, baseUrl) {
+    if (!thumbnailUrl) {
+      return null;
+    }
+
+    const upload = thumbnailUrl.match(/\/uploads\/([^?#]+)$/);
+    const media = upload ? Media.findByFilename(decodeURIComponent(upload[1])) : undefined;
+
+    return {
+      url: absoluteUrl(thumbnailUrl, baseUrl),
+      type: media ? media.mime_type : Storage.contentTypeFor(thumbnailUrl.replace(/[?#].*$/, '')),
+      length: media ? media.size : 0
+    };
+  }
+
+  /**
+   * Render a feed as RSS 2.0, with the full content in content:encoded
+   */
+  static renderRss(feed) {
+    const items = feed.items.map(item => [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      item.published ? `      <pubDate>${item.published.toUTCString()}</pubDate>` : null,
+      item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+      ...item.categories.map(name => `      <category>${escapeXml(name)}</category>`),
+      `      <description>${escapeXml(item.summary)}</description>`,
+      `      <content:encoded>${escapeXml(item.content)}</content:encoded>`,
+      item.enclosure
+        ? `      <enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.length}" type="${escapeXml(item.enclosure.type)}"/>`
+        : null,
+      '    </item>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.link)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      feed.updated ? `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : null,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Render a feed as Atom 1.0
+   */
+  static renderAtom(feed) {
+    const entries = feed.items.map(item => [
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+      `    <id>${escapeXml(item.id)}</id>`,
+      item.published ? `    <published>${item.published.toISOString()}</published>` : null,
+      `    <updated>${(item.updated || new Date(0)).toISOString()}</updated>`,
+      item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+      ...item.categories.map(name => `    <category term="${escapeXml(name)}"/>`),
+      `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+      `    <content type="html">${escapeXml(item.content)}</content>`,
+      item.enclosure
+        ? `    <link rel="enclosure" href="${escapeXml(item.enclosure.url)}" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length}"/>`
+        : null,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+      `  <id>${escapeXml(feed.selfUrl)}</id>`,
+      // Atom requires an updated time even for an empty feed
+      `  <updated>${(feed.updated || new Date(0)).toISOString()}</updated>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+}
+
+module.exports = Feeds;
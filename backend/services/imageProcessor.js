@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const Storage = require('./storage');
+
+const DEFAULT_VARIANT_WIDTHS = [320, 640, 1280];
+
+// Blurhash is computed from a tiny copy of the image; 4x3 components suit landscape thumbnails
+const BLURHASH_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+const FORMATS = {
+  jpeg: { mime: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { mime: 'image/png', options: { compressionLevel: 9 } },
+  webp: { mime: 'image/webp', options: { quality: 80 } }
+};
+
+const EXTENSION_FORMATS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'webp'
+};
+
+class ImageProcessor {
+  /**
+   * Widths to generate variants at, from IMAGE_VARIANT_WIDTHS (comma-separated)
+   */
+  static getVariantWidths() {
+    const configured = (process.env.IMAGE_VARIANT_WIDTHS || '')
+      .split(',')
+      .map(value => parseInt(value.trim(), 10))
+      .filter(width => width > 0);
+
+    const widths = configured.length > 0 ? configured : DEFAULT_VARIANT_WIDTHS;
+    return [...new Set(widths)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Path of the JSON manifest stored next to an uploaded image
+   */
+  static manifestPath(filePath) {
+    const { dir, name } = path.parse(filePath);
+    return path.join(dir, `${name}.json`);
+  }
+
+  /**
+   * Process an uploaded image in place: apply its EXIF orientation, strip metadata
+   * (EXIF, GPS, ICC, XMP) by re-encoding it, and write resized variants in the
+   * original format and WebP alongside it. Variants are only made for widths smaller
+   * than the original; the original itself is the largest srcset entry.
+   *
+   * Returns a manifest of the files written, with the dimensions, blurhash and a
+   * ready-made srcset per format. URLs come from urlFor, the storage adapter's by
+   * default. The manifest is also saved as <name>.json.
+   * Throws 'Invalid image file' when the file cannot be decoded.
+   */
+  static async processUpload(filePath, { urlFor = filename => Storage.url(filename) } = {}) {
+    const { dir, name, ext } = path.parse(filePath);
+    const format = EXTENSION_FORMATS[ext.toLowerCase()];
+
+    let input;
+    let metadata;
+    try {
+      input = await fs.promises.readFile(filePath);
+      metadata = await sharp(input).metadata();
+    } catch {
+      throw new Error('Invalid image file');
+    }
+
+    if (!format || !metadata.width || !metadata.height) {
+      throw new Error('Invalid image file');
+    }
+
+    // Dimensions as displayed, after EXIF orientation is applied
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const formats = format === 'webp' ? ['webp'] : [format, 'webp'];
+    const widths = ImageProcessor.getVariantWidths().filter(variantWidth => variantWidth < width);
+    const variants = [];
+
+    const writeVariant = async (targetWidth, targetFormat, filename) => {
+      let pipeline = sharp(input).rotate();
+      if (targetWidth < width) {
+        pipeline = pipeline.resize({ width: targetWidth });
+      }
+
+      const output = await pipeline
+        .toFormat(targetFormat, FORMATS[targetFormat].options)
+        .toFile(path.join(dir, filename));
+
+      variants.push({
+        width: output.width,
+        height: output.height,
+        url: urlFor(filename),
+        mime: FORMATS[targetFormat].mime,
+        size: output.size
+      });
+    };
+
+    try {
+      for (const variantWidth of widths) {
+        for (const variantFormat of formats) {
+          const variantExt = variantFormat === format ? ext : '.webp';
+          await writeVariant(variantWidth, variantFormat, `${name}-${variantWidth}w${variantExt}`);
+        }
+      }
+
+      if (format !== 'webp') {
+        await writeVariant(width, 'webp', `${name}.webp`);
+      }
+
+      // Overwrite the original last, so a failure above leaves it untouched
+      const original = await sharp(input)
+        .rotate()
+        .toFormat(format, FORMATS[format].options)
+        .toBuffer({ resolveWithObject: true });
+      await fs.promises.writeFile(filePath, original.data);
+
+      variants.push({
+        width: original.info.width,
+        height: original.info.height,
+        url: urlFor(`${name}${ext}`),
+        mime: FORMATS[format].mime,
+        size: original.info.size
+      });
+    } catch (error) {
+      await ImageProcessor.removeFiles(variants.map(variant => path.join(dir, path.basename(variant.url))));
+      throw error;
+    }
+
+    variants.sort((a, b) => a.width - b.width || a.mime.localeCompare(b.mime));
+
+    const originalUrl = urlFor(`${name}${ext}`);
+    const manifest = {
+      url: originalUrl,
+      width,
+      height,
+      mime: FORMATS[format].mime,
+      size: variants.find(variant => variant.url === originalUrl).size,
+      blurhash: await ImageProcessor.computeBlurhash(input),
+      variants,
+      srcset: ImageProcessor.buildSrcset(variants)
+    };
+
+    await fs.promises.writeFile(ImageProcessor.manifestPath(filePath), JSON.stringify(manifest, null, 2));
+
+    return manifest;
+  }
+
+  /**
+   * Blurhash placeholder for an image buffer
+   */
+  static async computeBlurhash(input) {
+    const { data, info } = await sharp(input)
+      .rotate()
+      .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y);
+  }
+
+  /**
+   * srcset attribute values keyed by mime type, e.g. { 'image/webp': '/uploads/a-320w.webp 320w, ...' }
+   */
+  static buildSrcset(variants) {
+    const srcset = {};
+
+    for (const variant of variants) {
+      const entry = `${variant.url} ${variant.width}w`;
+      srcset[variant.mime] = srcset[variant.mime] ? `${srcset[variant.mime]}, ${entry}` : entry;
+    }
+
+    return srcset;
+  }
+
+  /**
+   * Read the stored manifest for an uploaded image, or null if it has none
+   */
+  static async readManifest(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(ImageProcessor.manifestPath(filePath), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Delete the variants and manifest generated for an uploaded image. The original
+   * file is left to the caller.
+   */
+  static async removeGenerated(filePath) {
+    const manifest = await ImageProcessor.readManifest(filePath);
+    const dir = path.dirname(filePath);
+    const original = path.basename(filePath);
+
+    const generated = (manifest ? manifest.variants : [])
+      .map(variant => path.basename(variant.url))
+      .filter(filename => filename !== original)
+      .map(filename => path.join(dir, filename));
+
+    await ImageProcessor.removeFiles([...generated, ImageProcessor.manifestPath(filePath)]);
+  }
+
+  /**
+   * Delete an uploaded image together with its variants and manifest
+   */
+  static async removeUpload(filePath) {
+    await ImageProcessor.removeGenerated(filePath);
+    await ImageProcessor.removeFiles([filePath]);
+  }
+
+  /**
+   * Names of the files making up a processed upload: variants, the original and its manifest
+   */
+  static uploadFiles(filename, manifest) {
+    const { name } = path.parse(filename);
+    const variants = manifest ? manifest.variants.map(variant => path.basename(variant.url)) : [];
+    return [...new Set([...variants, filename, `${name}.json`])];
+  }
+
+  /**
+   * Copy a processed upload from its working folder into storage, then delete the
+   * working files. If any copy fails, the files already stored are removed again.
+   */
+  static async storeUpload(filePath, manifest, storage = Storage.getAdapter()) {
+    const dir = path.dirname(filePath);
+    const stored = [];
+
+    try {
+      for (const filename of ImageProcessor.uploadFiles(path.basename(filePath), manifest)) {
+        await storage.put(filename, await fs.promises.readFile(path.join(dir, filename)));
+        stored.push(filename);
+      }
+    } catch (error) {
+      await Promise.all(stored.map(filename => storage.delete(filename)));
+      throw error;
+    } finally {
+      await ImageProcessor.removeUpload(filePath);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Read the manifest of a stored upload, or null if it has none
+   */
+  static async readStoredManifest(filename, storage = Storage.getAdapter()) {
+    const file = await storage.read(`${path.parse(filename).name}.json`);
+    if (!file) {
+      return null;
+    }
+
+    const chunks = [];
+    for await (const chunk of file.stream) {
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Delete a stored upload together with its variants and manifest
+   */
+  static async removeStoredUpload(filename, storage = Storage.getAdapter()) {
+    const manifest = await ImageProcessor.readStoredManifest(filename, storage);
+    await Promise.all(ImageProcessor.uploadFiles(filename, manifest).map(key => storage.delete(key)));
+  }
+
+  /**
+   * Delete files, ignoring any that are already gone
+   */
+  static async removeFiles(filePaths) {
+    await Promise.all(filePaths.map(filePath => fs.promises.rm(filePath, { force: true })));
+  }
+}
+
+module.exports = ImageProcessor;
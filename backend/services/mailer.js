@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = 'JonAI-Lab Blog <no-reply@localhost>';
+const DEFAULT_FILE_DIR = './data/mail';
+
+// Built-in transports. Each factory returns an object with an async send(message).
+const transports = {
+  // Print messages to the console; the default outside production
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+
+  // Write each message to a JSON file, for inspecting mail locally or in tests
+  file: () => ({
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { transport: 'file', file };
+    }
+  }),
+
+  // Deliver through an SMTP server configured by the SMTP_* variables
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      async send(message) {
+        const info = await smtp.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+class Mailer {
+  /**
+   * Make a transport available under name, e.g. to deliver through a mail API.
+   * factory is called once, when the transport is first used.
+   */
+  static registerTransport(name, factory) {
+    transports[name] = factory;
+    if (this.activeTransportName === name) {
+      this.transport = null;
+    }
+  }
+
+  /**
+   * Name of the configured transport: MAIL_TRANSPORT, or smtp in production
+   * and console elsewhere
+   */
+  static get transportName() {
+    return process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  }
+
+  /**
+   * The configured transport, created on first use
+   */
+  static getTransport() {
+    const name = this.transportName;
+
+    if (!this.transport || this.activeTransportName !== name) {
+      const factory = transports[name];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = factory();
+      this.activeTransportName = name;
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send a message ({ to, subject, text, html }) through the configured transport.
+   * The sender defaults to MAIL_FROM.
+   */
+  static async send(message) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      ...message
+    });
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,64 @@
+const Article = require('../models/Article');
+const { invalidateCache } = require('../middleware/caching');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+class PublishScheduler {
+  /**
+   * Start publishing scheduled articles in the background.
+   * Runs immediately so schedules missed while the server was down are
+   * published on startup, then every intervalMs.
+   */
+  static start(options = {}) {
+    if (this.timer) {
+      return;
+    }
+
+    this.intervalMs = options.intervalMs
+      || parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS)
+      || DEFAULT_INTERVAL_MS;
+
+    const tick = () => {
+      this.runOnce();
+      this.timer = setTimeout(tick, this.intervalMs);
+      // Never keep the process alive just for the scheduler
+      this.timer.unref();
+    };
+
+    tick();
+  }
+
+  /**
+   * Stop the background publisher
+   */
+  static stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publish all due articles once and invalidate cached article lists.
+   * Returns the ids of the published articles.
+   */
+  static runOnce(now = new Date()) {
+    try {
+      const publishedIds = Article.publishDueScheduled(now);
+
+      if (publishedIds.length > 0) {
+        invalidateCache.articles();
+        console.log(`📅 Published ${publishedIds.length} scheduled article(s): ${publishedIds.join(', ')}`);
+      }
+
+      return publishedIds;
+    } catch (error) {
+      console.error('Error publishing scheduled articles:', error);
+      return [];
+    }
+  }
+}
+
+PublishScheduler.timer = null;
+
+module.exports = PublishScheduler;
@@ -0,0 +1,87 @@
+const { stripHtml } = require('../utils/html');
+const { parseTimestamp, latestDate } = require('../utils/xml');
+const { siteTitle, apiUrl, articleUrl, absoluteUrl } = require('../utils/siteUrl');
+
+// Length search engines show of a description; longer text made from the content is cut here
+const DESCRIPTION_LENGTH = 160;
+
+const truncate = (text, length) =>
+  (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+const isoDate = (value) => {
+  const date = parseTimestamp(value);
+  return date ? date.toISOString() : null;
+};
+
+class Seo {
+  /**
+   * Ready-made SEO data for a published article: the resolved title, description,
+   * canonical URL and robots directive, Open Graph and Twitter card tags, and
+   * schema.org BlogPosting structured data. Each SEO field falls back to the
+   * article's own title, excerpt, URL and thumbnail when it is empty.
+   */
+  static forArticle(article) {
+    const title = article.meta_title || article.title;
+    const description = article.meta_description
+      || article.excerpt
+      || truncate(stripHtml(article.getHtml()), DESCRIPTION_LENGTH);
+    const canonicalUrl = article.canonical_url || articleUrl(article);
+    // Uploads are served by this server; share crawlers need absolute image URLs
+    const image = absoluteUrl(article.og_image || article.thumbnail_url || null, apiUrl());
+    const robots = article.noindex ? 'noindex, nofollow' : 'index, follow';
+    const published = isoDate(article.published_at);
+    const modified = (latestDate(parseTimestamp(article.updated_at), parseTimestamp(article.published_at)) || new Date(0))
+      .toISOString();
+    const section = article.category ? article.category.name : null;
+    const tags = (article.tags || []).map(tag => tag.name);
+    const author = article.author ? article.author.username : null;
+
+    const openGraph = [
+      { property: 'og:type', content: 'article' },
+      { property: 'og:site_name', content: siteTitle() },
+      { property: 'og:title', content: title },
+      { property: 'og:description', content: description },
+      { property: 'og:url', content: canonicalUrl },
+      image && { property: 'og:image', content: image },
+      published && { property: 'article:published_time', content: published },
+      { property: 'article:modified_time', content: modified },
+      section && { property: 'article:section', content: section },
+      ...tags.map(tag => ({ property: 'article:tag', content: tag }))
+    ].filter(Boolean);
+
+    const twitter = [
+      { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+      { name: 'twitter:title', content: title },
+      { name: 'twitter:description', content: description },
+      image && { name: 'twitter:image', content: image }
+    ].filter(Boolean);
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: title,
+      description,
+      url: canonicalUrl,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+      ...(image ? { image: [image] } : {}),
+      ...(published ? { datePublished: published } : {}),
+      dateModified: modified,
+      ...(author ? { author: { '@type': 'Person', name: author } } : {}),
+      publisher: { '@type': 'Organization', name: siteTitle() },
+      ...(section ? { articleSection: section } : {}),
+      ...(tags.length > 0 ? { keywords: tags.join(', ') } : {})
+    };
+
+    return {
+      title,
+      description,
+      canonical_url: canonicalUrl,
+      robots,
+      open_graph: openGraph,
+      twitter,
+      json_ld: jsonLd
+    };
+  }
+}
+
+module.exports = Seo;
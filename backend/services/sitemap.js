@@ -0,0 +1,134 @@
+const dbManager = require('../config/database');
+const { escapeXml, parseTimestamp, latestDate } = require('../utils/xml');
+const { siteUrl, apiUrl, articleUrl, categoryUrl } = require('../utils/siteUrl');
+
+// Most URLs a single sitemap may list (sitemaps.org protocol)
+const MAX_URLS_PER_SITEMAP = 50000;
+
+const DEFAULT_ROBOTS_DISALLOW = '/api/,/preview/';
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+const lastmodElement = (date, indent) => (date ? `${indent}<lastmod>${date.toISOString()}</lastmod>` : null);
+
+class Sitemap {
+  static get maxUrls() {
+    return MAX_URLS_PER_SITEMAP;
+  }
+
+  /**
+   * Every public page as { loc, lastmod }: the home page, categories and the published
+   * articles that may be indexed. A category's lastmod is its newest change or that of
+   * its articles.
+   */
+  static urls() {
+    const db = dbManager.getDatabase();
+
+    // Articles asking not to be indexed, or naming another page as canonical, are left out
+    const articles = db.prepare(`
+      SELECT slug, canonical_url, updated_at, published_at FROM articles
+      WHERE status = 'published' AND noindex = 0 AND deleted_at IS NULL
+      ORDER BY id
+    `).all()
+      .filter(article => !article.canonical_url || article.canonical_url === articleUrl(article))
+      .map(article => ({
+        loc: articleUrl(article),
+        lastmod: latestDate(parseTimestamp(article.updated_at), parseTimestamp(article.published_at))
+      }));
+
+    const categories = db.prepare(`
+      SELECT c.slug, c.updated_at, MAX(a.updated_at) as articles_updated_at
+      FROM categories c
+      LEFT JOIN articles a ON a.category_id = c.id AND a.status = 'published' AND a.deleted_at IS NULL
+      WHERE c.deleted_at IS NULL
+      GROUP BY c.id
+      ORDER BY c.id
+    `).all().map(category => ({
+      loc: categoryUrl(category),
+      lastmod: latestDate(parseTimestamp(category.updated_at), parseTimestamp(category.articles_updated_at))
+    }));
+
+    const home = {
+      loc: `${siteUrl()}/`,
+      lastmod: latestDate(...articles.map(url => url.lastmod))
+    };
+
+    return [home, ...categories, ...articles];
+  }
+
+  /**
+   * Number of sitemaps the URLs need; more than one means /sitemap.xml is an index
+   */
+  static pageCount(urls) {
+    return Math.max(1, Math.ceil(urls.length / this.maxUrls));
+  }
+
+  /**
+   * URLs listed by page (1-based) of a split sitemap
+   */
+  static page(urls, page) {
+    return urls.slice((page - 1) * this.maxUrls, page * this.maxUrls);
+  }
+
+  /**
+   * Render a <urlset> sitemap
+   */
+  static renderUrlset(urls) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+      ...urls.map(url => [
+        '  <url>',
+        `    <loc>${escapeXml(url.loc)}</loc>`,
+        lastmodElement(url.lastmod, '    '),
+        '  </url>'
+      ].filter(line => line !== null).join('\n')),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render a sitemap index pointing at /sitemap-<n>.xml for each page of urls
+   */
+  static renderIndex(urls) {
+    const sitemaps = [];
+
+    for (let page = 1; page <= this.pageCount(urls); page++) {
+      sitemaps.push([
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${apiUrl()}/sitemap-${page}.xml`)}</loc>`,
+        lastmodElement(latestDate(...this.page(urls, page).map(url => url.lastmod)), '    '),
+        '  </sitemap>'
+      ].filter(line => line !== null).join('\n'));
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+      ...sitemaps,
+      '</sitemapindex>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * robots.txt: the paths in ROBOTS_DISALLOW (comma-separated) are closed to crawlers,
+   * or everything when ROBOTS_ALLOW_INDEXING is false, e.g. on a staging server
+   */
+  static renderRobots() {
+    const disallow = process.env.ROBOTS_ALLOW_INDEXING === 'false'
+      ? ['/']
+      : (process.env.ROBOTS_DISALLOW ?? DEFAULT_ROBOTS_DISALLOW).split(',').map(path => path.trim()).filter(Boolean);
+
+    return [
+      'User-agent: *',
+      ...(disallow.length > 0 ? disallow.map(path => `Disallow: ${path}`) : ['Disallow:']),
+      '',
+      `Sitemap: ${apiUrl()}/sitemap.xml`,
+      ''
+    ].join('\n');
+  }
+}
+
+module.exports = Sitemap;
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '../uploads');
+const DEFAULT_S3_PREFIX = 'uploads/';
+
+// Public path uploads are served from by server.js
+const PUBLIC_PATH = '/uploads/';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.json': 'application/json'
+};
+
+const contentTypeFor = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Uploads on the local disk, in backend/uploads by default.
+ * Keys are paths relative to that folder, e.g. 'thumbnail-1-2.jpg'.
+ */
+class LocalStorage {
+  constructor({ dir = DEFAULT_LOCAL_DIR } = {}) {
+    this.dir = path.resolve(dir);
+  }
+
+  // Absolute path of a key, refusing keys that would escape the uploads folder
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async put(key, body, { contentType } = {}) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return { key, size: Buffer.byteLength(body), contentType: contentType || contentTypeFor(key) };
+  }
+
+  async read(key) {
+    const filePath = this.resolve(key);
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) {
+        return null;
+      }
+
+      return {
+        stream: fs.createReadStream(filePath),
+        size: stats.size,
+        contentType: contentTypeFor(key),
+        modified_at: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      return (await fs.promises.stat(this.resolve(key))).isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+    await this.pruneEmptyDirs(path.dirname(filePath));
+  }
+
+  async move(fromKey, toKey) {
+    const source = this.resolve(fromKey);
+    const target = this.resolve(toKey);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(source, target);
+    await this.pruneEmptyDirs(path.dirname(source));
+  }
+
+  // Remove folders left empty below the uploads folder, e.g. a purged quarantine run,
+  // since object stores have no folders to leave behind
+  async pruneEmptyDirs(dir) {
+    while (dir.startsWith(this.dir + path.sep)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  async list(prefix = '') {
+    const files = [];
+
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), `${key}/`);
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(path.join(dir, entry.name));
+          files.push({ key, size: stats.size, modified_at: stats.mtime });
+        }
+      }
+    };
+
+    await walk(this.dir, '');
+    return files;
+  }
+
+  url(key) {
+    return `${PUBLIC_PATH}${key}`;
+  }
+}
+
+/**
+ * Uploads in an S3-compatible bucket (AWS S3, MinIO, R2, ...), configured by the S3_* variables.
+ * Objects are stored under S3_PREFIX (default 'uploads/'), so public bucket URLs keep
+ * the /uploads/<file> form that article reference checks look for.
+ */
+class S3Storage {
+  constructor({
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    prefix = DEFAULT_S3_PREFIX,
+    publicUrl,
+    forcePathStyle = Boolean(endpoint)
+  } = {}) {
+    if (!bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    // Loaded on first use, so local-only deployments never pay for the SDK
+    this.sdk = require('@aws-sdk/client-s3');
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.publicUrl = publicUrl ? publicUrl.replace(/\/+$/, '') : null;
+    this.client = new this.sdk.S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      // Only send checksums S3 insists on; several S3-compatible servers reject the rest
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+  }
+
+  objectKey(key) {
+    if (key.split('/').includes('..')) {
+      throw new Error('Invalid storage key');
+    }
+    return `${this.prefix}${key}`;
+  }
+
+  async send(commandName, input) {
+    return this.client.send(new this.sdk[commandName]({ Bucket: this.bucket, ...input }));
+  }
+
+  async put(key, body, { contentType } = {}) {
+    const type = contentType || contentTypeFor(key);
+    await this.send('PutObjectCommand', { Key: this.objectKey(key), Body: body, ContentType: type });
+    return { key, size: Buffer.byteLength(body), contentType: type };
+  }
+
+  async read(key) {
+    try {
+      const object = await this.send('GetObjectCommand', { Key: this.objectKey(key) });
+      return {
+        stream: object.Body,
+        size: object.ContentLength,
+        contentType: object.ContentType || contentTypeFor(key),
+        modified_at: object.LastModified
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await this.send('HeadObjectCommand', { Key: this.objectKey(key) });
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.send('DeleteObjectCommand', { Key: this.objectKey(key) });
+  }
+
+  // S3 has no rename; copy then delete the source
+  async move(fromKey, toKey) {
+    const source = this.objectKey(fromKey).split('/').map(encodeURIComponent).join('/');
+    await this.send('CopyObjectCommand', { Key: this.objectKey(toKey), CopySource: `${this.bucket}/${source}` });
+    await this.delete(fromKey);
+  }
+
+  async list(prefix = '') {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const page = await this.send('ListObjectsV2Command', {
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      });
+
+      for (const object of page.Contents || []) {
+        files.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          modified_at: new Date(object.LastModified)
+        });
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files;
+  }
+
+  // Straight from the bucket when it is public (S3_PUBLIC_URL), otherwise proxied by server.js
+  url(key) {
+    return this.publicUrl ? `${this.publicUrl}/${this.objectKey(key)}` : `${PUBLIC_PATH}${key}`;
+  }
+}
+
+const isNotFound = (error) =>
+  error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+// Built-in drivers. Each factory returns an adapter with async put, read, exists,
+// delete, move and list, and a synchronous url(key).
+const drivers = {
+  local: (options = {}) => new LocalStorage({
+    dir: options.dir || DEFAULT_LOCAL_DIR
+  }),
+
+  s3: (options = {}) => new S3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX ?? DEFAULT_S3_PREFIX,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === undefined
+      ? undefined
+      : process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...options
+  })
+};
+
+class Storage {
+  /**
+   * Make a driver available under name. factory(options) returns an adapter.
+   */
+  static registerDriver(name, factory) {
+    drivers[name] = factory;
+    if (this.activeDriverName === name) {
+      this.adapter = null;
+    }
+  }
+
+  /**
+   * Name of the configured driver: STORAGE_DRIVER, or local
+   */
+  static get driverName() {
+    return process.env.STORAGE_DRIVER || 'local';
+  }
+
+  /**
+   * Create an adapter for a driver, e.g. a local one over a temporary folder in tests
+   */
+  static createAdapter(name, options = {}) {
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return factory(options);
+  }
+
+  /**
+   * The configured adapter, created on first use
+   */
+  static getAdapter() {
+    const name = this.driverName;
+
+    if (!this.adapter || this.activeDriverName !== name) {
+      this.adapter = this.createAdapter(name);
+      this.activeDriverName = name;
+    }
+
+    return this.adapter;
+  }
+
+  /**
+   * Public URL of a stored file
+   */
+  static url(key) {
+    return this.getAdapter().url(key);
+  }
+}
+
+Storage.adapter = null;
+Storage.activeDriverName = null;
+Storage.LocalStorage = LocalStorage;
+Storage.S3Storage = S3Storage;
+Storage.contentTypeFor = contentTypeFor;
+
+module.exports = Storage;
@@ -0,0 +1,96 @@
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const { invalidateCache } = require('../middleware/caching');
+const { parseTimestamp } = require('../utils/xml');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+// deleted_at is written by SQLite's datetime('now'): UTC as YYYY-MM-DD HH:MM:SS
+const toSqliteDatetime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+class TrashRetention {
+  /**
+   * Days articles and categories stay in the trash, from TRASH_RETENTION_DAYS.
+   * 0 keeps them until they are deleted by hand.
+   */
+  static retentionDays() {
+    const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * When an item trashed at deletedAt will be purged, or null when the trash is kept
+   */
+  static purgeDate(deletedAt, days = this.retentionDays()) {
+    const date = parseTimestamp(deletedAt);
+    return date && days > 0 ? new Date(date.getTime() + days * DAY_MS) : null;
+  }
+
+  /**
+   * Start purging the trash in the background, on startup and then every
+   * TRASH_PURGE_INTERVAL_HOURS
+   */
+  static start(options = {}) {
+    if (this.timer) {
+      return;
+    }
+
+    const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS);
+    this.intervalMs = options.intervalMs
+      || (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_INTERVAL_HOURS) * 60 * 60 * 1000;
+
+    const tick = () => {
+      this.runOnce();
+      this.timer = setTimeout(tick, this.intervalMs);
+      // Never keep the process alive just for the purge
+      this.timer.unref();
+    };
+
+    tick();
+  }
+
+  /**
+   * Stop the background purge
+   */
+  static stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge everything trashed longer than the retention period ago. Articles go first,
+   * so the categories they emptied can go in the same run.
+   * Returns the ids of the purged articles and categories.
+   */
+  static runOnce(now = new Date(), options = {}) {
+    const days = options.retentionDays ?? this.retentionDays();
+    if (days === 0) {
+      return { articles: [], categories: [] };
+    }
+
+    try {
+      const cutoff = toSqliteDatetime(new Date(now.getTime() - days * DAY_MS));
+      const articles = Article.purgeDeletedBefore(cutoff);
+      const categories = (options.category || new Category()).purgeDeletedBefore(cutoff);
+
+      if (articles.length > 0 || categories.length > 0) {
+        invalidateCache.articles();
+        invalidateCache.categories();
+        console.log(`🗑️  Purged from the trash: ${articles.length} article(s), ${categories.length} category(ies)`);
+      }
+
+      return { articles, categories };
+    } catch (error) {
+      console.error('Error purging the trash:', error);
+      return { articles: [], categories: [] };
+    }
+  }
+}
+
+TrashRetention.timer = null;
+
+module.exports = TrashRetention;
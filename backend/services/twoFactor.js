@@ -0,0 +1,141 @@
+const QRCode = require('qrcode');
+const Setting = require('../models/Setting');
+const RecoveryCode = require('../models/RecoveryCode');
+const totp = require('../utils/totp');
+const { ROLES } = require('../config/permissions');
+
+// Setting holding the roles that must use two-factor authentication
+const POLICY_KEY = 'two_factor_required_roles';
+const DEFAULT_ISSUER = 'JonAI-Lab Blog';
+
+class TwoFactor {
+  /**
+   * Name authenticator apps show for accounts of this site
+   */
+  static get issuer() {
+    return process.env.TOTP_ISSUER || DEFAULT_ISSUER;
+  }
+
+  /**
+   * Roles whose users must enroll in two-factor authentication
+   */
+  static requiredRoles() {
+    return Setting.get(POLICY_KEY, []);
+  }
+
+  /**
+   * Replace the roles that require two-factor authentication
+   */
+  static setRequiredRoles(roles) {
+    const invalid = roles.filter(role => !ROLES.includes(role));
+    if (invalid.length > 0) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    return Setting.set(POLICY_KEY, [...new Set(roles)]);
+  }
+
+  static isEnabled(user) {
+    return Boolean(user.totp_enabled_at);
+  }
+
+  /**
+   * Whether the policy makes two-factor authentication mandatory for user
+   */
+  static isRequiredFor(user) {
+    return this.requiredRoles().includes(user.role);
+  }
+
+  /**
+   * Summary of user's two-factor state for their account settings
+   */
+  static status(user) {
+    return {
+      enabled: this.isEnabled(user),
+      required: this.isRequiredFor(user),
+      recovery_codes_remaining: this.isEnabled(user) ? RecoveryCode.countRemaining(user.id) : 0
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. Returns the secret along with an
+   * otpauth:// URL and a QR code (as a data URL) for authenticator apps.
+   * Nothing changes for signing in until the enrollment is confirmed.
+   */
+  static async beginEnrollment(user) {
+    if (this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.setTotpSecret(secret);
+
+    const otpauthUrl = totp.otpauthUrl(secret, user.username, this.issuer);
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app, turning
+   * two-factor authentication on. Returns a new set of recovery codes.
+   */
+  static confirmEnrollment(user, code) {
+    if (this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.totp_secret) {
+      throw new Error('Two-factor enrollment has not been started');
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    user.enableTotp(step);
+    return RecoveryCode.regenerate(user.id);
+  }
+
+  /**
+   * Check a second factor: either a code from the authenticator app or one
+   * of the recovery codes. Each code is accepted only once.
+   */
+  static verify(user, { code, recoveryCode } = {}) {
+    if (!this.isEnabled(user)) {
+      return false;
+    }
+
+    if (code) {
+      const step = totp.verifyCode(user.totp_secret, code);
+      return step !== null && user.recordTotpStep(step);
+    }
+
+    if (recoveryCode) {
+      return RecoveryCode.consume(user.id, recoveryCode);
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace user's recovery codes, returning the new ones
+   */
+  static regenerateRecoveryCodes(user) {
+    return RecoveryCode.regenerate(user.id);
+  }
+
+  /**
+   * Turn two-factor authentication off and drop the recovery codes
+   */
+  static disable(user) {
+    user.disableTotp();
+    RecoveryCode.deleteForUser(user.id);
+  }
+}
+
+module.exports = TwoFactor;
@@ -0,0 +1,238 @@
+const path = require('path');
+const dbManager = require('../config/database');
+const Media = require('../models/Media');
+const Storage = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_GRACE_HOURS = 7 * 24;
+const DEFAULT_QUARANTINE_HOURS = 7 * 24;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+// Quarantined files wait under this prefix, one folder per run named after its start time (epoch ms)
+const QUARANTINE_PREFIX = '.quarantine/';
+
+// Upload file names referenced from article HTML, Markdown or thumbnail URLs
+const UPLOAD_URL_PATTERN = /\/uploads\/([A-Za-z0-9._-]+)/g;
+
+const hoursFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+class UploadCleanup {
+  /**
+   * Settings for a run, from options or the UPLOAD_GC_* environment variables.
+   * Files are read from the configured storage adapter unless options.storage is given.
+   */
+  static getOptions(options = {}) {
+    return {
+      storage: options.storage || Storage.getAdapter(),
+      graceHours: options.graceHours ?? hoursFromEnv('UPLOAD_GC_GRACE_HOURS', DEFAULT_GRACE_HOURS),
+      quarantineHours: options.quarantineHours ?? hoursFromEnv('UPLOAD_GC_QUARANTINE_HOURS', DEFAULT_QUARANTINE_HOURS)
+    };
+  }
+
+  /**
+   * Uploads are grouped by the file they were generated from, so a reference to any
+   * variant (<base>-640w.webp) or the original keeps the whole group, manifest included.
+   */
+  static groupKey(filename) {
+    return path.parse(filename).name.replace(/-\d+w$/, '');
+  }
+
+  /**
+   * Group keys of every upload referenced by an article's thumbnail or content.
+   * Articles in the trash count too, so restoring one finds its files in place.
+   * Revisions are not scanned: restoring an old revision within the quarantine
+   * period brings its files back instead (see restoreReferenced).
+   */
+  static collectReferences() {
+    const db = dbManager.getDatabase();
+    const referenced = new Set();
+
+    const rows = db.prepare('SELECT thumbnail_url, content, content_html FROM articles').all();
+    for (const row of rows) {
+      for (const text of [row.thumbnail_url, row.content, row.content_html]) {
+        for (const match of String(text || '').matchAll(UPLOAD_URL_PATTERN)) {
+          referenced.add(UploadCleanup.groupKey(match[1]));
+        }
+      }
+    }
+
+    return referenced;
+  }
+
+  /**
+   * Unreferenced upload files whose group was last modified before the grace period.
+   * Returns [{ filename, size, modified_at }], oldest first.
+   */
+  static async findOrphans(options = {}) {
+    const { storage, graceHours } = UploadCleanup.getOptions(options);
+    const now = options.now || new Date();
+    const referenced = options.referenced || UploadCleanup.collectReferences();
+    const cutoff = now.getTime() - graceHours * HOUR_MS;
+
+    const groups = new Map();
+    for (const file of await storage.list()) {
+      // Skip the quarantine folder and dotfiles such as .gitkeep
+      if (file.key.includes('/') || file.key.startsWith('.')) {
+        continue;
+      }
+
+      const key = UploadCleanup.groupKey(file.key);
+      if (referenced.has(key)) {
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ filename: file.key, size: file.size, modified_at: new Date(file.modified_at) });
+    }
+
+    // A group is only as old as its newest file, so half-processed uploads are left alone
+    const orphans = [...groups.values()]
+      .filter(files => files.every(file => file.modified_at.getTime() < cutoff))
+      .flat();
+
+    return orphans
+      .sort((a, b) => a.modified_at - b.modified_at || a.filename.localeCompare(b.filename))
+      .map(file => ({ ...file, modified_at: file.modified_at.toISOString() }));
+  }
+
+  /**
+   * Find orphaned uploads and, when dryRun is false, move them to quarantine. Each run also
+   * moves quarantined files that articles reference again back into place, and
+   * permanently deletes quarantined files older than the quarantine period.
+   */
+  static async run(options = {}) {
+    const { storage, graceHours, quarantineHours } = UploadCleanup.getOptions(options);
+    const now = options.now || new Date();
+    const dryRun = options.dryRun !== false;
+    const referenced = UploadCleanup.collectReferences();
+
+    const orphans = await UploadCleanup.findOrphans({ storage, graceHours, now, referenced });
+    const result = {
+      dry_run: dryRun,
+      grace_hours: graceHours,
+      quarantine_hours: quarantineHours,
+      orphans,
+      orphan_bytes: orphans.reduce((total, file) => total + file.size, 0),
+      quarantined: 0,
+      restored: [],
+      purged: 0
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    result.restored = await UploadCleanup.restoreReferenced(storage, referenced);
+
+    const runPrefix = `${QUARANTINE_PREFIX}${now.getTime()}/`;
+    for (const file of orphans) {
+      await storage.move(file.filename, `${runPrefix}${file.filename}`);
+      // The file leaves the media library along with the uploads
+      const media = Media.findByFilename(file.filename);
+      if (media) {
+        Media.delete(media.id);
+      }
+    }
+    result.quarantined = orphans.length;
+
+    result.purged = await UploadCleanup.purgeQuarantine(storage, now.getTime() - quarantineHours * HOUR_MS);
+
+    return result;
+  }
+
+  /**
+   * Move quarantined files that are referenced again back into place.
+   * Returns their filenames.
+   */
+  static async restoreReferenced(storage, referenced) {
+    const restored = [];
+
+    for (const file of await UploadCleanup.quarantinedFiles(storage)) {
+      if (referenced.has(UploadCleanup.groupKey(file.filename)) && !(await storage.exists(file.filename))) {
+        await storage.move(file.key, file.filename);
+        restored.push(file.filename);
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Delete quarantined files from runs started before `before` (epoch ms). Returns the number deleted.
+   */
+  static async purgeQuarantine(storage, before) {
+    let purged = 0;
+
+    for (const file of await UploadCleanup.quarantinedFiles(storage)) {
+      if (file.startedAt < before) {
+        await storage.delete(file.key);
+        purged++;
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Files in quarantine as [{ key, filename, startedAt }]
+   */
+  static async quarantinedFiles(storage) {
+    const files = [];
+
+    for (const file of await storage.list(QUARANTINE_PREFIX)) {
+      const match = file.key.slice(QUARANTINE_PREFIX.length).match(/^(\d+)\/([^/]+)$/);
+      if (match) {
+        files.push({ key: file.key, filename: match[2], startedAt: parseInt(match[1]) });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Run the cleanup in the background every UPLOAD_GC_INTERVAL_HOURS, quarantining
+   * orphans for real. Off unless UPLOAD_GC_ENABLED is 'true'.
+   */
+  static start(options = {}) {
+    if (this.timer || (!options.force && process.env.UPLOAD_GC_ENABLED !== 'true')) {
+      return;
+    }
+
+    const intervalMs = options.intervalMs
+      || hoursFromEnv('UPLOAD_GC_INTERVAL_HOURS', DEFAULT_INTERVAL_HOURS) * HOUR_MS;
+
+    const tick = async () => {
+      try {
+        const result = await UploadCleanup.run({ dryRun: false });
+        if (result.quarantined > 0 || result.purged > 0 || result.restored.length > 0) {
+          console.log(`🧹 Upload cleanup: quarantined ${result.quarantined}, restored ${result.restored.length}, purged ${result.purged} file(s)`);
+        }
+      } catch (error) {
+        console.error('Error cleaning up uploads:', error);
+      }
+    };
+
+    this.timer = setInterval(tick, intervalMs);
+    // Never keep the process alive just for the cleanup
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background cleanup
+   */
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+UploadCleanup.timer = null;
+
+module.exports = UploadCleanup;
@@ -1,6 +1,6 @@
 const request = require('supertest');
 const express = require('express');
-const { authenticate, authorize, optionalAuth, loginRateLimit } = require('../../middleware/auth');
+const { authenticate, authorize, requirePermission, optionalAuth, loginRateLimit } = require('../../middleware/auth');
 const jwtUtils = require('../../utils/jwt');
 const User = require('../../models/User');
 
@@ -188,6 +188,42 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('requirePermission middleware', () => {
+    const withRole = (role) => {
+      app.use((req, res, next) => {
+        req.user = { id: 1, username: 'testuser', role };
+        next();
+      });
+    };
+
+    it('should allow roles that hold the permission', async () => {
+      withRole('editor');
+      app.post('/categories', requirePermission('categories.manage'), (req, res) => {
+        res.json({ success: true });
+      });
+
+      const response = await request(app).post('/categories');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should deny roles that lack the permission', async () => {
+      withRole('viewer');
+      app.post('/categories', requirePermission('categories.manage'), (req, res) => {
+        res.json({ success: true });
+      });
+
+      const response = await request(app).post('/categories');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should reject unknown permissions', () => {
+      expect(() => requirePermission('articles.unknown')).toThrow('Unknown permission: articles.unknown');
+    });
+  });
+
   describe('optionalAuth middleware', () => {
     beforeEach(() => {
       app.get('/optional-auth', optionalAuth, (req, res) => {
@@ -0,0 +1,24 @@
+const { xssProtection } = require('../../middleware/sanitization');
+
+describe('Sanitization Middleware', () => {
+  const run = (body) => {
+    const req = { body, query: {}, params: {} };
+    const next = jest.fn();
+    xssProtection(req, {}, next);
+    expect(next).toHaveBeenCalled();
+    return req;
+  };
+
+  test('should filter request strings', () => {
+    const req = run({ title: '<script>alert(1)</script>Title' });
+
+    expect(req.body.title).toBe('Title');
+  });
+
+  test('should leave article content to the content sanitizer', () => {
+    const content = '<p class="ql-align-center">Rich <iframe src="https://www.youtube.com/embed/abc"></iframe></p>';
+    const req = run({ title: 'Post', content });
+
+    expect(req.body.content).toBe(content);
+  });
+});
@@ -1,5 +1,11 @@
-const { upload, handleUploadError } = require('../../middleware/upload');
+const { upload, handleUploadError, serveUploads } = require('../../middleware/upload');
 const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Storage = require('../../services/storage');
 
 describe('Upload Middleware', () => {
   describe('File Filter', () => {
@@ -175,4 +181,41 @@ describe('Upload Middleware', () => {
       expect(mockRes.json).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('serveUploads', () => {
+    let dir;
+    let app;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-uploads-'));
+      const storage = Storage.createAdapter('local', { dir });
+      Storage.registerDriver('served', () => storage);
+      process.env.STORAGE_DRIVER = 'served';
+
+      await storage.put('photo.webp', Buffer.from('webp data'));
+      await storage.put('.quarantine/1/old.png', Buffer.from('old'));
+
+      app = express();
+      app.use('/uploads', serveUploads);
+    });
+
+    afterEach(() => {
+      delete process.env.STORAGE_DRIVER;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should stream files from the storage adapter', async () => {
+      const response = await request(app).get('/uploads/photo.webp').expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+      expect(response.headers['content-length']).toBe('9');
+      expect(response.body.toString()).toBe('webp data');
+    });
+
+    it('should fall through for missing files and the quarantine folder', async () => {
+      await request(app).get('/uploads/missing.png').expect(404);
+      await request(app).get('/uploads/.quarantine/1/old.png').expect(404);
+      await request(app).get('/uploads/%E0%A4%A').expect(404);
+    });
+  });
+});
@@ -1,7 +1,11 @@
 const Article = require('../../models/Article');
+const ArticleRevision = require('../../models/ArticleRevision');
+const Tag = require('../../models/Tag');
 const User = require('../../models/User');
 const Category = require('../../models/Category');
 const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
 
 describe('Article Model', () => {
   let testUser;
@@ -58,6 +62,17 @@ describe('Article Model', () => {
         FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
       )
     `);
+
+    // Create full-text search index and sync triggers
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/008_create_articles_fts.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/009_create_article_revisions_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/010_add_article_publish_at.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/011_create_tags_tables.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/012_add_category_parent_id.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/017_add_article_content_format.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/020_add_article_seo_fields.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/021_create_slug_redirects_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/022_add_soft_delete.sql'), 'utf8'));
     
     // Create test user
     testUser = await User.create({
@@ -96,6 +111,7 @@ describe('Article Model', () => {
     // Clean up articles before each test
     const db = dbManager.getDatabase();
     db.prepare('DELETE FROM articles WHERE author_id = ?').run(testUser.id);
+    db.prepare('DELETE FROM slug_redirects').run();
   });
 
   describe('generateSlug', () => {
@@ -117,10 +133,18 @@ describe('Article Model', () => {
       expect(slug).toBe('article-with-multiple-spaces');
     });
 
-    test('should handle empty title', () => {
-      const title = '';
-      const slug = Article.generateSlug(title);
-      expect(slug).toBe('');
+    test('should fall back for titles without letters or digits', () => {
+      expect(Article.generateSlug('')).toBe('article');
+      expect(Article.generateSlug('🚀 🎉')).toBe('article');
+    });
+
+    test('should write Chinese titles in pinyin', () => {
+      expect(Article.generateSlug('深度学习入门')).toBe('shen-du-xue-xi-ru-men');
+      expect(Article.generateSlug('GPT-4o 模型评测')).toBe('gpt-4o-mo-xing-ping-ce');
+    });
+
+    test('should not use reserved words as they are', () => {
+      expect(Article.generateSlug('New')).toBe('new-article');
     });
   });
 
@@ -351,6 +375,29 @@ describe('Article Model', () => {
       expect(articles.every(a => a.category_id === testCategory.id)).toBe(true);
     });
 
+    test('should include descendant categories when requested', async () => {
+      const db = dbManager.getDatabase();
+      const childId = db.prepare(`
+        INSERT INTO categories (name, slug, parent_id) VALUES (?, ?, ?)
+      `).run('Child Category', 'child-category', testCategory.id).lastInsertRowid;
+      const nested = await Article.create({
+        title: 'Nested Article',
+        content: 'Nested content',
+        category_id: childId,
+        author_id: testUser.id
+      });
+
+      const direct = Article.findAll({ category_id: testCategory.id });
+      const withDescendants = Article.findAll({ category_id: testCategory.id, include_descendants: true });
+
+      expect(direct.map(a => a.id)).not.toContain(nested.id);
+      expect(withDescendants.map(a => a.id)).toContain(nested.id);
+      expect(Article.count({ category_id: testCategory.id, include_descendants: true })).toBe(direct.length + 1);
+
+      db.prepare('DELETE FROM articles WHERE id = ?').run(nested.id);
+      db.prepare('DELETE FROM categories WHERE id = ?').run(childId);
+    });
+
     test('should apply pagination', () => {
       const articles = Article.findAll({ limit: 1, offset: 0 });
       expect(articles.length).toBe(1);
@@ -370,6 +417,70 @@ describe('Article Model', () => {
     });
   });
 
+  describe('search', () => {
+    beforeEach(async () => {
+      await Article.create({
+        title: 'Deep Reinforcement Learning',
+        content: '<p>Policy <strong>gradients</strong> and Q-learning for game agents</p>',
+        excerpt: 'Training agents with rewards',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published'
+      });
+
+      await Article.create({
+        title: 'Neural Network Basics',
+        content: '<p>Backpropagation explained for deep nets</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'draft'
+      });
+    });
+
+    test('should build FTS queries with phrases and prefixes', () => {
+      expect(Article.buildSearchQuery('deep learn')).toBe('"deep"* AND "learn"*');
+      expect(Article.buildSearchQuery('"policy gradients" q')).toBe('"policy gradients" AND "q"*');
+      expect(Article.buildSearchQuery('AND "" ()')).toBeNull();
+    });
+
+    test('should rank title matches above content matches', () => {
+      const results = Article.search('deep');
+
+      expect(results).toHaveLength(2);
+      expect(results[0].title).toBe('Deep Reinforcement Learning');
+      expect(results[0].search.title).toBe('<mark>Deep</mark> Reinforcement Learning');
+      expect(results[1].search.snippet).toContain('<mark>deep</mark>');
+    });
+
+    test('should index HTML-stripped content', () => {
+      const results = Article.search('"policy gradients"');
+
+      expect(results).toHaveLength(1);
+      expect(results[0].search.snippet).not.toContain('<strong>');
+    });
+
+    test('should support prefix matching', () => {
+      expect(Article.search('backprop')).toHaveLength(1);
+    });
+
+    test('should combine search with filters', () => {
+      expect(Article.search('deep', { status: 'draft' })).toHaveLength(1);
+      expect(Article.count({ search: 'deep', status: 'published' })).toBe(1);
+      expect(Article.findAll({ search: 'agents' })).toHaveLength(1);
+    });
+
+    test('should keep the index in sync on update and delete', async () => {
+      const article = Article.findBySlug('neural-network-basics');
+      await article.update({ title: 'Convolution Basics' });
+
+      expect(Article.search('neural')).toHaveLength(0);
+      expect(Article.search('convolution')).toHaveLength(1);
+
+      Article.delete(article.id);
+      expect(Article.search('convolution')).toHaveLength(0);
+    });
+  });
+
   describe('update', () => {
     test('should update article fields', async () => {
       const article = await Article.create({
@@ -389,7 +500,8 @@ describe('Article Model', () => {
       expect(updatedArticle.title).toBe('Updated Title');
       expect(updatedArticle.content).toBe('Updated content');
       expect(updatedArticle.status).toBe('published');
-      expect(updatedArticle.slug).toBe('updated-title');
+      // Renaming keeps the slug unless a new one is asked for
+      expect(updatedArticle.slug).toBe('original-title');
       expect(updatedArticle.published_at).toBeDefined();
     });
 
@@ -422,10 +534,43 @@ describe('Article Model', () => {
         'Article not found'
       );
     });
+
+    test('should record revisions for content changes', async () => {
+      const article = await Article.create({
+        title: 'Revisioned',
+        content: '<p>First draft</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ content: '<p>Second draft</p>' });
+      await article.update({ title: 'Revisioned Again' });
+
+      const revisions = ArticleRevision.findByArticle(article.id);
+      expect(revisions.map(r => r.revision_number)).toEqual([3, 2, 1]);
+      expect(revisions[2].title).toBe('Revisioned');
+      expect(revisions[0].title).toBe('Revisioned Again');
+      expect(revisions[0].author.username).toBe(testUser.username);
+      expect(ArticleRevision.findByNumber(article.id, 1).content).toBe('<p>First draft</p>');
+    });
+
+    test('should not record revisions for status-only changes', async () => {
+      const article = await Article.create({
+        title: 'Status Only',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ status: 'published' });
+      await article.update({ title: 'Status Only' });
+
+      expect(ArticleRevision.count(article.id)).toBe(0);
+    });
   });
 
   describe('delete', () => {
-    test('should delete article', async () => {
+    test('should move the article to the trash', async () => {
       const article = await Article.create({
         title: 'To Delete',
         content: 'Delete content',
@@ -438,6 +583,8 @@ describe('Article Model', () => {
 
       const foundArticle = Article.findById(article.id);
       expect(foundArticle).toBeNull();
+      expect(Article.findById(article.id, true, { withDeleted: true }).deleted_at).toBeTruthy();
+      expect(Article.delete(article.id)).toBe(false);
     });
 
     test('should return false for non-existent article', () => {
@@ -446,6 +593,179 @@ describe('Article Model', () => {
     });
   });
 
+  describe('trash', () => {
+    let kept;
+    let trashed;
+
+    beforeEach(async () => {
+      kept = await Article.create({
+        title: 'Kept Article',
+        content: 'Trash content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published'
+      });
+      trashed = await Article.create({
+        title: 'Trashed Article',
+        content: 'Trash content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published'
+      });
+      Article.delete(trashed.id);
+    });
+
+    test('should leave trashed articles out of lookups, lists, search and counts', () => {
+      expect(Article.findBySlug('trashed-article')).toBeNull();
+      expect(Article.findAll({ author_id: testUser.id }).map(a => a.id)).toEqual([kept.id]);
+      expect(Article.search('trash', { author_id: testUser.id }).map(a => a.id)).toEqual([kept.id]);
+      expect(Article.count({ author_id: testUser.id })).toBe(1);
+    });
+
+    test('should list only trashed articles when asked', () => {
+      expect(Article.findAll({ author_id: testUser.id, deleted: true }).map(a => a.id)).toEqual([trashed.id]);
+      expect(Article.count({ author_id: testUser.id, deleted: true })).toBe(1);
+    });
+
+    test('should keep the slug of a trashed article taken', async () => {
+      const article = await Article.create({
+        title: 'Trashed Article',
+        content: 'Trash content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.slug).toBe('trashed-article-1');
+    });
+
+    test('should not update trashed articles', async () => {
+      await expect(trashed.update({ title: 'Changed' })).rejects.toThrow('Article not found');
+    });
+
+    test('should restore an article with its category', () => {
+      const db = dbManager.getDatabase();
+      db.prepare("UPDATE categories SET deleted_at = datetime('now') WHERE id = ?").run(testCategory.id);
+
+      try {
+        expect(Article.restore(trashed.id)).toBe(true);
+        expect(Article.findById(trashed.id).deleted_at).toBeNull();
+        expect(db.prepare('SELECT deleted_at FROM categories WHERE id = ?').get(testCategory.id).deleted_at).toBeNull();
+        expect(Article.restore(kept.id)).toBe(false);
+      } finally {
+        db.prepare('UPDATE categories SET deleted_at = NULL WHERE id = ?').run(testCategory.id);
+      }
+    });
+
+    test('should only purge trashed articles', () => {
+      expect(Article.purge(kept.id)).toBe(false);
+      expect(Article.purge(trashed.id)).toBe(true);
+      expect(Article.findById(trashed.id, true, { withDeleted: true })).toBeNull();
+    });
+
+    test('should purge articles trashed before the cutoff', () => {
+      const db = dbManager.getDatabase();
+      db.prepare("UPDATE articles SET deleted_at = '2024-01-01 00:00:00' WHERE id = ?").run(trashed.id);
+
+      expect(Article.purgeDeletedBefore('2023-12-01 00:00:00')).toEqual([]);
+      expect(Article.purgeDeletedBefore('2024-02-01 00:00:00')).toEqual([trashed.id]);
+      expect(Article.findById(kept.id)).not.toBeNull();
+    });
+
+    test('should not publish trashed scheduled articles', async () => {
+      const scheduled = await Article.create({
+        title: 'Scheduled Trash',
+        content: 'Trash content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+      Article.delete(scheduled.id);
+
+      expect(Article.publishDueScheduled(new Date(Date.now() + 120 * 1000))).toEqual([]);
+    });
+  });
+
+  describe('slug history', () => {
+    test('should regenerate the slug only when asked and redirect the old one', async () => {
+      const article = await Article.create({
+        title: 'First Name',
+        content: 'Slug content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ title: 'Second Name' });
+      expect(article.slug).toBe('first-name');
+      expect(Article.findByOldSlug('first-name')).toBeNull();
+
+      await article.update({ regenerate_slug: true });
+      expect(article.slug).toBe('second-name');
+      expect(Article.findByOldSlug('first-name').id).toBe(article.id);
+
+      await article.update({ title: 'Third Name', regenerate_slug: true });
+      expect(article.slug).toBe('third-name');
+      // Every earlier slug leads to the current one
+      expect(Article.findByOldSlug('first-name').slug).toBe('third-name');
+      expect(Article.findByOldSlug('second-name').slug).toBe('third-name');
+    });
+
+    test('should stop redirecting a slug that is taken back', async () => {
+      const article = await Article.create({
+        title: 'Going Back',
+        content: 'Slug content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ title: 'Going Forward', regenerate_slug: true });
+      await article.update({ title: 'Going Back', regenerate_slug: true });
+
+      expect(article.slug).toBe('going-back');
+      expect(Article.findByOldSlug('going-back')).toBeNull();
+      expect(Article.findByOldSlug('going-forward').id).toBe(article.id);
+    });
+
+    test('should redirect a slug to the article that gave it up last', async () => {
+      const first = await Article.create({
+        title: 'Shared Name',
+        content: 'Slug content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      await first.update({ title: 'First Renamed', regenerate_slug: true });
+
+      const second = await Article.create({
+        title: 'Shared Name',
+        content: 'Slug content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      expect(second.slug).toBe('shared-name');
+      expect(Article.findBySlug('shared-name').id).toBe(second.id);
+
+      await second.update({ title: 'Second Renamed', regenerate_slug: true });
+      expect(Article.findByOldSlug('shared-name').id).toBe(second.id);
+    });
+
+    test('should forget the old slugs of purged articles', async () => {
+      const article = await Article.create({
+        title: 'Short Lived',
+        content: 'Slug content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      await article.update({ title: 'Renamed Short Lived', regenerate_slug: true });
+
+      Article.delete(article.id);
+      expect(Article.findByOldSlug('short-lived')).toBeNull();
+
+      Article.purge(article.id);
+      const db = dbManager.getDatabase();
+      expect(db.prepare('SELECT COUNT(*) as count FROM slug_redirects').get().count).toBe(0);
+    });
+  });
+
   describe('count', () => {
     beforeEach(async () => {
       await Article.create({
@@ -511,6 +831,334 @@ describe('Article Model', () => {
     });
   });
 
+  describe('scheduling', () => {
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    test('should store publish_at only for scheduled articles', async () => {
+      const publishAt = inOneHour();
+      const scheduled = await Article.create({
+        title: 'Scheduled Post',
+        content: 'Coming soon',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: publishAt
+      });
+      const draft = await Article.create({
+        title: 'Draft With Date',
+        content: 'Not scheduled',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'draft',
+        publish_at: publishAt
+      });
+
+      expect(scheduled.status).toBe('scheduled');
+      expect(scheduled.publish_at).toBe(publishAt);
+      expect(scheduled.published_at).toBeNull();
+      expect(draft.publish_at).toBeNull();
+    });
+
+    test('should clear publish_at when unscheduled', async () => {
+      const article = await Article.create({
+        title: 'Unschedule Me',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: inOneHour()
+      });
+
+      await article.update({ status: 'draft' });
+
+      expect(article.status).toBe('draft');
+      expect(article.publish_at).toBeNull();
+    });
+
+    test('should publish due articles with their scheduled time', async () => {
+      const db = dbManager.getDatabase();
+      const due = await Article.create({
+        title: 'Due Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: inOneHour()
+      });
+      const later = await Article.create({
+        title: 'Later Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString()
+      });
+
+      // Pretend the server was down when the first article came due
+      const missedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      db.prepare('UPDATE articles SET publish_at = ? WHERE id = ?').run(missedAt, due.id);
+
+      const publishedIds = Article.publishDueScheduled();
+
+      expect(publishedIds).toEqual([due.id]);
+      const published = Article.findById(due.id);
+      expect(published.status).toBe('published');
+      expect(published.published_at).toBe(missedAt);
+      expect(published.publish_at).toBeNull();
+      expect(Article.findById(later.id).status).toBe('scheduled');
+    });
+
+    test('should validate the publish date', () => {
+      expect(Article.validateSchedule('scheduled', null)).toContain('Publish date is required for scheduled articles');
+      expect(Article.validateSchedule('scheduled', 'not a date')).toContain('Publish date must be a valid date');
+      expect(Article.validateSchedule('scheduled', '2000-01-01T00:00:00Z')).toContain('Publish date must be in the future');
+      expect(Article.validateSchedule('scheduled', inOneHour())).toEqual([]);
+      expect(Article.validateSchedule('draft', undefined)).toEqual([]);
+    });
+  });
+
+  describe('tags', () => {
+    let news;
+    let guides;
+
+    beforeEach(() => {
+      const db = dbManager.getDatabase();
+      db.prepare('DELETE FROM tags').run();
+      news = Tag.create({ name: 'News', slug: 'news' });
+      guides = Tag.create({ name: 'Guides', slug: 'guides' });
+    });
+
+    test('should create an article with tags', async () => {
+      const article = await Article.create({
+        title: 'Tagged Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [news.id, guides.id]
+      });
+
+      expect(article.tags.map(t => t.slug)).toEqual(['guides', 'news']);
+    });
+
+    test('should replace tags on update', async () => {
+      const article = await Article.create({
+        title: 'Retag Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [news.id]
+      });
+
+      await article.update({ tag_ids: [guides.id] });
+
+      expect(Article.findById(article.id).tags).toEqual([{ id: guides.id, name: 'Guides', slug: 'guides' }]);
+    });
+
+    test('should reject unknown tag ids without saving the article', async () => {
+      await expect(Article.create({
+        title: 'Bad Tags',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [99999]
+      })).rejects.toThrow('Invalid tag_ids');
+
+      expect(Article.findBySlug('bad-tags')).toBeNull();
+    });
+
+    test('should filter and count by tag', async () => {
+      const tagged = await Article.create({
+        title: 'News Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [news.id]
+      });
+      await Article.create({
+        title: 'Untagged Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(Article.findAll({ tag: 'news' }).map(a => a.id)).toEqual([tagged.id]);
+      expect(Article.findAll({ tag_id: news.id }).map(a => a.id)).toEqual([tagged.id]);
+      expect(Article.count({ tag: 'news' })).toBe(1);
+      expect(Article.count({ tag_id: guides.id })).toBe(0);
+    });
+
+    test('should detach deleted tags from articles', async () => {
+      const article = await Article.create({
+        title: 'Detach Post',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [news.id, guides.id]
+      });
+
+      Tag.delete(news.id);
+
+      expect(Article.findById(article.id).tags.map(t => t.slug)).toEqual(['guides']);
+    });
+  });
+
+  describe('markdown content', () => {
+    test('should cache rendered HTML for Markdown articles', async () => {
+      const article = await Article.create({
+        title: 'Markdown Post',
+        content: '## Loss\n\nMinimise $L(\\theta)$ with `sgd`.',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content_format).toBe('markdown');
+      expect(article.content).toBe('## Loss\n\nMinimise $L(\\theta)$ with `sgd`.');
+      expect(article.content_html).toContain('<h2>Loss</h2>');
+      expect(article.content_html).toContain('class="katex"');
+      expect(article.getHtml()).toBe(article.content_html);
+    });
+
+    test('should leave HTML articles uncached', async () => {
+      const article = await Article.create({
+        title: 'HTML Post',
+        content: '<p>Rich text</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content_format).toBe('html');
+      expect(article.content_html).toBeNull();
+      expect(article.getHtml()).toBe('<p>Rich text</p>');
+    });
+
+    test('should re-render when the content or format changes', async () => {
+      const article = await Article.create({
+        title: 'Switching Post',
+        content: '# First',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ content: '# Second' });
+      expect(article.content_html).toContain('<h1>Second</h1>');
+
+      await article.update({ content: '<p>Now HTML</p>', content_format: 'html' });
+      expect(article.content_html).toBeNull();
+      expect(article.getHtml()).toBe('<p>Now HTML</p>');
+    });
+
+    test('should restore the format along with a revision', async () => {
+      const article = await Article.create({
+        title: 'Revisioned Markdown',
+        content: '*draft*',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ content: '<p>Rewritten</p>', content_format: 'html' });
+      const first = ArticleRevision.findByNumber(article.id, 1);
+      expect(first.content_format).toBe('markdown');
+
+      await article.update(first.toUpdateData());
+      expect(article.content_format).toBe('markdown');
+      expect(article.content_html).toContain('<em>draft</em>');
+    });
+
+    test('should reject unknown formats', () => {
+      const errors = Article.validateArticleData({
+        title: 'Title',
+        content: 'Content',
+        content_format: 'rtf',
+        category_id: 1,
+        author_id: 1
+      });
+
+      expect(errors).toContain('Content format must be one of: html, markdown');
+    });
+  });
+
+  describe('content sanitization', () => {
+    test('should sanitize HTML content and report what was removed', async () => {
+      const article = await Article.create({
+        title: 'Unsafe Post',
+        content: '<p onclick="steal()">Safe text</p><script>alert(1)</script>',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content).toBe('<p>Safe text</p>');
+      expect(article.content_warnings).toEqual([
+        'Removed onclick attribute from <p>',
+        'Removed <script> element'
+      ]);
+      expect(Article.findById(article.id).content).toBe('<p>Safe text</p>');
+    });
+
+    test('should not record a revision when sanitizing leaves the content unchanged', async () => {
+      const article = await Article.create({
+        title: 'Stable Post',
+        content: '<p>Stable</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await article.update({ content: '<p>Stable</p><script>alert(1)</script>', excerpt: 'New excerpt' });
+
+      expect(article.content).toBe('<p>Stable</p>');
+      expect(article.content_warnings).toEqual(['Removed <script> element']);
+      expect(ArticleRevision.count(article.id)).toBe(2);
+      expect(ArticleRevision.findByNumber(article.id, 2).content).toBe('<p>Stable</p>');
+    });
+
+    test('should leave Markdown source to the renderer', async () => {
+      const article = await Article.create({
+        title: 'Markdown Source Post',
+        content: 'Compare `a < b` <script>alert(1)</script>',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content).toBe('Compare `a < b` <script>alert(1)</script>');
+      expect(article.content_warnings).toEqual([]);
+      expect(article.content_html).not.toContain('<script>');
+    });
+
+    test('should hold rendered Markdown to the image policy', async () => {
+      const article = await Article.create({
+        title: 'Markdown Image Post',
+        content: '![chart](/uploads/chart.png)\n\n![pixel](https://evil.example/track.png)',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content_warnings).toEqual(['Removed image from evil.example']);
+      expect(article.content_html).toContain('<img src="/uploads/chart.png" alt="chart">');
+      expect(article.content_html).not.toContain('evil.example');
+      expect(Article.findById(article.id).content_html).not.toContain('evil.example');
+    });
+
+    test('should keep the tables, code and math Markdown renders', async () => {
+      const article = await Article.create({
+        title: 'Markdown Math Post',
+        content: '| a | b |\n|:--|--:|\n| 1 | 2 |\n\n```js\nconst x = 1;\n```\n\n$$\n\\sqrt{\\frac{a}{b}}\n$$',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      expect(article.content_warnings).toEqual([]);
+      expect(article.content_html).toContain('<td style="text-align:right;">2</td>');
+      expect(article.content_html).toContain('<span class="hljs-keyword">const</span>');
+      expect(article.content_html).toContain('<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">');
+      expect(article.content_html).toContain('<svg');
+    });
+  });
+
   describe('archive', () => {
     test('should archive article', async () => {
       const article = await Article.create({
@@ -575,7 +1223,75 @@ describe('Article Model', () => {
       };
 
       const errors = Article.validateArticleData(invalidData);
-      expect(errors).toContain('Status must be one of: draft, published, archived');
+      expect(errors).toContain('Status must be one of: draft, scheduled, published, archived');
+    });
+
+    test('should validate SEO fields', () => {
+      const errors = Article.validateArticleData({
+        title: 'Valid Title',
+        content: 'Valid content',
+        category_id: 1,
+        author_id: 1,
+        meta_title: 'a'.repeat(121),
+        meta_description: 'a'.repeat(321),
+        canonical_url: '/articles/valid-title',
+        og_image: 'javascript:alert(1)',
+        noindex: 'sometimes'
+      });
+
+      expect(errors).toEqual([
+        'Meta title must be at most 120 characters',
+        'Meta description must be at most 320 characters',
+        'Canonical URL must be an absolute http(s) URL',
+        'Social image must be an http(s) URL or a path such as /uploads/image.jpg',
+        'noindex must be a boolean'
+      ]);
+    });
+
+    test('should accept valid SEO fields', () => {
+      const errors = Article.validateArticleData({
+        title: 'Valid Title',
+        content: 'Valid content',
+        category_id: 1,
+        author_id: 1,
+        meta_title: 'A search title',
+        meta_description: '',
+        canonical_url: 'https://example.org/original',
+        og_image: '/uploads/social.jpg',
+        noindex: false
+      });
+
+      expect(errors).toHaveLength(0);
+    });
+  });
+
+  describe('SEO fields', () => {
+    test('should store SEO fields on create and update', async () => {
+      const article = await Article.create({
+        title: 'SEO Article',
+        content: 'SEO content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        meta_title: '  Search Title  ',
+        meta_description: '',
+        noindex: true
+      });
+
+      expect(article.meta_title).toBe('Search Title');
+      expect(article.meta_description).toBeNull();
+      expect(article.canonical_url).toBeNull();
+      expect(article.noindex).toBe(true);
+
+      const updated = await article.update({
+        canonical_url: 'https://example.org/original',
+        og_image: '/uploads/social.jpg',
+        noindex: false
+      });
+
+      expect(updated.meta_title).toBe('Search Title');
+      expect(updated.canonical_url).toBe('https://example.org/original');
+      expect(updated.og_image).toBe('/uploads/social.jpg');
+      expect(updated.noindex).toBe(false);
     });
   });
 
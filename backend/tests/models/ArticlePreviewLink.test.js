@@ -0,0 +1,102 @@
+const jwt = require('jsonwebtoken');
+const ArticlePreviewLink = require('../../models/ArticlePreviewLink');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('ArticlePreviewLink Model', () => {
+  let userId;
+  let articleId;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/019_create_article_preview_links_table.sql'), 'utf8'));
+
+    userId = db.prepare("INSERT INTO users (username, email, password_hash) VALUES ('previewuser', 'preview@test.com', 'hash')")
+      .run().lastInsertRowid;
+    articleId = db.prepare("INSERT INTO articles (title, slug, content) VALUES ('Draft', 'draft', 'Text')")
+      .run().lastInsertRowid;
+  });
+
+  beforeEach(() => {
+    dbManager.getDatabase().prepare('DELETE FROM article_preview_links').run();
+  });
+
+  afterEach(() => {
+    delete process.env.PREVIEW_URL;
+  });
+
+  test('should give the same token every time a link is read', () => {
+    const link = ArticlePreviewLink.create(articleId, { createdBy: userId });
+
+    expect(ArticlePreviewLink.findById(link.id).token).toBe(link.token);
+    expect(link.creator).toEqual({ id: userId, username: 'previewuser' });
+    expect(link).not.toHaveProperty('token_id');
+  });
+
+  test('should verify tokens and record the visit', () => {
+    const link = ArticlePreviewLink.create(articleId);
+
+    expect(ArticlePreviewLink.verify(link.token).article_id).toBe(articleId);
+    expect(ArticlePreviewLink.findById(link.id).last_viewed_at).not.toBeNull();
+  });
+
+  test('should reject revoked, expired and forged tokens', () => {
+    const revoked = ArticlePreviewLink.create(articleId);
+    ArticlePreviewLink.revoke(revoked.id);
+    expect(() => ArticlePreviewLink.verify(revoked.token)).toThrow('Invalid preview link');
+
+    const expired = ArticlePreviewLink.create(articleId, { ttlHours: -1 });
+    expect(() => ArticlePreviewLink.verify(expired.token)).toThrow('Preview link has expired');
+
+    // Signed with another secret, or an access token presented as a preview token
+    const payload = jwt.decode(ArticlePreviewLink.create(articleId).token);
+    expect(() => ArticlePreviewLink.verify(jwt.sign(payload, 'other-secret'))).toThrow('Invalid preview link');
+    expect(() => ArticlePreviewLink.verify(jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+      issuer: 'blog-admin-api',
+      audience: 'blog-admin-client'
+    }))).toThrow('Invalid preview link');
+  });
+
+  test('should only list links that still work', () => {
+    const active = ArticlePreviewLink.create(articleId);
+    ArticlePreviewLink.create(articleId, { ttlHours: -1 });
+    ArticlePreviewLink.revoke(ArticlePreviewLink.create(articleId).id);
+
+    expect(ArticlePreviewLink.findActiveByArticle(articleId).map(link => link.id)).toEqual([active.id]);
+    expect(() => ArticlePreviewLink.revoke(999999)).toThrow('Preview link not found');
+  });
+
+  test('should point links at PREVIEW_URL when set', () => {
+    process.env.PREVIEW_URL = 'https://blog.example.com/preview/';
+
+    const link = ArticlePreviewLink.create(articleId);
+
+    expect(link.url).toBe(`https://blog.example.com/preview/${link.token}`);
+  });
+});
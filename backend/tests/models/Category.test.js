@@ -17,6 +17,7 @@ describe('Category Model', () => {
     // Clean up tables in correct order to avoid foreign key constraints
     db.prepare('DELETE FROM articles').run();
     db.prepare('DELETE FROM categories').run();
+    db.prepare('DELETE FROM slug_redirects').run();
   });
 
   afterAll(() => {
@@ -168,6 +169,36 @@ describe('Category Model', () => {
         category.update(created2.id, { name: 'AI News', slug: 'ai-news-2' });
       }).toThrow('Category name or slug already exists');
     });
+
+    it('should keep the slug when none is given', () => {
+      const created = category.create({ name: 'AI News', slug: 'ai-news' });
+
+      const updated = category.update(created.id, { name: 'Artificial Intelligence News' });
+
+      expect(updated.slug).toBe('ai-news');
+      expect(category.findByOldSlug('ai-news')).toBeUndefined();
+    });
+
+    it('should redirect replaced slugs to the current one', () => {
+      const created = category.create({ name: 'AI News', slug: 'ai-news' });
+
+      category.update(created.id, { name: 'AI News', slug: 'ai-updates' });
+      category.update(created.id, { name: 'AI News', slug: 'ai-digest' });
+
+      expect(category.findByOldSlug('ai-news').slug).toBe('ai-digest');
+      expect(category.findByOldSlug('ai-updates').slug).toBe('ai-digest');
+      expect(category.findByOldSlug('ai-digest')).toBeUndefined();
+    });
+
+    it('should keep old slugs when the new one is taken', () => {
+      category.create({ name: 'ML News', slug: 'ml-news' });
+      const created = category.create({ name: 'AI News', slug: 'ai-news' });
+
+      expect(() => {
+        category.update(created.id, { name: 'AI News', slug: 'ml-news' });
+      }).toThrow('Category name or slug already exists');
+      expect(category.findByOldSlug('ai-news')).toBeUndefined();
+    });
   });
 
   describe('delete', () => {
@@ -186,6 +217,18 @@ describe('Category Model', () => {
       expect(found).toBeUndefined();
     });
 
+    it('should forget the old slugs of a purged category', () => {
+      const created = category.create({ name: 'AI News', slug: 'ai-news' });
+      category.update(created.id, { name: 'AI News', slug: 'ai-updates' });
+
+      category.delete(created.id);
+      expect(category.findByOldSlug('ai-news')).toBeUndefined();
+
+      category.purge(created.id);
+
+      expect(db.prepare('SELECT COUNT(*) as count FROM slug_redirects').get().count).toBe(0);
+    });
+
     it('should throw error for non-existent category', () => {
       expect(() => {
         category.delete(999);
@@ -213,6 +256,140 @@ describe('Category Model', () => {
     });
   });
 
+  describe('hierarchy', () => {
+    let parent;
+    let child;
+    let grandchild;
+
+    beforeEach(() => {
+      parent = category.create({ name: 'Machine Learning', slug: 'machine-learning' });
+      child = category.create({ name: 'Reinforcement Learning', slug: 'reinforcement-learning', parent_id: parent.id });
+      grandchild = category.create({ name: 'Q-Learning', slug: 'q-learning', parent_id: child.id });
+    });
+
+    it('should create a category under a parent', () => {
+      expect(child.parent_id).toBe(parent.id);
+      expect(parent.parent_id).toBeNull();
+    });
+
+    it('should reject a non-existent parent', () => {
+      expect(() => {
+        category.create({ name: 'Orphan', slug: 'orphan', parent_id: 99999 });
+      }).toThrow('Parent category not found');
+    });
+
+    it('should return descendant IDs', () => {
+      expect(category.getDescendantIds(parent.id).sort()).toEqual([parent.id, child.id, grandchild.id].sort());
+      expect(category.getDescendantIds(grandchild.id)).toEqual([grandchild.id]);
+    });
+
+    it('should build a nested tree', () => {
+      const tree = category.findTree();
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].id).toBe(parent.id);
+      expect(tree[0].children[0].id).toBe(child.id);
+      expect(tree[0].children[0].children[0].id).toBe(grandchild.id);
+      expect(tree[0].children[0].children[0].children).toEqual([]);
+    });
+
+    it('should keep the parent when parent_id is not provided', () => {
+      const updated = category.update(child.id, { name: 'RL', slug: 'rl' });
+      expect(updated.parent_id).toBe(parent.id);
+    });
+
+    it('should move a category to the top level', () => {
+      const updated = category.update(child.id, { name: 'RL', slug: 'rl', parent_id: null });
+      expect(updated.parent_id).toBeNull();
+    });
+
+    it('should prevent cycles', () => {
+      expect(() => {
+        category.update(parent.id, { name: parent.name, slug: parent.slug, parent_id: grandchild.id });
+      }).toThrow('Category cannot be nested under itself or one of its descendants');
+
+      expect(() => {
+        category.update(parent.id, { name: parent.name, slug: parent.slug, parent_id: parent.id });
+      }).toThrow('Category cannot be nested under itself or one of its descendants');
+    });
+
+    it('should prevent deletion of a category with subcategories', () => {
+      expect(() => {
+        category.delete(parent.id);
+      }).toThrow('Cannot delete category with subcategories');
+    });
+
+    it('should validate parent_id', () => {
+      const errors = Category.validate({ name: 'Test', slug: 'test', parent_id: NaN });
+      expect(errors).toContain('Parent category must be a valid ID');
+    });
+  });
+
+  describe('trash', () => {
+    let parent;
+    let child;
+
+    beforeEach(() => {
+      parent = category.create({ name: 'Machine Learning', slug: 'machine-learning' });
+      child = category.create({ name: 'Reinforcement Learning', slug: 'reinforcement-learning', parent_id: parent.id });
+    });
+
+    it('should leave trashed categories out of lookups and lists', () => {
+      category.delete(child.id);
+
+      expect(category.findBySlug('reinforcement-learning')).toBeUndefined();
+      expect(category.findAll().map(c => c.id)).toEqual([parent.id]);
+      expect(category.findAll({ deleted: true }).map(c => c.id)).toEqual([child.id]);
+      expect(category.findTree()[0].children).toEqual([]);
+      expect(category.count()).toBe(1);
+      expect(category.findById(child.id, { withDeleted: true }).deleted_at).toBeTruthy();
+    });
+
+    it('should delete a category whose articles and subcategories are all in the trash', () => {
+      db.prepare(`
+        INSERT INTO articles (title, slug, content, category_id, author_id, status, deleted_at)
+        VALUES ('Old Article', 'old-article', 'Content', ?, 1, 'draft', datetime('now'))
+      `).run(child.id);
+
+      category.delete(child.id);
+      expect(category.delete(parent.id).success).toBe(true);
+    });
+
+    it('should restore trashed parents along with a category', () => {
+      category.delete(child.id);
+      category.delete(parent.id);
+
+      const restored = category.restore(child.id);
+
+      expect(restored.deleted_at).toBeNull();
+      expect(category.findById(parent.id)).toBeDefined();
+      expect(() => category.restore(child.id)).toThrow('Category not found in trash');
+    });
+
+    it('should only purge categories in the trash that nothing belongs to', () => {
+      expect(() => category.purge(child.id)).toThrow('Category not found in trash');
+
+      category.delete(child.id);
+      category.delete(parent.id);
+      expect(() => category.purge(parent.id)).toThrow('Cannot purge category with subcategories');
+
+      category.purge(child.id);
+      category.purge(parent.id);
+      expect(category.findById(parent.id, { withDeleted: true })).toBeUndefined();
+    });
+
+    it('should purge whole trashed branches deleted before the cutoff', () => {
+      const other = category.create({ name: 'Robotics', slug: 'robotics' });
+      category.delete(child.id);
+      category.delete(parent.id);
+      category.delete(other.id);
+      db.prepare("UPDATE categories SET deleted_at = '2024-01-01 00:00:00' WHERE id IN (?, ?)").run(parent.id, child.id);
+
+      expect(category.purgeDeletedBefore('2024-02-01 00:00:00').sort()).toEqual([parent.id, child.id].sort());
+      expect(category.findAll({ deleted: true }).map(c => c.id)).toEqual([other.id]);
+    });
+  });
+
   describe('count', () => {
     it('should return correct count', () => {
       expect(category.count()).toBe(0);
@@ -233,10 +410,25 @@ describe('Category Model', () => {
     });
 
     it('should handle edge cases', () => {
-      expect(Category.generateSlug('')).toBe('');
+      expect(Category.generateSlug('')).toBe('category');
       expect(Category.generateSlug('123')).toBe('123');
       expect(Category.generateSlug('---test---')).toBe('test');
     });
+
+    it('should transliterate names in other scripts', () => {
+      expect(Category.generateSlug('机器学习')).toBe('ji-qi-xue-xi');
+      expect(Category.generateSlug('Künstliche Intelligenz')).toBe('kunstliche-intelligenz');
+      expect(Category.generateSlug('Tree')).toBe('tree-category');
+    });
+
+    it('should stay within the slug column', () => {
+      process.env.SLUG_MAX_LENGTH = '500';
+      try {
+        expect(Category.generateSlug('word '.repeat(40)).length).toBeLessThanOrEqual(100);
+      } finally {
+        delete process.env.SLUG_MAX_LENGTH;
+      }
+    });
   });
 
   describe('validate', () => {
@@ -0,0 +1,150 @@
+const Media = require('../../models/Media');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('Media Model', () => {
+  let uploaderId;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        content_html TEXT,
+        thumbnail_url VARCHAR(500),
+        status VARCHAR(20) DEFAULT 'draft',
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/018_create_media_table.sql'), 'utf8'));
+
+    uploaderId = db.prepare('INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)')
+      .run('uploader', 'uploader@test.com', 'hash').lastInsertRowid;
+  });
+
+  beforeEach(() => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM media').run();
+    db.prepare('DELETE FROM articles').run();
+  });
+
+  const createMedia = (overrides = {}) => Media.create({
+    filename: 'thumbnail-1-100.jpg',
+    original_name: 'beach.jpg',
+    mime_type: 'image/jpeg',
+    size: 2048,
+    width: 800,
+    height: 600,
+    blurhash: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj',
+    variants: [
+      { width: 320, height: 240, url: '/uploads/thumbnail-1-100-320w.webp', mime: 'image/webp', size: 300 },
+      { width: 800, height: 600, url: '/uploads/thumbnail-1-100.webp', mime: 'image/webp', size: 900 }
+    ],
+    uploaded_by: uploaderId,
+    ...overrides
+  });
+
+  const createArticle = (slug, fields) => {
+    const db = dbManager.getDatabase();
+    const { content = '<p>Text</p>', content_html = null, thumbnail_url = null } = fields;
+    return db.prepare('INSERT INTO articles (title, slug, content, content_html, thumbnail_url) VALUES (?, ?, ?, ?, ?)')
+      .run(slug, slug, content, content_html, thumbnail_url).lastInsertRowid;
+  };
+
+  describe('create', () => {
+    test('should store the file with its uploader, variants and srcset', () => {
+      const media = createMedia();
+
+      expect(media.url).toBe('/uploads/thumbnail-1-100.jpg');
+      expect(media.alt_text).toBe('');
+      expect(media.variants).toHaveLength(2);
+      expect(media.srcset['image/webp']).toBe('/uploads/thumbnail-1-100-320w.webp 320w, /uploads/thumbnail-1-100.webp 800w');
+      expect(media.uploader).toEqual({ id: uploaderId, username: 'uploader' });
+    });
+
+    test('should reject a duplicate filename', () => {
+      createMedia();
+      expect(() => createMedia()).toThrow('Media file already exists');
+    });
+  });
+
+  describe('findAll', () => {
+    beforeEach(() => {
+      createMedia({ filename: 'thumbnail-1-1.jpg', original_name: 'beach.jpg' });
+      createMedia({ filename: 'thumbnail-1-2.png', original_name: 'diagram.png', mime_type: 'image/png', alt_text: 'Beach map' });
+      createMedia({ filename: 'thumbnail-1-3.webp', original_name: 'forest.webp', mime_type: 'image/webp' });
+    });
+
+    test('should search names, filenames and alt text', () => {
+      const media = Media.findAll({ search: 'beach', orderBy: 'original_name', orderDir: 'ASC' });
+      expect(media.map(m => m.original_name)).toEqual(['beach.jpg', 'diagram.png']);
+      expect(Media.count({ search: 'beach' })).toBe(2);
+    });
+
+    test('should filter by mime type prefix and paginate', () => {
+      expect(Media.findAll({ type: 'image/png' }).map(m => m.filename)).toEqual(['thumbnail-1-2.png']);
+      expect(Media.findAll({ limit: 2 })).toHaveLength(2);
+      expect(Media.count()).toBe(3);
+    });
+
+    test('should treat LIKE wildcards in the search literally', () => {
+      expect(Media.findAll({ search: '%' })).toEqual([]);
+    });
+  });
+
+  describe('update', () => {
+    test('should update the alt text', () => {
+      const media = createMedia();
+      expect(Media.update(media.id, { alt_text: 'Sunset over the bay' }).alt_text).toBe('Sunset over the bay');
+    });
+
+    test('should throw for a missing item', () => {
+      expect(() => Media.update(999, { alt_text: 'x' })).toThrow('Media not found');
+    });
+  });
+
+  describe('findReferencingArticles', () => {
+    test('should find articles using the file or one of its variants', () => {
+      const thumbnailId = createArticle('thumb', { thumbnail_url: '/uploads/thumbnail-1-100.jpg' });
+      const contentId = createArticle('content', { content: '<img src="/api/uploads/thumbnail-1-100-640w.webp">' });
+      const markdownId = createArticle('markdown', { content: '![x](x)', content_html: '<img src="/uploads/thumbnail-1-100.webp">' });
+      createArticle('other', { thumbnail_url: '/uploads/thumbnail-1-1000.jpg' });
+
+      const ids = Media.findReferencingArticles('thumbnail-1-100.jpg').map(a => a.id).sort();
+      expect(ids).toEqual([thumbnailId, contentId, markdownId].sort());
+    });
+
+    test('should return nothing for unused files', () => {
+      createArticle('plain', {});
+      expect(Media.findReferencingArticles('thumbnail-1-100.jpg')).toEqual([]);
+    });
+  });
+
+  describe('validate', () => {
+    test('should require a string alt text under 255 characters', () => {
+      expect(Media.validate({ alt_text: 'Fine' })).toEqual([]);
+      expect(Media.validate({})).toContain('Alt text must be a string');
+      expect(Media.validate({ alt_text: 'a'.repeat(256) })).toContain('Alt text must be less than 255 characters');
+    });
+  });
+});
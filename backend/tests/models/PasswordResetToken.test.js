@@ -0,0 +1,68 @@
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('PasswordResetToken Model', () => {
+  let userId;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/015_create_password_reset_tokens_table.sql'), 'utf8'));
+
+    userId = db.prepare("INSERT INTO users (username, email, password_hash) VALUES ('resetuser', 'reset@test.com', 'hash')")
+      .run().lastInsertRowid;
+  });
+
+  beforeEach(() => {
+    dbManager.getDatabase().prepare('DELETE FROM password_reset_tokens').run();
+  });
+
+  test('should store only a hash of the token', () => {
+    const { token } = PasswordResetToken.create(userId);
+
+    const row = dbManager.getDatabase().prepare('SELECT * FROM password_reset_tokens').get();
+    expect(token).toHaveLength(64);
+    expect(row.token_hash).not.toBe(token);
+  });
+
+  test('should be usable exactly once', () => {
+    const { token } = PasswordResetToken.create(userId);
+
+    expect(PasswordResetToken.consume(token)).toBe(userId);
+    expect(() => PasswordResetToken.consume(token)).toThrow('Invalid or expired reset token');
+  });
+
+  test('should reject expired tokens', () => {
+    const { token } = PasswordResetToken.create(userId);
+    dbManager.getDatabase().prepare('UPDATE password_reset_tokens SET expires_at = ?')
+      .run(new Date(Date.now() - 1000).toISOString());
+
+    expect(() => PasswordResetToken.consume(token)).toThrow('Invalid or expired reset token');
+  });
+
+  test('should invalidate earlier tokens when a new one is requested', () => {
+    const first = PasswordResetToken.create(userId);
+    const second = PasswordResetToken.create(userId);
+
+    expect(() => PasswordResetToken.consume(first.token)).toThrow('Invalid or expired reset token');
+    expect(PasswordResetToken.consume(second.token)).toBe(userId);
+  });
+
+  test('should reject unknown tokens', () => {
+    expect(() => PasswordResetToken.consume('not-a-token')).toThrow('Invalid or expired reset token');
+  });
+});
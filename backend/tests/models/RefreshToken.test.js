@@ -0,0 +1,105 @@
+const RefreshToken = require('../../models/RefreshToken');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('RefreshToken Model', () => {
+  let user;
+  let otherUser;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/014_create_refresh_tokens_table.sql'), 'utf8'));
+
+    const insertUser = db.prepare("INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'hash')");
+    user = { id: insertUser.run('sessionuser', 'session@test.com').lastInsertRowid, username: 'sessionuser' };
+    otherUser = { id: insertUser.run('otheruser', 'other@test.com').lastInsertRowid, username: 'otheruser' };
+  });
+
+  beforeEach(() => {
+    dbManager.getDatabase().prepare('DELETE FROM refresh_tokens').run();
+  });
+
+  describe('issue', () => {
+    test('should store a hash of the token, never the token itself', () => {
+      const { token, record } = RefreshToken.issue(user, { deviceLabel: 'Work laptop' });
+
+      const row = dbManager.getDatabase().prepare('SELECT * FROM refresh_tokens WHERE id = ?').get(record.id);
+      expect(row.token_hash).not.toBe(token);
+      expect(row.token_hash).toHaveLength(64);
+      expect(record.device_label).toBe('Work laptop');
+      expect(new Date(record.expires_at) > new Date()).toBe(true);
+      expect(RefreshToken.findByToken(token).id).toBe(record.id);
+    });
+
+    test('should start a new session for each sign-in', () => {
+      const first = RefreshToken.issue(user);
+      const second = RefreshToken.issue(user);
+
+      expect(first.record.family_id).not.toBe(second.record.family_id);
+      expect(RefreshToken.findSessions(user.id)).toHaveLength(2);
+    });
+  });
+
+  describe('rotate', () => {
+    test('should replace the token within the same session', () => {
+      const { token, record } = RefreshToken.issue(user, { deviceLabel: 'Phone' });
+      const rotated = RefreshToken.rotate(token, user);
+
+      expect(rotated.token).not.toBe(token);
+      expect(rotated.record.family_id).toBe(record.family_id);
+      expect(rotated.record.device_label).toBe('Phone');
+      expect(RefreshToken.findById(record.id).replaced_by).toBe(rotated.record.id);
+      expect(RefreshToken.findSessions(user.id)).toHaveLength(1);
+    });
+
+    test('should revoke the whole family when an old token is reused', () => {
+      const { token, record } = RefreshToken.issue(user);
+      const rotated = RefreshToken.rotate(token, user);
+
+      expect(() => RefreshToken.rotate(token, user)).toThrow('Refresh token reuse detected');
+      expect(RefreshToken.isSessionActive(record.family_id)).toBe(false);
+      expect(() => RefreshToken.rotate(rotated.token, user)).toThrow('Refresh token has been revoked');
+    });
+
+    test('should reject tokens of another user', () => {
+      const { token } = RefreshToken.issue(user);
+
+      expect(() => RefreshToken.rotate(token, otherUser)).toThrow('Invalid refresh token');
+    });
+  });
+
+  describe('revocation', () => {
+    test('should revoke a single session of its owner only', () => {
+      const { record } = RefreshToken.issue(user);
+
+      expect(RefreshToken.revokeFamily(record.family_id, otherUser.id)).toBe(false);
+      expect(RefreshToken.revokeFamily(record.family_id, user.id)).toBe(true);
+      expect(RefreshToken.isSessionActive(record.family_id)).toBe(false);
+    });
+
+    test('should revoke all sessions but the current one', () => {
+      const current = RefreshToken.issue(user);
+      const other = RefreshToken.issue(user);
+      RefreshToken.issue(otherUser);
+
+      expect(RefreshToken.revokeAllForUser(user.id, { exceptFamilyId: current.record.family_id })).toBe(1);
+      expect(RefreshToken.isSessionActive(current.record.family_id)).toBe(true);
+      expect(RefreshToken.isSessionActive(other.record.family_id)).toBe(false);
+      expect(RefreshToken.findSessions(otherUser.id)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const Tag = require('../../models/Tag');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('Tag Model', () => {
+  let testUserId;
+  let testCategoryId;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/011_create_tags_tables.sql'), 'utf8'));
+
+    testUserId = db.prepare(`
+      INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)
+    `).run('tagauthor', 'tagauthor@test.com', 'hash').lastInsertRowid;
+
+    testCategoryId = db.prepare(`
+      INSERT INTO categories (name, slug) VALUES (?, ?)
+    `).run('Tag Test Category', 'tag-test-category').lastInsertRowid;
+  });
+
+  beforeEach(() => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles').run();
+    db.prepare('DELETE FROM tags').run();
+  });
+
+  const createArticle = (title, status = 'draft') => {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      INSERT INTO articles (title, slug, content, category_id, author_id, status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(title, title.toLowerCase().replace(/\s+/g, '-'), 'Content', testCategoryId, testUserId, status).lastInsertRowid;
+  };
+
+  describe('create', () => {
+    test('should create a tag', () => {
+      const tag = Tag.create({ name: 'JavaScript', slug: 'javascript' });
+
+      expect(tag.id).toBeDefined();
+      expect(tag.name).toBe('JavaScript');
+      expect(tag.slug).toBe('javascript');
+    });
+
+    test('should reject duplicate names regardless of case', () => {
+      Tag.create({ name: 'JavaScript', slug: 'javascript' });
+
+      expect(() => Tag.create({ name: 'javascript', slug: 'js' })).toThrow('Tag name or slug already exists');
+    });
+  });
+
+  describe('findAll', () => {
+    test('should match name prefixes for autocomplete', () => {
+      Tag.create({ name: 'Vue', slug: 'vue' });
+      Tag.create({ name: 'Vite', slug: 'vite' });
+      Tag.create({ name: 'React', slug: 'react' });
+
+      expect(Tag.findAll({ search: 'v' }).map(t => t.name)).toEqual(['Vite', 'Vue']);
+      expect(Tag.count({ search: 'v' })).toBe(2);
+    });
+
+    test('should treat LIKE wildcards literally', () => {
+      Tag.create({ name: '100%', slug: '100-percent' });
+      Tag.create({ name: '1000', slug: '1000' });
+
+      expect(Tag.findAll({ search: '100%' }).map(t => t.name)).toEqual(['100%']);
+    });
+  });
+
+  describe('update', () => {
+    test('should update a tag', () => {
+      const tag = Tag.create({ name: 'Old', slug: 'old' });
+
+      const updated = Tag.update(tag.id, { name: 'New', slug: 'new' });
+
+      expect(updated.name).toBe('New');
+      expect(updated.slug).toBe('new');
+    });
+
+    test('should throw for a missing tag', () => {
+      expect(() => Tag.update(99999, { name: 'Nope', slug: 'nope' })).toThrow('Tag not found');
+    });
+  });
+
+  describe('delete', () => {
+    test('should delete a tag in use', () => {
+      const tag = Tag.create({ name: 'Used', slug: 'used' });
+      const articleId = createArticle('Uses Tag');
+      Tag.setArticleTags(articleId, [tag.id]);
+
+      Tag.delete(tag.id);
+
+      expect(Tag.findById(tag.id)).toBeUndefined();
+      expect(Tag.findByArticleIds([articleId]).get(articleId)).toEqual([]);
+    });
+
+    test('should throw for a missing tag', () => {
+      expect(() => Tag.delete(99999)).toThrow('Tag not found');
+    });
+  });
+
+  describe('setArticleTags', () => {
+    test('should replace the tags of an article', () => {
+      const first = Tag.create({ name: 'First', slug: 'first' });
+      const second = Tag.create({ name: 'Second', slug: 'second' });
+      const articleId = createArticle('Retagged');
+
+      Tag.setArticleTags(articleId, [first.id, first.id]);
+      Tag.setArticleTags(articleId, [second.id]);
+
+      expect(Tag.findByArticleIds([articleId]).get(articleId)).toEqual([
+        { id: second.id, name: 'Second', slug: 'second' }
+      ]);
+    });
+
+    test('should reject unknown tags and keep existing ones', () => {
+      const tag = Tag.create({ name: 'Kept', slug: 'kept' });
+      const articleId = createArticle('Kept Tags');
+      Tag.setArticleTags(articleId, [tag.id]);
+
+      expect(() => Tag.setArticleTags(articleId, [tag.id, 99999])).toThrow('Invalid tag_ids');
+      expect(Tag.findByArticleIds([articleId]).get(articleId)).toHaveLength(1);
+    });
+  });
+
+  describe('stats', () => {
+    test('should count total and published articles per tag', () => {
+      const popular = Tag.create({ name: 'Popular', slug: 'popular' });
+      Tag.create({ name: 'Unused', slug: 'unused' });
+      Tag.setArticleTags(createArticle('Published One', 'published'), [popular.id]);
+      Tag.setArticleTags(createArticle('Draft One'), [popular.id]);
+
+      const stats = Tag.stats();
+
+      expect(stats.map(t => [t.slug, t.article_count, t.published_count])).toEqual([
+        ['popular', 2, 1],
+        ['unused', 0, 0]
+      ]);
+    });
+  });
+
+  describe('generateSlug', () => {
+    test('should spell out Chinese names in pinyin', () => {
+      const slug = Tag.generateSlug('机器学习');
+
+      expect(slug).toBe('ji-qi-xue-xi');
+      expect(Tag.validate({ name: '机器学习', slug })).toEqual([]);
+    });
+
+    test('should fit the tag slug limit and avoid reserved words', () => {
+      expect(Tag.generateSlug('word '.repeat(20)).length).toBeLessThanOrEqual(50);
+      expect(Tag.generateSlug('RSS')).toBe('rss-tag');
+      expect(Tag.generateSlug('🔥')).toBe('tag');
+    });
+  });
+
+  describe('validate', () => {
+    test('should require a name and a valid slug', () => {
+      expect(Tag.validate({ name: '', slug: 'Bad Slug' })).toEqual([
+        'Name is required',
+        'Slug can only contain lowercase letters, numbers, and hyphens'
+      ]);
+      expect(Tag.validate({ name: 'Good', slug: 'good' })).toEqual([]);
+    });
+  });
+});
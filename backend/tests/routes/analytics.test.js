@@ -4,11 +4,13 @@ const dbManager = require('../../config/database');
 const Article = require('../../models/Article');
 const Category = require('../../models/Category');
 const User = require('../../models/User');
+const jwtUtils = require('../../utils/jwt');
 
 describe('Analytics Routes', () => {
   let testArticleId;
   let testUserId;
   let testCategoryId;
+  let viewerToken;
   
   beforeAll(async () => {
     // Create tables directly for testing
@@ -54,6 +56,7 @@ describe('Analytics Routes', () => {
         view_count INTEGER DEFAULT 0,
         like_count INTEGER DEFAULT 0,
         published_at DATETIME,
+        deleted_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
@@ -92,6 +95,13 @@ describe('Analytics Routes', () => {
       VALUES (?, ?, ?, ?)
     `).run('testuser', 'test@example.com', 'hashedpassword', 'admin');
     testUserId = userResult.lastInsertRowid;
+
+    // Reports are read with the least privileged role that may see them
+    const viewerId = db.prepare(`
+      INSERT INTO users (username, email, password_hash, role)
+      VALUES (?, ?, ?, ?)
+    `).run('testviewer', 'viewer@example.com', 'hashedpassword', 'viewer').lastInsertRowid;
+    viewerToken = jwtUtils.generateToken({ id: viewerId, username: 'testviewer', email: 'viewer@example.com', role: 'viewer' });
     
     // Create test category directly
     const categoryResult = db.prepare(`
@@ -247,6 +257,14 @@ describe('Analytics Routes', () => {
   });
   
   describe('GET /api/analytics/dashboard', () => {
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/analytics/dashboard')
+        .expect(401);
+      
+      expect(response.body.error.code).toBe('MISSING_TOKEN');
+    });
+    
     test('should return dashboard metrics', async () => {
       // Set up test data
       await request(app).post(`/api/analytics/articles/${testArticleId}/view`);
@@ -254,6 +272,7 @@ describe('Analytics Routes', () => {
       
       const response = await request(app)
         .get('/api/analytics/dashboard')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -271,6 +290,7 @@ describe('Analytics Routes', () => {
     test('should accept date range parameter', async () => {
       const response = await request(app)
         .get('/api/analytics/dashboard?range=7d')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.data.date_range).toBe('7d');
@@ -279,6 +299,7 @@ describe('Analytics Routes', () => {
     test('should return 400 for invalid date range', async () => {
       const response = await request(app)
         .get('/api/analytics/dashboard?range=invalid')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(400);
       
       expect(response.body.success).toBe(false);
@@ -295,6 +316,7 @@ describe('Analytics Routes', () => {
     test('should return top articles', async () => {
       const response = await request(app)
         .get('/api/analytics/articles/top')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -310,6 +332,7 @@ describe('Analytics Routes', () => {
     test('should accept limit parameter', async () => {
       const response = await request(app)
         .get('/api/analytics/articles/top?limit=5')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.data.limit).toBe(5);
@@ -318,6 +341,7 @@ describe('Analytics Routes', () => {
     test('should return 400 for invalid limit', async () => {
       const response = await request(app)
         .get('/api/analytics/articles/top?limit=100')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(400);
       
       expect(response.body.success).toBe(false);
@@ -334,6 +358,7 @@ describe('Analytics Routes', () => {
     test('should return article analytics', async () => {
       const response = await request(app)
         .get(`/api/analytics/articles/${testArticleId}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -348,6 +373,7 @@ describe('Analytics Routes', () => {
     test('should return 404 for non-existent article', async () => {
       const response = await request(app)
         .get('/api/analytics/articles/99999')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(500); // The service throws a generic error, not specifically "Article not found"
       
       expect(response.body.success).toBe(false);
@@ -364,6 +390,7 @@ describe('Analytics Routes', () => {
     test('should return engagement summary', async () => {
       const response = await request(app)
         .get('/api/analytics/engagement')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.success).toBe(true);
@@ -380,6 +407,7 @@ describe('Analytics Routes', () => {
     test('should accept range parameter', async () => {
       const response = await request(app)
         .get('/api/analytics/engagement?range=30d')
+        .set('Authorization', `Bearer ${viewerToken}`)
         .expect(200);
       
       expect(response.body.data.period).toBe('30 days');
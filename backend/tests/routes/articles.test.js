@@ -8,10 +8,15 @@ const request = require('supertest');
 const express = require('express');
 const articleRoutes = require('../../routes/articles');
 const Article = require('../../models/Article');
+const Tag = require('../../models/Tag');
 const User = require('../../models/User');
+const ArticlePreviewLink = require('../../models/ArticlePreviewLink');
 const Category = require('../../models/Category');
 const { generateToken } = require('../../utils/jwt');
+const jwtUtils = require('../../utils/jwt');
 const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
 
 // Create test app
 const app = express();
@@ -74,12 +79,25 @@ describe('Article Routes', () => {
         FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
       )
     `);
+
+    // Create full-text search index and sync triggers
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/008_create_articles_fts.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/009_create_article_revisions_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/010_add_article_publish_at.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/011_create_tags_tables.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/012_add_category_parent_id.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/017_add_article_content_format.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/019_create_article_preview_links_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/020_add_article_seo_fields.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/021_create_slug_redirects_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/022_add_soft_delete.sql'), 'utf8'));
     
     // Create test user
     testUser = await User.create({
       username: 'testarticleuser',
       email: 'articleuser@test.com',
-      password: 'TestPass123'
+      password: 'TestPass123',
+      role: 'admin'
     });
 
     // Generate auth token using the same method as the JWT utils
@@ -187,6 +205,47 @@ describe('Article Routes', () => {
       expect(response.body.data.pagination.currentPage).toBe(1);
     });
 
+    test('should search articles with ?q=', async () => {
+      const response = await request(app)
+        .get('/api/articles?q=article%202')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.pagination.totalCount).toBe(1);
+      expect(response.body.data.articles[0].title).toBe('Test Article 2');
+      expect(response.body.data.articles[0].search.title).toContain('<mark>');
+    });
+
+    test('should include subcategory articles with include_descendants', async () => {
+      const db = dbManager.getDatabase();
+      const childId = db.prepare(`
+        INSERT INTO categories (name, slug, parent_id) VALUES (?, ?, ?)
+      `).run('Nested Route Category', 'nested-route-category', testCategory.id).lastInsertRowid;
+      await Article.create({
+        title: 'Nested Route Article',
+        content: 'Nested content',
+        category_id: childId,
+        author_id: testUser.id
+      });
+
+      const direct = await request(app)
+        .get(`/api/articles?category_id=${testCategory.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const nested = await request(app)
+        .get(`/api/articles?category_id=${testCategory.id}&include_descendants=true`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(direct.body.data.pagination.totalCount).toBe(2);
+      expect(nested.body.data.pagination.totalCount).toBe(3);
+      expect(nested.body.data.articles.map(a => a.title)).toContain('Nested Route Article');
+
+      db.prepare('DELETE FROM articles WHERE category_id = ?').run(childId);
+      db.prepare('DELETE FROM categories WHERE id = ?').run(childId);
+    });
+
     test('should require authentication', async () => {
       await request(app)
         .get('/api/articles')
@@ -261,6 +320,35 @@ describe('Article Routes', () => {
       expect(response.body.data.slug).toBe('get-by-slug-test');
     });
 
+    test('should redirect an old slug to the current one', async () => {
+      const article = await Article.create({
+        title: 'Renamed By Slug Test',
+        content: 'Test content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      const renamed = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Slug Test Renamed', regenerate_slug: true })
+        .expect(200);
+      expect(renamed.body.data.slug).toBe('slug-test-renamed');
+
+      const response = await request(app)
+        .get('/api/articles/slug/renamed-by-slug-test')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(301);
+
+      expect(response.headers.location).toBe('/api/articles/slug/slug-test-renamed');
+      expect(response.body.success).toBe(true);
+      expect(response.body.redirect).toEqual({
+        status: 301,
+        slug: 'slug-test-renamed',
+        location: '/api/articles/slug/slug-test-renamed'
+      });
+    });
+
     test('should return 404 for non-existent slug', async () => {
       const response = await request(app)
         .get('/api/articles/slug/non-existent-slug')
@@ -300,6 +388,39 @@ describe('Article Routes', () => {
       expect(response.body.message).toBe('Article created successfully');
     });
 
+    test('should report content removed by the sanitizer', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Embed Article',
+          content: '<p>Watch</p><iframe src="https://evil.example.com/player"></iframe>',
+          category_id: testCategory.id
+        })
+        .expect(201);
+
+      expect(response.body.data.content).toBe('<p>Watch</p>');
+      expect(response.body.data.content_warnings).toEqual(['Removed embed from evil.example.com']);
+    });
+
+    test('should render Markdown content', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Markdown Route Article',
+          content: '> if a < b\n\n$$x^2$$',
+          content_format: 'markdown',
+          category_id: testCategory.id
+        })
+        .expect(201);
+
+      expect(response.body.data.content).toBe('> if a < b\n\n$$x^2$$');
+      expect(response.body.data.content_format).toBe('markdown');
+      expect(response.body.data.content_html).toContain('<blockquote>');
+      expect(response.body.data.content_html).toContain('class="katex-display"');
+    });
+
     test('should return validation errors for invalid data', async () => {
       const invalidData = {
         title: '', // Empty title
@@ -354,6 +475,69 @@ describe('Article Routes', () => {
     });
   });
 
+  describe('POST /api/articles/render', () => {
+    test('should render Markdown without saving it', async () => {
+      const before = Article.count();
+
+      const response = await request(app)
+        .post('/api/articles/render')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: '**Preview** $x$', content_format: 'markdown' })
+        .expect(200);
+
+      expect(response.body.data.html).toContain('<strong>Preview</strong>');
+      expect(response.body.data.html).toContain('class="katex"');
+      expect(Article.count()).toBe(before);
+    });
+
+    test('should only render Markdown', async () => {
+      const response = await request(app)
+        .post('/api/articles/render')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: '<p>Hi</p>', content_format: 'html' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/articles/slug-preview', () => {
+    test('should preview the unique slug for a title', async () => {
+      const article = await Article.create({
+        title: '强化学习笔记',
+        content: 'Test content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      expect(article.slug).toBe('qiang-hua-xue-xi-bi-ji');
+
+      const taken = await request(app)
+        .post('/api/articles/slug-preview')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: '强化学习笔记' })
+        .expect(200);
+      expect(taken.body.data.slug).toBe('qiang-hua-xue-xi-bi-ji-1');
+
+      // An article keeps its own slug
+      const own = await request(app)
+        .post('/api/articles/slug-preview')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: '强化学习笔记', article_id: article.id })
+        .expect(200);
+      expect(own.body.data.slug).toBe('qiang-hua-xue-xi-bi-ji');
+    });
+
+    test('should require a title', async () => {
+      const response = await request(app)
+        .post('/api/articles/slug-preview')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: '   ' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
   describe('PUT /api/articles/:id', () => {
     test('should update article with valid data', async () => {
       const article = await Article.create({
@@ -380,7 +564,8 @@ describe('Article Routes', () => {
       expect(response.body.data.title).toBe('Updated Title');
       expect(response.body.data.content).toBe('Updated content');
       expect(response.body.data.status).toBe('published');
-      expect(response.body.data.slug).toBe('updated-title');
+      // Renaming keeps the slug, so existing links keep working
+      expect(response.body.data.slug).toBe('original-title');
       expect(response.body.message).toBe('Article updated successfully');
     });
 
@@ -406,7 +591,34 @@ describe('Article Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
       expect(response.body.error.details).toContain('Title cannot be empty');
-      expect(response.body.error.details).toContain('Status must be one of: draft, published, archived');
+      expect(response.body.error.details).toContain('Status must be one of: draft, scheduled, published, archived');
+    });
+
+    test('should update and validate SEO fields', async () => {
+      const article = await Article.create({
+        title: 'SEO Article',
+        content: 'SEO content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      const invalid = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ canonical_url: 'not a url' })
+        .expect(400);
+
+      expect(invalid.body.error.details).toEqual(['Canonical URL must be an absolute http(s) URL']);
+
+      const response = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ meta_title: 'Search Title', canonical_url: 'https://example.org/seo', noindex: true })
+        .expect(200);
+
+      expect(response.body.data.meta_title).toBe('Search Title');
+      expect(response.body.data.canonical_url).toBe('https://example.org/seo');
+      expect(response.body.data.noindex).toBe(true);
     });
 
     test('should return 404 for non-existent article', async () => {
@@ -513,8 +725,496 @@ describe('Article Routes', () => {
     });
   });
 
+  describe('scheduled publishing', () => {
+    test('should create a scheduled article', async () => {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Scheduled Route Article',
+          content: 'Scheduled content',
+          category_id: testCategory.id,
+          author_id: testUser.id,
+          status: 'scheduled',
+          publish_at: publishAt
+        })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('scheduled');
+      expect(response.body.data.publish_at).toBe(publishAt);
+    });
+
+    test('should reject a schedule in the past', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Past Schedule',
+          content: 'Scheduled content',
+          category_id: testCategory.id,
+          author_id: testUser.id,
+          status: 'scheduled',
+          publish_at: '2000-01-01T00:00:00Z'
+        })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('Publish date must be in the future');
+    });
+
+    test('should require a publish date when scheduling an existing article', async () => {
+      const article = await Article.create({
+        title: 'Draft To Schedule',
+        content: 'Draft content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      const response = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'scheduled' })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('Publish date is required for scheduled articles');
+    });
+  });
+
+  describe('article tags', () => {
+    let tag;
+
+    beforeEach(() => {
+      const db = dbManager.getDatabase();
+      db.prepare('DELETE FROM tags').run();
+      tag = Tag.create({ name: 'Routing', slug: 'routing' });
+    });
+
+    test('should create an article with tags and filter by them', async () => {
+      const created = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Tagged Route Article',
+          content: 'Tagged content',
+          category_id: testCategory.id,
+          author_id: testUser.id,
+          tag_ids: [tag.id]
+        })
+        .expect(201);
+
+      expect(created.body.data.tags).toEqual([{ id: tag.id, name: 'Routing', slug: 'routing' }]);
+
+      await Article.create({
+        title: 'Untagged Route Article',
+        content: 'Untagged content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      const bySlug = await request(app)
+        .get('/api/articles?tag=routing')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      const byId = await request(app)
+        .get(`/api/articles?tag_id=${tag.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(bySlug.body.data.articles.map(a => a.id)).toEqual([created.body.data.id]);
+      expect(bySlug.body.data.pagination.totalCount).toBe(1);
+      expect(byId.body.data.articles.map(a => a.id)).toEqual([created.body.data.id]);
+    });
+
+    test('should update article tags', async () => {
+      const article = await Article.create({
+        title: 'Retag Route Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        tag_ids: [tag.id]
+      });
+
+      const response = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: [] })
+        .expect(200);
+
+      expect(response.body.data.tags).toEqual([]);
+    });
+
+    test('should reject unknown tags', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Unknown Tag Article',
+          content: 'Content',
+          category_id: testCategory.id,
+          author_id: testUser.id,
+          tag_ids: [99999]
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TAGS');
+    });
+
+    test('should validate tag_ids', async () => {
+      const article = await Article.create({
+        title: 'Bad Tag Ids Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      const response = await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ tag_ids: 'routing' })
+        .expect(400);
+
+      expect(response.body.error.details).toContain('Tag IDs must be an array of integers');
+    });
+  });
+
+  describe('article revisions', () => {
+    let article;
+
+    beforeEach(async () => {
+      article = await Article.create({
+        title: 'Revision Article',
+        content: '<p>Hello world</p>',
+        excerpt: 'First excerpt',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: '<p>Hello brave world</p>', excerpt: 'Second excerpt' })
+        .expect(200);
+    });
+
+    test('should list revisions newest first', async () => {
+      const response = await request(app)
+        .get(`/api/articles/${article.id}/revisions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.revisions.map(r => r.revision_number)).toEqual([2, 1]);
+      expect(response.body.data.revisions[0].author.username).toBe(testUser.username);
+      expect(response.body.data.revisions[0].content).toBeUndefined();
+      expect(response.body.data.pagination.totalCount).toBe(2);
+    });
+
+    test('should diff a revision against the current article', async () => {
+      const response = await request(app)
+        .get(`/api/articles/${article.id}/revisions/1`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { revision, diff } = response.body.data;
+      expect(revision.content).toBe('<p>Hello world</p>');
+      expect(diff.changed).toEqual(['content', 'excerpt']);
+      expect(diff.fields.content.html).toBe('<p>Hello <ins>brave </ins>world</p>');
+      expect(diff.fields.excerpt.changes).toEqual([
+        { type: 'delete', value: 'First' },
+        { type: 'insert', value: 'Second' },
+        { type: 'equal', value: ' excerpt' }
+      ]);
+      expect(diff.fields.title.changed).toBe(false);
+    });
+
+    test('should restore a revision as a new revision', async () => {
+      const response = await request(app)
+        .post(`/api/articles/${article.id}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.content).toBe('<p>Hello world</p>');
+      expect(response.body.data.excerpt).toBe('First excerpt');
+      expect(response.body.message).toBe('Article restored to revision 1');
+
+      const list = await request(app)
+        .get(`/api/articles/${article.id}/revisions`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data.revisions[0].revision_number).toBe(3);
+    });
+
+    test('should not restore a revision into a trashed category', async () => {
+      const db = dbManager.getDatabase();
+      const retiredId = db.prepare(`
+        INSERT INTO categories (name, slug) VALUES ('Retired Topic', 'retired-topic')
+      `).run().lastInsertRowid;
+
+      await article.update({ category_id: retiredId });
+      await article.update({ category_id: testCategory.id });
+      db.prepare("UPDATE categories SET deleted_at = datetime('now') WHERE id = ?").run(retiredId);
+
+      const response = await request(app)
+        .post(`/api/articles/${article.id}/revisions/3/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CATEGORY');
+      expect(Article.findById(article.id).category_id).toBe(testCategory.id);
+
+      db.prepare('DELETE FROM categories WHERE id = ?').run(retiredId);
+    });
+
+    test('should return 404 for unknown revision', async () => {
+      const response = await request(app)
+        .get(`/api/articles/${article.id}/revisions/99`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('REVISION_NOT_FOUND');
+    });
+
+    test('should return 400 for invalid revision number', async () => {
+      const response = await request(app)
+        .post(`/api/articles/${article.id}/revisions/abc/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_ID');
+    });
+  });
+
+  describe('POST /api/articles/bulk', () => {
+    const createArticles = (count) => Promise.all(Array.from({ length: count }, (_, i) => Article.create({
+      title: `Bulk Article ${i + 1}`,
+      content: 'Bulk content',
+      category_id: testCategory.id,
+      author_id: testUser.id
+    })));
+
+    test('should publish several articles and report each one', async () => {
+      const [first, second] = await createArticles(2);
+
+      const response = await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'publish', ids: [first.id, second.id, 999999] })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(2);
+      expect(response.body.data.failed).toBe(1);
+      expect(response.body.data.results[2]).toEqual({
+        id: 999999,
+        success: false,
+        error: { code: 'ARTICLE_NOT_FOUND', message: 'Article not found' }
+      });
+      expect(Article.findById(first.id).status).toBe('published');
+      expect(Article.findById(second.id).published_at).toBeTruthy();
+    });
+
+    test('should publish scheduled articles now and drop their schedule', async () => {
+      const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const scheduled = await Article.create({
+        title: 'Bulk Scheduled',
+        content: 'Bulk content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'scheduled',
+        publish_at: publishAt
+      });
+      expect(scheduled.publish_at).toBe(publishAt);
+
+      await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'publish', ids: [scheduled.id] })
+        .expect(200);
+
+      const published = Article.findById(scheduled.id);
+      expect(published.status).toBe('published');
+      expect(published.publish_at).toBeNull();
+      expect(new Date(published.published_at).getTime()).toBeLessThan(new Date(publishAt).getTime());
+    });
+
+    test('should refuse status changes that fail validation', async () => {
+      const [valid, invalid] = await createArticles(2);
+      // Written before canonical URLs were validated
+      dbManager.getDatabase().prepare('UPDATE articles SET canonical_url = ? WHERE id = ?').run('not-a-url', invalid.id);
+
+      const response = await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'publish', ids: [valid.id, invalid.id] })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(1);
+      expect(response.body.data.results[1]).toEqual({
+        id: invalid.id,
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Canonical URL must be an absolute http(s) URL' }
+      });
+      expect(Article.findById(invalid.id).status).toBe('draft');
+    });
+
+    test('should move articles to another category and tag them', async () => {
+      const db = dbManager.getDatabase();
+      db.prepare('DELETE FROM tags').run();
+      const tag = Tag.create({ name: 'Bulk', slug: 'bulk' });
+      const otherCategoryId = db.prepare(`
+        INSERT INTO categories (name, slug) VALUES ('Bulk Target', 'bulk-target')
+      `).run().lastInsertRowid;
+      const articles = await createArticles(2);
+      const ids = articles.map(article => article.id);
+
+      await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'move-category', ids, category_id: otherCategoryId })
+        .expect(200);
+
+      await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'add-tag', ids, tag_id: tag.id })
+        .expect(200);
+
+      const moved = Article.findById(ids[0]);
+      expect(moved.category_id).toBe(otherCategoryId);
+      expect(moved.tags.map(t => t.id)).toEqual([tag.id]);
+
+      db.prepare('DELETE FROM articles WHERE category_id = ?').run(otherCategoryId);
+      db.prepare('DELETE FROM categories WHERE id = ?').run(otherCategoryId);
+    });
+
+    test('should validate the action and ids', async () => {
+      const response = await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'explode', ids: [] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toHaveLength(2);
+
+      await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ action: 'move-category', ids: [1] })
+        .expect(400);
+    });
+  });
+
+  describe('article preview links', () => {
+    let draft;
+
+    beforeEach(async () => {
+      draft = await Article.create({
+        title: 'Draft For Review',
+        content: '<p>Review me</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+    });
+
+    test('should create a signed preview link', async () => {
+      const response = await request(app)
+        .post(`/api/articles/${draft.id}/preview-link`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ expires_in_hours: 24 })
+        .expect(201);
+
+      const link = response.body.data;
+      expect(link.article_id).toBe(draft.id);
+      expect(link.url).toBe(`http://localhost:5173/preview/${link.token}`);
+      expect(link.creator.username).toBe('testarticleuser');
+
+      const hours = (new Date(link.expires_at) - new Date(link.created_at)) / (60 * 60 * 1000);
+      expect(hours).toBe(24);
+      expect(jwtUtils.verifyPreviewToken(link.token).article_id).toBe(draft.id);
+    });
+
+    test('should reject invalid lifetimes', async () => {
+      const response = await request(app)
+        .post(`/api/articles/${draft.id}/preview-link`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ expires_in_hours: 24 * 365 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should list working links with the same token', async () => {
+      const link = ArticlePreviewLink.create(draft.id, { createdBy: testUser.id });
+      const revoked = ArticlePreviewLink.create(draft.id, { createdBy: testUser.id });
+      ArticlePreviewLink.revoke(revoked.id);
+
+      const response = await request(app)
+        .get(`/api/articles/${draft.id}/preview-links`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(item => item.id)).toEqual([link.id]);
+      expect(response.body.data[0].token).toBe(link.token);
+    });
+
+    test('should revoke a link', async () => {
+      const link = ArticlePreviewLink.create(draft.id, { createdBy: testUser.id });
+
+      await request(app)
+        .delete(`/api/articles/${draft.id}/preview-links/${link.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(() => ArticlePreviewLink.verify(link.token)).toThrow('Invalid preview link');
+
+      const response = await request(app)
+        .delete(`/api/articles/${draft.id}/preview-links/${link.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PREVIEW_LINK_NOT_FOUND');
+    });
+
+    test('should not revoke links of another article', async () => {
+      const other = await Article.create({
+        title: 'Other Draft',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      const link = ArticlePreviewLink.create(other.id);
+
+      await request(app)
+        .delete(`/api/articles/${draft.id}/preview-links/${link.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    test('should only let authors share their own articles', async () => {
+      const author = await User.create({
+        username: 'testpreviewauthor',
+        email: 'previewauthor@test.com',
+        password: 'TestPass123',
+        role: 'author'
+      });
+
+      try {
+        const response = await request(app)
+          .post(`/api/articles/${draft.id}/preview-link`)
+          .set('Authorization', `Bearer ${jwtUtils.generateToken(author)}`)
+          .expect(403);
+
+        expect(response.body.error.code).toBe('ACCESS_DENIED');
+      } finally {
+        dbManager.getDatabase().prepare('DELETE FROM users WHERE id = ?').run(author.id);
+      }
+    });
+  });
+
   describe('DELETE /api/articles/:id', () => {
-    test('should delete article', async () => {
+    test('should move the article to the trash', async () => {
       const article = await Article.create({
         title: 'Article to Delete',
         content: 'Content to delete',
@@ -528,11 +1228,12 @@ describe('Article Routes', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toBe('Article deleted successfully');
+      expect(response.body.message).toBe('Article moved to trash');
 
       // Verify article is deleted
       const deletedArticle = Article.findById(article.id);
       expect(deletedArticle).toBeNull();
+      expect(Article.findById(article.id, false, { withDeleted: true }).deleted_at).toBeTruthy();
     });
 
     test('should return 404 for non-existent article', async () => {
@@ -561,4 +1262,330 @@ describe('Article Routes', () => {
         .expect(401);
     });
   });
-});
\ No newline at end of file
+
+  describe('article trash', () => {
+    let trashed;
+
+    beforeEach(async () => {
+      trashed = await Article.create({
+        title: 'Trashed Route Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published'
+      });
+      Article.delete(trashed.id);
+    });
+
+    test('should list trashed articles with their purge date', async () => {
+      const response = await request(app)
+        .get('/api/articles/trash')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.retention_days).toBe(30);
+      expect(response.body.data.articles.map(article => article.id)).toEqual([trashed.id]);
+      expect(response.body.data.articles[0].purge_at).toBeTruthy();
+      expect(response.body.data.pagination.totalCount).toBe(1);
+
+      const list = await request(app)
+        .get('/api/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data.articles.map(article => article.id)).not.toContain(trashed.id);
+    });
+
+    test('should not find trashed articles by ID or slug', async () => {
+      await request(app)
+        .get(`/api/articles/${trashed.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      await request(app)
+        .get('/api/articles/slug/trashed-route-article')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    test('should restore a trashed article', async () => {
+      const response = await request(app)
+        .post(`/api/articles/${trashed.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Article restored successfully');
+      expect(response.body.data.deleted_at).toBeNull();
+      expect(Article.findById(trashed.id)).not.toBeNull();
+
+      await request(app)
+        .post(`/api/articles/${trashed.id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    test('should only delete articles in the trash permanently', async () => {
+      const live = await Article.create({
+        title: 'Live Route Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await request(app)
+        .delete(`/api/articles/${live.id}/permanent`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      const response = await request(app)
+        .delete(`/api/articles/${trashed.id}/permanent`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Article deleted permanently');
+      expect(Article.findById(trashed.id, false, { withDeleted: true })).toBeNull();
+    });
+
+    test('should not move articles into a trashed category', async () => {
+      const db = dbManager.getDatabase();
+      const category = db.prepare(`
+        INSERT INTO categories (name, slug, deleted_at) VALUES ('Trashed Category', 'trashed-category', datetime('now'))
+      `).run();
+
+      try {
+        const response = await request(app)
+          .post('/api/articles')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ title: 'Misplaced', content: 'Content', category_id: category.lastInsertRowid })
+          .expect(400);
+
+        expect(response.body.error.code).toBe('INVALID_CATEGORY');
+      } finally {
+        db.prepare('DELETE FROM categories WHERE id = ?').run(category.lastInsertRowid);
+      }
+    });
+  });
+
+  describe('role permissions', () => {
+    let author;
+    let viewer;
+    let authorToken;
+    let viewerToken;
+
+    beforeAll(async () => {
+      author = await User.create({
+        username: 'testroleauthor',
+        email: 'roleauthor@test.com',
+        password: 'TestPass123',
+        role: 'author'
+      });
+      viewer = await User.create({
+        username: 'testroleviewer',
+        email: 'roleviewer@test.com',
+        password: 'TestPass123',
+        role: 'viewer'
+      });
+      authorToken = jwtUtils.generateToken(author);
+      viewerToken = jwtUtils.generateToken(viewer);
+    });
+
+    afterEach(() => {
+      const db = dbManager.getDatabase();
+      db.prepare('DELETE FROM articles WHERE author_id = ?').run(author.id);
+    });
+
+    afterAll(() => {
+      const db = dbManager.getDatabase();
+      db.prepare('DELETE FROM users WHERE id IN (?, ?)').run(author.id, viewer.id);
+    });
+
+    test('should let viewers read but not write articles', async () => {
+      await request(app)
+        .get('/api/articles')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ title: 'Viewer Article', content: 'Content', category_id: testCategory.id })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should create author drafts as the signed-in author', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Author Draft', content: 'Content', category_id: testCategory.id })
+        .expect(201);
+
+      expect(response.body.data.author_id).toBe(author.id);
+    });
+
+    test('should accept the author\'s own id sent as a string', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Form Draft', content: 'Content', category_id: testCategory.id, author_id: String(author.id) })
+        .expect(201);
+
+      expect(response.body.data.author_id).toBe(author.id);
+    });
+
+    test('should not let authors write as someone else', async () => {
+      const response = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Ghost Written', content: 'Content', category_id: testCategory.id, author_id: testUser.id })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+    });
+
+    test('should not let authors publish', async () => {
+      const article = await Article.create({
+        title: 'Author Own Draft',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: author.id
+      });
+
+      await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Author Published', content: 'Content', category_id: testCategory.id, status: 'published' })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/articles/${article.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ status: 'published' })
+        .expect(403);
+
+      const response = await request(app)
+        .post(`/api/articles/${article.id}/publish`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should let authors edit and delete only their own articles', async () => {
+      const own = await Article.create({
+        title: 'Author Own Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: author.id
+      });
+      const other = await Article.create({
+        title: 'Someone Else Article',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await request(app)
+        .put(`/api/articles/${own.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Author Own Article Edited', status: 'draft' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/articles/${other.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Hijacked' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCESS_DENIED');
+
+      await request(app)
+        .delete(`/api/articles/${other.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/articles/${own.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(Article.findById(other.id).title).toBe('Someone Else Article');
+    });
+
+    test('should let authors see and restore only their own trashed articles', async () => {
+      const own = await Article.create({
+        title: 'Author Trashed Own',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: author.id
+      });
+      const other = await Article.create({
+        title: 'Author Trashed Other',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+      Article.delete(own.id);
+      Article.delete(other.id);
+
+      const response = await request(app)
+        .get('/api/articles/trash')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.data.articles.map(article => article.id)).toEqual([own.id]);
+
+      await request(app)
+        .post(`/api/articles/${other.id}/restore`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/articles/${other.id}/permanent`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+
+      await request(app)
+        .post(`/api/articles/${own.id}/restore`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/articles/trash')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    test('should only apply bulk actions to articles authors may change', async () => {
+      const own = await Article.create({
+        title: 'Author Bulk Own',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: author.id
+      });
+      const other = await Article.create({
+        title: 'Author Bulk Other',
+        content: 'Content',
+        category_id: testCategory.id,
+        author_id: testUser.id
+      });
+
+      await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ action: 'publish', ids: [own.id] })
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/articles/bulk')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ action: 'delete', ids: [own.id, other.id] })
+        .expect(200);
+
+      expect(response.body.data.results.map(result => result.success)).toEqual([true, false]);
+      expect(response.body.data.results[1].error.code).toBe('ACCESS_DENIED');
+      expect(Article.findById(own.id)).toBeNull();
+      expect(Article.findById(other.id)).not.toBeNull();
+    });
+  });
+});
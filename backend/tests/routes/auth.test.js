@@ -2,10 +2,18 @@ const request = require('supertest');
 const express = require('express');
 const authRoutes = require('../../routes/auth');
 const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const Mailer = require('../../services/mailer');
+const TwoFactor = require('../../services/twoFactor');
 const jwtUtils = require('../../utils/jwt');
 
 // Mock dependencies
 jest.mock('../../models/User');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/PasswordResetToken');
+jest.mock('../../services/mailer');
+jest.mock('../../services/twoFactor');
 jest.mock('../../utils/jwt');
 
 // Set up test environment
@@ -47,11 +55,11 @@ describe('Auth Routes', () => {
 
       User.findByUsername.mockReturnValue(mockUser);
       jwtUtils.generateToken.mockReturnValue(mockAccessToken);
-      jwtUtils.generateRefreshToken.mockReturnValue(mockRefreshToken);
+      RefreshToken.issue.mockReturnValue({ token: mockRefreshToken, record: { family_id: 'session-1' } });
 
       const response = await request(app)
         .post('/auth/login')
-        .send(validLoginData);
+        .send({ ...validLoginData, device_label: 'Work laptop' });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
@@ -60,6 +68,8 @@ describe('Auth Routes', () => {
       expect(response.body.data.tokens.refresh_token).toBe(mockRefreshToken);
       expect(User.findByUsername).toHaveBeenCalledWith('testuser');
       expect(mockUser.verifyPassword).toHaveBeenCalledWith('TestPassword123');
+      expect(RefreshToken.issue).toHaveBeenCalledWith(mockUser, expect.objectContaining({ deviceLabel: 'Work laptop' }));
+      expect(jwtUtils.generateToken).toHaveBeenCalledWith(mockUser, { sessionId: 'session-1' });
     });
 
     it('should reject login with invalid username', async () => {
@@ -137,6 +147,7 @@ describe('Auth Routes', () => {
       jwtUtils.verifyRefreshToken.mockReturnValue(mockDecoded);
       User.findById.mockReturnValue(mockUser);
       jwtUtils.generateToken.mockReturnValue(mockNewAccessToken);
+      RefreshToken.rotate.mockReturnValue({ token: 'rotated.refresh.token', record: { family_id: 'session-1' } });
 
       const response = await request(app)
         .post('/auth/refresh')
@@ -145,7 +156,25 @@ describe('Auth Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.access_token).toBe(mockNewAccessToken);
+      expect(response.body.data.refresh_token).toBe('rotated.refresh.token');
       expect(jwtUtils.verifyRefreshToken).toHaveBeenCalledWith(mockRefreshToken);
+      expect(RefreshToken.rotate).toHaveBeenCalledWith(mockRefreshToken, mockUser, expect.any(Object));
+    });
+
+    it('should reject a refresh token that was already rotated', async () => {
+      jwtUtils.verifyRefreshToken.mockReturnValue({ id: 1, username: 'testuser', type: 'refresh' });
+      User.findById.mockReturnValue({ id: 1 });
+      RefreshToken.rotate.mockImplementation(() => {
+        throw new Error('Refresh token reuse detected');
+      });
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refresh_token: 'stolen.refresh.token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+      expect(jwtUtils.generateToken).not.toHaveBeenCalled();
     });
 
     it('should reject request without refresh token', async () => {
@@ -189,6 +218,19 @@ describe('Auth Routes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('USER_NOT_FOUND');
     });
+
+    it('should reject refresh for a disabled account', async () => {
+      jwtUtils.verifyRefreshToken.mockReturnValue({ id: 1, username: 'testuser', type: 'refresh' });
+      User.findById.mockReturnValue({ id: 1, disabled_at: '2024-01-01 00:00:00' });
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refresh_token: 'valid.refresh.token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+      expect(jwtUtils.generateToken).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /auth/verify', () => {
@@ -242,6 +284,92 @@ describe('Auth Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Logged out successfully');
     });
+
+    it('should revoke the current session', async () => {
+      jwtUtils.extractTokenFromHeader.mockReturnValue('valid.jwt.token');
+      jwtUtils.verifyToken.mockReturnValue({ id: 1, username: 'testuser', sid: 'session-1' });
+      RefreshToken.isSessionActive.mockReturnValue(true);
+      User.findById.mockReturnValue({ toJSON: () => ({ id: 1, username: 'testuser' }) });
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(200);
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-1', 1);
+    });
+
+    it('should reject access tokens of a revoked session', async () => {
+      jwtUtils.extractTokenFromHeader.mockReturnValue('valid.jwt.token');
+      jwtUtils.verifyToken.mockReturnValue({ id: 1, username: 'testuser', sid: 'session-1' });
+      RefreshToken.isSessionActive.mockReturnValue(false);
+      User.findById.mockReturnValue({ toJSON: () => ({ id: 1, username: 'testuser' }) });
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('SESSION_REVOKED');
+    });
+  });
+
+  describe('sessions', () => {
+    beforeEach(() => {
+      jwtUtils.extractTokenFromHeader.mockReturnValue('valid.jwt.token');
+      jwtUtils.verifyToken.mockReturnValue({ id: 1, username: 'testuser', sid: 'session-1' });
+      RefreshToken.isSessionActive.mockReturnValue(true);
+      User.findById.mockReturnValue({ toJSON: () => ({ id: 1, username: 'testuser' }) });
+    });
+
+    it('should list sessions and flag the current one', async () => {
+      RefreshToken.findSessions.mockReturnValue([
+        { id: 'session-1', device_label: 'Work laptop' },
+        { id: 'session-2', device_label: 'Phone' }
+      ]);
+
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(200);
+      expect(RefreshToken.findSessions).toHaveBeenCalledWith(1);
+      expect(response.body.data.sessions.map(session => session.current)).toEqual([true, false]);
+    });
+
+    it('should revoke a session', async () => {
+      RefreshToken.revokeFamily.mockReturnValue(true);
+
+      const response = await request(app)
+        .delete('/auth/sessions/session-2')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(200);
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-2', 1);
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      RefreshToken.revokeFamily.mockReturnValue(false);
+
+      const response = await request(app)
+        .delete('/auth/sessions/unknown')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    it('should log out everywhere', async () => {
+      RefreshToken.revokeAllForUser.mockReturnValue(2);
+
+      const response = await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', 'Bearer valid.jwt.token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.revoked_sessions).toBe(2);
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(1);
+    });
   });
 
   describe('PUT /auth/change-password', () => {
@@ -280,6 +408,7 @@ describe('Auth Routes', () => {
       expect(response.body.message).toBe('Password changed successfully');
       expect(mockUser.verifyPassword).toHaveBeenCalledWith('OldPassword123');
       expect(mockUser.changePassword).toHaveBeenCalledWith('NewPassword123');
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(1, { exceptFamilyId: null });
     });
 
     it('should reject password change with incorrect current password', async () => {
@@ -344,4 +473,149 @@ describe('Auth Routes', () => {
       expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
   });
-});
\ No newline at end of file
+
+  // Both endpoints share a limit of 5 requests, so keep to 5 tests here
+  describe('password reset', () => {
+    it('should email a reset link for a known address', async () => {
+      User.findByEmail.mockReturnValue({ id: 1, username: 'testuser', email: 'test@example.com' });
+      PasswordResetToken.create.mockReturnValue({ token: 'reset-token' });
+      // Never settles, so the request would hang if the route waited for the mail
+      Mailer.send.mockReturnValue(new Promise(() => {}));
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(PasswordResetToken.create).toHaveBeenCalledWith(1);
+      expect(Mailer.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'test@example.com',
+        text: expect.stringContaining('/reset-password?token=reset-token')
+      }));
+    });
+
+    it('should answer the same for an unknown address', async () => {
+      User.findByEmail.mockReturnValue(null);
+
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If an account exists for that email, a password reset link has been sent');
+      expect(Mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should reset the password and sign out every session', async () => {
+      const mockUser = { id: 1, changePassword: jest.fn().mockResolvedValue(true) };
+      PasswordResetToken.consume.mockReturnValue(1);
+      User.findById.mockReturnValue(mockUser);
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', new_password: 'NewPassword123' });
+
+      expect(response.status).toBe(200);
+      expect(PasswordResetToken.consume).toHaveBeenCalledWith('reset-token');
+      expect(mockUser.changePassword).toHaveBeenCalledWith('NewPassword123');
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject an invalid or used token', async () => {
+      PasswordResetToken.consume.mockImplementation(() => {
+        throw new Error('Invalid or expired reset token');
+      });
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'used-token', new_password: 'NewPassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('should validate the new password', async () => {
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', new_password: 'weak' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const mockUser = {
+      id: 1,
+      username: 'testuser',
+      role: 'admin',
+      toJSON: () => ({ id: 1, username: 'testuser', two_factor_enabled: true })
+    };
+
+    beforeEach(() => {
+      User.findById.mockReturnValue(mockUser);
+      RefreshToken.issue.mockReturnValue({ token: 'refresh.jwt.token', record: { family_id: 'session-1' } });
+      jwtUtils.generateToken.mockReturnValue('access.jwt.token');
+    });
+
+    it('should exchange an MFA token and code for a session', async () => {
+      jwtUtils.verifyMfaToken.mockReturnValue({ id: 1, type: 'mfa', purpose: 'verify' });
+      TwoFactor.verify.mockReturnValue(true);
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .send({ mfa_token: 'mfa.jwt.token', code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(jwtUtils.verifyMfaToken).toHaveBeenCalledWith('mfa.jwt.token', { purpose: 'verify' });
+      expect(TwoFactor.verify).toHaveBeenCalledWith(mockUser, { code: '123456', recoveryCode: undefined });
+      expect(response.body.data.tokens.access_token).toBe('access.jwt.token');
+      expect(response.body.data.tokens.refresh_token).toBe('refresh.jwt.token');
+    });
+
+    it('should reject a wrong code', async () => {
+      jwtUtils.verifyMfaToken.mockReturnValue({ id: 1, type: 'mfa', purpose: 'verify' });
+      TwoFactor.verify.mockReturnValue(false);
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .send({ mfa_token: 'mfa.jwt.token', code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_MFA_CODE');
+      expect(RefreshToken.issue).not.toHaveBeenCalled();
+    });
+
+    it('should finish a required enrollment during sign-in', async () => {
+      jwtUtils.verifyMfaToken.mockReturnValue({ id: 1, type: 'mfa', purpose: 'enroll' });
+      TwoFactor.confirmEnrollment.mockReturnValue(['aaaa-bbbb-cccc-dddd']);
+
+      const response = await request(app)
+        .post('/auth/2fa/enable')
+        .send({ mfa_token: 'mfa.jwt.token', code: '123456' });
+
+      expect(response.status).toBe(200);
+      expect(jwtUtils.verifyMfaToken).toHaveBeenCalledWith('mfa.jwt.token', { purpose: 'enroll' });
+      expect(TwoFactor.confirmEnrollment).toHaveBeenCalledWith(mockUser, '123456');
+      expect(response.body.data.recovery_codes).toEqual(['aaaa-bbbb-cccc-dddd']);
+      expect(response.body.data.tokens.access_token).toBe('access.jwt.token');
+    });
+
+    it('should not disable 2FA the policy requires', async () => {
+      jwtUtils.extractTokenFromHeader.mockReturnValue('valid.jwt.token');
+      jwtUtils.verifyToken.mockReturnValue({ id: 1, username: 'testuser', sid: 'session-1' });
+      RefreshToken.isSessionActive.mockReturnValue(true);
+      TwoFactor.isEnabled.mockReturnValue(true);
+      TwoFactor.isRequiredFor.mockReturnValue(true);
+
+      const response = await request(app)
+        .post('/auth/2fa/disable')
+        .set('Authorization', 'Bearer valid.jwt.token')
+        .send({ password: 'TestPassword123', code: '123456' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('MFA_REQUIRED_BY_POLICY');
+      expect(TwoFactor.disable).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+process.env.DB_PATH = ':memory:';
+process.env.SITE_URL = 'https://blog.example.com';
+process.env.API_URL = 'https://api.example.com';
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const feedRoutes = require('../../routes/feeds');
+const Article = require('../../models/Article');
+const User = require('../../models/User');
+const Media = require('../../models/Media');
+const dbManager = require('../../config/database');
+const { conditionalRequest, invalidateCache } = require('../../middleware/caching');
+
+// Create test app, mounted at the root like server.js
+const app = express();
+app.use(conditionalRequest);
+app.use(feedRoutes);
+
+describe('Feed Routes', () => {
+  let testUser;
+  let parentCategory;
+  let childCategory;
+
+  beforeAll(async () => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    ['008_create_articles_fts.sql', '009_create_article_revisions_table.sql', '010_add_article_publish_at.sql',
+      '011_create_tags_tables.sql', '012_add_category_parent_id.sql', '017_add_article_content_format.sql',
+      '018_create_media_table.sql', '020_add_article_seo_fields.sql', '022_add_soft_delete.sql'].forEach(file => {
+      db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files', file), 'utf8'));
+    });
+
+    testUser = await User.create({
+      username: 'feedauthor',
+      email: 'feedauthor@test.com',
+      password: 'TestPass123'
+    });
+
+    const insertCategory = db.prepare('INSERT INTO categories (name, description, slug, parent_id) VALUES (?, ?, ?, ?)');
+    parentCategory = { id: insertCategory.run('Engineering', 'Posts about building things', 'engineering', null).lastInsertRowid };
+    childCategory = { id: insertCategory.run('Databases', null, 'databases', parentCategory.id).lastInsertRowid };
+    insertCategory.run('Empty', null, 'empty', null);
+
+    Media.create({
+      filename: 'thumbnail-1-1.jpg',
+      original_name: 'cover.jpg',
+      mime_type: 'image/jpeg',
+      size: 2048
+    });
+  });
+
+  beforeEach(async () => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles WHERE author_id = ?').run(testUser.id);
+    invalidateCache.public();
+
+    await Article.create({
+      title: 'Indexes & Query Plans',
+      content: '<p>Read the <a href="/articles/basics">basics</a> first.</p><img src="/uploads/plan.png" alt="Plan">',
+      excerpt: 'How SQLite picks an index',
+      thumbnail_url: '/uploads/thumbnail-1-1.jpg',
+      category_id: childCategory.id,
+      author_id: testUser.id,
+      status: 'published'
+    });
+
+    await Article.create({
+      title: 'Shipping Weekly',
+      content: '<p>Small releases keep the team honest.</p>',
+      category_id: parentCategory.id,
+      author_id: testUser.id,
+      status: 'published'
+    });
+
+    await Article.create({
+      title: 'Unfinished Thoughts',
+      content: '<p>Not ready yet</p>',
+      category_id: parentCategory.id,
+      author_id: testUser.id,
+      status: 'draft'
+    });
+  });
+
+  describe('GET /feed.xml', () => {
+    test('should list published articles as RSS 2.0', async () => {
+      const response = await request(app)
+        .get('/feed.xml')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+      expect(response.text).toContain('<rss version="2.0"');
+      expect(response.text).toContain('<atom:link href="https://api.example.com/feed.xml" rel="self" type="application/rss+xml"/>');
+      expect(response.text).toContain('<title>Indexes &amp; Query Plans</title>');
+      expect(response.text).toContain('<link>https://blog.example.com/articles/indexes-query-plans</link>');
+      expect(response.text).toContain('<title>Shipping Weekly</title>');
+      expect(response.text).not.toContain('Unfinished Thoughts');
+      expect(response.text.match(/<item>/g)).toHaveLength(2);
+    });
+
+    test('should include the excerpt, full content and thumbnail enclosure', async () => {
+      const response = await request(app)
+        .get('/feed.xml')
+        .expect(200);
+
+      expect(response.text).toContain('<description>How SQLite picks an index</description>');
+      // Relative links and images point at the servers that host them
+      expect(response.text).toContain(
+        '<content:encoded>&lt;p&gt;Read the &lt;a href=&quot;https://blog.example.com/articles/basics&quot;&gt;basics&lt;/a&gt; first.&lt;/p&gt;&lt;img src=&quot;https://api.example.com/uploads/plan.png&quot; alt=&quot;Plan&quot;&gt;</content:encoded>'
+      );
+      expect(response.text).toContain('<enclosure url="https://api.example.com/uploads/thumbnail-1-1.jpg" length="2048" type="image/jpeg"/>');
+      // Articles without an excerpt are summarised from their content
+      expect(response.text).toContain('<description>Small releases keep the team honest.</description>');
+    });
+
+    test('should report the latest article change as lastBuildDate', async () => {
+      const db = dbManager.getDatabase();
+      db.prepare('UPDATE articles SET published_at = ?, updated_at = ? WHERE author_id = ?')
+        .run('2024-03-01T08:00:00.000Z', '2024-03-02 09:30:00', testUser.id);
+      db.prepare('UPDATE articles SET updated_at = ? WHERE title = ?')
+        .run('2024-03-05 12:00:00', 'Shipping Weekly');
+
+      const response = await request(app)
+        .get('/feed.xml')
+        .expect(200);
+
+      expect(response.text).toContain('<lastBuildDate>Tue, 05 Mar 2024 12:00:00 GMT</lastBuildDate>');
+      expect(response.text).toContain('<pubDate>Fri, 01 Mar 2024 08:00:00 GMT</pubDate>');
+    });
+
+    test('should answer conditional requests with 304', async () => {
+      const first = await request(app)
+        .get('/feed.xml')
+        .expect(200);
+
+      expect(first.headers.etag).toBeDefined();
+      expect(first.headers['x-cache']).toBe('MISS');
+
+      await request(app)
+        .get('/feed.xml')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      const changed = await request(app)
+        .get('/feed.xml')
+        .set('If-None-Match', 'stale-etag')
+        .expect(200);
+
+      expect(changed.headers['x-cache']).toBe('HIT');
+      expect(changed.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+      expect(changed.text).toBe(first.text);
+    });
+  });
+
+  describe('GET /atom.xml', () => {
+    test('should list published articles as Atom', async () => {
+      const response = await request(app)
+        .get('/atom.xml')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+      expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(response.text).toContain('<link rel="self" type="application/atom+xml" href="https://api.example.com/atom.xml"/>');
+      expect(response.text).toContain('<summary type="text">How SQLite picks an index</summary>');
+      expect(response.text).toContain('<link rel="enclosure" href="https://api.example.com/uploads/thumbnail-1-1.jpg" type="image/jpeg" length="2048"/>');
+      expect(response.text).toContain('<author><name>feedauthor</name></author>');
+      expect(response.text).toMatch(/<id>tag:blog\.example\.com,\d{4}-\d{2}-\d{2}:article-\d+<\/id>/);
+      expect(response.text.match(/<entry>/g)).toHaveLength(2);
+    });
+  });
+
+  describe('GET /categories/:slug/feed.xml', () => {
+    test('should include articles of the category and its subcategories', async () => {
+      const parent = await request(app)
+        .get('/categories/engineering/feed.xml')
+        .expect(200);
+
+      expect(parent.text).toContain('<title>JonAI-Lab Blog: Engineering</title>');
+      expect(parent.text).toContain('<description>Posts about building things</description>');
+      expect(parent.text).toContain('<link>https://blog.example.com/categories/engineering</link>');
+      expect(parent.text.match(/<item>/g)).toHaveLength(2);
+
+      const child = await request(app)
+        .get('/categories/databases/atom.xml')
+        .expect(200);
+
+      expect(child.text.match(/<entry>/g)).toHaveLength(1);
+      expect(child.text).toContain('Indexes &amp; Query Plans');
+    });
+
+    test('should return an empty feed for a category without articles', async () => {
+      const response = await request(app)
+        .get('/categories/empty/feed.xml')
+        .expect(200);
+
+      expect(response.text).not.toContain('<item>');
+      expect(response.text).not.toContain('<lastBuildDate>');
+    });
+
+    test('should return 404 for unknown categories', async () => {
+      const response = await request(app)
+        .get('/categories/missing/feed.xml')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CATEGORY_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,319 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+
+const request = require('supertest');
+const express = require('express');
+const sharp = require('sharp');
+const mediaRoutes = require('../../routes/media');
+const Media = require('../../models/Media');
+const ImageProcessor = require('../../services/imageProcessor');
+const UploadCleanup = require('../../services/uploadCleanup');
+const jwtUtils = require('../../utils/jwt');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+
+describe('Media Routes', () => {
+  let adminToken;
+  let editorToken;
+  let authorToken;
+  let viewerToken;
+  let editorId;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        content_html TEXT,
+        thumbnail_url VARCHAR(500),
+        status VARCHAR(20) DEFAULT 'draft',
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/018_create_media_table.sql'), 'utf8'));
+
+    const createUser = (username, role) => {
+      const id = db.prepare('INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)')
+        .run(username, `${username}@test.com`, 'hash', role).lastInsertRowid;
+      return { id, token: jwtUtils.generateToken({ id, username, email: `${username}@test.com`, role }) };
+    };
+
+    adminToken = createUser('mediaadmin', 'admin').token;
+    const editor = createUser('mediaeditor', 'editor');
+    editorId = editor.id;
+    editorToken = editor.token;
+    authorToken = createUser('mediaauthor', 'author').token;
+    viewerToken = createUser('mediaviewer', 'viewer').token;
+  });
+
+  beforeEach(() => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM media').run();
+    db.prepare('DELETE FROM articles').run();
+  });
+
+  afterEach(() => {
+    for (const file of fs.readdirSync(uploadsDir)) {
+      if (file.startsWith('thumbnail-media-test')) {
+        fs.unlinkSync(path.join(uploadsDir, file));
+      }
+    }
+  });
+
+  const createMedia = (filename, overrides = {}) => Media.create({
+    filename,
+    original_name: filename,
+    mime_type: 'image/jpeg',
+    size: 1024,
+    width: 640,
+    height: 480,
+    uploaded_by: editorId,
+    ...overrides
+  });
+
+  const useInArticle = (slug, thumbnailUrl) => {
+    const db = dbManager.getDatabase();
+    return db.prepare("INSERT INTO articles (title, slug, content, thumbnail_url, status) VALUES (?, ?, 'Text', ?, 'published')")
+      .run(`Article ${slug}`, slug, thumbnailUrl).lastInsertRowid;
+  };
+
+  describe('GET /api/media', () => {
+    beforeEach(() => {
+      createMedia('thumbnail-1-1.jpg', { original_name: 'harbour.jpg' });
+      createMedia('thumbnail-1-2.png', { original_name: 'chart.png', mime_type: 'image/png' });
+    });
+
+    test('should list media with the articles that use each item', async () => {
+      const articleId = useInArticle('harbour', '/uploads/thumbnail-1-1.jpg');
+
+      const response = await request(app)
+        .get('/api/media?orderBy=original_name&orderDir=ASC')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.total).toBe(2);
+      const [chart, harbour] = response.body.data.media;
+      expect(chart.articles).toEqual([]);
+      expect(harbour.articles).toEqual([{ id: articleId, title: 'Article harbour', slug: 'harbour', status: 'published' }]);
+      expect(harbour.uploader.username).toBe('mediaeditor');
+    });
+
+    test('should search and filter by type', async () => {
+      const response = await request(app)
+        .get('/api/media?search=harb&type=image/jpeg')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.data.media.map(m => m.original_name)).toEqual(['harbour.jpg']);
+    });
+
+    test('should be hidden from viewers', async () => {
+      const response = await request(app)
+        .get('/api/media')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/media/:id', () => {
+    test('should return the item', async () => {
+      const media = createMedia('thumbnail-1-1.jpg');
+
+      const response = await request(app)
+        .get(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.data.url).toBe('/uploads/thumbnail-1-1.jpg');
+      expect(response.body.data.articles).toEqual([]);
+    });
+
+    test('should return 404 for unknown items', async () => {
+      const response = await request(app)
+        .get('/api/media/999')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('MEDIA_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /api/media/:id', () => {
+    test('should update the alt text', async () => {
+      const media = createMedia('thumbnail-1-1.jpg');
+
+      const response = await request(app)
+        .put(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ alt_text: '  Boats in the harbour  ' })
+        .expect(200);
+
+      expect(response.body.data.alt_text).toBe('Boats in the harbour');
+      expect(response.body.message).toBe('Media updated successfully');
+    });
+
+    test('should reject invalid alt text', async () => {
+      const media = createMedia('thumbnail-1-1.jpg');
+
+      const response = await request(app)
+        .put(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ alt_text: 'a'.repeat(300) })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('DELETE /api/media/:id', () => {
+    let filePath;
+
+    beforeEach(async () => {
+      filePath = path.join(uploadsDir, 'thumbnail-media-test.png');
+      await sharp({ create: { width: 400, height: 200, channels: 3, background: '#888888' } }).png().toFile(filePath);
+    });
+
+    test('should delete the item and its files', async () => {
+      const manifest = await ImageProcessor.processUpload(filePath);
+      const media = createMedia('thumbnail-media-test.png', { variants: manifest.variants });
+
+      const response = await request(app)
+        .delete(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Media deleted successfully');
+      expect(Media.findById(media.id)).toBeUndefined();
+      expect(fs.readdirSync(uploadsDir).filter(file => file.startsWith('thumbnail-media-test'))).toEqual([]);
+    });
+
+    test('should refuse while an article uses the item', async () => {
+      const media = createMedia('thumbnail-media-test.png');
+      const articleId = useInArticle('uses-it', '/uploads/thumbnail-media-test-320w.webp');
+
+      const response = await request(app)
+        .delete(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('MEDIA_IN_USE');
+      expect(response.body.error.details.articles.map(a => a.id)).toEqual([articleId]);
+      expect(Media.findById(media.id)).toBeDefined();
+      expect(fs.existsSync(filePath)).toBe(true);
+    });
+
+    test('should not let authors delete media', async () => {
+      const media = createMedia('thumbnail-media-test.png');
+
+      await request(app)
+        .delete(`/api/media/${media.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Orphaned upload cleanup', () => {
+    const report = {
+      dry_run: true,
+      grace_hours: 168,
+      quarantine_hours: 168,
+      orphans: [{ filename: 'thumbnail-1-1.jpg', size: 1024, modified_at: '2024-01-01T00:00:00.000Z' }],
+      orphan_bytes: 1024,
+      quarantined: 0,
+      restored: [],
+      purged: 0
+    };
+
+    // Never touch the real uploads folder from route tests
+    let runSpy;
+
+    beforeEach(() => {
+      runSpy = jest.spyOn(UploadCleanup, 'run').mockImplementation(async (options) => ({
+        ...report,
+        dry_run: options.dryRun,
+        quarantined: options.dryRun ? 0 : report.orphans.length
+      }));
+    });
+
+    afterEach(() => {
+      runSpy.mockRestore();
+    });
+
+    test('should report orphans without moving them', async () => {
+      const response = await request(app)
+        .get('/api/media/orphans?grace_hours=24')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(runSpy).toHaveBeenCalledWith({ graceHours: 24, dryRun: true });
+      expect(response.body.data.orphans).toHaveLength(1);
+      expect(response.body.data.dry_run).toBe(true);
+    });
+
+    test('should quarantine orphans', async () => {
+      const response = await request(app)
+        .post('/api/media/orphans/quarantine')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      expect(runSpy).toHaveBeenCalledWith({ dryRun: false });
+      expect(response.body.message).toBe('Quarantined 1 file(s)');
+    });
+
+    test('should reject an invalid grace period', async () => {
+      const response = await request(app)
+        .post('/api/media/orphans/quarantine')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ grace_hours: -1 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_GRACE_PERIOD');
+      expect(runSpy).not.toHaveBeenCalled();
+    });
+
+    test('should be limited to admins', async () => {
+      await request(app)
+        .get('/api/media/orphans')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+
+      await request(app)
+        .post('/api/media/orphans/quarantine')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,472 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const express = require('express');
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const publicRoutes = require('../../routes/public');
+const Article = require('../../models/Article');
+const Category = require('../../models/Category');
+const User = require('../../models/User');
+const ArticlePreviewLink = require('../../models/ArticlePreviewLink');
+const dbManager = require('../../config/database');
+const { invalidateCache } = require('../../middleware/caching');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/public', publicRoutes);
+
+describe('Public Routes', () => {
+  let testUser;
+  let testCategory;
+
+  beforeAll(async () => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    // Create full-text search index and sync triggers
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/008_create_articles_fts.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/009_create_article_revisions_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/010_add_article_publish_at.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/011_create_tags_tables.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/012_add_category_parent_id.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/017_add_article_content_format.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/019_create_article_preview_links_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/020_add_article_seo_fields.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/021_create_slug_redirects_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/022_add_soft_delete.sql'), 'utf8'));
+
+    testUser = await User.create({
+      username: 'testpublicuser',
+      email: 'publicuser@test.com',
+      password: 'TestPass123'
+    });
+
+    const result = db.prepare(`
+      INSERT INTO categories (name, description, slug)
+      VALUES (?, ?, ?)
+    `).run('Public Test Category', 'Category for public API tests', 'public-test-category');
+
+    testCategory = { id: result.lastInsertRowid };
+  });
+
+  beforeEach(async () => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles WHERE author_id = ?').run(testUser.id);
+    invalidateCache.public();
+
+    await Article.create({
+      title: 'Published Machine Learning Post',
+      content: '<p>Gradient descent explained</p>',
+      excerpt: 'An intro to optimisation',
+      category_id: testCategory.id,
+      author_id: testUser.id,
+      status: 'published'
+    });
+
+    await Article.create({
+      title: 'Secret Draft',
+      content: '<p>Not ready yet</p>',
+      category_id: testCategory.id,
+      author_id: testUser.id,
+      status: 'draft'
+    });
+  });
+
+  describe('GET /api/public/articles', () => {
+    test('should only return published articles', async () => {
+      const response = await request(app)
+        .get('/api/public/articles')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.articles).toHaveLength(1);
+      expect(response.body.data.articles[0].status).toBe('published');
+      expect(response.body.data.articles[0].category_slug).toBe('public-test-category');
+      expect(response.body.data.articles[0].author_username).toBe('testpublicuser');
+      expect(response.body.data.limit).toBe(50);
+      expect(response.body.data.offset).toBe(0);
+    });
+
+    test('should search published articles', async () => {
+      const hit = await request(app)
+        .get('/api/public/articles?search=gradient')
+        .expect(200);
+      expect(hit.body.data.articles).toHaveLength(1);
+
+      const miss = await request(app)
+        .get('/api/public/articles?search=ready')
+        .expect(200);
+      expect(miss.body.data.articles).toHaveLength(0);
+    });
+
+    test('should return highlighted snippets for searches', async () => {
+      const response = await request(app)
+        .get('/api/public/articles?search=%22gradient%20descent%22')
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.articles[0].search.snippet).toBe('<mark>Gradient descent</mark> explained');
+    });
+
+    test('should filter by category and paginate', async () => {
+      const response = await request(app)
+        .get(`/api/public/articles?category_id=${testCategory.id}&limit=1&offset=1`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.articles).toHaveLength(0);
+      expect(response.body.data.limit).toBe(1);
+      expect(response.body.data.offset).toBe(1);
+    });
+
+    test('should ignore unknown orderBy columns', async () => {
+      const response = await request(app)
+        .get('/api/public/articles?orderBy=id;DROP TABLE articles')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should reject invalid category_id', async () => {
+      const response = await request(app)
+        .get('/api/public/articles?category_id=abc')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CATEGORY_ID');
+    });
+
+    test('should send permissive CORS headers', async () => {
+      const response = await request(app)
+        .get('/api/public/articles')
+        .set('Origin', 'https://example.org')
+        .expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBe('*');
+    });
+
+    test('should leave out articles in the trash', async () => {
+      const article = Article.findBySlug('published-machine-learning-post');
+      Article.delete(article.id);
+
+      const response = await request(app)
+        .get('/api/public/articles?search=gradient')
+        .expect(200);
+
+      expect(response.body.data.total).toBe(0);
+      expect(response.body.data.articles).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/public/articles/${article.id}`)
+        .expect(404);
+    });
+
+    test('should serve repeated requests from cache', async () => {
+      await request(app).get('/api/public/articles').expect(200);
+      const response = await request(app).get('/api/public/articles').expect(200);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+    });
+  });
+
+  describe('GET /api/public/articles/:id', () => {
+    test('should return a published article', async () => {
+      const published = Article.findAll({ status: 'published', author_id: testUser.id })[0];
+
+      const response = await request(app)
+        .get(`/api/public/articles/${published.id}`)
+        .expect(200);
+
+      expect(response.body.data.article.id).toBe(published.id);
+      expect(response.body.data.article.category_name).toBe('Public Test Category');
+    });
+
+    test('should hide drafts', async () => {
+      const draft = Article.findAll({ status: 'draft', author_id: testUser.id })[0];
+
+      const response = await request(app)
+        .get(`/api/public/articles/${draft.id}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('ARTICLE_NOT_FOUND');
+    });
+
+    test('should return 400 for invalid ID', async () => {
+      const response = await request(app)
+        .get('/api/public/articles/invalid')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_ARTICLE_ID');
+    });
+  });
+
+  describe('GET /api/public/articles/slug/:slug', () => {
+    test('should return a published article by slug', async () => {
+      const response = await request(app)
+        .get('/api/public/articles/slug/published-machine-learning-post')
+        .expect(200);
+
+      expect(response.body.data.article.title).toBe('Published Machine Learning Post');
+    });
+
+    test('should include SEO tags and structured data', async () => {
+      const article = Article.findBySlug('published-machine-learning-post');
+      await article.update({ meta_description: 'Optimisation from first principles', noindex: true });
+
+      const response = await request(app)
+        .get('/api/public/articles/slug/published-machine-learning-post')
+        .expect(200);
+
+      const { seo } = response.body.data;
+      expect(seo.title).toBe('Published Machine Learning Post');
+      expect(seo.description).toBe('Optimisation from first principles');
+      expect(seo.canonical_url).toMatch(/\/articles\/published-machine-learning-post$/);
+      expect(seo.robots).toBe('noindex, nofollow');
+      expect(seo.open_graph).toContainEqual({ property: 'og:title', content: 'Published Machine Learning Post' });
+      expect(seo.twitter).toContainEqual({ name: 'twitter:card', content: 'summary' });
+      expect(seo.json_ld['@type']).toBe('BlogPosting');
+      expect(seo.json_ld.author).toEqual({ '@type': 'Person', name: 'testpublicuser' });
+    });
+
+    test('should hide trashed articles by slug, old ones included', async () => {
+      const article = Article.findBySlug('published-machine-learning-post');
+      await article.update({ title: 'Gradient Descent Explained', regenerate_slug: true });
+      Article.delete(article.id);
+
+      await request(app)
+        .get('/api/public/articles/slug/gradient-descent-explained')
+        .expect(404);
+      await request(app)
+        .get('/api/public/articles/slug/published-machine-learning-post')
+        .expect(404);
+    });
+
+    test('should hide drafts by slug', async () => {
+      await request(app)
+        .get('/api/public/articles/slug/secret-draft')
+        .expect(404);
+    });
+
+    test('should redirect old slugs of published articles', async () => {
+      const article = Article.findBySlug('published-machine-learning-post');
+      await article.update({ title: 'Gradient Descent Explained', regenerate_slug: true });
+
+      const response = await request(app)
+        .get('/api/public/articles/slug/published-machine-learning-post')
+        .expect(301);
+
+      expect(response.headers.location).toBe('/api/public/articles/slug/gradient-descent-explained');
+      expect(response.body.redirect.slug).toBe('gradient-descent-explained');
+
+      // Drafts stay hidden under their old slugs too
+      const draft = Article.findBySlug('secret-draft');
+      await draft.update({ title: 'Renamed Draft', regenerate_slug: true });
+      await request(app)
+        .get('/api/public/articles/slug/secret-draft')
+        .expect(404);
+    });
+
+    test('should serve Markdown articles as rendered HTML', async () => {
+      await Article.create({
+        title: 'Markdown Public Post',
+        content: '# Attention\n\n```python\nprint(1)\n```',
+        content_format: 'markdown',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published'
+      });
+
+      const response = await request(app)
+        .get('/api/public/articles/slug/markdown-public-post')
+        .expect(200);
+
+      expect(response.body.data.article.content).toContain('<h1>Attention</h1>');
+      expect(response.body.data.article.content).toContain('<code class="hljs language-python">');
+    });
+  });
+
+  describe('categories', () => {
+    let fileDb;
+    let category;
+
+    beforeAll(() => {
+      // The Category model reads from the on-disk database
+      fileDb = new Database(path.join(__dirname, '../../data/blog_admin.db'));
+      fileDb.prepare('DELETE FROM categories WHERE slug IN (?, ?)').run('public-api-category', 'public-api-topic');
+      const result = fileDb.prepare(`
+        INSERT INTO categories (name, description, slug)
+        VALUES (?, ?, ?)
+      `).run('Public API Category', 'Visible to everyone', 'public-api-category');
+      category = { id: result.lastInsertRowid };
+    });
+
+    afterAll(() => {
+      fileDb.prepare('DELETE FROM slug_redirects WHERE entity_type = ? AND entity_id = ?').run('category', category.id);
+      fileDb.prepare('DELETE FROM categories WHERE id = ?').run(category.id);
+      fileDb.close();
+    });
+
+    test('should list categories', async () => {
+      const response = await request(app)
+        .get('/api/public/categories')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.categories.some(c => c.id === category.id)).toBe(true);
+      expect(response.body.data.limit).toBeNull();
+    });
+
+    test('should return category by ID', async () => {
+      const response = await request(app)
+        .get(`/api/public/categories/${category.id}`)
+        .expect(200);
+
+      expect(response.body.data.category.slug).toBe('public-api-category');
+    });
+
+    test('should return category by slug', async () => {
+      const response = await request(app)
+        .get('/api/public/categories/slug/public-api-category')
+        .expect(200);
+
+      expect(response.body.data.category.id).toBe(category.id);
+    });
+
+    test('should redirect the old slug of a renamed category', async () => {
+      new Category().update(category.id, { name: 'Public API Category', slug: 'public-api-topic' });
+
+      const response = await request(app)
+        .get('/api/public/categories/slug/public-api-category')
+        .expect(301);
+
+      expect(response.headers.location).toBe('/api/public/categories/slug/public-api-topic');
+      expect(response.body.redirect.slug).toBe('public-api-topic');
+    });
+
+    test('should hide categories in the trash', async () => {
+      const trashed = fileDb.prepare(`
+        INSERT INTO categories (name, slug, deleted_at) VALUES (?, ?, datetime('now'))
+      `).run('Public Trashed Category', 'public-trashed-category');
+
+      try {
+        const list = await request(app)
+          .get('/api/public/categories')
+          .expect(200);
+        expect(list.body.data.categories.some(c => c.id === trashed.lastInsertRowid)).toBe(false);
+
+        await request(app)
+          .get('/api/public/categories/slug/public-trashed-category')
+          .expect(404);
+      } finally {
+        fileDb.prepare('DELETE FROM categories WHERE id = ?').run(trashed.lastInsertRowid);
+      }
+    });
+
+    test('should return 404 for unknown category', async () => {
+      const response = await request(app)
+        .get('/api/public/categories/999999')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CATEGORY_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/public/preview/:token', () => {
+    let draft;
+
+    beforeEach(() => {
+      draft = Article.findAll({ status: 'draft' }).find(article => article.title === 'Secret Draft');
+    });
+
+    test('should show a draft through a valid preview link', async () => {
+      const link = ArticlePreviewLink.create(draft.id, { createdBy: testUser.id });
+
+      const response = await request(app)
+        .get(`/api/public/preview/${link.token}`)
+        .expect(200);
+
+      expect(response.body.data.article.title).toBe('Secret Draft');
+      expect(response.body.data.article.status).toBe('draft');
+      expect(response.body.data.article.content).toBe('<p>Not ready yet</p>');
+      expect(response.body.data.preview.expires_at).toBe(new Date(Math.floor(new Date(link.expires_at).getTime() / 1000) * 1000).toISOString());
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.headers['x-robots-tag']).toBe('noindex, nofollow');
+      expect(response.headers['x-cache']).toBeUndefined();
+    });
+
+    test('should stop working once revoked', async () => {
+      const link = ArticlePreviewLink.create(draft.id);
+      await request(app).get(`/api/public/preview/${link.token}`).expect(200);
+
+      ArticlePreviewLink.revoke(link.id);
+
+      const response = await request(app)
+        .get(`/api/public/preview/${link.token}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('PREVIEW_NOT_FOUND');
+    });
+
+    test('should reject expired and forged tokens', async () => {
+      const link = ArticlePreviewLink.create(draft.id, { ttlHours: -1 });
+
+      const expired = await request(app)
+        .get(`/api/public/preview/${link.token}`)
+        .expect(404);
+      expect(expired.body.error.message).toBe('This preview link has expired');
+
+      await request(app)
+        .get('/api/public/preview/not-a-token')
+        .expect(404);
+    });
+  });
+});
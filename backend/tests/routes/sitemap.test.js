@@ -0,0 +1,274 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+process.env.DB_PATH = ':memory:';
+process.env.SITE_URL = 'https://blog.example.com';
+process.env.API_URL = 'https://api.example.com';
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const sitemapRoutes = require('../../routes/sitemap');
+const Sitemap = require('../../services/sitemap');
+const Article = require('../../models/Article');
+const User = require('../../models/User');
+const dbManager = require('../../config/database');
+const { conditionalRequest, invalidateCache } = require('../../middleware/caching');
+
+// Create test app, mounted at the root like server.js
+const app = express();
+app.use(conditionalRequest);
+app.use(sitemapRoutes);
+
+describe('Sitemap Routes', () => {
+  const originalEnv = { ...process.env };
+  let testUser;
+  let testCategory;
+
+  beforeAll(async () => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    ['008_create_articles_fts.sql', '009_create_article_revisions_table.sql', '010_add_article_publish_at.sql',
+      '011_create_tags_tables.sql', '012_add_category_parent_id.sql', '017_add_article_content_format.sql',
+      '020_add_article_seo_fields.sql', '022_add_soft_delete.sql'].forEach(file => {
+      db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files', file), 'utf8'));
+    });
+
+    testUser = await User.create({
+      username: 'sitemapauthor',
+      email: 'sitemapauthor@test.com',
+      password: 'TestPass123'
+    });
+
+    const result = db.prepare(`
+      INSERT INTO categories (name, description, slug, updated_at)
+      VALUES (?, ?, ?, ?)
+    `).run('Guides', 'How-to guides', 'guides', '2024-01-01 00:00:00');
+
+    testCategory = { id: result.lastInsertRowid };
+  });
+
+  beforeEach(async () => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles WHERE author_id = ?').run(testUser.id);
+    invalidateCache.sitemap();
+
+    await Article.create({
+      title: 'Getting Started',
+      content: '<p>Install and run</p>',
+      category_id: testCategory.id,
+      author_id: testUser.id,
+      status: 'published'
+    });
+
+    await Article.create({
+      title: 'Private Notes',
+      content: '<p>Not ready yet</p>',
+      category_id: testCategory.id,
+      author_id: testUser.id,
+      status: 'draft'
+    });
+
+    db.prepare('UPDATE articles SET updated_at = ? WHERE author_id = ?').run('2024-02-03 04:05:06', testUser.id);
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /sitemap.xml', () => {
+    test('should list the home page, categories and published articles', async () => {
+      const response = await request(app)
+        .get('/sitemap.xml')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/xml; charset=utf-8');
+      expect(response.text).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(response.text).toContain('<loc>https://blog.example.com/</loc>');
+      expect(response.text).toContain('<loc>https://blog.example.com/categories/guides</loc>');
+      expect(response.text).toContain('<loc>https://blog.example.com/articles/getting-started</loc>');
+      expect(response.text).not.toContain('private-notes');
+      expect(response.text.match(/<url>/g)).toHaveLength(3);
+    });
+
+    test('should take lastmod from updated_at', async () => {
+      const db = dbManager.getDatabase();
+      db.prepare('UPDATE articles SET published_at = ? WHERE author_id = ?').run('2024-01-15T00:00:00.000Z', testUser.id);
+
+      const response = await request(app)
+        .get('/sitemap.xml')
+        .expect(200);
+
+      expect(response.text).toContain([
+        '    <loc>https://blog.example.com/articles/getting-started</loc>',
+        '    <lastmod>2024-02-03T04:05:06.000Z</lastmod>'
+      ].join('\n'));
+      // Categories change with their articles
+      expect(response.text).toContain([
+        '    <loc>https://blog.example.com/categories/guides</loc>',
+        '    <lastmod>2024-02-03T04:05:06.000Z</lastmod>'
+      ].join('\n'));
+    });
+
+    test('should split into a sitemap index past the URL limit', async () => {
+      jest.spyOn(Sitemap, 'maxUrls', 'get').mockReturnValue(2);
+
+      const index = await request(app)
+        .get('/sitemap.xml')
+        .expect(200);
+
+      expect(index.text).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(index.text).toContain('<loc>https://api.example.com/sitemap-1.xml</loc>');
+      expect(index.text).toContain('<loc>https://api.example.com/sitemap-2.xml</loc>');
+      expect(index.text).not.toContain('sitemap-3.xml');
+
+      const first = await request(app)
+        .get('/sitemap-1.xml')
+        .expect(200);
+      expect(first.text.match(/<url>/g)).toHaveLength(2);
+
+      const second = await request(app)
+        .get('/sitemap-2.xml')
+        .expect(200);
+      expect(second.text.match(/<url>/g)).toHaveLength(1);
+      expect(second.text).toContain('getting-started');
+
+      const missing = await request(app)
+        .get('/sitemap-3.xml')
+        .expect(404);
+      expect(missing.body.error.code).toBe('SITEMAP_NOT_FOUND');
+    });
+
+    test('should leave out noindex and non-canonical articles', async () => {
+      await Article.create({
+        title: 'Hidden Page',
+        content: '<p>Not for search engines</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published',
+        noindex: true
+      });
+      await Article.create({
+        title: 'Syndicated Post',
+        content: '<p>First published elsewhere</p>',
+        category_id: testCategory.id,
+        author_id: testUser.id,
+        status: 'published',
+        canonical_url: 'https://elsewhere.example.org/post'
+      });
+
+      const response = await request(app)
+        .get('/sitemap.xml')
+        .expect(200);
+
+      expect(response.text).toContain('getting-started');
+      expect(response.text).not.toContain('hidden-page');
+      expect(response.text).not.toContain('syndicated-post');
+    });
+
+    test('should not serve pages while the sitemap fits in one file', async () => {
+      await request(app)
+        .get('/sitemap-1.xml')
+        .expect(404);
+    });
+
+    test('should be rebuilt once articles change', async () => {
+      const first = await request(app).get('/sitemap.xml').expect(200);
+      expect(first.headers['x-cache']).toBe('MISS');
+
+      await request(app)
+        .get('/sitemap.xml')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      const draft = Article.findBySlug('private-notes');
+      await draft.update({ status: 'published' });
+
+      const cached = await request(app).get('/sitemap.xml').expect(200);
+      expect(cached.headers['x-cache']).toBe('HIT');
+      expect(cached.text).not.toContain('private-notes');
+
+      // Publishing through the API flushes the caches like this
+      invalidateCache.articles();
+
+      const rebuilt = await request(app).get('/sitemap.xml').expect(200);
+      expect(rebuilt.headers['x-cache']).toBe('MISS');
+      expect(rebuilt.text).toContain('<loc>https://blog.example.com/articles/private-notes</loc>');
+    });
+  });
+
+  describe('GET /robots.txt', () => {
+    test('should list the disallowed paths and the sitemap', async () => {
+      const response = await request(app)
+        .get('/robots.txt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/plain; charset=utf-8');
+      expect(response.text).toBe([
+        'User-agent: *',
+        'Disallow: /api/',
+        'Disallow: /preview/',
+        '',
+        'Sitemap: https://api.example.com/sitemap.xml',
+        ''
+      ].join('\n'));
+    });
+
+    test('should follow the robots configuration', async () => {
+      process.env.ROBOTS_DISALLOW = '/drafts/, /search';
+      expect(Sitemap.renderRobots()).toContain('Disallow: /drafts/\nDisallow: /search\n');
+
+      process.env.ROBOTS_DISALLOW = '';
+      expect(Sitemap.renderRobots()).toContain('User-agent: *\nDisallow:\n');
+
+      process.env.ROBOTS_ALLOW_INDEXING = 'false';
+      expect(Sitemap.renderRobots()).toContain('User-agent: *\nDisallow: /\n');
+    });
+  });
+});
@@ -0,0 +1,305 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+
+const request = require('supertest');
+const express = require('express');
+const tagRoutes = require('../../routes/tags');
+const Tag = require('../../models/Tag');
+const jwtUtils = require('../../utils/jwt');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/tags', tagRoutes);
+
+describe('Tag Routes', () => {
+  let editorToken;
+  let authorToken;
+
+  beforeAll(() => {
+    // Create tables directly for testing
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/011_create_tags_tables.sql'), 'utf8'));
+
+    const createUser = (username, role) => {
+      const id = db.prepare('INSERT INTO users (username, email, password_hash, role) VALUES (?, ?, ?, ?)')
+        .run(username, `${username}@test.com`, 'hash', role).lastInsertRowid;
+      return jwtUtils.generateToken({ id, username, email: `${username}@test.com`, role });
+    };
+
+    editorToken = createUser('tageditor', 'editor');
+    authorToken = createUser('tagauthor', 'author');
+  });
+
+  beforeEach(() => {
+    // Clean up tags before each test
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM tags').run();
+  });
+
+  describe('GET /api/tags', () => {
+    beforeEach(() => {
+      Tag.create({ name: 'Node', slug: 'node' });
+      Tag.create({ name: 'Nuxt', slug: 'nuxt' });
+      Tag.create({ name: 'Python', slug: 'python' });
+    });
+
+    test('should list tags by name', async () => {
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tags.map(t => t.name)).toEqual(['Node', 'Nuxt', 'Python']);
+      expect(response.body.data.total).toBe(3);
+    });
+
+    test('should search by name prefix', async () => {
+      const response = await request(app)
+        .get('/api/tags?search=n&limit=1')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.tags.map(t => t.name)).toEqual(['Node']);
+      expect(response.body.data.total).toBe(2);
+    });
+  });
+
+  describe('GET /api/tags/stats', () => {
+    test('should return article counts per tag', async () => {
+      const db = dbManager.getDatabase();
+      const userId = db.prepare("INSERT INTO users (username, email, password_hash) VALUES ('tagstats', 'tagstats@test.com', 'hash')").run().lastInsertRowid;
+      const categoryId = db.prepare("INSERT INTO categories (name, slug) VALUES ('Tag Stats', 'tag-stats')").run().lastInsertRowid;
+      const articleId = db.prepare(`
+        INSERT INTO articles (title, slug, content, category_id, author_id, status)
+        VALUES ('Stats Article', 'stats-article', 'Content', ?, ?, 'published')
+      `).run(categoryId, userId).lastInsertRowid;
+
+      const tag = Tag.create({ name: 'Counted', slug: 'counted' });
+      Tag.create({ name: 'Empty', slug: 'empty' });
+      Tag.setArticleTags(articleId, [tag.id]);
+
+      const response = await request(app)
+        .get('/api/tags/stats')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(2);
+      expect(response.body.data.tags[0]).toMatchObject({ slug: 'counted', article_count: 1, published_count: 1 });
+      expect(response.body.data.tags[1]).toMatchObject({ slug: 'empty', article_count: 0, published_count: 0 });
+
+      db.prepare('DELETE FROM articles WHERE id = ?').run(articleId);
+      db.prepare('DELETE FROM categories WHERE id = ?').run(categoryId);
+      db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+    });
+  });
+
+  describe('GET /api/tags/:id', () => {
+    test('should return a tag', async () => {
+      const tag = Tag.create({ name: 'Lookup', slug: 'lookup' });
+
+      const response = await request(app)
+        .get(`/api/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.slug).toBe('lookup');
+    });
+
+    test('should return a tag by slug', async () => {
+      Tag.create({ name: 'By Slug', slug: 'by-slug' });
+
+      const response = await request(app)
+        .get('/api/tags/slug/by-slug')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.name).toBe('By Slug');
+    });
+
+    test('should return 404 for non-existent tag', async () => {
+      const response = await request(app)
+        .get('/api/tags/99999')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TAG_NOT_FOUND');
+    });
+
+    test('should return 400 for invalid ID', async () => {
+      const response = await request(app)
+        .get('/api/tags/invalid')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TAG_ID');
+    });
+  });
+
+  describe('POST /api/tags', () => {
+    test('should create a tag with a generated slug', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: 'Web Performance' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.name).toBe('Web Performance');
+      expect(response.body.data.slug).toBe('web-performance');
+    });
+
+    test('should return 409 for duplicate tag', async () => {
+      Tag.create({ name: 'Duplicate', slug: 'duplicate' });
+
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: 'duplicate' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('TAG_EXISTS');
+    });
+
+    test('should validate input', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: '' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toContain('Name is required');
+    });
+  });
+
+  describe('PUT /api/tags/:id', () => {
+    test('should update a tag', async () => {
+      const tag = Tag.create({ name: 'Before', slug: 'before' });
+
+      const response = await request(app)
+        .put(`/api/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: 'After', slug: 'after' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('After');
+      expect(response.body.data.slug).toBe('after');
+    });
+
+    test('should return 404 for non-existent tag', async () => {
+      const response = await request(app)
+        .put('/api/tags/99999')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ name: 'Missing' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TAG_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/tags/:id', () => {
+    test('should delete a tag', async () => {
+      const tag = Tag.create({ name: 'Delete Me', slug: 'delete-me' });
+
+      const response = await request(app)
+        .delete(`/api/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Tag deleted successfully');
+      expect(Tag.findById(tag.id)).toBeUndefined();
+    });
+
+    test('should return 404 for non-existent tag', async () => {
+      const response = await request(app)
+        .delete('/api/tags/99999')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('TAG_NOT_FOUND');
+    });
+  });
+
+  describe('permissions', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/api/tags')
+        .expect(401);
+    });
+
+    test('should let authors create tags', async () => {
+      const response = await request(app)
+        .post('/api/tags')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ name: 'Author Tag' })
+        .expect(201);
+
+      expect(response.body.data.slug).toBe('author-tag');
+    });
+
+    test('should not let authors delete tags', async () => {
+      const tag = Tag.create({ name: 'Kept', slug: 'kept' });
+
+      const response = await request(app)
+        .delete(`/api/tags/${tag.id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(Tag.findById(tag.id)).toBeDefined();
+    });
+  });
+});
@@ -1,13 +1,18 @@
 const request = require('supertest');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const express = require('express');
+const sharp = require('sharp');
 const uploadRoutes = require('../../routes/upload');
 const jwtUtils = require('../../utils/jwt');
+const Storage = require('../../services/storage');
 
-// Mock the User model and database
+// Mock the User and Media models and database
 const User = require('../../models/User');
+const Media = require('../../models/Media');
 jest.mock('../../models/User');
+jest.mock('../../models/Media');
 jest.mock('../../config/database');
 
 // Mock User.findById to return a test user
@@ -49,6 +54,13 @@ describe('Upload Routes', () => {
     }
   });
 
+  beforeEach(() => {
+    Media.create.mockReset().mockImplementation(data => ({ id: 7, ...data }));
+    Media.findReferencingArticles.mockReset().mockReturnValue([]);
+    Media.findByFilename.mockReset().mockReturnValue(undefined);
+    Media.delete.mockReset();
+  });
+
   afterEach(() => {
     // Clean up uploaded test files
     if (fs.existsSync(uploadsDir)) {
@@ -92,6 +104,92 @@ describe('Upload Routes', () => {
       expect(fs.existsSync(filePath)).toBe(true);
     });
 
+    it('should return a srcset-ready manifest of resized variants', async () => {
+      const photo = await sharp({ create: { width: 900, height: 600, channels: 3, background: '#336699' } })
+        .withMetadata({ exif: { IFD0: { Copyright: 'Test Camera' } } })
+        .jpeg()
+        .toBuffer();
+
+      const response = await request(app)
+        .post('/api/uploads/thumbnail')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('thumbnail', photo, 'photo.jpg')
+        .expect(201);
+
+      const { data } = response.body;
+      const base = path.parse(data.filename).name;
+      expect(data.width).toBe(900);
+      expect(data.height).toBe(600);
+      expect(typeof data.blurhash).toBe('string');
+      expect(data.variants.map(variant => variant.url)).toEqual([
+        `/uploads/${base}-320w.jpg`,
+        `/uploads/${base}-320w.webp`,
+        `/uploads/${base}-640w.jpg`,
+        `/uploads/${base}-640w.webp`,
+        `/uploads/${base}.jpg`,
+        `/uploads/${base}.webp`
+      ]);
+      expect(data.srcset['image/webp']).toBe(
+        `/uploads/${base}-320w.webp 320w, /uploads/${base}-640w.webp 640w, /uploads/${base}.webp 900w`
+      );
+
+      // Recorded in the media library
+      expect(data.id).toBe(7);
+      expect(Media.create).toHaveBeenCalledWith(expect.objectContaining({
+        filename: data.filename,
+        original_name: 'photo.jpg',
+        mime_type: 'image/jpeg',
+        width: 900,
+        height: 600,
+        uploaded_by: 1
+      }));
+
+      // The stored original no longer carries EXIF metadata
+      const metadata = await sharp(path.join(uploadsDir, data.filename)).metadata();
+      expect(metadata.exif).toBeUndefined();
+    });
+
+    it('should store uploads through the configured storage adapter', async () => {
+      const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-storage-'));
+      const cdn = Storage.createAdapter('local', { dir: storageDir });
+      cdn.url = key => `https://cdn.example.com/uploads/${key}`;
+      Storage.registerDriver('cdn', () => cdn);
+      process.env.STORAGE_DRIVER = 'cdn';
+
+      try {
+        const photo = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+
+        const response = await request(app)
+          .post('/api/uploads/thumbnail')
+          .set('Authorization', `Bearer ${authToken}`)
+          .attach('thumbnail', photo, 'photo.jpg')
+          .expect(201);
+
+        const { data } = response.body;
+        const base = path.parse(data.filename).name;
+        expect(data.url).toBe(`https://cdn.example.com/uploads/${data.filename}`);
+        expect(fs.readdirSync(storageDir).sort()).toEqual([
+          `${base}-320w.jpg`, `${base}-320w.webp`, `${base}.jpg`, `${base}.json`, `${base}.webp`
+        ]);
+        expect(fs.existsSync(path.join(uploadsDir, data.filename))).toBe(false);
+      } finally {
+        delete process.env.STORAGE_DRIVER;
+        fs.rmSync(storageDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject files that are not readable images', async () => {
+      const response = await request(app)
+        .post('/api/uploads/thumbnail')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('thumbnail', Buffer.from('not really a png'), 'fake.png')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('INVALID_IMAGE');
+      expect(fs.readdirSync(uploadsDir).filter(file => file.startsWith('thumbnail-'))).toEqual([]);
+    });
+
     it('should require authentication', async () => {
       const testImageBuffer = Buffer.from([0x89, 0x50, 0x4E, 0x47]); // Minimal PNG header
 
@@ -249,6 +347,44 @@ describe('Upload Routes', () => {
       expect(fs.existsSync(filePath)).toBe(false);
     });
 
+    it('should delete the generated variants and manifest', async () => {
+      const base = path.parse(testFilename).name;
+      expect(fs.existsSync(path.join(uploadsDir, `${base}.webp`))).toBe(true);
+      expect(fs.existsSync(path.join(uploadsDir, `${base}.json`))).toBe(true);
+
+      await request(app)
+        .delete(`/api/uploads/${testFilename}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(fs.readdirSync(uploadsDir).filter(file => file.startsWith(base))).toEqual([]);
+    });
+
+    it('should remove the media library record', async () => {
+      Media.findByFilename.mockReturnValue({ id: 7, filename: testFilename });
+
+      await request(app)
+        .delete(`/api/uploads/${testFilename}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(Media.findByFilename).toHaveBeenCalledWith(testFilename);
+      expect(Media.delete).toHaveBeenCalledWith(7);
+    });
+
+    it('should refuse to delete files that articles still use', async () => {
+      Media.findReferencingArticles.mockReturnValue([{ id: 3, title: 'Using it', slug: 'using-it', status: 'published' }]);
+
+      const response = await request(app)
+        .delete(`/api/uploads/${testFilename}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('MEDIA_IN_USE');
+      expect(response.body.error.details.articles[0].id).toBe(3);
+      expect(fs.existsSync(path.join(uploadsDir, testFilename))).toBe(true);
+    });
+
     it('should require authentication for file deletion', async () => {
       const response = await request(app)
         .delete(`/api/uploads/${testFilename}`)
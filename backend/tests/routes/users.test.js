@@ -0,0 +1,412 @@
+// Set environment variables before importing modules
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret-key-for-testing';
+
+const request = require('supertest');
+const express = require('express');
+const userRoutes = require('../../routes/users');
+const authRoutes = require('../../routes/auth');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const jwtUtils = require('../../utils/jwt');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
+
+describe('User Routes', () => {
+  let admin;
+  let adminToken;
+  let categoryId;
+
+  const createUser = (username, role = 'author') => User.create({
+    username,
+    email: `${username}@test.com`,
+    password: 'TestPass123',
+    role
+  });
+
+  const createArticle = (title, authorId) => {
+    const db = dbManager.getDatabase();
+    return db.prepare(`
+      INSERT INTO articles (title, slug, content, category_id, author_id)
+      VALUES (?, ?, 'Content', ?, ?)
+    `).run(title, title.toLowerCase().replace(/\s+/g, '-'), categoryId, authorId).lastInsertRowid;
+  };
+
+  beforeAll(async () => {
+    // Create tables directly for testing
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description TEXT,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        excerpt TEXT,
+        thumbnail_url VARCHAR(500),
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        view_count INTEGER DEFAULT 0,
+        like_count INTEGER DEFAULT 0,
+        published_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE RESTRICT
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/013_add_user_account_status.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/014_create_refresh_tokens_table.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/016_add_two_factor_auth.sql'), 'utf8'));
+
+    categoryId = db.prepare("INSERT INTO categories (name, slug) VALUES ('Users', 'users')").run().lastInsertRowid;
+  });
+
+  beforeEach(async () => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles').run();
+    db.prepare('DELETE FROM users').run();
+
+    admin = await createUser('useradmin', 'admin');
+    adminToken = jwtUtils.generateToken(admin);
+  });
+
+  describe('access', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/api/users')
+        .expect(401);
+    });
+
+    test('should be limited to admins', async () => {
+      const editor = await createUser('usereditor', 'editor');
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${jwtUtils.generateToken(editor)}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('GET /api/users', () => {
+    test('should list users with pagination and filters', async () => {
+      await createUser('alice', 'editor');
+      await createUser('bob', 'viewer');
+
+      const response = await request(app)
+        .get('/api/users?limit=2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(2);
+      expect(response.body.data.users[0].password_hash).toBeUndefined();
+      expect(response.body.data.pagination).toMatchObject({ totalCount: 3, totalPages: 2, hasNext: true });
+
+      const filtered = await request(app)
+        .get('/api/users?role=editor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(filtered.body.data.users.map(user => user.username)).toEqual(['alice']);
+    });
+  });
+
+  describe('POST /api/users', () => {
+    test('should create a user with a role', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username: 'newauthor', email: 'newauthor@test.com', password: 'TestPass123', role: 'author' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ username: 'newauthor', role: 'author', disabled_at: null });
+    });
+
+    test('should validate input', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username: 'x', email: 'bad', password: 'short', role: 'owner' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toContain('Role must be one of: admin, editor, author, viewer');
+    });
+
+    test('should return 409 for duplicate usernames', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username: 'useradmin', email: 'other@test.com', password: 'TestPass123' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('USER_EXISTS');
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    test('should change a role', async () => {
+      const user = await createUser('promoted', 'author');
+
+      const response = await request(app)
+        .put(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'editor' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('editor');
+    });
+
+    test('should not let admins change their own role', async () => {
+      const response = await request(app)
+        .put(`/api/users/${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'viewer' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    });
+
+    test('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .put('/api/users/99999')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'editor' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+    });
+  });
+
+  describe('disabling accounts', () => {
+    test('should disable and re-enable a user', async () => {
+      const user = await createUser('disabled');
+      const { record } = RefreshToken.issue(user);
+
+      const disabled = await request(app)
+        .post(`/api/users/${user.id}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(disabled.body.data.disabled_at).not.toBeNull();
+      expect(RefreshToken.isSessionActive(record.family_id)).toBe(false);
+
+      const enabled = await request(app)
+        .post(`/api/users/${user.id}/enable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(enabled.body.data.disabled_at).toBeNull();
+    });
+
+    test('should reject tokens of disabled users', async () => {
+      const user = await createUser('lockedout', 'admin');
+      const token = jwtUtils.generateToken(user);
+      user.setDisabled(true);
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    test('should not accept refresh tokens as access tokens', async () => {
+      const user = await createUser('rotating', 'admin');
+      const { token: refreshToken } = RefreshToken.issue(user);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: refreshToken })
+        .expect(200);
+
+      // The session is still active, but the rotated-out token must not grant access
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${refreshToken}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${refreshed.body.data.access_token}`)
+        .expect(200);
+    });
+
+    test('should not let admins disable themselves', async () => {
+      await request(app)
+        .post(`/api/users/${admin.id}/disable`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/users/:id/reset-password', () => {
+    test('should force a password change with a temporary password', async () => {
+      const user = await createUser('forgetful', 'admin');
+
+      const response = await request(app)
+        .post(`/api/users/${user.id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ temporary_password: 'TempPass123' })
+        .expect(200);
+
+      expect(response.body.data.password_reset_required).toBe(true);
+
+      const updated = User.findById(user.id);
+      expect(await updated.verifyPassword('TempPass123')).toBe(true);
+
+      // Other endpoints are off limits until the password is changed
+      const blocked = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${jwtUtils.generateToken(updated)}`)
+        .expect(403);
+
+      expect(blocked.body.error.code).toBe('PASSWORD_RESET_REQUIRED');
+
+      await updated.changePassword('NewPass1234');
+      expect(User.findById(user.id).password_reset_required).toBe(false);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    test('should update the roles that require 2FA', async () => {
+      const response = await request(app)
+        .put('/api/users/2fa-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ required_roles: ['admin', 'editor'] })
+        .expect(200);
+
+      expect(response.body.data.required_roles).toEqual(['admin', 'editor']);
+
+      const policy = await request(app)
+        .get('/api/users/2fa-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(policy.body.data.required_roles).toEqual(['admin', 'editor']);
+
+      await request(app)
+        .put('/api/users/2fa-policy')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ required_roles: ['owner'] })
+        .expect(400);
+    });
+
+    test('should turn off a user\'s 2FA', async () => {
+      const user = await createUser('lostphone', 'editor');
+      user.setTotpSecret('JBSWY3DPEHPK3PXP');
+      user.enableTotp(1);
+      expect(user.toJSON().two_factor_enabled).toBe(true);
+
+      const response = await request(app)
+        .post(`/api/users/${user.id}/disable-2fa`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.two_factor_enabled).toBe(false);
+      expect(response.body.data.totp_secret).toBeUndefined();
+      expect(User.findById(user.id).totp_secret).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    test('should delete a user without articles', async () => {
+      const user = await createUser('leaving');
+
+      await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(User.findById(user.id)).toBeNull();
+    });
+
+    test('should require reassigning articles', async () => {
+      const user = await createUser('prolific');
+      createArticle('Prolific Article', user.id);
+
+      const response = await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('USER_HAS_ARTICLES');
+      expect(User.findById(user.id)).not.toBeNull();
+    });
+
+    test('should reassign articles to another user', async () => {
+      const user = await createUser('handover');
+      const articleId = createArticle('Handed Over', user.id);
+
+      const response = await request(app)
+        .delete(`/api/users/${user.id}?reassign_to=${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.reassigned_articles).toBe(1);
+      expect(User.findById(user.id)).toBeNull();
+
+      const article = dbManager.getDatabase().prepare('SELECT author_id FROM articles WHERE id = ?').get(articleId);
+      expect(article.author_id).toBe(admin.id);
+    });
+
+    test('should reject reassigning to the deleted user', async () => {
+      const user = await createUser('selfhandover');
+      createArticle('Self Handover', user.id);
+
+      const response = await request(app)
+        .delete(`/api/users/${user.id}?reassign_to=${user.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_REASSIGN_USER');
+    });
+
+    test('should not let admins delete themselves', async () => {
+      const response = await request(app)
+        .delete(`/api/users/${admin.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    });
+  });
+});
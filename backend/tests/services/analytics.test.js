@@ -45,6 +45,8 @@ describe('AnalyticsService', () => {
         title VARCHAR(255) NOT NULL,
         slug VARCHAR(255) UNIQUE NOT NULL,
         content TEXT NOT NULL,
+        content_format VARCHAR(10) NOT NULL DEFAULT 'html',
+        content_html TEXT,
         excerpt TEXT,
         thumbnail_url VARCHAR(500),
         category_id INTEGER NOT NULL,
@@ -53,6 +55,13 @@ describe('AnalyticsService', () => {
         view_count INTEGER DEFAULT 0,
         like_count INTEGER DEFAULT 0,
         published_at DATETIME,
+        deleted_at DATETIME,
+        publish_at DATETIME,
+        meta_title VARCHAR(120),
+        meta_description VARCHAR(320),
+        canonical_url VARCHAR(500),
+        og_image VARCHAR(500),
+        noindex INTEGER NOT NULL DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT,
@@ -85,6 +94,28 @@ describe('AnalyticsService', () => {
       )
     `);
     
+    // Create tags tables
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(50) UNIQUE NOT NULL COLLATE NOCASE,
+        slug VARCHAR(50) UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS article_tags (
+        article_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (article_id, tag_id),
+        FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+      )
+    `);
+    
     // Create test user directly
     const userResult = db.prepare(`
       INSERT INTO users (username, email, password_hash, role)
@@ -285,6 +316,40 @@ describe('AnalyticsService', () => {
     });
   });
   
+  describe('trashed articles', () => {
+    beforeEach(async () => {
+      await AnalyticsService.incrementViewCount(testArticleId, '192.168.1.35');
+      await AnalyticsService.toggleLike(testArticleId, '192.168.1.35');
+      Article.delete(testArticleId);
+    });
+
+    afterEach(() => {
+      const db = dbManager.getDatabase();
+      db.prepare('UPDATE articles SET deleted_at = NULL WHERE id = ?').run(testArticleId);
+    });
+
+    test('should leave trashed articles out of the metrics', async () => {
+      const metrics = await AnalyticsService.getDashboardMetrics();
+
+      expect(metrics.totals).toEqual({ articles: 0, views: 0, likes: 0 });
+      expect(metrics.recent_articles).toEqual([]);
+      expect(metrics.top_articles).toEqual([]);
+      expect(metrics.view_trends).toEqual([]);
+
+      const summary = await AnalyticsService.getEngagementSummary('7d');
+      expect(summary.total_views).toBe(0);
+      expect(summary.total_likes).toBe(0);
+    });
+
+    test('should not record views or likes of trashed articles', () => {
+      expect(() => AnalyticsService.incrementViewCount(testArticleId, '192.168.1.36')).toThrow('Article not found');
+      expect(() => AnalyticsService.toggleLike(testArticleId, '192.168.1.35')).toThrow('Article not found');
+      expect(() => AnalyticsService.getArticleAnalytics(testArticleId)).toThrow('Article not found');
+
+      expect(AnalyticsService.hasLiked(testArticleId, '192.168.1.35')).toBe(true);
+    });
+  });
+  
   describe('getTopArticles', () => {
     beforeEach(async () => {
       // Create additional test article
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ImageProcessor = require('../../services/imageProcessor');
+const Storage = require('../../services/storage');
+
+// Solid colour test image with EXIF (including a GPS-style comment) attached
+const createImage = (width, height, format = 'jpeg', options = {}) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } } })
+    .withMetadata({
+      orientation: options.orientation,
+      exif: { IFD0: { Copyright: 'Test Camera', ImageDescription: 'GPS 51.5N 0.1W' } }
+    })
+    .toFormat(format)
+    .toBuffer();
+
+describe('ImageProcessor', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-processor-'));
+    delete process.env.IMAGE_VARIANT_WIDTHS;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.IMAGE_VARIANT_WIDTHS;
+  });
+
+  const writeImage = async (filename, buffer) => {
+    const filePath = path.join(tmpDir, filename);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  };
+
+  describe('getVariantWidths', () => {
+    it('defaults to 320, 640 and 1280', () => {
+      expect(ImageProcessor.getVariantWidths()).toEqual([320, 640, 1280]);
+    });
+
+    it('reads sorted, unique widths from IMAGE_VARIANT_WIDTHS', () => {
+      process.env.IMAGE_VARIANT_WIDTHS = '800, 400,abc,400';
+      expect(ImageProcessor.getVariantWidths()).toEqual([400, 800]);
+    });
+  });
+
+  describe('processUpload', () => {
+    it('writes width variants in the original format and WebP', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(1000, 500));
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      expect(manifest.url).toBe('/uploads/photo.jpg');
+      expect(manifest.width).toBe(1000);
+      expect(manifest.height).toBe(500);
+      expect(manifest.mime).toBe('image/jpeg');
+      expect(manifest.variants.map(variant => [variant.width, variant.mime, variant.url])).toEqual([
+        [320, 'image/jpeg', '/uploads/photo-320w.jpg'],
+        [320, 'image/webp', '/uploads/photo-320w.webp'],
+        [640, 'image/jpeg', '/uploads/photo-640w.jpg'],
+        [640, 'image/webp', '/uploads/photo-640w.webp'],
+        [1000, 'image/jpeg', '/uploads/photo.jpg'],
+        [1000, 'image/webp', '/uploads/photo.webp']
+      ]);
+      expect(manifest.variants[0].height).toBe(160);
+
+      for (const variant of manifest.variants) {
+        expect(fs.existsSync(path.join(tmpDir, path.basename(variant.url)))).toBe(true);
+      }
+    });
+
+    it('returns a srcset for each format', async () => {
+      const filePath = await writeImage('photo.png', await createImage(700, 350, 'png'));
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      expect(manifest.srcset).toEqual({
+        'image/png': '/uploads/photo-320w.png 320w, /uploads/photo-640w.png 640w, /uploads/photo.png 700w',
+        'image/webp': '/uploads/photo-320w.webp 320w, /uploads/photo-640w.webp 640w, /uploads/photo.webp 700w'
+      });
+    });
+
+    it('does not upscale images narrower than the variant widths', async () => {
+      const filePath = await writeImage('small.webp', await createImage(200, 100, 'webp'));
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      expect(manifest.variants).toHaveLength(1);
+      expect(manifest.variants[0]).toMatchObject({ width: 200, height: 100, url: '/uploads/small.webp', mime: 'image/webp' });
+    });
+
+    it('strips EXIF metadata from the original and variants', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(800, 400));
+      expect((await sharp(filePath).metadata()).exif).toBeDefined();
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      for (const variant of manifest.variants) {
+        const metadata = await sharp(path.join(tmpDir, path.basename(variant.url))).metadata();
+        expect(metadata.exif).toBeUndefined();
+      }
+    });
+
+    it('applies the EXIF orientation before resizing', async () => {
+      // Orientation 6: stored landscape, displayed rotated 90 degrees
+      const filePath = await writeImage('rotated.jpg', await createImage(800, 400, 'jpeg', { orientation: 6 }));
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      expect(manifest.width).toBe(400);
+      expect(manifest.height).toBe(800);
+      expect(manifest.variants[0]).toMatchObject({ width: 320, height: 640 });
+    });
+
+    it('stores a blurhash and the manifest next to the image', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(400, 300));
+
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      expect(manifest.blurhash).toMatch(/^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{28}$/);
+      expect(await ImageProcessor.readManifest(filePath)).toEqual(manifest);
+    });
+
+    it('rejects files that are not images', async () => {
+      const filePath = await writeImage('fake.png', Buffer.from('not an image'));
+
+      await expect(ImageProcessor.processUpload(filePath)).rejects.toThrow('Invalid image file');
+      expect(fs.readdirSync(tmpDir)).toEqual(['fake.png']);
+    });
+  });
+
+  describe('removeGenerated', () => {
+    it('deletes variants and the manifest but keeps the original', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(800, 400));
+      await ImageProcessor.processUpload(filePath);
+
+      await ImageProcessor.removeGenerated(filePath);
+
+      expect(fs.readdirSync(tmpDir)).toEqual(['photo.jpg']);
+    });
+
+    it('does nothing for images without a manifest', async () => {
+      const filePath = await writeImage('legacy.jpg', await createImage(100, 100));
+
+      await ImageProcessor.removeGenerated(filePath);
+
+      expect(fs.readdirSync(tmpDir)).toEqual(['legacy.jpg']);
+    });
+  });
+
+  describe('storeUpload', () => {
+    let storageDir;
+    let storage;
+
+    beforeEach(() => {
+      storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-storage-'));
+      storage = Storage.createAdapter('local', { dir: storageDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    });
+
+    it('moves the original, variants and manifest into storage', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(400, 200));
+      const manifest = await ImageProcessor.processUpload(filePath);
+
+      await ImageProcessor.storeUpload(filePath, manifest, storage);
+
+      expect(fs.readdirSync(tmpDir)).toEqual([]);
+      expect(fs.readdirSync(storageDir).sort()).toEqual([
+        'photo-320w.jpg', 'photo-320w.webp', 'photo.jpg', 'photo.json', 'photo.webp'
+      ]);
+      expect(await ImageProcessor.readStoredManifest('photo.jpg', storage)).toEqual(manifest);
+    });
+
+    it('takes URLs from the storage adapter', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(400, 200));
+
+      const manifest = await ImageProcessor.processUpload(filePath, {
+        urlFor: filename => `https://cdn.example.com/uploads/${filename}`
+      });
+
+      expect(manifest.url).toBe('https://cdn.example.com/uploads/photo.jpg');
+      expect(manifest.srcset['image/webp']).toContain('https://cdn.example.com/uploads/photo-320w.webp 320w');
+    });
+
+    it('removes a stored upload with everything generated from it', async () => {
+      const filePath = await writeImage('photo.jpg', await createImage(400, 200));
+      await ImageProcessor.storeUpload(filePath, await ImageProcessor.processUpload(filePath), storage);
+      await storage.put('other.jpg', Buffer.from('other'));
+
+      await ImageProcessor.removeStoredUpload('photo.jpg', storage);
+
+      expect(fs.readdirSync(storageDir)).toEqual(['other.jpg']);
+    });
+  });
+});
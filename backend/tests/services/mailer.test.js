@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Mailer = require('../../services/mailer');
+
+describe('Mailer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should write messages to files with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_FILE_DIR = dir;
+    process.env.MAIL_FROM = 'Blog <blog@example.com>';
+
+    const result = await Mailer.send({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+    const message = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+    expect(path.dirname(result.file)).toBe(dir);
+    expect(message).toEqual({ from: 'Blog <blog@example.com>', to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should default to the console transport outside production', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const result = await Mailer.send({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(result.transport).toBe('console');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('user@example.com'));
+    log.mockRestore();
+  });
+
+  test('should send through registered transports', async () => {
+    const send = jest.fn().mockResolvedValue({ transport: 'api' });
+    Mailer.registerTransport('api', () => ({ send }));
+    process.env.MAIL_TRANSPORT = 'api';
+
+    await Mailer.send({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com' }));
+  });
+
+  test('should reject unknown transports', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    await expect(Mailer.send({ to: 'user@example.com' })).rejects.toThrow('Unknown mail transport: pigeon');
+  });
+});
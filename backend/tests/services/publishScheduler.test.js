@@ -0,0 +1,80 @@
+const dbManager = require('../../config/database');
+const Article = require('../../models/Article');
+const PublishScheduler = require('../../services/publishScheduler');
+const { invalidateCache } = require('../../middleware/caching');
+
+jest.mock('../../middleware/caching', () => ({
+  invalidateCache: {
+    articles: jest.fn()
+  }
+}));
+
+describe('PublishScheduler', () => {
+  let article;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        published_at DATETIME,
+        deleted_at DATETIME,
+        publish_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles').run();
+
+    const result = db.prepare(`
+      INSERT INTO articles (title, slug, content, category_id, author_id, status, publish_at)
+      VALUES (?, ?, ?, ?, ?, 'scheduled', ?)
+    `).run('Scheduled', 'scheduled', 'Content', 1, 1, '2030-01-01T09:00:00.000Z');
+    article = { id: result.lastInsertRowid };
+  });
+
+  afterEach(() => {
+    PublishScheduler.stop();
+  });
+
+  test('should leave articles that are not due yet', () => {
+    const publishedIds = PublishScheduler.runOnce(new Date('2030-01-01T08:59:59.000Z'));
+
+    expect(publishedIds).toEqual([]);
+    expect(invalidateCache.articles).not.toHaveBeenCalled();
+    expect(Article.findById(article.id, false).status).toBe('scheduled');
+  });
+
+  test('should publish due articles and invalidate caches', () => {
+    const publishedIds = PublishScheduler.runOnce(new Date('2030-01-01T09:00:00.000Z'));
+
+    expect(publishedIds).toEqual([article.id]);
+    expect(invalidateCache.articles).toHaveBeenCalledTimes(1);
+
+    const published = Article.findById(article.id, false);
+    expect(published.status).toBe('published');
+    expect(published.published_at).toBe('2030-01-01T09:00:00.000Z');
+  });
+
+  test('should catch up on missed schedules when started', () => {
+    const db = dbManager.getDatabase();
+    db.prepare('UPDATE articles SET publish_at = ? WHERE id = ?').run('2020-01-01T00:00:00.000Z', article.id);
+
+    PublishScheduler.start({ intervalMs: 60000 });
+
+    expect(Article.findById(article.id, false).status).toBe('published');
+    expect(invalidateCache.articles).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,108 @@
+const Seo = require('../../services/seo');
+const Article = require('../../models/Article');
+
+const createArticle = (data = {}) => {
+  const article = new Article({
+    id: 7,
+    title: 'Vector Databases Explained',
+    slug: 'vector-databases-explained',
+    content: '<p>Embeddings are <strong>lists of numbers</strong>.</p>',
+    excerpt: 'What vector databases do',
+    thumbnail_url: '/uploads/thumbnail-7.jpg',
+    status: 'published',
+    published_at: '2024-05-01T10:00:00.000Z',
+    updated_at: '2024-05-03 08:30:00',
+    ...data
+  });
+  article.category = { id: 1, name: 'Databases', slug: 'databases' };
+  article.author = { id: 2, username: 'ada' };
+  article.tags = [{ id: 1, name: 'AI' }, { id: 2, name: 'Search' }];
+  return article;
+};
+
+const tagContent = (tags, key, value) => tags.filter(tag => tag[key] === value).map(tag => tag.content);
+
+describe('Seo', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SITE_URL = 'https://blog.example.com';
+    process.env.API_URL = 'https://api.example.com';
+    process.env.SITE_TITLE = 'Example Blog';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should fall back to the article title, excerpt, URL and thumbnail', () => {
+    const seo = Seo.forArticle(createArticle());
+
+    expect(seo).toMatchObject({
+      title: 'Vector Databases Explained',
+      description: 'What vector databases do',
+      canonical_url: 'https://blog.example.com/articles/vector-databases-explained',
+      robots: 'index, follow'
+    });
+    expect(tagContent(seo.open_graph, 'property', 'og:image')).toEqual(['https://api.example.com/uploads/thumbnail-7.jpg']);
+    expect(tagContent(seo.open_graph, 'property', 'og:site_name')).toEqual(['Example Blog']);
+    expect(tagContent(seo.open_graph, 'property', 'article:published_time')).toEqual(['2024-05-01T10:00:00.000Z']);
+    expect(tagContent(seo.open_graph, 'property', 'article:modified_time')).toEqual(['2024-05-03T08:30:00.000Z']);
+    expect(tagContent(seo.open_graph, 'property', 'article:section')).toEqual(['Databases']);
+    expect(tagContent(seo.open_graph, 'property', 'article:tag')).toEqual(['AI', 'Search']);
+    expect(tagContent(seo.twitter, 'name', 'twitter:card')).toEqual(['summary_large_image']);
+  });
+
+  test('should prefer the SEO fields when set', () => {
+    const seo = Seo.forArticle(createArticle({
+      meta_title: 'Vector DBs in 5 Minutes',
+      meta_description: 'A short tour of vector search',
+      canonical_url: 'https://example.org/vector-dbs',
+      og_image: 'https://cdn.example.com/social.png',
+      noindex: 1
+    }));
+
+    expect(seo.title).toBe('Vector DBs in 5 Minutes');
+    expect(seo.description).toBe('A short tour of vector search');
+    expect(seo.canonical_url).toBe('https://example.org/vector-dbs');
+    expect(seo.robots).toBe('noindex, nofollow');
+    expect(tagContent(seo.open_graph, 'property', 'og:url')).toEqual(['https://example.org/vector-dbs']);
+    expect(tagContent(seo.twitter, 'name', 'twitter:image')).toEqual(['https://cdn.example.com/social.png']);
+  });
+
+  test('should describe articles without an excerpt from their content', () => {
+    const seo = Seo.forArticle(createArticle({ excerpt: null, content: `<p>${'word '.repeat(60)}</p>` }));
+
+    expect(seo.description).toHaveLength(160);
+    expect(seo.description.endsWith('…')).toBe(true);
+    expect(Seo.forArticle(createArticle({ excerpt: null })).description).toBe('Embeddings are lists of numbers.');
+  });
+
+  test('should use a summary card without an image', () => {
+    const seo = Seo.forArticle(createArticle({ thumbnail_url: null }));
+
+    expect(tagContent(seo.twitter, 'name', 'twitter:card')).toEqual(['summary']);
+    expect(tagContent(seo.open_graph, 'property', 'og:image')).toEqual([]);
+    expect(seo.json_ld.image).toBeUndefined();
+  });
+
+  test('should build BlogPosting structured data', () => {
+    const seo = Seo.forArticle(createArticle());
+
+    expect(seo.json_ld).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: 'Vector Databases Explained',
+      description: 'What vector databases do',
+      url: 'https://blog.example.com/articles/vector-databases-explained',
+      mainEntityOfPage: { '@type': 'WebPage', '@id': 'https://blog.example.com/articles/vector-databases-explained' },
+      image: ['https://api.example.com/uploads/thumbnail-7.jpg'],
+      datePublished: '2024-05-01T10:00:00.000Z',
+      dateModified: '2024-05-03T08:30:00.000Z',
+      author: { '@type': 'Person', name: 'ada' },
+      publisher: { '@type': 'Organization', name: 'Example Blog' },
+      articleSection: 'Databases',
+      keywords: 'AI, Search'
+    });
+  });
+});
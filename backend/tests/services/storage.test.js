@@ -0,0 +1,258 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const Storage = require('../../services/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Minimal S3-compatible server (path-style, like MinIO) keeping objects in memory.
+// Supports the calls the adapter makes: put, get, head, delete, copy and list v2.
+const createFakeS3 = () => {
+  const objects = new Map();
+  const requests = [];
+
+  const xmlError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, bucket, ...keyParts] = url.pathname.split('/');
+      const key = decodeURIComponent(keyParts.join('/'));
+      const id = `${bucket}/${key}`;
+      requests.push({ method: req.method, bucket, key, headers: req.headers });
+
+      if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const contents = [...objects.entries()]
+          .filter(([objectId]) => objectId.startsWith(`${bucket}/${prefix}`))
+          .map(([objectId, object]) => `<Contents><Key>${objectId.slice(bucket.length + 1)}</Key><LastModified>${object.modified.toISOString()}</LastModified><Size>${object.body.length}</Size><ETag>"etag"</ETag></Contents>`)
+          .join('');
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><Prefix>${prefix}</Prefix><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+      }
+
+      if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+        const source = objects.get(decodeURIComponent(req.headers['x-amz-copy-source']).replace(/^\//, ''));
+        if (!source) {
+          return xmlError(res, 404, 'NoSuchKey');
+        }
+        objects.set(id, { ...source, modified: new Date() });
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(`<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><ETag>"etag"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+      }
+
+      if (req.method === 'PUT') {
+        objects.set(id, { body: Buffer.concat(chunks), contentType: req.headers['content-type'], modified: new Date() });
+        res.writeHead(200, { ETag: '"etag"' });
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        objects.delete(id);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      const object = objects.get(id);
+      if (!object) {
+        if (req.method === 'HEAD') {
+          res.writeHead(404);
+          return res.end();
+        }
+        return xmlError(res, 404, 'NoSuchKey');
+      }
+
+      res.writeHead(200, {
+        'Content-Type': object.contentType,
+        'Content-Length': object.body.length,
+        'Last-Modified': object.modified.toUTCString(),
+        ETag: '"etag"'
+      });
+      res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+  });
+
+  return { server, objects, requests };
+};
+
+describe('Storage', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    Storage.adapter = null;
+    Storage.activeDriverName = null;
+  });
+
+  describe('LocalStorage', () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      storage = Storage.createAdapter('local', { dir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write, read and delete files', async () => {
+      await storage.put('photo.jpg', Buffer.from('jpeg data'));
+
+      expect(fs.readFileSync(path.join(dir, 'photo.jpg'), 'utf8')).toBe('jpeg data');
+      expect(await storage.exists('photo.jpg')).toBe(true);
+
+      const file = await storage.read('photo.jpg');
+      expect(file).toMatchObject({ size: 9, contentType: 'image/jpeg' });
+      expect(await readAll(file.stream)).toBe('jpeg data');
+
+      await storage.delete('photo.jpg');
+      expect(await storage.exists('photo.jpg')).toBe(false);
+      expect(await storage.read('photo.jpg')).toBeNull();
+    });
+
+    test('should list files by prefix and move them between folders', async () => {
+      await storage.put('a.png', Buffer.from('a'));
+      await storage.put('b.webp', Buffer.from('b'));
+
+      await storage.move('a.png', '.quarantine/1/a.png');
+
+      expect((await storage.list()).map(file => file.key).sort()).toEqual(['.quarantine/1/a.png', 'b.webp']);
+      expect((await storage.list('.quarantine/')).map(file => file.key)).toEqual(['.quarantine/1/a.png']);
+
+      // Folders emptied by a delete are removed too
+      await storage.delete('.quarantine/1/a.png');
+      expect(fs.readdirSync(dir)).toEqual(['b.webp']);
+    });
+
+    test('should refuse keys outside the uploads folder', async () => {
+      await expect(storage.put('../escape.jpg', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.read('../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+
+    test('should serve files from the uploads path', () => {
+      expect(storage.url('photo.jpg')).toBe('/uploads/photo.jpg');
+    });
+  });
+
+  describe('S3Storage', () => {
+    let fakeS3;
+    let endpoint;
+
+    beforeAll(async () => {
+      fakeS3 = createFakeS3();
+      await new Promise(resolve => fakeS3.server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${fakeS3.server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => fakeS3.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      fakeS3.objects.clear();
+      fakeS3.requests.length = 0;
+    });
+
+    const createS3 = (options = {}) => Storage.createAdapter('s3', {
+      bucket: 'blog',
+      endpoint,
+      accessKeyId: 'test',
+      secretAccessKey: 'test-secret',
+      ...options
+    });
+
+    test('should store objects under the uploads prefix', async () => {
+      const storage = createS3();
+
+      await storage.put('photo.webp', Buffer.from('webp data'));
+
+      expect(fakeS3.objects.get('blog/uploads/photo.webp')).toMatchObject({ contentType: 'image/webp' });
+      expect(fakeS3.requests[0].headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test\//);
+
+      const file = await storage.read('photo.webp');
+      expect(file).toMatchObject({ size: 9, contentType: 'image/webp' });
+      expect(await readAll(file.stream)).toBe('webp data');
+    });
+
+    test('should report missing objects', async () => {
+      const storage = createS3();
+
+      expect(await storage.read('missing.jpg')).toBeNull();
+      expect(await storage.exists('missing.jpg')).toBe(false);
+    });
+
+    test('should list, move and delete objects', async () => {
+      const storage = createS3();
+      await storage.put('a.png', Buffer.from('a'));
+      await storage.put('b.png', Buffer.from('bb'));
+
+      await storage.move('a.png', '.quarantine/1/a.png');
+
+      const files = await storage.list();
+      expect(files.map(file => [file.key, file.size]).sort()).toEqual([['.quarantine/1/a.png', 1], ['b.png', 2]]);
+      expect(files[0].modified_at).toBeInstanceOf(Date);
+      expect((await storage.list('.quarantine/')).map(file => file.key)).toEqual(['.quarantine/1/a.png']);
+
+      await storage.delete('b.png');
+      expect(await storage.exists('b.png')).toBe(false);
+      expect([...fakeS3.objects.keys()]).toEqual(['blog/uploads/.quarantine/1/a.png']);
+    });
+
+    test('should build URLs from the public bucket URL when set', () => {
+      expect(createS3().url('photo.jpg')).toBe('/uploads/photo.jpg');
+      expect(createS3({ publicUrl: 'https://cdn.example.com/' }).url('photo.jpg'))
+        .toBe('https://cdn.example.com/uploads/photo.jpg');
+    });
+
+    test('should require a bucket', () => {
+      expect(() => createS3({ bucket: undefined })).toThrow('S3 storage requires a bucket');
+    });
+  });
+
+  describe('getAdapter', () => {
+    test('should default to local storage', () => {
+      delete process.env.STORAGE_DRIVER;
+      expect(Storage.getAdapter()).toBeInstanceOf(Storage.LocalStorage);
+    });
+
+    test('should use the S3 driver configured by the environment', () => {
+      process.env.STORAGE_DRIVER = 's3';
+      process.env.S3_BUCKET = 'blog';
+      process.env.S3_ENDPOINT = 'http://127.0.0.1:9000';
+      process.env.S3_PUBLIC_URL = 'http://127.0.0.1:9000/blog';
+
+      const adapter = Storage.getAdapter();
+
+      expect(adapter).toBeInstanceOf(Storage.S3Storage);
+      expect(Storage.url('photo.jpg')).toBe('http://127.0.0.1:9000/blog/uploads/photo.jpg');
+    });
+
+    test('should use registered drivers', () => {
+      const adapter = { url: key => `memory:${key}` };
+      Storage.registerDriver('memory', () => adapter);
+      process.env.STORAGE_DRIVER = 'memory';
+
+      expect(Storage.getAdapter()).toBe(adapter);
+      expect(Storage.url('photo.jpg')).toBe('memory:photo.jpg');
+    });
+
+    test('should reject unknown drivers', () => {
+      process.env.STORAGE_DRIVER = 'ftp';
+      expect(() => Storage.getAdapter()).toThrow('Unknown storage driver: ftp');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const path = require('path');
+const fs = require('fs');
+const dbManager = require('../../config/database');
+const Article = require('../../models/Article');
+const TrashRetention = require('../../services/trashRetention');
+const { invalidateCache } = require('../../middleware/caching');
+
+jest.mock('../../middleware/caching', () => ({
+  invalidateCache: {
+    articles: jest.fn(),
+    categories: jest.fn()
+  }
+}));
+
+describe('TrashRetention', () => {
+  const originalEnv = { ...process.env };
+  let category;
+  let ids;
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        category_id INTEGER NOT NULL,
+        author_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        published_at DATETIME,
+        deleted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/021_create_slug_redirects_table.sql'), 'utf8'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles').run();
+
+    const insert = db.prepare(`
+      INSERT INTO articles (title, slug, content, category_id, author_id, deleted_at) VALUES (?, ?, 'Content', 1, 1, ?)
+    `);
+    ids = {
+      live: insert.run('Live', 'live', null).lastInsertRowid,
+      recent: insert.run('Recent', 'recent', '2030-01-25 12:00:00').lastInsertRowid,
+      old: insert.run('Old', 'old', '2030-01-01 12:00:00').lastInsertRowid
+    };
+
+    // The Category model keeps its own connection; its purge is covered by the model tests
+    category = { purgeDeletedBefore: jest.fn(() => []) };
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    TrashRetention.stop();
+  });
+
+  test('should purge what has been in the trash longer than the retention period', () => {
+    const purged = TrashRetention.runOnce(new Date('2030-02-01T00:00:00.000Z'), { category });
+
+    expect(purged).toEqual({ articles: [ids.old], categories: [] });
+    expect(category.purgeDeletedBefore).toHaveBeenCalledWith('2030-01-02 00:00:00');
+    expect(Article.findById(ids.old, false, { withDeleted: true })).toBeNull();
+    expect(Article.findById(ids.recent, false, { withDeleted: true })).not.toBeNull();
+    expect(Article.findById(ids.live, false)).not.toBeNull();
+    expect(invalidateCache.articles).toHaveBeenCalledTimes(1);
+  });
+
+  test('should follow TRASH_RETENTION_DAYS', () => {
+    process.env.TRASH_RETENTION_DAYS = '5';
+    expect(TrashRetention.runOnce(new Date('2030-02-01T00:00:00.000Z'), { category }).articles.sort())
+      .toEqual([ids.recent, ids.old].sort());
+  });
+
+  test('should keep the trash when the retention period is 0', () => {
+    process.env.TRASH_RETENTION_DAYS = '0';
+
+    expect(TrashRetention.runOnce(new Date('2031-01-01T00:00:00.000Z'), { category })).toEqual({ articles: [], categories: [] });
+    expect(category.purgeDeletedBefore).not.toHaveBeenCalled();
+    expect(TrashRetention.purgeDate('2030-01-01 12:00:00')).toBeNull();
+  });
+
+  test('should tell when a trashed item will be purged', () => {
+    expect(TrashRetention.purgeDate('2030-01-01 12:00:00').toISOString()).toBe('2030-01-31T12:00:00.000Z');
+    expect(TrashRetention.purgeDate(null)).toBeNull();
+  });
+
+  test('should purge when started', () => {
+    jest.useFakeTimers({ now: new Date('2030-02-01T00:00:00.000Z') });
+    try {
+      const runOnce = jest.spyOn(TrashRetention, 'runOnce').mockReturnValue({ articles: [], categories: [] });
+
+      TrashRetention.start({ intervalMs: 60000 });
+      expect(runOnce).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60000);
+      expect(runOnce).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.restoreAllMocks();
+      TrashRetention.stop();
+      jest.useRealTimers();
+    }
+  });
+});
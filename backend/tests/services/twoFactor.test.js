@@ -0,0 +1,111 @@
+const TwoFactor = require('../../services/twoFactor');
+const User = require('../../models/User');
+const RecoveryCode = require('../../models/RecoveryCode');
+const totp = require('../../utils/totp');
+const dbManager = require('../../config/database');
+const fs = require('fs');
+const path = require('path');
+
+describe('TwoFactor Service', () => {
+  let user;
+
+  // Code of the next time step, so it isn't rejected as already used
+  const nextCode = (secret) => totp.generateCode(secret, totp.timeStep() + 1);
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/013_add_user_account_status.sql'), 'utf8'));
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/016_add_two_factor_auth.sql'), 'utf8'));
+  });
+
+  beforeEach(() => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM users').run();
+    db.prepare('DELETE FROM settings').run();
+
+    const id = db.prepare(`
+      INSERT INTO users (username, email, password_hash, role) VALUES ('totpuser', 'totp@test.com', 'hash', 'editor')
+    `).run().lastInsertRowid;
+    user = User.findById(id);
+  });
+
+  describe('enrollment', () => {
+    test('should only enable 2FA once a code confirms the secret', async () => {
+      const { secret, otpauth_url, qr_code } = await TwoFactor.beginEnrollment(user);
+
+      expect(otpauth_url).toContain(`secret=${secret}`);
+      expect(qr_code.startsWith('data:image/png;base64,')).toBe(true);
+      expect(TwoFactor.isEnabled(user)).toBe(false);
+
+      expect(() => TwoFactor.confirmEnrollment(user, '000000')).toThrow('Invalid two-factor code');
+
+      const recoveryCodes = TwoFactor.confirmEnrollment(user, totp.generateCode(secret));
+      expect(recoveryCodes).toHaveLength(10);
+      expect(TwoFactor.isEnabled(User.findById(user.id))).toBe(true);
+      await expect(TwoFactor.beginEnrollment(user)).rejects.toThrow('already enabled');
+    });
+
+    test('should not expose the secret in JSON', async () => {
+      await TwoFactor.beginEnrollment(user);
+      const json = User.findById(user.id).toJSON();
+
+      expect(json.totp_secret).toBeUndefined();
+      expect(json.two_factor_enabled).toBe(false);
+    });
+  });
+
+  describe('verify', () => {
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      ({ secret } = await TwoFactor.beginEnrollment(user));
+      recoveryCodes = TwoFactor.confirmEnrollment(user, totp.generateCode(secret));
+    });
+
+    test('should accept each code only once', () => {
+      const code = nextCode(secret);
+
+      expect(TwoFactor.verify(user, { code })).toBe(true);
+      expect(TwoFactor.verify(User.findById(user.id), { code })).toBe(false);
+    });
+
+    test('should accept each recovery code only once', () => {
+      expect(TwoFactor.verify(user, { recoveryCode: recoveryCodes[0].toUpperCase() })).toBe(true);
+      expect(TwoFactor.verify(user, { recoveryCode: recoveryCodes[0] })).toBe(false);
+      expect(RecoveryCode.countRemaining(user.id)).toBe(9);
+    });
+
+    test('should forget the secret and recovery codes when disabled', () => {
+      TwoFactor.disable(user);
+
+      expect(TwoFactor.verify(user, { code: nextCode(secret) })).toBe(false);
+      expect(RecoveryCode.countRemaining(user.id)).toBe(0);
+    });
+  });
+
+  describe('policy', () => {
+    test('should require 2FA for the configured roles', () => {
+      expect(TwoFactor.isRequiredFor(user)).toBe(false);
+
+      TwoFactor.setRequiredRoles(['editor', 'editor']);
+      expect(TwoFactor.requiredRoles()).toEqual(['editor']);
+      expect(TwoFactor.isRequiredFor(user)).toBe(true);
+
+      expect(() => TwoFactor.setRequiredRoles(['owner'])).toThrow('Role must be one of');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dbManager = require('../../config/database');
+const Media = require('../../models/Media');
+const Storage = require('../../services/storage');
+const UploadCleanup = require('../../services/uploadCleanup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('UploadCleanup', () => {
+  let dir;
+  let storage;
+  const now = new Date('2024-06-01T12:00:00Z');
+
+  beforeAll(() => {
+    const db = dbManager.getDatabase();
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username VARCHAR(50) UNIQUE NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) DEFAULT 'admin',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) UNIQUE NOT NULL,
+        content TEXT NOT NULL,
+        content_html TEXT,
+        thumbnail_url VARCHAR(500),
+        status VARCHAR(20) DEFAULT 'draft',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(fs.readFileSync(path.join(__dirname, '../../migrations/files/018_create_media_table.sql'), 'utf8'));
+  });
+
+  beforeEach(() => {
+    const db = dbManager.getDatabase();
+    db.prepare('DELETE FROM articles').run();
+    db.prepare('DELETE FROM media').run();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-cleanup-'));
+    storage = Storage.createAdapter('local', { dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write an upload file last modified `ageHours` before now
+  const writeUpload = (filename, ageHours) => {
+    const filePath = path.join(dir, filename);
+    fs.writeFileSync(filePath, 'image data');
+    const mtime = new Date(now.getTime() - ageHours * HOUR_MS);
+    fs.utimesSync(filePath, mtime, mtime);
+  };
+
+  const createArticle = (slug, fields) => {
+    const db = dbManager.getDatabase();
+    const { content = '<p>Text</p>', content_html = null, thumbnail_url = null } = fields;
+    return db.prepare('INSERT INTO articles (title, slug, content, content_html, thumbnail_url) VALUES (?, ?, ?, ?, ?)')
+      .run(slug, slug, content, content_html, thumbnail_url).lastInsertRowid;
+  };
+
+  const quarantinedFiles = () => {
+    const quarantineDir = path.join(dir, '.quarantine');
+    if (!fs.existsSync(quarantineDir)) return [];
+    return fs.readdirSync(quarantineDir).flatMap(run => fs.readdirSync(path.join(quarantineDir, run))).sort();
+  };
+
+  describe('groupKey', () => {
+    test('should group variants and manifests with their original', () => {
+      expect(UploadCleanup.groupKey('thumbnail-1-2.jpg')).toBe('thumbnail-1-2');
+      expect(UploadCleanup.groupKey('thumbnail-1-2-640w.webp')).toBe('thumbnail-1-2');
+      expect(UploadCleanup.groupKey('thumbnail-1-2.json')).toBe('thumbnail-1-2');
+    });
+  });
+
+  describe('collectReferences', () => {
+    test('should read thumbnails, HTML, Markdown and rendered content', () => {
+      createArticle('a', { thumbnail_url: 'http://localhost:3000/api/uploads/thumbnail-1-1.jpg' });
+      createArticle('b', { content: '<p><img src="/uploads/thumbnail-2-2-320w.webp"></p>' });
+      createArticle('c', { content: '![Chart](/uploads/thumbnail-3-3.png)', content_html: '<img src="/uploads/thumbnail-3-3.png">' });
+
+      expect([...UploadCleanup.collectReferences()].sort()).toEqual(['thumbnail-1-1', 'thumbnail-2-2', 'thumbnail-3-3']);
+    });
+  });
+
+  describe('findOrphans', () => {
+    test('should report unreferenced files older than the grace period', async () => {
+      createArticle('used', { thumbnail_url: '/uploads/thumbnail-1-1.jpg' });
+      writeUpload('thumbnail-1-1.jpg', 100);
+      writeUpload('thumbnail-1-1-320w.webp', 100);
+      writeUpload('thumbnail-2-2.jpg', 100);
+      writeUpload('thumbnail-2-2-320w.webp', 100);
+      writeUpload('thumbnail-3-3.jpg', 1);
+      writeUpload('.gitkeep', 100);
+
+      const orphans = await UploadCleanup.findOrphans({ storage, graceHours: 24, now });
+
+      expect(orphans.map(file => file.filename)).toEqual(['thumbnail-2-2-320w.webp', 'thumbnail-2-2.jpg']);
+      expect(orphans[0]).toMatchObject({ size: 10, modified_at: new Date(now.getTime() - 100 * HOUR_MS).toISOString() });
+    });
+
+    test('should keep a group while any of its files is recent', async () => {
+      writeUpload('thumbnail-4-4.jpg', 100);
+      writeUpload('thumbnail-4-4.json', 2);
+
+      expect(await UploadCleanup.findOrphans({ storage, graceHours: 24, now })).toEqual([]);
+    });
+  });
+
+  describe('run', () => {
+    beforeEach(() => {
+      writeUpload('thumbnail-1-1.jpg', 100);
+      writeUpload('thumbnail-1-1-320w.webp', 100);
+    });
+
+    test('should only report in a dry run', async () => {
+      const result = await UploadCleanup.run({ storage, graceHours: 24, now });
+
+      expect(result.dry_run).toBe(true);
+      expect(result.orphans).toHaveLength(2);
+      expect(result.orphan_bytes).toBe(20);
+      expect(result.quarantined).toBe(0);
+      expect(fs.readdirSync(dir).sort()).toEqual(['thumbnail-1-1-320w.webp', 'thumbnail-1-1.jpg']);
+    });
+
+    test('should move orphans to quarantine and drop their library records', async () => {
+      const media = Media.create({ filename: 'thumbnail-1-1.jpg', mime_type: 'image/jpeg', size: 10 });
+
+      const result = await UploadCleanup.run({ storage, graceHours: 24, now, dryRun: false });
+
+      expect(result.quarantined).toBe(2);
+      expect(fs.readdirSync(dir)).toEqual(['.quarantine']);
+      expect(quarantinedFiles()).toEqual(['thumbnail-1-1-320w.webp', 'thumbnail-1-1.jpg']);
+      expect(Media.findById(media.id)).toBeUndefined();
+    });
+
+    test('should restore quarantined files that are referenced again', async () => {
+      await UploadCleanup.run({ storage, graceHours: 24, now, dryRun: false });
+      createArticle('restored', { content: '<img src="/uploads/thumbnail-1-1-320w.webp">' });
+
+      const result = await UploadCleanup.run({ storage, graceHours: 24, now: new Date(now.getTime() + HOUR_MS), dryRun: false });
+
+      expect(result.restored.sort()).toEqual(['thumbnail-1-1-320w.webp', 'thumbnail-1-1.jpg']);
+      expect(quarantinedFiles()).toEqual([]);
+      expect(fs.existsSync(path.join(dir, 'thumbnail-1-1.jpg'))).toBe(true);
+    });
+
+    test('should purge quarantine older than the quarantine period', async () => {
+      await UploadCleanup.run({ storage, graceHours: 24, now, dryRun: false });
+
+      const early = await UploadCleanup.run({ storage, graceHours: 24, quarantineHours: 48, now: new Date(now.getTime() + 47 * HOUR_MS), dryRun: false });
+      expect(early.purged).toBe(0);
+
+      const late = await UploadCleanup.run({ storage, graceHours: 24, quarantineHours: 48, now: new Date(now.getTime() + 49 * HOUR_MS), dryRun: false });
+      expect(late.purged).toBe(2);
+      expect(quarantinedFiles()).toEqual([]);
+    });
+  });
+
+  describe('getOptions', () => {
+    afterEach(() => {
+      delete process.env.UPLOAD_GC_GRACE_HOURS;
+    });
+
+    test('should read the grace period from the environment', () => {
+      process.env.UPLOAD_GC_GRACE_HOURS = '12';
+      expect(UploadCleanup.getOptions().graceHours).toBe(12);
+      expect(UploadCleanup.getOptions({ graceHours: 0 }).graceHours).toBe(0);
+    });
+
+    test('should default to a week', () => {
+      expect(UploadCleanup.getOptions()).toMatchObject({ graceHours: 168, quarantineHours: 168 });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { diffText, diffHtml, diffTextToHtml } = require('../../utils/diff');
+
+describe('Diff Utils', () => {
+  describe('diffText', () => {
+    it('should report word-level changes', () => {
+      expect(diffText('the quick brown fox', 'the slow brown fox')).toEqual([
+        { type: 'equal', value: 'the ' },
+        { type: 'delete', value: 'quick' },
+        { type: 'insert', value: 'slow' },
+        { type: 'equal', value: ' brown fox' }
+      ]);
+    });
+
+    it('should handle empty inputs', () => {
+      expect(diffText('', 'new text')).toEqual([{ type: 'insert', value: 'new text' }]);
+      expect(diffText(null, null)).toEqual([]);
+    });
+
+    it('should fall back to a full rewrite for very different documents', () => {
+      const from = Array.from({ length: 3000 }, (_, i) => `a${i}`).join(' ');
+      const to = Array.from({ length: 3000 }, (_, i) => `b${i}`).join(' ');
+
+      const ops = diffText(from, to);
+      expect(ops.map(op => op.type)).toEqual(['delete', 'insert']);
+    });
+  });
+
+  describe('diffHtml', () => {
+    it('should wrap changed text without breaking markup', () => {
+      expect(diffHtml('<p>Hello world</p><p>bye</p>', '<p>Hello brave world</p><h2>New</h2>'))
+        .toBe('<p>Hello <ins>brave </ins>world</p><del>bye</del><h2><ins>New</ins></h2>');
+    });
+  });
+
+  describe('diffTextToHtml', () => {
+    it('should escape text', () => {
+      expect(diffTextToHtml('a <b>', 'a <i>')).toBe('a <del>&lt;b&gt;</del><ins>&lt;i&gt;</ins>');
+    });
+  });
+});
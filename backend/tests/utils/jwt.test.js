@@ -145,6 +145,12 @@ describe('JWT Utils', () => {
       expect(decoded.username).toBe(mockUser.username);
     });
 
+    it('should not accept a refresh token as an access token', () => {
+      const refreshToken = jwtUtils.generateRefreshToken(mockUser);
+
+      expect(() => jwtUtils.verifyToken(refreshToken)).toThrow('Invalid token');
+    });
+
     it('should have longer expiration than access token', () => {
       const accessToken = jwtUtils.generateToken(mockUser);
       const refreshToken = jwtUtils.generateRefreshToken(mockUser);
@@ -182,6 +188,24 @@ describe('JWT Utils', () => {
     });
   });
 
+  describe('MFA tokens', () => {
+    it('should verify an MFA token for its purpose', () => {
+      const mfaToken = jwtUtils.generateMfaToken(mockUser, { purpose: 'enroll' });
+      const decoded = jwtUtils.verifyMfaToken(mfaToken, { purpose: 'enroll' });
+
+      expect(decoded.id).toBe(mockUser.id);
+      expect(decoded.type).toBe('mfa');
+      expect(() => jwtUtils.verifyMfaToken(mfaToken, { purpose: 'verify' })).toThrow('Invalid MFA token');
+    });
+
+    it('should not accept an MFA token as an access token', () => {
+      const mfaToken = jwtUtils.generateMfaToken(mockUser);
+
+      expect(() => jwtUtils.verifyToken(mfaToken)).toThrow('Invalid token');
+      expect(() => jwtUtils.verifyMfaToken(jwtUtils.generateToken(mockUser))).toThrow('Invalid MFA token');
+    });
+  });
+
   describe('decodeToken', () => {
     it('should decode token without verification', () => {
       const token = jwtUtils.generateToken(mockUser);
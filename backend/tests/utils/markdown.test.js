@@ -0,0 +1,47 @@
+const { renderMarkdown } = require('../../utils/markdown');
+
+describe('Markdown Utils', () => {
+  test('should render common Markdown', () => {
+    const html = renderMarkdown('# Title\n\nSome **bold** text and a [link](https://example.com).');
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<a href="https://example.com">link</a>');
+  });
+
+  test('should highlight fenced code in known languages', () => {
+    const html = renderMarkdown('```python\ndef train(model):\n    return model\n```');
+
+    expect(html).toContain('<pre><code class="hljs language-python">');
+    expect(html).toContain('<span class="hljs-keyword">def</span>');
+  });
+
+  test('should escape code in unknown languages', () => {
+    const html = renderMarkdown('```nope\n<div>x</div>\n```');
+
+    expect(html).toContain('&lt;div&gt;x&lt;/div&gt;');
+  });
+
+  test('should typeset inline and display math with KaTeX', () => {
+    const html = renderMarkdown('Euler: $e^{i\\pi} + 1 = 0$\n\n$$\n\\int_0^1 x\\,dx\n$$');
+
+    expect(html).toContain('<span class="katex">');
+    expect(html).toContain('<div class="math-display"><span class="katex-display">');
+    expect(html).toContain('<annotation encoding="application/x-tex">\\int_0^1 x\\,dx</annotation>');
+  });
+
+  test('should leave prices and escaped dollars as text', () => {
+    const html = renderMarkdown('It costs $5 and $10 a month, or \\$20 flat.');
+
+    expect(html).not.toContain('katex');
+    expect(html).toContain('$5 and $10 a month, or $20 flat.');
+  });
+
+  test('should escape raw HTML and drop script links', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n[click](javascript:alert(1))\n\n$\\href{javascript:alert(1)}{x}$');
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('href="javascript:');
+  });
+});
@@ -0,0 +1,75 @@
+const { sanitizeContent } = require('../../utils/sanitizeContent');
+
+describe('Content Sanitizer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should keep Quill formatting and code blocks as they are', () => {
+    const html = '<p class="ql-align-center"><strong>Bold</strong> <span style="color:#e60000;">red</span></p>'
+      + '<ol><li class="ql-indent-1">Item</li></ol>'
+      + '<pre class="ql-syntax" spellcheck="false">if (a &lt; b) {}</pre>';
+
+    const result = sanitizeContent(html);
+
+    expect(result.html).toBe(html);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should remove scripts, event handlers and unsafe links', () => {
+    const result = sanitizeContent(
+      '<p onclick="steal()">Hi<script>alert(1)</script></p><a href="javascript:alert(1)">link</a>'
+    );
+
+    expect(result.html).toBe('<p>Hi</p><a href>link</a>');
+    expect(result.warnings).toEqual([
+      'Removed onclick attribute from <p>',
+      'Removed <script> element',
+      'Removed unsafe href from <a>'
+    ]);
+  });
+
+  test('should unwrap unknown elements and drop disallowed styles', () => {
+    const result = sanitizeContent('<p><font face="x">text</font> <span style="position:fixed;color:red">x</span></p>');
+
+    expect(result.html).toBe('<p>text <span style="color:red;">x</span></p>');
+    expect(result.warnings).toEqual(['Removed <font> element', 'Removed position style']);
+  });
+
+  test('should only keep images from our uploads and allowed hosts', () => {
+    process.env.CONTENT_IMAGE_HOSTS = 'cdn.example.com';
+
+    const result = sanitizeContent(
+      '<img src="/uploads/chart.png" alt="Chart">'
+      + '<img src="https://cdn.example.com/photo.jpg">'
+      + '<img src="https://tracker.example.net/pixel.gif">'
+      + '<img src="data:image/png;base64,AAAA">'
+    );
+
+    expect(result.html).toBe('<img src="/uploads/chart.png" alt="Chart"><img src="https://cdn.example.com/photo.jpg">');
+    expect(result.warnings).toEqual([
+      'Removed image from tracker.example.net',
+      'Removed image from an inline data URL'
+    ]);
+  });
+
+  test('should only keep embeds from allowlisted domains', () => {
+    const video = '<iframe class="ql-video" frameborder="0" allowfullscreen="true" src="https://www.youtube.com/embed/abc"></iframe>';
+
+    const result = sanitizeContent(`${video}<iframe src="https://evil.example.com/frame"></iframe><p>After</p>`);
+
+    expect(result.html).toBe(`${video}<p>After</p>`);
+    expect(result.warnings).toEqual(['Removed embed from evil.example.com']);
+  });
+
+  test('should read embed domains from the environment', () => {
+    process.env.CONTENT_EMBED_DOMAINS = 'embed.example.com';
+
+    const result = sanitizeContent('<iframe src="https://www.youtube.com/embed/abc"></iframe><iframe src="https://embed.example.com/v/1"></iframe>');
+
+    expect(result.html).toBe('<iframe src="https://embed.example.com/v/1"></iframe>');
+    expect(result.warnings).toEqual(['Removed embed from www.youtube.com']);
+  });
+});
@@ -0,0 +1,57 @@
+const { generateSlug, isReservedSlug, slugMaxLength } = require('../../utils/slug');
+
+describe('Slug Utils', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('generateSlug', () => {
+    it('should join lowercase words with hyphens', () => {
+      expect(generateSlug('Attention Is All You Need')).toBe('attention-is-all-you-need');
+      expect(generateSlug('  C++ & Rust: a comparison!  ')).toBe('c-rust-a-comparison');
+      expect(generateSlug("Don't Stop")).toBe('dont-stop');
+    });
+
+    it('should write Chinese in toneless pinyin', () => {
+      expect(generateSlug('深度学习入门')).toBe('shen-du-xue-xi-ru-men');
+      expect(generateSlug('重庆大学 AI 实验室')).toBe('chong-qing-da-xue-ai-shi-yan-shi');
+      expect(generateSlug('绿色计算')).toBe('lv-se-ji-suan');
+    });
+
+    it('should transliterate other scripts', () => {
+      expect(generateSlug('Ça va? Straße')).toBe('ca-va-strasse');
+      expect(generateSlug('Привет мир')).toBe('privet-mir');
+    });
+
+    it('should cut long slugs at a word boundary', () => {
+      expect(generateSlug('alpha beta gamma', { maxLength: 12 })).toBe('alpha-beta');
+      expect(generateSlug('alpha beta gamma', { maxLength: 10 })).toBe('alpha-beta');
+      expect(generateSlug('supercalifragilistic', { maxLength: 5 })).toBe('super');
+    });
+
+    it('should read the maximum length from SLUG_MAX_LENGTH', () => {
+      expect(slugMaxLength()).toBe(80);
+      expect(generateSlug('word '.repeat(30))).toHaveLength(79);
+
+      process.env.SLUG_MAX_LENGTH = '9';
+      expect(generateSlug('word '.repeat(30))).toBe('word-word');
+    });
+
+    it('should use the fallback when nothing can be spelled out', () => {
+      expect(generateSlug('🚀🚀', { fallback: 'article' })).toBe('article');
+      expect(generateSlug('')).toBe('');
+      expect(generateSlug(null, { fallback: 'article' })).toBe('article');
+    });
+
+    it('should suffix reserved words with the fallback', () => {
+      expect(generateSlug('Edit', { fallback: 'article' })).toBe('edit-article');
+      expect(generateSlug('Edit Mode', { fallback: 'article' })).toBe('edit-mode');
+
+      process.env.SLUG_RESERVED_WORDS = 'About, Contact';
+      expect(isReservedSlug('contact')).toBe(true);
+      expect(generateSlug('About', { fallback: 'category' })).toBe('about-category');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const totp = require('../../utils/totp');
+
+describe('TOTP Utils', () => {
+  // Secret of the RFC 6238 test vectors ("12345678901234567890")
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should round-trip base32', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+  });
+
+  test('should match the RFC 6238 SHA-1 test vectors', () => {
+    // The RFC lists 8-digit codes; authenticator apps show their last 6 digits
+    expect(totp.generateCode(rfcSecret, totp.timeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(rfcSecret, totp.timeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(rfcSecret, totp.timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('should accept codes within the drift window and return their step', () => {
+    const secret = totp.generateSecret();
+    const time = Date.now();
+    const step = totp.timeStep(time);
+
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step), { time })).toBe(step);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { time })).toBe(step - 1);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, step - 3), { time })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef', { time })).toBeNull();
+  });
+
+  test('should build an otpauth URL for authenticator apps', () => {
+    const url = totp.otpauthUrl('JBSWY3DPEHPK3PXP', 'alice', 'My Blog');
+
+    expect(url.startsWith('otpauth://totp/My%20Blog%3Aalice?')).toBe(true);
+    expect(url).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(url).toContain('issuer=My+Blog');
+  });
+});
@@ -0,0 +1,176 @@
+// Token-level diffing used to compare article revisions
+const { escapeHtml } = require('./html');
+
+// Split plain text into words and the whitespace between them
+const tokenizeText = (text) => {
+  return String(text || '').match(/\s+|[^\s]+/g) || [];
+};
+
+// Split HTML into tags, whitespace and words so markup is never cut in half
+const tokenizeHtml = (html) => {
+  return String(html || '').match(/<[^>]*>|\s+|[^\s<]+/g) || [];
+};
+
+const isTag = (token) => token.startsWith('<');
+
+// Beyond this many edits the documents are treated as entirely rewritten,
+// which keeps the trace (quadratic in the edit distance) small
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers O(ND) diff. Returns [{ type: 'equal' | 'insert' | 'delete', tokens }]
+const diffTokens = (a, b) => {
+  // Trim the common prefix and suffix, which is most of the document for typical edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const n = middleA.length;
+  const m = middleB.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  const edits = [];
+  let found = false;
+
+  outer:
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && middleA[x] === middleB[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break outer;
+      }
+    }
+  }
+
+  if (found) {
+    // Walk the trace backwards to recover the edit script
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const snapshot = trace[d];
+      const at = (k) => snapshot[k + d + 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push({ type: 'equal', token: middleA[x - 1] });
+        x--;
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          edits.push({ type: 'insert', token: middleB[y - 1] });
+        } else {
+          edits.push({ type: 'delete', token: middleA[x - 1] });
+        }
+      }
+      x = prevX;
+      y = prevY;
+    }
+    edits.reverse();
+  } else {
+    middleA.forEach(token => edits.push({ type: 'delete', token }));
+    middleB.forEach(token => edits.push({ type: 'insert', token }));
+  }
+
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      ops.push({ type, tokens: [token] });
+    }
+  };
+
+  a.slice(0, start).forEach(token => push('equal', token));
+  edits.forEach(edit => push(edit.type, edit.token));
+  a.slice(endA).forEach(token => push('equal', token));
+
+  return ops;
+};
+
+// Word-level diff of two plain strings: [{ type, value }]
+const diffText = (from, to) => {
+  return diffTokens(tokenizeText(from), tokenizeText(to))
+    .map(op => ({ type: op.type, value: op.tokens.join('') }));
+};
+
+// Render an HTML document showing the changes from `from` to `to`.
+// Inserted text is wrapped in <ins>, removed text in <del>. Inserted tags are
+// kept so the result has the structure of `to`; removed tags are dropped.
+const diffHtml = (from, to) => {
+  const ops = diffTokens(tokenizeHtml(from), tokenizeHtml(to));
+  let output = '';
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      output += op.tokens.join('');
+      continue;
+    }
+
+    const wrapper = op.type === 'insert' ? 'ins' : 'del';
+    let run = '';
+    const flush = () => {
+      if (run.trim()) {
+        output += `<${wrapper}>${run}</${wrapper}>`;
+      } else {
+        output += run;
+      }
+      run = '';
+    };
+
+    for (const token of op.tokens) {
+      if (isTag(token)) {
+        flush();
+        if (op.type === 'insert') {
+          output += token;
+        }
+      } else {
+        run += token;
+      }
+    }
+    flush();
+  }
+
+  return output;
+};
+
+// Render a plain-text diff as HTML
+const diffTextToHtml = (from, to) => {
+  return diffText(from, to).map(op => {
+    const value = escapeHtml(op.value);
+    if (op.type === 'insert') return `<ins>${value}</ins>`;
+    if (op.type === 'delete') return `<del>${value}</del>`;
+    return value;
+  }).join('');
+};
+
+module.exports = {
+  diffTokens,
+  diffText,
+  diffHtml,
+  diffTextToHtml
+};
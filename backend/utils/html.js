@@ -0,0 +1,50 @@
+// Helpers for working with stored article HTML
+
+const ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'"
+};
+
+// Decode the handful of entities Quill and the xss filter produce
+const decodeEntities = (text) => {
+  return text
+    .replace(/&(nbsp|amp|lt|gt|quot|apos|#39);/gi, (entity) => ENTITIES[entity.toLowerCase()] || entity)
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+};
+
+// Reduce HTML to plain text suitable for indexing and excerpts
+const stripHtml = (html) => {
+  if (html === null || html === undefined) {
+    return '';
+  }
+
+  const text = String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ') // Drop script/style bodies
+    .replace(/<\/?(p|div|br|li|h[1-6]|blockquote|pre|tr|td|th)[^>]*>/gi, ' ') // Block tags separate words
+    .replace(/<[^>]*>/g, '') // Remove remaining tags
+    .replace(/\s+/g, ' ');
+
+  return decodeEntities(text).trim();
+};
+
+// Escape text for safe inclusion in HTML
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+  stripHtml,
+  escapeHtml,
+  decodeEntities
+};
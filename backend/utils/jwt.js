@@ -1,4 +1,12 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// The second sign-in step has to be completed within a few minutes
+const MFA_TOKEN_EXPIRES_IN = '5m';
+const MFA_AUDIENCE = 'blog-admin-mfa';
+
+// Preview links are read by people without an account, so they get their own audience
+const PREVIEW_AUDIENCE = 'blog-article-preview';
 
 class JWTUtils {
   constructor() {
@@ -13,8 +21,8 @@ class JWTUtils {
     return secret;
   }
 
-  // Generate JWT token
-  generateToken(payload) {
+  // Generate JWT token; sessionId ties it to the refresh token family it was issued for
+  generateToken(payload, { sessionId } = {}) {
     try {
       // Remove sensitive data from payload
       const tokenPayload = {
@@ -24,6 +32,10 @@ class JWTUtils {
         role: payload.role
       };
 
+      if (sessionId) {
+        tokenPayload.sid = sessionId;
+      }
+
       return jwt.sign(tokenPayload, this.secret, {
         expiresIn: this.expiresIn,
         issuer: 'blog-admin-api',
@@ -34,10 +46,12 @@ class JWTUtils {
     }
   }
 
-  // Verify JWT token
+  // Verify an access token. Refresh tokens share its issuer and audience, so
+  // they are told apart by their type and never accepted in its place.
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, this.secret, {
+      decoded = jwt.verify(token, this.secret, {
         issuer: 'blog-admin-api',
         audience: 'blog-admin-client'
       });
@@ -52,6 +66,12 @@ class JWTUtils {
         throw new Error('Token verification failed: ' + error.message);
       }
     }
+
+    if (decoded.type === 'refresh') {
+      throw new Error('Invalid token');
+    }
+
+    return decoded;
   }
 
   // Decode token without verification (for debugging)
@@ -77,8 +97,9 @@ class JWTUtils {
     return parts[1];
   }
 
-  // Generate refresh token (longer expiration)
-  generateRefreshToken(payload) {
+  // Generate refresh token (longer expiration). The jwtid keeps tokens
+  // issued within the same second distinct, as each one is stored by hash.
+  generateRefreshToken(payload, { sessionId } = {}) {
     try {
       const tokenPayload = {
         id: payload.id,
@@ -86,10 +107,15 @@ class JWTUtils {
         type: 'refresh'
       };
 
+      if (sessionId) {
+        tokenPayload.sid = sessionId;
+      }
+
       return jwt.sign(tokenPayload, this.secret, {
         expiresIn: '7d', // 7 days for refresh token
         issuer: 'blog-admin-api',
-        audience: 'blog-admin-client'
+        audience: 'blog-admin-client',
+        jwtid: crypto.randomUUID()
       });
     } catch (error) {
       throw new Error('Failed to generate refresh token: ' + error.message);
@@ -120,6 +146,84 @@ class JWTUtils {
     }
   }
 
+  // Generate a short-lived token for the second step of a two-factor sign-in.
+  // purpose is 'verify' (enter a code) or 'enroll' (set up 2FA first). It is
+  // issued for its own audience, so it can't be used as an access token.
+  generateMfaToken(payload, { purpose = 'verify' } = {}) {
+    try {
+      return jwt.sign({ id: payload.id, type: 'mfa', purpose }, this.secret, {
+        expiresIn: MFA_TOKEN_EXPIRES_IN,
+        issuer: 'blog-admin-api',
+        audience: MFA_AUDIENCE
+      });
+    } catch (error) {
+      throw new Error('Failed to generate MFA token: ' + error.message);
+    }
+  }
+
+  // Verify an MFA token, optionally requiring a purpose
+  verifyMfaToken(token, { purpose } = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret, {
+        issuer: 'blog-admin-api',
+        audience: MFA_AUDIENCE
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('MFA token has expired');
+      }
+      throw new Error('Invalid MFA token');
+    }
+
+    if (decoded.type !== 'mfa' || (purpose && decoded.purpose !== purpose)) {
+      throw new Error('Invalid MFA token');
+    }
+
+    return decoded;
+  }
+
+  // Sign the token of an article preview link. The times come from the stored link,
+  // so the same link always yields the same token and can be copied again later.
+  generatePreviewToken(link) {
+    try {
+      return jwt.sign({
+        type: 'preview',
+        article_id: link.article_id,
+        iat: Math.floor(new Date(link.created_at).getTime() / 1000),
+        exp: Math.floor(new Date(link.expires_at).getTime() / 1000)
+      }, this.secret, {
+        issuer: 'blog-admin-api',
+        audience: PREVIEW_AUDIENCE,
+        jwtid: link.token_id
+      });
+    } catch (error) {
+      throw new Error('Failed to generate preview token: ' + error.message);
+    }
+  }
+
+  // Verify a preview token; revocation is checked against the stored link
+  verifyPreviewToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret, {
+        issuer: 'blog-admin-api',
+        audience: PREVIEW_AUDIENCE
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Preview link has expired');
+      }
+      throw new Error('Invalid preview link');
+    }
+
+    if (decoded.type !== 'preview' || !decoded.jti) {
+      throw new Error('Invalid preview link');
+    }
+
+    return decoded;
+  }
+
   // Get token expiration time
   getTokenExpiration(token) {
     try {
@@ -0,0 +1,126 @@
+// Server-side Markdown rendering for articles written in Markdown
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const katex = require('katex');
+const { escapeHtml } = require('./html');
+
+const DOLLAR = 0x24;
+const BACKSLASH = 0x5c;
+
+const isSpace = (code) => code === 0x20 || code === 0x09 || code === 0x0a;
+const isDigit = (code) => code >= 0x30 && code <= 0x39;
+
+// KaTeX with trust disabled, so \href, \url and friends can't emit links or
+// arbitrary attributes. Invalid TeX renders as an inline error instead of throwing.
+const renderMath = (tex, displayMode) => katex.renderToString(tex, {
+  displayMode,
+  throwOnError: false,
+  trust: false,
+  output: 'htmlAndMathml'
+});
+
+// Inline math: $...$. As in Pandoc, the opening $ must not be followed by a space
+// and the closing $ must not follow a space or precede a digit, so "$5 and $10" stays text.
+const mathInline = (state, silent) => {
+  const start = state.pos;
+  const src = state.src;
+
+  if (src.charCodeAt(start) !== DOLLAR) return false;
+
+  const next = src.charCodeAt(start + 1);
+  if (Number.isNaN(next) || next === DOLLAR || isSpace(next)) return false;
+
+  let end = start + 1;
+  while ((end = src.indexOf('$', end)) !== -1 && src.charCodeAt(end - 1) === BACKSLASH) {
+    end++;
+  }
+
+  if (end === -1 || end >= state.posMax) return false;
+  if (isSpace(src.charCodeAt(end - 1)) || isDigit(src.charCodeAt(end + 1))) return false;
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.markup = '$';
+    token.content = src.slice(start + 1, end);
+  }
+
+  state.pos = end + 1;
+  return true;
+};
+
+// Display math: a block opened by $$ and closed by $$, on one line or several
+const mathBlock = (state, startLine, endLine, silent) => {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+  const firstLine = state.src.slice(start, state.eMarks[startLine]).trim();
+
+  // Indented four spaces or more is a code block
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+  if (!firstLine.startsWith('$$')) return false;
+
+  const lines = [];
+  let line = startLine;
+  let closed = false;
+  let text = firstLine.slice(2);
+
+  while (true) {
+    if (text.trimEnd().endsWith('$$')) {
+      lines.push(text.trimEnd().slice(0, -2));
+      closed = true;
+      break;
+    }
+
+    lines.push(text);
+    line++;
+
+    if (line >= endLine) break;
+    text = state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+  }
+
+  if (!closed) return false;
+  if (silent) return true;
+
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.markup = '$$';
+  token.content = lines.join('\n').trim();
+  token.map = [startLine, line + 1];
+  state.line = line + 1;
+
+  return true;
+};
+
+// Fenced code in a known language is highlighted; anything else is escaped by markdown-it
+const highlight = (code, language) => {
+  if (!language || !hljs.getLanguage(language)) {
+    return '';
+  }
+
+  const { value } = hljs.highlight(code, { language, ignoreIllegals: true });
+  return `<pre><code class="hljs language-${escapeHtml(language)}">${value}</code></pre>`;
+};
+
+// Raw HTML in the source is escaped rather than passed through, and markdown-it
+// refuses javascript:, vbscript: and data: links. The output is still sanitized
+// against the content policy (see Article.prepareContent), which checks image hosts.
+const markdown = new MarkdownIt({ html: false, linkify: true, highlight });
+
+markdown.inline.ruler.after('escape', 'math_inline', mathInline);
+markdown.block.ruler.before('fence', 'math_block', mathBlock, {
+  alt: ['paragraph', 'reference', 'blockquote', 'list']
+});
+markdown.renderer.rules.math_inline = (tokens, index) => renderMath(tokens[index].content, false);
+markdown.renderer.rules.math_block = (tokens, index) =>
+  `<div class="math-display">${renderMath(tokens[index].content, true)}</div>\n`;
+
+// Render Markdown source to HTML
+const renderMarkdown = (source) => {
+  if (source === null || source === undefined) {
+    return '';
+  }
+
+  return markdown.render(String(source));
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,17 @@
+// Responses for requests made with the old slug of a renamed article or category
+
+// Permanent redirect to where the entity lives now. The body names the current slug as
+// well, for clients that don't follow redirects.
+const sendSlugRedirect = (res, location, slug) => res.status(301).location(location).json({
+  success: true,
+  redirect: {
+    status: 301,
+    slug,
+    location
+  },
+  timestamp: new Date().toISOString()
+});
+
+module.exports = {
+  sendSlugRedirect
+};
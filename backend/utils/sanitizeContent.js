@@ -0,0 +1,122 @@
+// Sanitize article HTML against the content policy (config/contentPolicy.js)
+const xss = require('xss');
+const { getContentPolicy } = require('../config/contentPolicy');
+
+// Value of an attribute in a raw tag, with entities decoded, or null
+const getAttribute = (tagHtml, name) => {
+  const match = tagHtml.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  return xss.friendlyAttrValue(match[1] ?? match[2] ?? match[3]).trim();
+};
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+// How to name a rejected source in a warning
+const describeSource = (src) => {
+  if (!src) return 'an empty source';
+  if (/^data:/i.test(src)) return 'an inline data URL';
+
+  const url = parseUrl(src);
+  return url ? url.hostname : src;
+};
+
+// Images must come from our uploads or an allowed image host
+const isAllowedImage = (src, policy) => {
+  if (!src) return false;
+  if (policy.uploadPaths.some(path => src.startsWith(path))) return true;
+
+  const url = parseUrl(src);
+  return !!url && ['http:', 'https:'].includes(url.protocol) && policy.imageHosts.includes(url.hostname.toLowerCase());
+};
+
+// Embeds must be served over HTTPS from an allowed domain
+const isAllowedEmbed = (src, policy) => {
+  const url = parseUrl(src);
+  return !!url && url.protocol === 'https:' && policy.embedDomains.includes(url.hostname.toLowerCase());
+};
+
+// Clean html and describe what was removed. Returns { html, warnings }, where
+// warnings are messages for the author, each listed once.
+const sanitizeContent = (html, policy = getContentPolicy()) => {
+  const warnings = new Set();
+  // Embeds dropped so far whose closing tag must go too
+  let openDroppedEmbeds = 0;
+
+  const filter = new xss.FilterXSS({
+    whiteList: policy.tags,
+    css: {
+      whiteList: Object.fromEntries(policy.styles.map(property => [property, true])),
+      onIgnoreAttr: (property) => {
+        warnings.add(`Removed ${property} style`);
+      }
+    },
+    stripIgnoreTagBody: policy.strippedWithContent,
+
+    onTag: (tag, tagHtml, { isClosing, isWhite }) => {
+      if (isClosing) {
+        if (tag === 'iframe' && openDroppedEmbeds > 0) {
+          openDroppedEmbeds--;
+          return '';
+        }
+        return undefined;
+      }
+
+      if (!isWhite) {
+        warnings.add(`Removed <${tag}> element`);
+        return undefined;
+      }
+
+      if (tag === 'img') {
+        const src = getAttribute(tagHtml, 'src');
+        if (!isAllowedImage(src, policy)) {
+          warnings.add(`Removed image from ${describeSource(src)}`);
+          return '';
+        }
+      }
+
+      if (tag === 'iframe') {
+        const src = getAttribute(tagHtml, 'src');
+        if (!isAllowedEmbed(src, policy)) {
+          warnings.add(`Removed embed from ${describeSource(src)}`);
+          openDroppedEmbeds++;
+          return '';
+        }
+      }
+
+      return undefined;
+    },
+
+    // Unknown elements are unwrapped: their text stays, the tags go
+    onIgnoreTag: () => '',
+
+    onIgnoreTagAttr: (tag, name) => {
+      warnings.add(`Removed ${name} attribute from <${tag}>`);
+    },
+
+    safeAttrValue: (tag, name, value, cssFilter) => {
+      const safe = xss.safeAttrValue(tag, name, value, cssFilter);
+      if ((name === 'href' || name === 'src') && !safe && value) {
+        warnings.add(`Removed unsafe ${name} from <${tag}>`);
+      }
+      return safe;
+    }
+  });
+
+  return {
+    html: filter.process(html === null || html === undefined ? '' : String(html)),
+    warnings: [...warnings]
+  };
+};
+
+module.exports = {
+  sanitizeContent
+};
@@ -0,0 +1,38 @@
+// URLs of pages on the public blog, which readers, feeds and search engines link to
+
+const DEFAULT_SITE_TITLE = 'JonAI-Lab Blog';
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// SITE_URL, falling back to FRONTEND_URL when the blog and admin share a host
+const siteUrl = () => trimSlash(process.env.SITE_URL || process.env.FRONTEND_URL || 'http://localhost:5173');
+
+// Where this server is reached from outside, for links to uploads and feeds it serves.
+// Configured rather than taken from the Host header, as responses are cached by path.
+const apiUrl = () => trimSlash(process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`);
+
+const siteTitle = () => process.env.SITE_TITLE || DEFAULT_SITE_TITLE;
+
+const siteDescription = () => process.env.SITE_DESCRIPTION || '';
+
+const articleUrl = (article) => `${siteUrl()}/articles/${encodeURIComponent(article.slug)}`;
+
+const categoryUrl = (category) => `${siteUrl()}/categories/${encodeURIComponent(category.slug)}`;
+
+// Resolve a root-relative URL such as /uploads/photo.jpg against base; other URLs are returned as is
+const absoluteUrl = (url, base) => {
+  if (!url) {
+    return url;
+  }
+  return url.startsWith('/') && !url.startsWith('//') ? `${trimSlash(base)}${url}` : url;
+};
+
+module.exports = {
+  siteUrl,
+  apiUrl,
+  siteTitle,
+  siteDescription,
+  articleUrl,
+  categoryUrl,
+  absoluteUrl
+};
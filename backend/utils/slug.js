@@ -0,0 +1,73 @@
+// URL slugs for articles and categories, readable in any language
+const { pinyin } = require('pinyin-pro');
+const { transliterate } = require('transliteration');
+
+const DEFAULT_MAX_LENGTH = 80;
+
+// Slugs that would clash with routes of the admin, the public site or the API
+const DEFAULT_RESERVED_SLUGS = [
+  'admin', 'api', 'articles', 'atom', 'bulk', 'categories', 'category', 'create', 'edit',
+  'feed', 'new', 'page', 'preview', 'render', 'rss', 'search', 'sitemap', 'slug', 'tag', 'tags', 'tree'
+];
+
+const HAN = /\p{Script=Han}/u;
+
+// Longest generated slug, from SLUG_MAX_LENGTH
+const slugMaxLength = () => parseInt(process.env.SLUG_MAX_LENGTH) || DEFAULT_MAX_LENGTH;
+
+// The built-in reserved slugs plus those in SLUG_RESERVED_WORDS (comma-separated)
+const reservedSlugs = () => [
+  ...DEFAULT_RESERVED_SLUGS,
+  ...(process.env.SLUG_RESERVED_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+];
+
+const isReservedSlug = (slug) => reservedSlugs().includes(slug);
+
+// Chinese is written as toneless pinyin, one word per syllable (ü as v, as in URLs and
+// input methods); every other script is transliterated to its closest ASCII spelling
+const romanize = (text) => {
+  const spelled = HAN.test(text)
+    ? pinyin(text, { toneType: 'none', type: 'array', nonZh: 'consecutive', v: true }).join(' ')
+    : text;
+  return transliterate(spelled);
+};
+
+// Cut a slug to maxLength at the last hyphen that fits, so words are not broken up
+const truncateAtWord = (slug, maxLength) => {
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+
+  const boundary = slug.slice(0, maxLength + 1).lastIndexOf('-');
+  return (boundary > 0 ? slug.slice(0, boundary) : slug.slice(0, maxLength)).replace(/-+$/, '');
+};
+
+/**
+ * Slug for a title or name: romanized, lowercase words joined by hyphens, at most
+ * maxLength characters. Empty when the text has nothing to spell out (e.g. only emoji),
+ * in which case `fallback` is used. A reserved slug gets the fallback appended, so a
+ * category named "New" becomes new-category.
+ */
+const generateSlug = (text, { maxLength = slugMaxLength(), fallback = '' } = {}) => {
+  const slug = truncateAtWord(
+    romanize(String(text ?? ''))
+      .toLowerCase()
+      .replace(/['’]/g, '') // "don't" reads as dont
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, ''),
+    maxLength
+  );
+
+  if (!slug) {
+    return fallback;
+  }
+
+  return isReservedSlug(slug) && fallback ? `${slug}-${fallback}` : slug;
+};
+
+module.exports = {
+  generateSlug,
+  isReservedSlug,
+  reservedSlugs,
+  slugMaxLength
+};
@@ -0,0 +1,28 @@
+// Helpers for the XML documents the server generates (feeds, sitemaps)
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+
+// Escape text for XML element content and attribute values
+const escapeXml = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/[<>&"']/g, char => XML_ENTITIES[char]);
+
+// Parse a stored timestamp. They are either ISO strings or SQLite's datetime('now'),
+// which is UTC without a marker. Returns null for missing or invalid values.
+const parseTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// The most recent of the given dates, ignoring missing ones
+const latestDate = (...dates) => dates.filter(Boolean).reduce((a, b) => (b > a ? b : a), null);
+
+module.exports = {
+  escapeXml,
+  parseTimestamp,
+  latestDate
+};
@@ -1,8 +1,10 @@
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, beforeEach } from 'vitest'
 import { mount } from '@vue/test-utils'
 import { createRouter, createWebHistory } from 'vue-router'
+import { createPinia, setActivePinia } from 'pinia'
 import ElementPlus from 'element-plus'
 import AdminSidebar from '../AdminSidebar.vue'
+import { useAuthStore } from '@/stores/auth'
 
 describe('AdminSidebar', () => {
   const router = createRouter({
@@ -10,10 +12,21 @@ describe('AdminSidebar', () => {
     routes: [
       { path: '/dashboard', component: { template: '<div>Dashboard</div>' } },
       { path: '/articles', component: { template: '<div>Articles</div>' } },
-      { path: '/categories', component: { template: '<div>Categories</div>' } }
+      { path: '/categories', component: { template: '<div>Categories</div>' } },
+      { path: '/users', component: { template: '<div>Users</div>' } },
+      { path: '/trash', component: { template: '<div>Trash</div>' } }
     ]
   })
 
+  const setRole = (role: string) => {
+    useAuthStore().user = { id: 1, username: 'testuser', email: 'test@example.com', role, created_at: '', updated_at: '' }
+  }
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    setRole('admin')
+  })
+
   const createWrapper = (props = {}) => {
     return mount(AdminSidebar, {
       props: {
@@ -81,10 +94,62 @@ describe('AdminSidebar', () => {
     expect((wrapper.vm as any).activeMenu).toBe('/categories')
   })
 
+  it('computes active menu correctly for trash route', async () => {
+    await router.push('/trash')
+    const wrapper = createWrapper()
+    
+    expect((wrapper.vm as any).activeMenu).toBe('/trash')
+  })
+
   it('defaults to dashboard for unknown routes', async () => {
     await router.push('/unknown')
     const wrapper = createWrapper()
     
     expect((wrapper.vm as any).activeMenu).toBe('/dashboard')
   })
-})
\ No newline at end of file
+
+  // Render the menu so its items can be inspected
+  const createMenuWrapper = () => {
+    return mount(AdminSidebar, {
+      props: { collapsed: false },
+      global: {
+        plugins: [router, ElementPlus],
+        stubs: {
+          'el-menu': { template: '<nav><slot /></nav>' },
+          'el-menu-item': { props: ['index'], template: '<a :data-index="index"><slot name="title" /></a>' },
+          'el-button': true,
+          'el-icon': true
+        }
+      }
+    })
+  }
+
+  it('shows categories to roles that can manage them', () => {
+    const wrapper = createMenuWrapper()
+
+    expect(wrapper.find('[data-index="/categories"]').exists()).toBe(true)
+  })
+
+  it('hides categories from roles that cannot manage them', () => {
+    setRole('viewer')
+    const wrapper = createMenuWrapper()
+
+    expect(wrapper.find('[data-index="/articles"]').exists()).toBe(true)
+    expect(wrapper.find('[data-index="/categories"]').exists()).toBe(false)
+  })
+
+  it('shows user management to admins only', () => {
+    expect(createMenuWrapper().find('[data-index="/users"]').exists()).toBe(true)
+
+    setRole('editor')
+    expect(createMenuWrapper().find('[data-index="/users"]').exists()).toBe(false)
+  })
+
+  it('shows the trash to roles that can delete articles', () => {
+    setRole('author')
+    expect(createMenuWrapper().find('[data-index="/trash"]').exists()).toBe(true)
+
+    setRole('viewer')
+    expect(createMenuWrapper().find('[data-index="/trash"]').exists()).toBe(false)
+  })
+})
@@ -1,15 +1,18 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import { createRouter, createWebHistory } from 'vue-router'
+import { createPinia, setActivePinia } from 'pinia'
 import { ElForm, ElFormItem, ElInput, ElSelect, ElOption, ElButton, ElRow, ElCol, ElMessage } from 'element-plus'
 import ArticleEditor from '../ArticleEditor.vue'
+import { useAuthStore } from '@/stores/auth'
 
 // Mock services
 vi.mock('@/services', () => ({
   articleService: {
     getArticle: vi.fn(),
     createArticle: vi.fn(),
-    updateArticle: vi.fn()
+    updateArticle: vi.fn(),
+    previewSlug: vi.fn()
   },
   uploadService: {
     uploadThumbnail: vi.fn()
@@ -26,6 +29,15 @@ vi.mock('../RichTextEditor.vue', () => ({
   }
 }))
 
+vi.mock('../MarkdownEditor.vue', () => ({
+  default: {
+    name: 'MarkdownEditor',
+    template: '<div class="mock-markdown-editor"></div>',
+    props: ['modelValue'],
+    emits: ['update:modelValue']
+  }
+}))
+
 vi.mock('../ImageUpload.vue', () => ({
   default: {
     name: 'ImageUpload',
@@ -35,6 +47,15 @@ vi.mock('../ImageUpload.vue', () => ({
   }
 }))
 
+vi.mock('../TagInput.vue', () => ({
+  default: {
+    name: 'TagInput',
+    template: '<div class="mock-tag-input"></div>',
+    props: ['modelValue'],
+    emits: ['update:modelValue']
+  }
+}))
+
 vi.mock('../CategorySelect.vue', () => ({
   default: {
     name: 'CategorySelect',
@@ -52,6 +73,9 @@ vi.mock('element-plus', async () => {
     ElMessage: {
       success: vi.fn(),
       error: vi.fn()
+    },
+    ElMessageBox: {
+      confirm: vi.fn()
     }
   }
 })
@@ -69,8 +93,14 @@ describe('ArticleEditor', () => {
   let mockArticleService: any
   let mockUploadService: any
 
+  const setRole = (role: string) => {
+    useAuthStore().user = { id: 1, username: 'testuser', email: 'test@example.com', role, created_at: '', updated_at: '' }
+  }
+
   beforeEach(async () => {
     vi.clearAllMocks()
+    setActivePinia(createPinia())
+    setRole('admin')
     
     // Get the mocked services
     const services = await import('@/services')
@@ -106,6 +136,108 @@ describe('ArticleEditor', () => {
     expect(wrapper.find('.mock-category-select').exists()).toBe(true)
   })
 
+  it('lets authors save drafts but not publish', async () => {
+    setRole('author')
+    const wrapper = createWrapper()
+
+    const buttons = wrapper.findAll('.action-buttons button').map(button => button.text())
+    expect(buttons).toEqual(['Cancel', 'Save as Draft'])
+
+    const options = wrapper.findAllComponents(ElOption)
+    const disabled = options.filter(option => option.props('disabled')).map(option => option.props('value'))
+    expect(disabled).toEqual(['scheduled', 'published', 'archived'])
+  })
+
+  it('shows a publish time picker for scheduled articles', async () => {
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+
+    expect(wrapper.find('.el-date-editor').exists()).toBe(false)
+
+    component.form.status = 'scheduled'
+    await wrapper.vm.$nextTick()
+
+    expect(wrapper.find('.el-date-editor').exists()).toBe(true)
+    expect(wrapper.text()).toContain('Schedule')
+  })
+
+  it('loads the publish time of a scheduled article', async () => {
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Scheduled Article',
+      content: '<p>Soon</p>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'scheduled',
+      publish_at: '2030-01-01T09:00:00.000Z'
+    })
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+
+    const component = wrapper.vm as any
+    expect(component.form.status).toBe('scheduled')
+    expect(component.form.publish_at).toEqual(new Date('2030-01-01T09:00:00.000Z'))
+  })
+
+  it('loads the tags of an article', async () => {
+    const tags = [{ id: 3, name: 'Vue', slug: 'vue' }]
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Tagged Article',
+      content: '<p>Tagged</p>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'draft',
+      tags
+    })
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+
+    expect((wrapper.vm as any).form.tags).toEqual(tags)
+    expect(wrapper.findComponent({ name: 'TagInput' }).props('modelValue')).toEqual(tags)
+  })
+
+  it('switches to the Markdown editor', async () => {
+    const wrapper = createWrapper()
+
+    await (wrapper.vm as any).handleFormatChange('markdown')
+    await wrapper.vm.$nextTick()
+
+    expect(wrapper.find('.mock-markdown-editor').exists()).toBe(true)
+    expect(wrapper.find('.mock-rich-text-editor').exists()).toBe(false)
+  })
+
+  it('keeps the format when switching with content is cancelled', async () => {
+    const { ElMessageBox } = await import('element-plus')
+    vi.mocked(ElMessageBox.confirm).mockRejectedValue('cancel')
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+
+    component.form.content = '<p>Already written</p>'
+    await component.handleFormatChange('markdown')
+
+    expect(ElMessageBox.confirm).toHaveBeenCalled()
+    expect(component.form.content_format).toBe('html')
+  })
+
+  it('loads the format of a Markdown article', async () => {
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Markdown Article',
+      content: '# Heading',
+      content_format: 'markdown',
+      content_html: '<h1>Heading</h1>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'draft'
+    })
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+
+    expect((wrapper.vm as any).form.content_format).toBe('markdown')
+    expect(wrapper.findComponent({ name: 'MarkdownEditor' }).props('modelValue')).toBe('# Heading')
+  })
+
   it('loads article data when editing', async () => {
     const mockArticle = {
       id: 1,
@@ -325,6 +457,190 @@ describe('ArticleEditor', () => {
     }
   })
 
+  it('shows what the sanitizer removed after saving a draft', async () => {
+    mockArticleService.createArticle.mockResolvedValue({
+      id: 7,
+      title: 'Test Article',
+      content: '<p>Watch</p>',
+      content_warnings: ['Removed embed from evil.example.com']
+    })
+
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+    component.form.title = 'Test Article'
+    component.form.content = '<p>Watch</p><iframe src="https://evil.example.com"></iframe>'
+    component.form.category_id = 1
+    // Element Plus validation does not run in jsdom
+    component.formRef.validate = vi.fn().mockResolvedValue(true)
+
+    await component.handleSaveDraft()
+    await flushPromises()
+
+    expect(component.form.content).toBe('<p>Watch</p>')
+    expect(wrapper.find('[data-testid="content-warnings"]').text()).toContain('Removed embed from evil.example.com')
+  })
+
+  it('loads the SEO fields of an article', async () => {
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Test Article',
+      slug: 'test-article',
+      content: '<p>Test content</p>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'draft',
+      meta_title: 'Search Title',
+      meta_description: 'Search description',
+      canonical_url: null,
+      og_image: '/uploads/social.jpg',
+      noindex: true
+    })
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+
+    const component = wrapper.vm as any
+    expect(component.form.meta_title).toBe('Search Title')
+    expect(component.form.canonical_url).toBe('')
+    expect(component.form.og_image).toBe('/uploads/social.jpg')
+    expect(component.form.noindex).toBe(true)
+
+    const snippet = wrapper.find('[data-testid="seo-snippet"]')
+    expect(snippet.text()).toContain('/articles/test-article')
+    expect(snippet.text()).toContain('Search Title')
+    expect(snippet.text()).toContain('Search description')
+  })
+
+  it('previews the search snippet from the title and excerpt', async () => {
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+
+    component.form.title = 'Test Article'
+    component.form.excerpt = 'A short summary'
+    await wrapper.vm.$nextTick()
+
+    const snippet = wrapper.find('[data-testid="seo-snippet"]')
+    expect(snippet.text()).toContain('Test Article')
+    expect(snippet.text()).toContain('A short summary')
+  })
+
+  it('warns about meta titles and descriptions search engines would cut off', async () => {
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+
+    component.form.meta_title = 'x'.repeat(60)
+    component.form.meta_description = 'x'.repeat(160)
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-testid="seo-title-warning"]').exists()).toBe(false)
+    expect(wrapper.find('[data-testid="seo-description-warning"]').exists()).toBe(false)
+
+    component.form.meta_title = 'x'.repeat(61)
+    component.form.meta_description = 'x'.repeat(161)
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-testid="seo-title-warning"]').exists()).toBe(true)
+    expect(wrapper.find('[data-testid="seo-description-warning"]').exists()).toBe(true)
+  })
+
+  it('saves the SEO fields, sending blank ones as null', async () => {
+    mockArticleService.createArticle.mockResolvedValue({ id: 7, title: 'Test Article', content: '<p>Test content</p>' })
+
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+    component.form.title = 'Test Article'
+    component.form.content = '<p>Test content</p>'
+    component.form.category_id = 1
+    component.form.meta_title = '  Search Title  '
+    component.form.og_image = 'https://cdn.example.com/social.png'
+    component.form.noindex = true
+    // Element Plus validation does not run in jsdom
+    component.formRef.validate = vi.fn().mockResolvedValue(true)
+
+    await component.handleSaveDraft()
+    await flushPromises()
+
+    expect(mockArticleService.createArticle).toHaveBeenCalledWith(expect.objectContaining({
+      meta_title: 'Search Title',
+      meta_description: null,
+      canonical_url: null,
+      og_image: 'https://cdn.example.com/social.png',
+      noindex: true
+    }))
+  })
+
+  it('asks before giving a renamed article a new slug', async () => {
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Test Article',
+      slug: 'test-article',
+      content: '<p>Test content</p>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'draft'
+    })
+    mockArticleService.updateArticle.mockResolvedValue({ id: 1, title: 'Renamed Article', slug: 'renamed-article', content: '<p>Test content</p>' })
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+    const component = wrapper.vm as any
+
+    expect(wrapper.find('[data-testid="article-slug"]').text()).toContain('/articles/test-article')
+    expect(wrapper.find('[data-testid="regenerate-slug"]').exists()).toBe(false)
+
+    component.form.title = 'Renamed Article'
+    await wrapper.vm.$nextTick()
+    expect(wrapper.find('[data-testid="regenerate-slug"]').exists()).toBe(true)
+
+    component.formRef.validate = vi.fn().mockResolvedValue(true)
+    await component.handleSaveDraft()
+    await flushPromises()
+    expect(mockArticleService.updateArticle.mock.calls[0][1]).not.toHaveProperty('regenerate_slug')
+
+    component.form.title = 'Renamed Again'
+    component.regenerateSlug = true
+    await component.handleSaveDraft()
+    await flushPromises()
+    expect(mockArticleService.updateArticle.mock.calls[1][1]).toMatchObject({ regenerate_slug: true })
+  })
+
+  it('previews the slug of a new article', async () => {
+    mockArticleService.previewSlug.mockResolvedValue('shen-du-xue-xi-ru-men')
+
+    const wrapper = createWrapper()
+    const component = wrapper.vm as any
+
+    component.form.title = '深度学习入门'
+    await component.updateSlugPreview()
+    await wrapper.vm.$nextTick()
+
+    expect(mockArticleService.previewSlug).toHaveBeenCalledWith('深度学习入门', undefined)
+    expect(wrapper.find('[data-testid="slug-preview"]').text()).toBe('/articles/shen-du-xue-xi-ru-men')
+  })
+
+  it('previews the new slug of a renamed article only when asked for', async () => {
+    mockArticleService.getArticle.mockResolvedValue({
+      id: 1,
+      title: 'Test Article',
+      slug: 'test-article',
+      content: '<p>Test content</p>',
+      category: { id: 1, name: 'Test Category' },
+      status: 'draft'
+    })
+    mockArticleService.previewSlug.mockResolvedValue('renamed-article')
+
+    const wrapper = createWrapper({ articleId: 1 })
+    await flushPromises()
+    const component = wrapper.vm as any
+
+    component.form.title = 'Renamed Article'
+    await component.updateSlugPreview()
+    expect(mockArticleService.previewSlug).not.toHaveBeenCalled()
+
+    component.regenerateSlug = true
+    await component.updateSlugPreview()
+    await wrapper.vm.$nextTick()
+
+    expect(mockArticleService.previewSlug).toHaveBeenCalledWith('Renamed Article', 1)
+    expect(wrapper.find('[data-testid="slug-preview"]').text()).toContain('/articles/renamed-article')
+  })
+
   it('navigates to articles list on cancel', async () => {
     const pushSpy = vi.spyOn(router, 'push')
     
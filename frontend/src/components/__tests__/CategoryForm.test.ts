@@ -9,7 +9,8 @@ import type { Category } from '@/types'
 vi.mock('@/services/categories', () => ({
   categoryService: {
     createCategory: vi.fn(),
-    updateCategory: vi.fn()
+    updateCategory: vi.fn(),
+    getCategoryTree: vi.fn().mockResolvedValue([])
   }
 }))
 
@@ -151,7 +152,8 @@ describe('CategoryForm', () => {
     expect(categoryService.createCategory).toHaveBeenCalledWith({
       name: 'New Category',
       description: 'New description',
-      slug: ''
+      slug: '',
+      parent_id: null
     })
   })
 
@@ -190,7 +192,8 @@ describe('CategoryForm', () => {
     expect(categoryService.updateCategory).toHaveBeenCalledWith(mockCategory.id, {
       name: 'Updated Category',
       description: mockCategory.description,
-      slug: mockCategory.slug
+      slug: mockCategory.slug,
+      parent_id: null
     })
   })
 
@@ -1,14 +1,14 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { mount } from '@vue/test-utils'
-import { ElSelect, ElOption } from 'element-plus'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus, { ElCascader, ElMessage } from 'element-plus'
 import CategorySelect from '../CategorySelect.vue'
 import { categoryService } from '@/services/categories'
-import type { Category } from '@/types'
+import type { CategoryTreeNode } from '@/types'
 
 // Mock the category service
 vi.mock('@/services/categories', () => ({
   categoryService: {
-    getCategories: vi.fn()
+    getCategoryTree: vi.fn()
   }
 }))
 
@@ -23,237 +23,119 @@ vi.mock('element-plus', async () => {
   }
 })
 
-const mockCategories: Category[] = [
+const mockTree: CategoryTreeNode[] = [
   {
     id: 1,
-    name: 'Technology',
-    description: 'Tech related articles',
-    slug: 'technology',
+    name: 'Machine Learning',
+    description: 'ML articles',
+    slug: 'machine-learning',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z',
-    updated_at: '2024-01-01T00:00:00Z'
-  },
-  {
-    id: 2,
-    name: 'Science',
-    description: 'Science articles',
-    slug: 'science',
-    created_at: '2024-01-01T00:00:00Z',
-    updated_at: '2024-01-01T00:00:00Z'
+    updated_at: '2024-01-01T00:00:00Z',
+    children: [
+      {
+        id: 2,
+        name: 'Reinforcement Learning',
+        slug: 'reinforcement-learning',
+        parent_id: 1,
+        created_at: '2024-01-01T00:00:00Z',
+        updated_at: '2024-01-01T00:00:00Z',
+        children: []
+      }
+    ]
   },
   {
     id: 3,
     name: 'AI News',
-    description: null,
     slug: 'ai-news',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z',
-    updated_at: '2024-01-01T00:00:00Z'
+    updated_at: '2024-01-01T00:00:00Z',
+    children: []
   }
 ]
 
+const mountSelect = (props = {}) => mount(CategorySelect, {
+  props,
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
 describe('CategorySelect', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    vi.mocked(categoryService.getCategories).mockResolvedValue({
-      categories: mockCategories,
-      total: mockCategories.length,
-      limit: null,
-      offset: 0
-    })
+    vi.mocked(categoryService.getCategoryTree).mockResolvedValue(mockTree)
   })
 
-  it('renders select component correctly', () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
+  it('renders a cascader', () => {
+    const wrapper = mountSelect()
 
-    expect(wrapper.find('.el-select').exists()).toBe(true)
-    expect(wrapper.find('.el-select input').attributes('placeholder')).toBe('Select a category')
+    const cascader = wrapper.findComponent(ElCascader)
+    expect(cascader.exists()).toBe(true)
+    expect(cascader.props('placeholder')).toBe('Select a category')
+    expect(cascader.props('clearable')).toBe(true)
+    expect(cascader.props('filterable')).toBe(true)
   })
 
-  it('loads categories on mount', async () => {
-    mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
+  it('loads the category tree on mount', async () => {
+    const wrapper = mountSelect()
+    await flushPromises()
 
-    expect(categoryService.getCategories).toHaveBeenCalledWith({
-      orderBy: 'name',
-      orderDir: 'ASC'
-    })
+    expect(categoryService.getCategoryTree).toHaveBeenCalled()
+    const options = wrapper.findComponent(ElCascader).props('options')
+    expect(options.map((option: CategoryTreeNode) => option.name)).toEqual(['Machine Learning', 'AI News'])
+    expect(options[0].children[0].name).toBe('Reinforcement Learning')
   })
 
-  it('displays categories as options', async () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
+  it('allows selecting any level and emits the category ID', async () => {
+    const wrapper = mountSelect({ modelValue: null })
+    await flushPromises()
 
-    // Wait for categories to load
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    const cascader = wrapper.findComponent(ElCascader)
+    expect(cascader.props('props')).toMatchObject({ value: 'id', checkStrictly: true, emitPath: false })
 
-    const options = wrapper.findAllComponents(ElOption)
-    expect(options).toHaveLength(mockCategories.length)
+    await cascader.vm.$emit('update:modelValue', 1)
+    await cascader.vm.$emit('update:modelValue', undefined)
 
-    // Check first option
-    expect(options[0].props('label')).toBe('Technology')
-    expect(options[0].props('value')).toBe(1)
+    expect(wrapper.emitted('update:modelValue')).toEqual([[1], [null]])
   })
 
-  it('displays category descriptions in options', async () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+  it('disables the excluded category and its descendants', async () => {
+    const wrapper = mountSelect({ excludeId: 1 })
+    await flushPromises()
 
-    // Check that category with description shows it
-    const optionWithDescription = wrapper.find('.category-description')
-    expect(optionWithDescription.exists()).toBe(true)
-  })
-
-  it('emits update:modelValue when selection changes', async () => {
-    const wrapper = mount(CategorySelect, {
-      props: {
-        modelValue: null
-      },
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    await wrapper.vm.$nextTick()
-
-    // Simulate selection change
-    const select = wrapper.findComponent(ElSelect)
-    await select.vm.$emit('update:modelValue', 1)
-
-    expect(wrapper.emitted('update:modelValue')).toBeTruthy()
-    expect(wrapper.emitted('update:modelValue')?.[0]).toEqual([1])
+    const options = wrapper.findComponent(ElCascader).props('options')
+    expect(options[0].disabled).toBe(true)
+    expect(options[0].children[0].disabled).toBe(true)
+    expect(options[1].disabled).toBe(false)
   })
 
   it('handles disabled state', () => {
-    const wrapper = mount(CategorySelect, {
-      props: {
-        disabled: true
-      },
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
+    const wrapper = mountSelect({ disabled: true })
 
-    const select = wrapper.findComponent(ElSelect)
-    expect(select.props('disabled')).toBe(true)
-  })
-
-  it('shows loading state while fetching categories', () => {
-    // Mock a pending promise
-    vi.mocked(categoryService.getCategories).mockReturnValue(new Promise(() => {}))
-
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    const select = wrapper.findComponent(ElSelect)
-    expect(select.props('loading')).toBe(true)
+    expect(wrapper.findComponent(ElCascader).props('disabled')).toBe(true)
   })
 
   it('handles API error gracefully', async () => {
     const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
-    vi.mocked(categoryService.getCategories).mockRejectedValue(new Error('API Error'))
+    vi.mocked(categoryService.getCategoryTree).mockRejectedValue(new Error('API Error'))
 
-    mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    await new Promise(resolve => setTimeout(resolve, 0))
+    mountSelect()
+    await flushPromises()
 
     expect(consoleError).toHaveBeenCalledWith('Error loading categories:', expect.any(Error))
+    expect(ElMessage.error).toHaveBeenCalledWith('Failed to load categories')
     consoleError.mockRestore()
   })
 
   it('exposes refresh method', async () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
+    const wrapper = mountSelect()
+    await flushPromises()
 
-    // Clear the initial call
     vi.clearAllMocks()
+    await (wrapper.vm as any).refresh()
 
-    // Call refresh method
-    await wrapper.vm.refresh()
-
-    expect(categoryService.getCategories).toHaveBeenCalledWith({
-      orderBy: 'name',
-      orderDir: 'ASC'
-    })
+    expect(categoryService.getCategoryTree).toHaveBeenCalledTimes(1)
   })
-
-  it('supports clearable functionality', () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    const select = wrapper.findComponent(ElSelect)
-    expect(select.props('clearable')).toBe(true)
-  })
-
-  it('supports filterable functionality', () => {
-    const wrapper = mount(CategorySelect, {
-      global: {
-        components: {
-          ElSelect,
-          ElOption
-        }
-      }
-    })
-
-    const select = wrapper.findComponent(ElSelect)
-    expect(select.props('filterable')).toBe(true)
-  })
-})
\ No newline at end of file
+})
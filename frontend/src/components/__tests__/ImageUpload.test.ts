@@ -3,6 +3,15 @@ import { mount } from '@vue/test-utils'
 import { ElIcon, ElButton, ElAlert } from 'element-plus'
 import ImageUpload from '../ImageUpload.vue'
 
+vi.mock('../MediaLibrary.vue', () => ({
+  default: {
+    name: 'MediaLibrary',
+    template: '<div class="mock-media-library"></div>',
+    props: ['modelValue', 'confirmLabel'],
+    emits: ['update:modelValue', 'select']
+  }
+}))
+
 // Mock FileReader
 const mockFileReader = {
   readAsDataURL: vi.fn(),
@@ -249,4 +258,81 @@ describe('ImageUpload', () => {
 
     expect(clickSpy).toHaveBeenCalled()
   })
-})
\ No newline at end of file
+
+  describe('generated variants', () => {
+    const uploadedImage = {
+      filename: 'thumbnail-1.jpg',
+      originalName: 'photo.jpg',
+      size: 90000,
+      mimetype: 'image/jpeg',
+      url: '/uploads/thumbnail-1.jpg',
+      width: 800,
+      height: 600,
+      blurhash: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj',
+      variants: [
+        { width: 320, height: 240, url: '/uploads/thumbnail-1-320w.jpg', mime: 'image/jpeg', size: 15360 },
+        { width: 320, height: 240, url: '/uploads/thumbnail-1-320w.webp', mime: 'image/webp', size: 10240 },
+        { width: 800, height: 600, url: '/uploads/thumbnail-1.jpg', mime: 'image/jpeg', size: 90000 },
+        { width: 800, height: 600, url: '/uploads/thumbnail-1.webp', mime: 'image/webp', size: 51200 }
+      ],
+      srcset: {
+        'image/jpeg': '/uploads/thumbnail-1-320w.jpg 320w, /uploads/thumbnail-1.jpg 800w',
+        'image/webp': '/uploads/thumbnail-1-320w.webp 320w, /uploads/thumbnail-1.webp 800w'
+      }
+    }
+
+    it('lists the variants of the uploaded image', () => {
+      const wrapper = mount(ImageUpload, {
+        props: {
+          modelValue: null,
+          initialUrl: uploadedImage.url,
+          image: uploadedImage
+        }
+      })
+
+      const items = wrapper.findAll('[data-testid="image-variants"] li')
+      expect(wrapper.find('[data-testid="image-variants"]').text()).toContain('original 800×600')
+      expect(items).toHaveLength(4)
+      expect(items[1].text()).toContain('320×240')
+      expect(items[1].text()).toContain('WEBP')
+      expect(items[1].text()).toContain('10 KB')
+      expect(items[1].find('a').attributes('href')).toBe('/uploads/thumbnail-1-320w.webp')
+      expect(wrapper.find('.preview-image').attributes('srcset')).toBe(uploadedImage.srcset['image/webp'])
+    })
+
+    it('hides the variants once another file is chosen', () => {
+      const wrapper = mount(ImageUpload, {
+        props: {
+          modelValue: new File(['content'], 'other.jpg', { type: 'image/jpeg' }),
+          initialUrl: uploadedImage.url,
+          image: uploadedImage
+        }
+      })
+
+      expect(wrapper.find('[data-testid="image-variants"]').exists()).toBe(false)
+    })
+  })
+
+  describe('media library', () => {
+    it('is only offered when enabled', () => {
+      const wrapper = mount(ImageUpload, { props: { modelValue: null } })
+      expect(wrapper.find('[data-testid="choose-from-library"]').exists()).toBe(false)
+    })
+
+    it('uses an image picked from the library', async () => {
+      const wrapper = mount(ImageUpload, { props: { modelValue: null, library: true } })
+
+      await wrapper.find('[data-testid="choose-from-library"]').trigger('click')
+      const library = wrapper.findComponent({ name: 'MediaLibrary' })
+      expect(library.exists()).toBe(true)
+
+      const media = { id: 4, url: '/uploads/thumbnail-4.jpg', variants: [], srcset: {} }
+      library.vm.$emit('select', media)
+      await wrapper.vm.$nextTick()
+
+      expect(wrapper.emitted('update:modelValue')).toEqual([[null]])
+      expect(wrapper.emitted('select-media')).toEqual([[media]])
+      expect(wrapper.find('.preview-image').attributes('src')).toBe('/uploads/thumbnail-4.jpg')
+    })
+  })
+})
@@ -1,9 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import { createPinia, setActivePinia } from 'pinia'
 import { ElMessage } from 'element-plus'
 import Login from '@/views/Login.vue'
 import { useAuthStore } from '@/stores/auth'
+import { authService } from '@/services/auth'
 
 
 // Mock the router
@@ -35,6 +36,7 @@ vi.mock('element-plus', async () => {
 vi.mock('@/services/auth', () => ({
   authService: {
     login: vi.fn(),
+    requestPasswordReset: vi.fn(),
     logout: vi.fn(),
     verifyToken: vi.fn(),
     isAuthenticated: vi.fn(),
@@ -86,6 +88,10 @@ describe('Login Component', () => {
             template: '<div v-if="title" class="el-alert" @close="$emit(\'close\')">{{ title }}<button v-if="closable" @click="$emit(\'close\')">×</button></div>',
             props: ['title', 'type', 'closable'],
             emits: ['close']
+          },
+          'el-dialog': {
+            template: '<div v-if="modelValue" class="el-dialog"><slot></slot><slot name="footer"></slot></div>',
+            props: ['modelValue', 'title', 'width']
           }
         }
       }
@@ -287,4 +293,42 @@ describe('Login Component', () => {
     // Verify redirect to returnTo URL
     expect(mockPush).toHaveBeenCalledWith('/articles')
   })
-})
\ No newline at end of file
+  it('requests a password reset link', async () => {
+    vi.mocked(authService.requestPasswordReset).mockResolvedValue()
+
+    await wrapper.find('[data-testid="forgot-password-link"]').trigger('click')
+    const submit = wrapper.find('[data-testid="forgot-password-submit"]')
+    expect(submit.attributes('disabled')).toBeDefined()
+
+    await wrapper.find('[data-testid="forgot-password-email"]').setValue('test@example.com')
+    await wrapper.find('[data-testid="forgot-password-submit"]').trigger('click')
+    await flushPromises()
+
+    expect(authService.requestPasswordReset).toHaveBeenCalledWith('test@example.com')
+    expect(wrapper.find('[data-testid="forgot-password-sent"]').text()).toContain('test@example.com')
+  })
+
+  it('asks for a two-factor code after the password', async () => {
+    const challenge = { mfa_required: true, enrollment_required: false, mfa_token: 'mfa-token' }
+    authStore.login = vi.fn().mockImplementation(async () => {
+      authStore.mfaChallenge = challenge
+      return challenge
+    })
+    authStore.verifyMfa = vi.fn().mockResolvedValue({ user: { id: 1 } })
+
+    await wrapper.find('[data-testid="username-input"]').setValue('testuser')
+    await wrapper.find('[data-testid="password-input"]').setValue('password123')
+    await wrapper.find('[data-testid="login-button"]').trigger('click')
+    await flushPromises()
+
+    expect(mockPush).not.toHaveBeenCalled()
+    expect(wrapper.find('[data-testid="login-button"]').exists()).toBe(false)
+
+    await wrapper.find('[data-testid="mfa-code-input"]').setValue('123456')
+    await wrapper.find('[data-testid="mfa-submit"]').trigger('click')
+    await flushPromises()
+
+    expect(authStore.verifyMfa).toHaveBeenCalledWith({ code: '123456' })
+    expect(mockPush).toHaveBeenCalled()
+  })
+})
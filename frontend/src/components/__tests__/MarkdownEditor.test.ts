@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import MarkdownEditor from '../MarkdownEditor.vue'
+
+vi.mock('@/services', () => ({
+  articleService: {
+    renderMarkdown: vi.fn()
+  }
+}))
+
+describe('MarkdownEditor', () => {
+  let mockArticleService: any
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    mockArticleService = (await import('@/services')).articleService
+    mockArticleService.renderMarkdown.mockImplementation(async (source: string) => `<p>${source}</p>`)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('renders the initial content on the server', async () => {
+    const wrapper = mount(MarkdownEditor, { props: { modelValue: '# Title' } })
+    await flushPromises()
+
+    expect(mockArticleService.renderMarkdown).toHaveBeenCalledWith('# Title')
+    expect(wrapper.find('[data-testid="markdown-preview"]').html()).toContain('<p># Title</p>')
+  })
+
+  it('skips the server for empty content', async () => {
+    mount(MarkdownEditor, { props: { modelValue: '' } })
+    await flushPromises()
+
+    expect(mockArticleService.renderMarkdown).not.toHaveBeenCalled()
+  })
+
+  it('re-renders once typing pauses', async () => {
+    const wrapper = mount(MarkdownEditor, { props: { modelValue: '' } })
+    const textarea = wrapper.find('textarea')
+
+    await textarea.setValue('*a*')
+    await textarea.setValue('*ab*')
+    expect(wrapper.emitted('update:modelValue')).toEqual([['*a*'], ['*ab*']])
+    expect(mockArticleService.renderMarkdown).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(400)
+    await flushPromises()
+
+    expect(mockArticleService.renderMarkdown).toHaveBeenCalledTimes(1)
+    expect(mockArticleService.renderMarkdown).toHaveBeenCalledWith('*ab*')
+    expect(wrapper.find('[data-testid="markdown-preview"]').html()).toContain('<p>*ab*</p>')
+  })
+
+  it('shows rendering errors in place of the preview', async () => {
+    mockArticleService.renderMarkdown.mockRejectedValue(new Error('Server unavailable'))
+
+    const wrapper = mount(MarkdownEditor, { props: { modelValue: 'text' } })
+    await flushPromises()
+
+    expect(wrapper.find('[data-testid="markdown-preview"]').exists()).toBe(false)
+    expect(wrapper.find('[data-testid="markdown-preview-error"]').text()).toBe('Server unavailable')
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ElementPlus from 'element-plus'
+import MediaLibrary from '../MediaLibrary.vue'
+import { mediaService, uploadService } from '@/services'
+import { confirmDelete } from '@/services/notifications'
+import { useAuthStore } from '@/stores/auth'
+import type { MediaItem } from '@/types'
+
+vi.mock('@/services', () => ({
+  mediaService: {
+    getMedia: vi.fn(),
+    updateMedia: vi.fn(),
+    deleteMedia: vi.fn()
+  },
+  uploadService: {
+    uploadThumbnail: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  confirmDelete: vi.fn()
+}))
+
+const mediaItem = (id: number, overrides: Partial<MediaItem> = {}): MediaItem => ({
+  id,
+  filename: `thumbnail-${id}.jpg`,
+  original_name: `photo-${id}.jpg`,
+  mime_type: 'image/jpeg',
+  size: 2048,
+  width: 800,
+  height: 600,
+  blurhash: null,
+  alt_text: '',
+  uploaded_by: 1,
+  uploader: { id: 1, username: 'editor' },
+  url: `/uploads/thumbnail-${id}.jpg`,
+  variants: [{ width: 320, height: 240, url: `/uploads/thumbnail-${id}-320w.webp`, mime: 'image/webp', size: 512 }],
+  srcset: {},
+  created_at: '2024-01-01 00:00:00',
+  updated_at: '2024-01-01 00:00:00',
+  articles: [],
+  ...overrides
+})
+
+const mountLibrary = () => mount(MediaLibrary, {
+  props: { modelValue: true },
+  global: {
+    plugins: [ElementPlus],
+    stubs: {
+      // Render the dialog inline so its content can be queried
+      ElDialog: {
+        template: '<div class="el-dialog-stub"><slot /><slot name="footer" /></div>'
+      }
+    }
+  }
+})
+
+describe('MediaLibrary', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+    useAuthStore().user = { id: 1, username: 'editor', email: 'editor@example.com', role: 'editor', created_at: '', updated_at: '' }
+    vi.mocked(mediaService.getMedia).mockResolvedValue({
+      media: [
+        mediaItem(1, { alt_text: 'Harbour', articles: [{ id: 9, title: 'Boats', slug: 'boats', status: 'published' }] }),
+        mediaItem(2)
+      ],
+      total: 2,
+      limit: 60,
+      offset: 0
+    })
+  })
+
+  it('loads images when opened and shows the smallest variant', async () => {
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    expect(mediaService.getMedia).toHaveBeenCalledWith({ search: undefined, type: 'image/', limit: 60 })
+    const tiles = wrapper.findAll('[data-testid="media-item"]')
+    expect(tiles).toHaveLength(2)
+    expect(tiles[0].find('img').attributes('src')).toBe('/uploads/thumbnail-1-320w.webp')
+  })
+
+  it('shows which articles use the selected image and blocks deleting it', async () => {
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    await wrapper.findAll('[data-testid="media-item"]')[0].trigger('click')
+
+    expect(wrapper.find('[data-testid="media-usage"]').text()).toContain('Boats')
+    expect(wrapper.find('[data-testid="media-delete"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('emits the selected image with its alt text', async () => {
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    await wrapper.findAll('[data-testid="media-item"]')[0].trigger('click')
+    await wrapper.find('[data-testid="media-insert"]').trigger('click')
+
+    expect(wrapper.emitted('select')?.[0][0]).toMatchObject({ id: 1, url: '/uploads/thumbnail-1.jpg', alt_text: 'Harbour' })
+    expect(wrapper.emitted('update:modelValue')).toEqual([[false]])
+  })
+
+  it('saves edited alt text', async () => {
+    vi.mocked(mediaService.updateMedia).mockResolvedValue(mediaItem(2, { alt_text: 'Forest path' }))
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    await wrapper.findAll('[data-testid="media-item"]')[1].trigger('click')
+    await wrapper.find('textarea[data-testid="media-alt-text"]').setValue('Forest path')
+    await wrapper.find('[data-testid="media-save-alt"]').trigger('click')
+    await flushPromises()
+
+    expect(mediaService.updateMedia).toHaveBeenCalledWith(2, { alt_text: 'Forest path' })
+    expect((wrapper.vm as any).selected.alt_text).toBe('Forest path')
+  })
+
+  it('deletes unused images after confirmation', async () => {
+    vi.mocked(confirmDelete).mockResolvedValue(true)
+    vi.mocked(mediaService.deleteMedia).mockResolvedValue()
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    await wrapper.findAll('[data-testid="media-item"]')[1].trigger('click')
+    await wrapper.find('[data-testid="media-delete"]').trigger('click')
+    await flushPromises()
+
+    expect(mediaService.deleteMedia).toHaveBeenCalledWith(2)
+    expect(wrapper.findAll('[data-testid="media-item"]')).toHaveLength(1)
+  })
+
+  it('selects a newly uploaded image', async () => {
+    vi.mocked(uploadService.uploadThumbnail).mockResolvedValue({ id: 2 } as any)
+    const wrapper = mountLibrary()
+    await flushPromises()
+
+    const input = wrapper.find('input[type="file"]')
+    const file = new File(['image'], 'new.png', { type: 'image/png' })
+    Object.defineProperty(input.element, 'files', { value: [file] })
+    await input.trigger('change')
+    await flushPromises()
+
+    expect(uploadService.uploadThumbnail).toHaveBeenCalledWith(file)
+    expect(mediaService.getMedia).toHaveBeenCalledTimes(2)
+    expect((wrapper.vm as any).selected.id).toBe(2)
+  })
+})
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus, { ElMessage } from 'element-plus'
+import PreviewLinks from '../PreviewLinks.vue'
+import { articleService } from '@/services'
+import { notificationService } from '@/services/notifications'
+import type { ArticlePreviewLink } from '@/types'
+
+// Mock services
+vi.mock('@/services', () => ({
+  articleService: {
+    getPreviewLinks: vi.fn(),
+    createPreviewLink: vi.fn(),
+    revokePreviewLink: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  notificationService: {
+    confirm: vi.fn()
+  }
+}))
+
+// Mock ElMessage
+vi.mock('element-plus', async () => {
+  const actual = await vi.importActual('element-plus')
+  return {
+    ...actual,
+    ElMessage: {
+      success: vi.fn(),
+      error: vi.fn()
+    }
+  }
+})
+
+const createLink = (overrides: Partial<ArticlePreviewLink> = {}): ArticlePreviewLink => ({
+  id: 1,
+  article_id: 7,
+  token: 'token-1',
+  url: 'http://localhost:5173/preview/token-1',
+  expires_at: '2030-01-04T00:00:00Z',
+  revoked_at: null,
+  last_viewed_at: null,
+  created_by: 1,
+  creator: { id: 1, username: 'editor' },
+  created_at: '2030-01-01T00:00:00Z',
+  ...overrides
+})
+
+const writeText = vi.fn()
+
+const mountLinks = () => mount(PreviewLinks, {
+  props: { articleId: 7 },
+  global: { plugins: [ElementPlus] }
+})
+
+describe('PreviewLinks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    writeText.mockResolvedValue(undefined)
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+  })
+
+  it('lists the active links of the article', async () => {
+    vi.mocked(articleService.getPreviewLinks).mockResolvedValue([createLink()])
+
+    const wrapper = mountLinks()
+    await flushPromises()
+
+    expect(articleService.getPreviewLinks).toHaveBeenCalledWith(7)
+    const items = wrapper.findAll('[data-testid="preview-link"]')
+    expect(items).toHaveLength(1)
+    expect(items[0].text()).toContain('by editor')
+    expect(items[0].text()).toContain('Not opened yet')
+  })
+
+  it('creates a link and copies it to the clipboard', async () => {
+    vi.mocked(articleService.getPreviewLinks).mockResolvedValue([])
+    const link = createLink({ id: 2, url: 'http://localhost:5173/preview/token-2' })
+    vi.mocked(articleService.createPreviewLink).mockResolvedValue(link)
+
+    const wrapper = mountLinks()
+    await flushPromises()
+    expect(wrapper.text()).toContain('No active preview links')
+
+    await wrapper.find('[data-testid="create-preview-link"]').trigger('click')
+    await flushPromises()
+
+    expect(articleService.createPreviewLink).toHaveBeenCalledWith(7, 72)
+    expect(writeText).toHaveBeenCalledWith(link.url)
+    expect(ElMessage.success).toHaveBeenCalledWith('Preview link copied')
+    expect(wrapper.findAll('[data-testid="preview-link"]')).toHaveLength(1)
+  })
+
+  it('revokes a link once confirmed', async () => {
+    vi.mocked(articleService.getPreviewLinks).mockResolvedValue([createLink()])
+    vi.mocked(notificationService.confirm).mockResolvedValue(true)
+    vi.mocked(articleService.revokePreviewLink).mockResolvedValue(undefined)
+
+    const wrapper = mountLinks()
+    await flushPromises()
+
+    await wrapper.find('[data-testid="revoke-preview-link"]').trigger('click')
+    await flushPromises()
+
+    expect(articleService.revokePreviewLink).toHaveBeenCalledWith(7, 1)
+    expect(wrapper.findAll('[data-testid="preview-link"]')).toHaveLength(0)
+    expect(ElMessage.success).toHaveBeenCalledWith('Preview link revoked')
+  })
+
+  it('keeps the link when revoking is cancelled', async () => {
+    vi.mocked(articleService.getPreviewLinks).mockResolvedValue([createLink()])
+    vi.mocked(notificationService.confirm).mockResolvedValue(false)
+
+    const wrapper = mountLinks()
+    await flushPromises()
+
+    await wrapper.find('[data-testid="revoke-preview-link"]').trigger('click')
+    await flushPromises()
+
+    expect(articleService.revokePreviewLink).not.toHaveBeenCalled()
+    expect(wrapper.findAll('[data-testid="preview-link"]')).toHaveLength(1)
+  })
+})
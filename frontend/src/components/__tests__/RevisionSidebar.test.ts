@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus from 'element-plus'
+import RevisionSidebar from '../RevisionSidebar.vue'
+import { articleService } from '@/services'
+import { notificationService } from '@/services/notifications'
+import type { ArticleRevision } from '@/types'
+
+// Mock services
+vi.mock('@/services', () => ({
+  articleService: {
+    getRevisions: vi.fn(),
+    getRevision: vi.fn(),
+    restoreRevision: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  notificationService: {
+    confirm: vi.fn()
+  }
+}))
+
+// Mock ElMessage
+vi.mock('element-plus', async () => {
+  const actual = await vi.importActual('element-plus')
+  return {
+    ...actual,
+    ElMessage: {
+      success: vi.fn(),
+      error: vi.fn()
+    }
+  }
+})
+
+const mockRevisions: ArticleRevision[] = [
+  {
+    id: 2,
+    article_id: 7,
+    revision_number: 2,
+    title: 'Second title',
+    excerpt: null,
+    thumbnail_url: null,
+    category_id: 1,
+    author_id: 1,
+    author: { id: 1, username: 'editor' },
+    created_at: '2024-01-02T00:00:00Z'
+  },
+  {
+    id: 1,
+    article_id: 7,
+    revision_number: 1,
+    title: 'First title',
+    excerpt: null,
+    thumbnail_url: null,
+    category_id: 1,
+    author_id: 1,
+    author: { id: 1, username: 'editor' },
+    created_at: '2024-01-01T00:00:00Z'
+  }
+]
+
+const mockDetail = {
+  revision: { ...mockRevisions[1], content: '<p>Old</p>' },
+  diff: {
+    changed: ['title', 'content'],
+    fields: {
+      title: { revision: 'First title', current: 'Second title', changed: true, html: '<del>First</del><ins>Second</ins> title' },
+      content: { revision: '<p>Old</p>', current: '<p>New</p>', changed: true, html: '<p><del>Old</del><ins>New</ins></p>' },
+      excerpt: { revision: null, current: null, changed: false },
+      thumbnail_url: { revision: null, current: null, changed: false },
+      category_id: { revision: 1, current: 1, changed: false }
+    }
+  }
+}
+
+const mountSidebar = () => mount(RevisionSidebar, {
+  props: { articleId: 7 },
+  global: {
+    plugins: [ElementPlus],
+    stubs: {
+      // Render the dialog inline so its content can be queried
+      ElDialog: {
+        template: '<div class="el-dialog-stub"><slot /><slot name="footer" /></div>'
+      }
+    }
+  }
+})
+
+describe('RevisionSidebar', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(articleService.getRevisions).mockResolvedValue({
+      revisions: mockRevisions,
+      pagination: { currentPage: 1, totalPages: 1, totalCount: 2, limit: 50, hasNext: false, hasPrev: false }
+    })
+    vi.mocked(articleService.getRevision).mockResolvedValue(mockDetail as any)
+  })
+
+  it('loads and lists revisions on mount', async () => {
+    const wrapper = mountSidebar()
+    await flushPromises()
+
+    expect(articleService.getRevisions).toHaveBeenCalledWith(7, 1)
+    const items = wrapper.findAll('.revision-item')
+    expect(items).toHaveLength(2)
+    expect(items[0].text()).toContain('#2')
+    expect(items[0].text()).toContain('Current')
+    expect(items[1].text()).toContain('First title')
+  })
+
+  it('shows an empty state without revisions', async () => {
+    vi.mocked(articleService.getRevisions).mockResolvedValue({
+      revisions: [],
+      pagination: { currentPage: 1, totalPages: 0, totalCount: 0, limit: 50, hasNext: false, hasPrev: false }
+    })
+
+    const wrapper = mountSidebar()
+    await flushPromises()
+
+    expect(wrapper.find('.empty-state').exists()).toBe(true)
+  })
+
+  it('previews the diff of a revision', async () => {
+    const wrapper = mountSidebar()
+    await flushPromises()
+
+    await wrapper.findAll('.revision-item')[1].trigger('click')
+    await flushPromises()
+
+    expect(articleService.getRevision).toHaveBeenCalledWith(7, 1)
+    const fields = wrapper.findAll('.diff-field')
+    expect(fields).toHaveLength(2)
+    expect(fields[1].html()).toContain('<ins>New</ins>')
+  })
+
+  it('restores a revision after confirmation', async () => {
+    vi.mocked(notificationService.confirm).mockResolvedValue(true)
+    vi.mocked(articleService.restoreRevision).mockResolvedValue({ id: 7 } as any)
+
+    const wrapper = mountSidebar()
+    await flushPromises()
+    await wrapper.findAll('.revision-item')[1].trigger('click')
+    await flushPromises()
+
+    const restoreButton = wrapper.findAll('button').find(button => button.text() === 'Restore this revision')
+    await restoreButton!.trigger('click')
+    await flushPromises()
+
+    expect(articleService.restoreRevision).toHaveBeenCalledWith(7, 1)
+    expect(wrapper.emitted('restored')).toBeTruthy()
+  })
+
+  it('does not restore when cancelled', async () => {
+    vi.mocked(notificationService.confirm).mockResolvedValue(false)
+
+    const wrapper = mountSidebar()
+    await flushPromises()
+    await wrapper.findAll('.revision-item')[1].trigger('click')
+    await flushPromises()
+
+    const restoreButton = wrapper.findAll('button').find(button => button.text() === 'Restore this revision')
+    await restoreButton!.trigger('click')
+    await flushPromises()
+
+    expect(articleService.restoreRevision).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus, { ElSelect } from 'element-plus'
+import TagInput from '../TagInput.vue'
+import { tagService } from '@/services'
+import type { Tag } from '@/types'
+
+// Mock services
+vi.mock('@/services', () => ({
+  tagService: {
+    getTags: vi.fn(),
+    createTag: vi.fn()
+  }
+}))
+
+// Mock ElMessage
+vi.mock('element-plus', async () => {
+  const actual = await vi.importActual('element-plus')
+  return {
+    ...actual,
+    ElMessage: {
+      error: vi.fn()
+    }
+  }
+})
+
+const mockTags: Tag[] = [
+  { id: 1, name: 'Vue', slug: 'vue' },
+  { id: 2, name: 'Vite', slug: 'vite' }
+]
+
+const mountInput = (modelValue: Tag[] = []) => mount(TagInput, {
+  props: { modelValue },
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
+describe('TagInput', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(tagService.getTags).mockResolvedValue({
+      tags: mockTags,
+      total: mockTags.length,
+      limit: 20,
+      offset: 0
+    })
+  })
+
+  it('searches tags by name prefix', async () => {
+    const wrapper = mountInput()
+
+    await wrapper.findComponent(ElSelect).props('remoteMethod')('v')
+    await flushPromises()
+
+    expect(tagService.getTags).toHaveBeenCalledWith({ search: 'v', limit: 20 })
+  })
+
+  it('emits selected tags', async () => {
+    const wrapper = mountInput()
+
+    wrapper.findComponent(ElSelect).vm.$emit('update:modelValue', [mockTags[0]])
+    await flushPromises()
+
+    expect(wrapper.emitted('update:modelValue')![0]).toEqual([[mockTags[0]]])
+    expect(tagService.createTag).not.toHaveBeenCalled()
+  })
+
+  it('creates tags typed inline', async () => {
+    const created: Tag = { id: 3, name: 'Pinia', slug: 'pinia' }
+    vi.mocked(tagService.createTag).mockResolvedValue(created)
+    const wrapper = mountInput([mockTags[0]])
+
+    wrapper.findComponent(ElSelect).vm.$emit('update:modelValue', [mockTags[0], ' Pinia '])
+    await flushPromises()
+
+    expect(tagService.createTag).toHaveBeenCalledWith({ name: 'Pinia' })
+    expect(wrapper.emitted('update:modelValue')![0]).toEqual([[mockTags[0], created]])
+  })
+
+  it('reuses an existing tag with the typed name', async () => {
+    const wrapper = mountInput()
+    await wrapper.findComponent(ElSelect).props('remoteMethod')('vi')
+    await flushPromises()
+
+    wrapper.findComponent(ElSelect).vm.$emit('update:modelValue', ['vite'])
+    await flushPromises()
+
+    expect(tagService.createTag).not.toHaveBeenCalled()
+    expect(wrapper.emitted('update:modelValue')![0]).toEqual([[mockTags[1]]])
+  })
+})
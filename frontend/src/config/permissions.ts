@@ -0,0 +1,34 @@
+// Role permission matrix, mirroring backend/config/permissions.js.
+// The API enforces it; the UI only uses it to hide actions a role can't perform.
+
+export const ROLES = ['admin', 'editor', 'author', 'viewer'] as const
+
+export type Role = typeof ROLES[number]
+
+export const PERMISSIONS = {
+  'articles.read': ['admin', 'editor', 'author', 'viewer'],
+  'articles.create': ['admin', 'editor', 'author'],
+  'articles.update': ['admin', 'editor', 'author'],
+  'articles.delete': ['admin', 'editor', 'author'],
+  'articles.update.any': ['admin', 'editor'],
+  'articles.delete.any': ['admin', 'editor'],
+  'articles.publish': ['admin', 'editor'],
+  'categories.read': ['admin', 'editor', 'author', 'viewer'],
+  'categories.manage': ['admin', 'editor'],
+  'tags.read': ['admin', 'editor', 'author', 'viewer'],
+  'tags.create': ['admin', 'editor', 'author'],
+  'tags.manage': ['admin', 'editor'],
+  'analytics.read': ['admin', 'editor', 'author', 'viewer'],
+  'uploads.create': ['admin', 'editor', 'author'],
+  'uploads.delete': ['admin', 'editor'],
+  'media.read': ['admin', 'editor', 'author'],
+  'media.update': ['admin', 'editor', 'author'],
+  'media.cleanup': ['admin'],
+  'users.manage': ['admin']
+} as const satisfies Record<string, readonly Role[]>
+
+export type Permission = keyof typeof PERMISSIONS
+
+export const hasPermission = (role: string | undefined, permission: Permission): boolean => {
+  return !!role && (PERMISSIONS[permission] as readonly string[]).includes(role)
+}
@@ -2,6 +2,9 @@ import { createApp } from 'vue'
 import { createPinia } from 'pinia'
 import ElementPlus from 'element-plus'
 import 'element-plus/dist/index.css'
+// Styles for server-rendered Markdown: math typeset by KaTeX and highlighted code
+import 'katex/dist/katex.min.css'
+import 'highlight.js/styles/github.css'
 import * as ElementPlusIconsVue from '@element-plus/icons-vue'
 
 import App from './App.vue'
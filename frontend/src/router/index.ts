@@ -1,5 +1,13 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import { useAuthStore } from '@/stores/auth'
+import type { Permission } from '@/config/permissions'
+
+declare module 'vue-router' {
+  interface RouteMeta {
+    // Permission the user's role needs to open the route
+    permission?: Permission
+  }
+}
 
 const router = createRouter({
   history: createWebHistory(),
@@ -15,6 +23,18 @@ const router = createRouter({
       component: () => import('@/views/Login.vue'),
       meta: { requiresGuest: true }
     },
+    {
+      path: '/reset-password',
+      name: 'reset-password',
+      component: () => import('@/views/ResetPassword.vue'),
+      meta: { requiresGuest: true }
+    },
+    {
+      // Opened by reviewers from a shared link, signed in or not
+      path: '/preview/:token',
+      name: 'article-preview',
+      component: () => import('@/views/ArticlePreview.vue')
+    },
     {
       path: '/admin',
       component: () => import('@/components/AdminLayout.vue'),
@@ -30,25 +50,37 @@ const router = createRouter({
           path: '/articles',
           name: 'articles',
           component: () => import('@/views/Articles.vue'),
-          meta: { requiresAuth: true }
+          meta: { requiresAuth: true, permission: 'articles.read' }
         },
         {
           path: '/articles/create',
           name: 'article-create',
           component: () => import('@/views/ArticleCreate.vue'),
-          meta: { requiresAuth: true }
+          meta: { requiresAuth: true, permission: 'articles.create' }
         },
         {
           path: '/articles/edit/:id',
           name: 'article-edit',
           component: () => import('@/views/ArticleEdit.vue'),
-          meta: { requiresAuth: true }
+          meta: { requiresAuth: true, permission: 'articles.update' }
         },
         {
           path: '/categories',
           name: 'categories',
           component: () => import('@/views/Categories.vue'),
-          meta: { requiresAuth: true }
+          meta: { requiresAuth: true, permission: 'categories.manage' }
+        },
+        {
+          path: '/trash',
+          name: 'trash',
+          component: () => import('@/views/Trash.vue'),
+          meta: { requiresAuth: true, permission: 'articles.delete' }
+        },
+        {
+          path: '/users',
+          name: 'users',
+          component: () => import('@/views/Users.vue'),
+          meta: { requiresAuth: true, permission: 'users.manage' }
         }
       ]
     },
@@ -65,6 +97,7 @@ router.beforeEach(async (to, from, next) => {
   const authStore = useAuthStore()
   const requiresAuth = to.matched.some(record => record.meta.requiresAuth)
   const requiresGuest = to.matched.some(record => record.meta.requiresGuest)
+  const permission = to.meta.permission
   
   // Initialize auth state if not already done (only on first navigation)
   if (from.name === undefined) {
@@ -76,6 +109,9 @@ router.beforeEach(async (to, from, next) => {
     next('/login')
   } else if (requiresGuest && authStore.isAuthenticated) {
     next('/dashboard')
+  } else if (permission && authStore.isAuthenticated && !authStore.can(permission)) {
+    // The dashboard is open to every signed-in user
+    next('/dashboard')
   } else {
     next()
   }
@@ -196,6 +196,56 @@ describe('AuthService', () => {
     })
   })
 
+  describe('two-factor sign-in', () => {
+    it('returns the MFA challenge without storing a session', async () => {
+      const challenge = { mfa_required: true, enrollment_required: false, mfa_token: 'mfa-token' }
+      api.post = vi.fn().mockResolvedValue({ data: { success: true, data: challenge } })
+
+      const result = await authService.login({ username: 'testuser', password: 'password123' })
+
+      expect(result).toEqual(challenge)
+      expect(localStorageMock.setItem).not.toHaveBeenCalled()
+    })
+
+    it('starts the session once the code is verified', async () => {
+      const authData = {
+        user: { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin' },
+        tokens: { access_token: 'access-token', refresh_token: 'refresh-token', token_type: 'Bearer', expires_in: '1h' }
+      }
+      api.post = vi.fn().mockResolvedValue({ data: { success: true, data: authData } })
+
+      await authService.verifyMfa('mfa-token', { recoveryCode: 'aaaa-bbbb-cccc-dddd' })
+
+      expect(api.post).toHaveBeenCalledWith('/auth/2fa/verify', {
+        mfa_token: 'mfa-token',
+        code: undefined,
+        recovery_code: 'aaaa-bbbb-cccc-dddd'
+      })
+      expect(localStorageMock.setItem).toHaveBeenCalledWith('auth_token', 'access-token')
+    })
+  })
+
+  describe('password reset', () => {
+    it('requests a reset link', async () => {
+      api.post = vi.fn().mockResolvedValue({ data: { success: true } })
+
+      await authService.requestPasswordReset('test@example.com')
+
+      expect(api.post).toHaveBeenCalledWith('/auth/forgot-password', { email: 'test@example.com' })
+    })
+
+    it('resets the password with a token', async () => {
+      api.post = vi.fn().mockResolvedValue({ data: { success: true } })
+
+      await authService.resetPassword('reset-token', 'NewPassword123')
+
+      expect(api.post).toHaveBeenCalledWith('/auth/reset-password', {
+        token: 'reset-token',
+        new_password: 'NewPassword123'
+      })
+    })
+  })
+
   describe('getToken', () => {
     it('returns stored token', () => {
       const mockToken = 'mock-token'
@@ -1,5 +1,15 @@
 import api from './api'
-import type { Article, ApiResponse } from '@/types'
+import type {
+  Article,
+  ArticleStatus,
+  ArticleRevision,
+  ArticleRevisionDiff,
+  ArticlePreviewLink,
+  ArticlePreview,
+  ContentFormat,
+  Trashed,
+  ApiResponse
+} from '@/types'
 
 export interface ArticleListResponse {
   articles: Article[]
@@ -13,19 +23,50 @@ export interface ArticleListResponse {
   }
 }
 
+export interface ArticleTrashResponse {
+  articles: Trashed<Article>[]
+  // Days trashed articles are kept; 0 keeps them until deleted by hand
+  retention_days: number
+  pagination: ArticleListResponse['pagination']
+}
+
+export interface ArticleRevisionListResponse {
+  revisions: ArticleRevision[]
+  pagination: ArticleListResponse['pagination']
+}
+
+export interface ArticleRevisionDetail {
+  revision: ArticleRevision
+  diff: ArticleRevisionDiff
+}
+
 export interface ArticleFormData {
   title: string
   content: string
+  content_format?: ContentFormat
   excerpt?: string
   thumbnail_url?: string
   category_id: number
-  status: 'draft' | 'published' | 'archived'
+  status: ArticleStatus
+  publish_at?: string | null
+  tag_ids?: number[]
+  // Replace the slug with one made from the title; the old slug keeps redirecting
+  regenerate_slug?: boolean
+  meta_title?: string | null
+  meta_description?: string | null
+  canonical_url?: string | null
+  og_image?: string | null
+  noindex?: boolean
 }
 
 export interface ArticleFilters {
-  status?: 'draft' | 'published' | 'archived'
+  status?: ArticleStatus
   category_id?: number
+  // Also match articles in subcategories of category_id
+  include_descendants?: boolean
   author_id?: number
+  tag?: string
+  tag_id?: number
   page?: number
   limit?: number
   orderBy?: string
@@ -33,10 +74,38 @@ export interface ArticleFilters {
   search?: string
 }
 
+// Actions POST /articles/bulk can apply to many articles at once
+export type ArticleBulkAction = 'publish' | 'archive' | 'draft' | 'delete' | 'move-category' | 'add-tag'
+
+export interface ArticleBulkOptions {
+  category_id?: number
+  tag_id?: number
+}
+
+export interface ArticleBulkResult {
+  action: ArticleBulkAction
+  results: Array<{
+    id: number
+    success: boolean
+    error?: { code: string; message: string }
+  }>
+  succeeded: number
+  failed: number
+}
+
+const BULK_STATUS_ACTIONS: Record<'draft' | 'published' | 'archived', ArticleBulkAction> = {
+  draft: 'draft',
+  published: 'publish',
+  archived: 'archive'
+}
+
 export const articleService = {
-  // Get all articles with pagination and filtering
+  // Get all articles with pagination, filtering and full-text search
   async getArticles(filters?: ArticleFilters): Promise<ArticleListResponse> {
-    const response = await api.get<ApiResponse<ArticleListResponse>>('/articles', { params: filters })
+    const { search, ...params } = filters || {}
+    const response = await api.get<ApiResponse<ArticleListResponse>>('/articles', {
+      params: { ...params, q: search || undefined }
+    })
     return response.data.data!
   },
 
@@ -64,6 +133,24 @@ export const articleService = {
     return response.data.data!
   },
 
+  // The slug the server would give a title; articleId leaves out that article's own slug
+  async previewSlug(title: string, articleId?: number): Promise<string> {
+    const response = await api.post<ApiResponse<{ slug: string }>>('/articles/slug-preview', {
+      title,
+      article_id: articleId
+    })
+    return response.data.data!.slug
+  },
+
+  // Render Markdown on the server for the editor's live preview
+  async renderMarkdown(content: string): Promise<string> {
+    const response = await api.post<ApiResponse<{ html: string }>>('/articles/render', {
+      content,
+      content_format: 'markdown'
+    })
+    return response.data.data!.html
+  },
+
   // Publish article
   async publishArticle(id: number): Promise<Article> {
     const response = await api.post<ApiResponse<Article>>(`/articles/${id}/publish`)
@@ -76,19 +163,95 @@ export const articleService = {
     return response.data.data!
   },
 
+  // List saved revisions of an article, newest first
+  async getRevisions(id: number, page = 1): Promise<ArticleRevisionListResponse> {
+    const response = await api.get<ApiResponse<ArticleRevisionListResponse>>(`/articles/${id}/revisions`, {
+      params: { page }
+    })
+    return response.data.data!
+  },
+
+  // Get a revision with its diff against the current article
+  async getRevision(id: number, revisionNumber: number): Promise<ArticleRevisionDetail> {
+    const response = await api.get<ApiResponse<ArticleRevisionDetail>>(`/articles/${id}/revisions/${revisionNumber}`)
+    return response.data.data!
+  },
+
+  // Restore article content from a revision
+  async restoreRevision(id: number, revisionNumber: number): Promise<Article> {
+    const response = await api.post<ApiResponse<Article>>(`/articles/${id}/revisions/${revisionNumber}/restore`)
+    return response.data.data!
+  },
+
+  // Create a link for reading the article before it is published
+  async createPreviewLink(id: number, expiresInHours?: number): Promise<ArticlePreviewLink> {
+    const response = await api.post<ApiResponse<ArticlePreviewLink>>(`/articles/${id}/preview-link`, {
+      expires_in_hours: expiresInHours
+    })
+    return response.data.data!
+  },
+
+  // Preview links of an article that have not expired or been revoked, newest first
+  async getPreviewLinks(id: number): Promise<ArticlePreviewLink[]> {
+    const response = await api.get<ApiResponse<ArticlePreviewLink[]>>(`/articles/${id}/preview-links`)
+    return response.data.data!
+  },
+
+  async revokePreviewLink(id: number, linkId: number): Promise<void> {
+    await api.delete(`/articles/${id}/preview-links/${linkId}`)
+  },
+
+  // Read an article through a preview link token; needs no sign-in
+  async getPreview(token: string): Promise<ArticlePreview> {
+    const response = await api.get<ApiResponse<ArticlePreview>>(`/public/preview/${encodeURIComponent(token)}`)
+    return response.data.data!
+  },
+
   // Delete article
+  // Move an article to the trash
   async deleteArticle(id: number): Promise<void> {
     await api.delete(`/articles/${id}`)
   },
 
-  // Bulk operations
-  async bulkUpdateStatus(articleIds: number[], status: 'draft' | 'published' | 'archived'): Promise<void> {
-    const promises = articleIds.map(id => this.updateArticle(id, { status }))
-    await Promise.all(promises)
+  // Articles in the trash, most recently deleted first; authors only get their own
+  async getTrash(params?: { page?: number; limit?: number }): Promise<ArticleTrashResponse> {
+    const response = await api.get<ApiResponse<ArticleTrashResponse>>('/articles/trash', { params })
+    return response.data.data!
+  },
+
+  async restoreArticle(id: number): Promise<Article> {
+    const response = await api.post<ApiResponse<Article>>(`/articles/${id}/restore`)
+    return response.data.data!
+  },
+
+  // Delete an article in the trash for good
+  async deleteArticlePermanently(id: number): Promise<void> {
+    await api.delete(`/articles/${id}/permanent`)
+  },
+
+  // Bulk operations run server-side in one transaction, with a result per article
+  async bulk(action: ArticleBulkAction, articleIds: number[], options: ArticleBulkOptions = {}): Promise<ArticleBulkResult> {
+    const response = await api.post<ApiResponse<ArticleBulkResult>>('/articles/bulk', {
+      action,
+      ids: articleIds,
+      ...options
+    })
+    return response.data.data!
+  },
+
+  async bulkUpdateStatus(articleIds: number[], status: 'draft' | 'published' | 'archived'): Promise<ArticleBulkResult> {
+    return this.bulk(BULK_STATUS_ACTIONS[status], articleIds)
+  },
+
+  async bulkMoveCategory(articleIds: number[], categoryId: number): Promise<ArticleBulkResult> {
+    return this.bulk('move-category', articleIds, { category_id: categoryId })
+  },
+
+  async bulkAddTag(articleIds: number[], tagId: number): Promise<ArticleBulkResult> {
+    return this.bulk('add-tag', articleIds, { tag_id: tagId })
   },
 
-  async bulkDelete(articleIds: number[]): Promise<void> {
-    const promises = articleIds.map(id => this.deleteArticle(id))
-    await Promise.all(promises)
+  async bulkDelete(articleIds: number[]): Promise<ArticleBulkResult> {
+    return this.bulk('delete', articleIds)
   }
 }
\ No newline at end of file
@@ -1,5 +1,14 @@
 import api from './api'
-import type { LoginCredentials, AuthResponse, ApiResponse, User } from '@/types'
+import type {
+  LoginCredentials,
+  LoginResult,
+  AuthResponse,
+  MfaCode,
+  TwoFactorEnrollment,
+  TwoFactorActivation,
+  ApiResponse,
+  User
+} from '@/types'
 
 export class AuthService {
   private static readonly TOKEN_KEY = 'auth_token'
@@ -8,16 +17,20 @@ export class AuthService {
   private refreshTimer: number | null = null
 
   /**
-   * Login user with credentials
+   * Login user with credentials. With two-factor authentication this only
+   * returns an MFA challenge, to be completed with verifyMfa or enrollment.
    */
-  async login(credentials: LoginCredentials): Promise<AuthResponse> {
+  async login(credentials: LoginCredentials): Promise<LoginResult> {
     try {
-      const response = await api.post<ApiResponse<AuthResponse>>('/auth/login', credentials)
+      const response = await api.post<ApiResponse<LoginResult>>('/auth/login', credentials)
       
       if (response.data.success && response.data.data) {
         const authData = response.data.data
-        this.setTokens(authData.tokens.access_token, authData.user)
-        this.startTokenRefresh()
+        if ('mfa_required' in authData) {
+          return authData
+        }
+
+        this.startSession(authData)
         return authData
       } else {
         throw new Error(response.data.error?.message || 'Login failed')
@@ -27,6 +40,52 @@ export class AuthService {
     }
   }
 
+  /**
+   * Second step of signing in: exchange the MFA token from login and a code
+   * from the authenticator app (or a recovery code) for a session
+   */
+  async verifyMfa(mfaToken: string, { code, recoveryCode }: MfaCode): Promise<AuthResponse> {
+    try {
+      const response = await api.post<ApiResponse<AuthResponse>>('/auth/2fa/verify', {
+        mfa_token: mfaToken,
+        code: code || undefined,
+        recovery_code: recoveryCode || undefined
+      })
+      const authData = response.data.data!
+      this.startSession(authData)
+      return authData
+    } catch (error: any) {
+      throw new Error(error.message || 'Verification failed')
+    }
+  }
+
+  /**
+   * Start setting up two-factor authentication. Signed-in users call it
+   * without arguments; during sign-in it takes the MFA token from login.
+   */
+  async setupTwoFactor(mfaToken?: string): Promise<TwoFactorEnrollment> {
+    const response = await api.post<ApiResponse<TwoFactorEnrollment>>('/auth/2fa/setup', { mfa_token: mfaToken })
+    return response.data.data!
+  }
+
+  /**
+   * Confirm two-factor setup with a code from the authenticator app. When
+   * enrolling during sign-in the response also starts the session.
+   */
+  async enableTwoFactor(code: string, mfaToken?: string): Promise<TwoFactorActivation> {
+    const response = await api.post<ApiResponse<TwoFactorActivation>>('/auth/2fa/enable', {
+      code,
+      mfa_token: mfaToken
+    })
+    const activation = response.data.data!
+
+    if (activation.tokens) {
+      this.startSession({ user: activation.user, tokens: activation.tokens })
+    }
+
+    return activation
+  }
+
   /**
    * Logout user and clear tokens
    */
@@ -61,6 +120,21 @@ export class AuthService {
     return null
   }
 
+  /**
+   * Email a password reset link. The API answers the same whether or not
+   * the address belongs to an account.
+   */
+  async requestPasswordReset(email: string): Promise<void> {
+    await api.post('/auth/forgot-password', { email })
+  }
+
+  /**
+   * Set a new password with the token from a reset link
+   */
+  async resetPassword(token: string, newPassword: string): Promise<void> {
+    await api.post('/auth/reset-password', { token, new_password: newPassword })
+  }
+
   /**
    * Get stored authentication token
    */
@@ -91,6 +165,14 @@ export class AuthService {
     return !!this.getToken() && !!this.getUser()
   }
 
+  /**
+   * Store the tokens of a new session and keep it verified
+   */
+  private startSession(authData: AuthResponse): void {
+    this.setTokens(authData.tokens.access_token, authData.user)
+    this.startTokenRefresh()
+  }
+
   /**
    * Set authentication tokens and user data
    */
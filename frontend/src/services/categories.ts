@@ -1,5 +1,5 @@
 import api from './api'
-import type { Category, ApiResponse } from '@/types'
+import type { Category, CategoryTreeNode, Trashed, ApiResponse } from '@/types'
 
 export interface CategoryListResponse {
   categories: Category[]
@@ -8,10 +8,19 @@ export interface CategoryListResponse {
   offset: number
 }
 
+export interface CategoryTrashResponse {
+  categories: Trashed<Category>[]
+  total: number
+  // Days trashed categories are kept; 0 keeps them until deleted by hand
+  retention_days: number
+}
+
 export interface CategoryFormData {
   name: string
   description?: string
   slug?: string
+  // null moves the category to the top level
+  parent_id?: number | null
 }
 
 export const categoryService = {
@@ -26,6 +35,12 @@ export const categoryService = {
     return response.data.data!
   },
 
+  // Get categories nested under their parents
+  async getCategoryTree(): Promise<CategoryTreeNode[]> {
+    const response = await api.get<ApiResponse<CategoryTreeNode[]>>('/categories/tree')
+    return response.data.data!
+  },
+
   // Get category by ID
   async getCategory(id: number): Promise<Category> {
     const response = await api.get<ApiResponse<Category>>(`/categories/${id}`)
@@ -44,8 +59,25 @@ export const categoryService = {
     return response.data.data!
   },
 
-  // Delete category
+  // Move a category to the trash
   async deleteCategory(id: number): Promise<void> {
     await api.delete(`/categories/${id}`)
+  },
+
+  // Categories in the trash, most recently deleted first
+  async getTrash(): Promise<CategoryTrashResponse> {
+    const response = await api.get<ApiResponse<CategoryTrashResponse>>('/categories/trash')
+    return response.data.data!
+  },
+
+  // Restore a category along with any trashed categories above it
+  async restoreCategory(id: number): Promise<Category> {
+    const response = await api.post<ApiResponse<Category>>(`/categories/${id}/restore`)
+    return response.data.data!
+  },
+
+  // Delete a category in the trash for good
+  async deleteCategoryPermanently(id: number): Promise<void> {
+    await api.delete(`/categories/${id}/permanent`)
   }
 }
\ No newline at end of file
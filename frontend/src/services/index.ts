@@ -4,13 +4,17 @@ import type {
   ApiResponse, 
   LoginCredentials, 
   AuthResponse, 
-  User
+  User,
+  UploadedImage
 } from '@/types'
 
 // Import specialized services
 export { articleService } from './articles'
 export { categoryService } from './categories'
+export { tagService } from './tags'
+export { userService } from './users'
 export { analyticsService } from './analytics'
+export { mediaService } from './media'
 
 // Authentication services
 export const authService = {
@@ -35,13 +39,11 @@ export const authService = {
 
 // File upload services
 export const uploadService = {
-  async uploadThumbnail(file: File): Promise<{
-    filename: string, url: string 
-}> {
+  async uploadThumbnail(file: File): Promise<UploadedImage> {
     const formData = new FormData()
     formData.append('thumbnail', file)
     
-    const response = await api.post<ApiResponse<{ filename: string, url: string }>>('/upload/thumbnail', formData, {
+    const response = await api.post<ApiResponse<UploadedImage>>('/upload/thumbnail', formData, {
       headers: {
         'Content-Type': 'multipart/form-data'
       }
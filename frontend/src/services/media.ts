@@ -0,0 +1,53 @@
+import api from './api'
+import type { MediaItem, UploadCleanupReport, ApiResponse } from '@/types'
+
+export interface MediaListResponse {
+  media: MediaItem[]
+  total: number
+  limit: number | null
+  offset: number
+}
+
+export const mediaService = {
+  // Get media, newest first; `search` matches names and alt text, `type` a mime prefix
+  async getMedia(params?: {
+    search?: string
+    type?: string
+    limit?: number
+    offset?: number
+    orderBy?: string
+    orderDir?: 'ASC' | 'DESC'
+  }): Promise<MediaListResponse> {
+    const response = await api.get<ApiResponse<MediaListResponse>>('/media', { params })
+    return response.data.data!
+  },
+
+  // Get one media item with the articles that use it
+  async getMediaItem(id: number): Promise<MediaItem> {
+    const response = await api.get<ApiResponse<MediaItem>>(`/media/${id}`)
+    return response.data.data!
+  },
+
+  // Update alt text
+  async updateMedia(id: number, data: { alt_text: string }): Promise<MediaItem> {
+    const response = await api.put<ApiResponse<MediaItem>>(`/media/${id}`, data)
+    return response.data.data!
+  },
+
+  // Delete media; the API refuses while an article still uses it
+  async deleteMedia(id: number): Promise<void> {
+    await api.delete(`/media/${id}`)
+  },
+
+  // Report unreferenced upload files older than the grace period (admin only)
+  async getOrphanedUploads(params?: { grace_hours?: number }): Promise<UploadCleanupReport> {
+    const response = await api.get<ApiResponse<UploadCleanupReport>>('/media/orphans', { params })
+    return response.data.data!
+  },
+
+  // Move orphaned uploads to quarantine; they are deleted once the quarantine period passes
+  async quarantineOrphanedUploads(data?: { grace_hours?: number }): Promise<UploadCleanupReport> {
+    const response = await api.post<ApiResponse<UploadCleanupReport>>('/media/orphans/quarantine', data || {})
+    return response.data.data!
+  }
+}
@@ -157,6 +157,24 @@ export const notificationService = {
     })
   },
 
+  /**
+   * Show move-to-trash confirmation dialog
+   */
+  async confirmTrash(itemName?: string, customMessage?: string): Promise<boolean> {
+    const message = customMessage ||
+      (itemName
+        ? `Move "${itemName}" to the trash? You can restore it from the Trash page.`
+        : 'Move this item to the trash? You can restore it from the Trash page.')
+
+    return notificationService.confirm({
+      title: 'Move to Trash',
+      message,
+      type: 'warning',
+      confirmButtonText: 'Move to Trash',
+      confirmButtonClass: 'el-button--danger'
+    })
+  },
+
   /**
    * Show bulk action confirmation dialog
    */
@@ -184,4 +202,4 @@ export const notificationService = {
 }
 
 // Export individual methods for convenience
-export const { success, error, warning, info, notify, confirm, confirmDelete, confirmBulkAction, loading } = notificationService
\ No newline at end of file
+export const { success, error, warning, info, notify, confirm, confirmDelete, confirmTrash, confirmBulkAction, loading } = notificationService
\ No newline at end of file
@@ -0,0 +1,51 @@
+import api from './api'
+import type { Tag, TagStats, ApiResponse } from '@/types'
+
+export interface TagListResponse {
+  tags: Tag[]
+  total: number
+  limit: number | null
+  offset: number
+}
+
+export interface TagFormData {
+  name: string
+  slug?: string
+}
+
+export const tagService = {
+  // Get tags, optionally only those whose name starts with `search`
+  async getTags(params?: {
+    search?: string
+    limit?: number
+    offset?: number
+    orderBy?: string
+    orderDir?: 'ASC' | 'DESC'
+  }): Promise<TagListResponse> {
+    const response = await api.get<ApiResponse<TagListResponse>>('/tags', { params })
+    return response.data.data!
+  },
+
+  // Get tags with their article counts
+  async getTagStats(): Promise<TagStats[]> {
+    const response = await api.get<ApiResponse<{ tags: TagStats[], total: number }>>('/tags/stats')
+    return response.data.data!.tags
+  },
+
+  // Create new tag
+  async createTag(tagData: TagFormData): Promise<Tag> {
+    const response = await api.post<ApiResponse<Tag>>('/tags', tagData)
+    return response.data.data!
+  },
+
+  // Update existing tag
+  async updateTag(id: number, tagData: TagFormData): Promise<Tag> {
+    const response = await api.put<ApiResponse<Tag>>(`/tags/${id}`, tagData)
+    return response.data.data!
+  },
+
+  // Delete tag
+  async deleteTag(id: number): Promise<void> {
+    await api.delete(`/tags/${id}`)
+  }
+}
@@ -0,0 +1,102 @@
+import api from './api'
+import type { User, ApiResponse } from '@/types'
+import type { ArticleListResponse } from './articles'
+import type { Role } from '@/config/permissions'
+
+export interface UserListResponse {
+  users: User[]
+  pagination: ArticleListResponse['pagination']
+}
+
+export interface UserFilters {
+  search?: string
+  role?: Role
+  status?: 'active' | 'disabled'
+  page?: number
+  limit?: number
+}
+
+export interface UserFormData {
+  username: string
+  email: string
+  password?: string
+  role: Role
+}
+
+export type UserDetail = User & { article_count: number }
+
+export interface TwoFactorPolicy {
+  required_roles: Role[]
+  roles: Role[]
+}
+
+export const userService = {
+  // Get users with pagination and filtering
+  async getUsers(filters: UserFilters = {}): Promise<UserListResponse> {
+    const response = await api.get<ApiResponse<UserListResponse>>('/users', { params: filters })
+    return response.data.data!
+  },
+
+  // Get user with the number of articles they wrote
+  async getUser(id: number): Promise<UserDetail> {
+    const response = await api.get<ApiResponse<UserDetail>>(`/users/${id}`)
+    return response.data.data!
+  },
+
+  // Create new user
+  async createUser(userData: UserFormData): Promise<User> {
+    const response = await api.post<ApiResponse<User>>('/users', userData)
+    return response.data.data!
+  },
+
+  // Update username, email and role
+  async updateUser(id: number, userData: Partial<Omit<UserFormData, 'password'>>): Promise<User> {
+    const response = await api.put<ApiResponse<User>>(`/users/${id}`, userData)
+    return response.data.data!
+  },
+
+  async disableUser(id: number): Promise<User> {
+    const response = await api.post<ApiResponse<User>>(`/users/${id}/disable`)
+    return response.data.data!
+  },
+
+  async enableUser(id: number): Promise<User> {
+    const response = await api.post<ApiResponse<User>>(`/users/${id}/enable`)
+    return response.data.data!
+  },
+
+  // Force a password change at next sign-in, optionally setting a temporary password
+  async resetPassword(id: number, temporaryPassword?: string): Promise<User> {
+    const response = await api.post<ApiResponse<User>>(`/users/${id}/reset-password`, {
+      temporary_password: temporaryPassword || undefined
+    })
+    return response.data.data!
+  },
+
+  // Turn off a user's two-factor authentication, e.g. after they lost their authenticator
+  async disableTwoFactor(id: number): Promise<User> {
+    const response = await api.post<ApiResponse<User>>(`/users/${id}/disable-2fa`)
+    return response.data.data!
+  },
+
+  // Roles that must use two-factor authentication
+  async getTwoFactorPolicy(): Promise<TwoFactorPolicy> {
+    const response = await api.get<ApiResponse<TwoFactorPolicy>>('/users/2fa-policy')
+    return response.data.data!
+  },
+
+  async updateTwoFactorPolicy(requiredRoles: Role[]): Promise<TwoFactorPolicy> {
+    const response = await api.put<ApiResponse<TwoFactorPolicy>>('/users/2fa-policy', {
+      required_roles: requiredRoles
+    })
+    return response.data.data!
+  },
+
+  // Delete user; their articles go to reassignTo, which is required if they wrote any
+  async deleteUser(id: number, reassignTo?: number): Promise<{ reassigned_articles: number }> {
+    const response = await api.delete<ApiResponse<{ reassigned_articles: number }>>(`/users/${id}`, {
+      params: { reassign_to: reassignTo }
+    })
+    return response.data.data!
+  }
+}
@@ -144,6 +144,33 @@ describe('Auth Store', () => {
     })
   })
 
+  describe('two-factor sign-in', () => {
+    const challenge = { mfa_required: true, enrollment_required: false, mfa_token: 'mfa-token' }
+
+    it('waits for the second factor before signing in', async () => {
+      authService.login = vi.fn().mockResolvedValue(challenge)
+
+      await authStore.login({ username: 'testuser', password: 'password123' })
+
+      expect(authStore.isAuthenticated).toBe(false)
+      expect(authStore.mfaChallenge).toEqual(challenge)
+    })
+
+    it('signs in once the code is verified', async () => {
+      const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', role: 'admin' }
+      authService.login = vi.fn().mockResolvedValue(challenge)
+      authService.verifyMfa = vi.fn().mockResolvedValue({ user: mockUser })
+
+      await authStore.login({ username: 'testuser', password: 'password123' })
+      await authStore.verifyMfa({ code: '123456' })
+
+      expect(authService.verifyMfa).toHaveBeenCalledWith('mfa-token', { code: '123456' })
+      expect(authStore.isAuthenticated).toBe(true)
+      expect(authStore.user).toEqual(mockUser)
+      expect(authStore.mfaChallenge).toBe(null)
+    })
+  })
+
   describe('logout', () => {
     it('successfully logs out user', async () => {
       // Set initial authenticated state
@@ -187,6 +214,36 @@ describe('Auth Store', () => {
     })
   })
 
+  describe('permissions', () => {
+    const setRole = (role: string) => {
+      authStore.user = { id: 1, username: 'testuser', email: 'test@example.com', role } as any
+    }
+
+    it('grants nothing without a user', () => {
+      expect(authStore.can('articles.read')).toBe(false)
+    })
+
+    it('checks the role against the permission matrix', () => {
+      setRole('viewer')
+      expect(authStore.can('analytics.read')).toBe(true)
+      expect(authStore.can('articles.create')).toBe(false)
+
+      setRole('editor')
+      expect(authStore.can('articles.publish')).toBe(true)
+      expect(authStore.can('users.manage')).toBe(false)
+    })
+
+    it('limits authors to their own articles', () => {
+      setRole('author')
+
+      expect(authStore.canModifyArticle({ author: { id: 1 } } as any)).toBe(true)
+      expect(authStore.canModifyArticle({ author: { id: 2 } } as any, 'delete')).toBe(false)
+
+      setRole('editor')
+      expect(authStore.canModifyArticle({ author: { id: 2 } } as any, 'delete')).toBe(true)
+    })
+  })
+
   describe('token getter', () => {
     it('returns token from auth service', () => {
       const mockToken = 'mock-token'
@@ -1,13 +1,17 @@
 import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import { authService } from '@/services/auth'
-import type { User, LoginCredentials } from '@/types'
+import { hasPermission } from '@/config/permissions'
+import type { Permission } from '@/config/permissions'
+import type { Article, User, LoginCredentials, MfaChallenge, MfaCode, AuthResponse } from '@/types'
 
 export const useAuthStore = defineStore('auth', () => {
   const isAuthenticated = ref(false)
   const user = ref<User | null>(null)
   const loading = ref(false)
   const error = ref<string | null>(null)
+  // Set while a sign-in waits for its second factor
+  const mfaChallenge = ref<MfaChallenge | null>(null)
 
   // Initialize auth state from localStorage and verify token
   const initAuth = async () => {
@@ -33,14 +37,23 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  const completeLogin = (authData: Pick<AuthResponse, 'user'>) => {
+    user.value = authData.user
+    isAuthenticated.value = true
+    mfaChallenge.value = null
+  }
+
   const login = async (credentials: LoginCredentials) => {
     loading.value = true
     error.value = null
     
     try {
       const authData = await authService.login(credentials)
-      user.value = authData.user
-      isAuthenticated.value = true
+      if ('mfa_required' in authData) {
+        mfaChallenge.value = authData
+      } else {
+        completeLogin(authData)
+      }
       return authData
     } catch (err: any) {
       error.value = err.message || 'Login failed'
@@ -50,6 +63,57 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  // Finish a sign-in that needs a second factor
+  const verifyMfa = async (mfaCode: MfaCode) => {
+    if (!mfaChallenge.value) throw new Error('No sign-in in progress')
+
+    loading.value = true
+    error.value = null
+
+    try {
+      const authData = await authService.verifyMfa(mfaChallenge.value.mfa_token, mfaCode)
+      completeLogin(authData)
+      return authData
+    } catch (err: any) {
+      error.value = err.message || 'Verification failed'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // Set up two-factor authentication in the middle of signing in, when the
+  // user's role requires it. Returns the QR code to scan.
+  const startEnrollment = async () => {
+    if (!mfaChallenge.value) throw new Error('No sign-in in progress')
+    return authService.setupTwoFactor(mfaChallenge.value.mfa_token)
+  }
+
+  // Confirm the enrollment, which also signs in. Returns the recovery codes.
+  const completeEnrollment = async (code: string) => {
+    if (!mfaChallenge.value) throw new Error('No sign-in in progress')
+
+    loading.value = true
+    error.value = null
+
+    try {
+      const activation = await authService.enableTwoFactor(code, mfaChallenge.value.mfa_token)
+      completeLogin(activation)
+      return activation.recovery_codes
+    } catch (err: any) {
+      error.value = err.message || 'Two-factor setup failed'
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  // Give up on the second step and start over with the password
+  const cancelMfa = () => {
+    mfaChallenge.value = null
+    error.value = null
+  }
+
   const logout = async () => {
     loading.value = true
     error.value = null
@@ -61,6 +125,7 @@ export const useAuthStore = defineStore('auth', () => {
     } finally {
       user.value = null
       isAuthenticated.value = false
+      mfaChallenge.value = null
       loading.value = false
     }
   }
@@ -69,6 +134,15 @@ export const useAuthStore = defineStore('auth', () => {
     error.value = null
   }
 
+  // Whether the current user's role grants a permission
+  const can = (permission: Permission) => hasPermission(user.value?.role, permission)
+
+  // Authors may only update or delete their own articles; editors and admins any
+  const canModifyArticle = (article: Pick<Article, 'author'>, action: 'update' | 'delete' = 'update') => {
+    if (!can(`articles.${action}`)) return false
+    return can(`articles.${action}.any`) || article.author?.id === user.value?.id
+  }
+
   // Computed getter for token
   const token = () => authService.getToken()
 
@@ -87,10 +161,17 @@ export const useAuthStore = defineStore('auth', () => {
     user,
     loading,
     error,
+    mfaChallenge,
     initAuth,
     login,
+    verifyMfa,
+    startEnrollment,
+    completeEnrollment,
+    cancelMfa,
     logout,
     clearError,
+    can,
+    canModifyArticle,
     token
   }
 })
\ No newline at end of file
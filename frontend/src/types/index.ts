@@ -5,6 +5,9 @@ export interface User {
   username: string;
   email: string;
   role: string;
+  disabled_at?: string | null;
+  password_reset_required?: boolean;
+  two_factor_enabled?: boolean;
   created_at: string;
   updated_at: string;
 }
@@ -14,25 +17,242 @@ export interface Category {
   name: string;
   description?: string;
   slug: string;
+  parent_id?: number | null;
   created_at: string;
   updated_at: string;
+  // Set while the category is in the trash
+  deleted_at?: string | null;
 }
 
+// Category with its subcategories, from /categories/tree
+export interface CategoryTreeNode extends Category {
+  children: CategoryTreeNode[];
+}
+
+export interface Tag {
+  id: number;
+  name: string;
+  slug: string;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Tag with the number of articles using it, from /tags/stats
+export interface TagStats extends Tag {
+  article_count: number;
+  published_count: number;
+}
+
+export type ArticleStatus = 'draft' | 'scheduled' | 'published' | 'archived';
+
+export type ContentFormat = 'html' | 'markdown';
+
 export interface Article {
   id: number;
   title: string;
   slug: string;
   content: string;
+  content_format: ContentFormat;
+  // Markdown rendered to HTML by the server; null for HTML articles
+  content_html?: string | null;
   excerpt?: string;
   thumbnail_url?: string;
   category: Category;
+  tags?: Tag[];
   author: User;
-  status: 'draft' | 'published' | 'archived';
+  status: ArticleStatus;
   view_count: number;
   like_count: number;
   published_at: string | null;
+  // When a scheduled article will be published; null for other statuses
+  publish_at?: string | null;
   created_at: string;
   updated_at: string;
+  search?: ArticleSearchMatch;
+  // Present on articles returned by a save: what the server's sanitizer removed from the content
+  content_warnings?: string[];
+  // SEO overrides; null falls back to the title, excerpt, article URL and thumbnail
+  meta_title?: string | null;
+  meta_description?: string | null;
+  canonical_url?: string | null;
+  og_image?: string | null;
+  noindex?: boolean;
+  // Set while the article is in the trash
+  deleted_at?: string | null;
+}
+
+// An article or category in the trash, with when the retention job will delete it for
+// good (null when the trash is kept until emptied by hand)
+export type Trashed<T> = T & {
+  deleted_at: string;
+  purge_at: string | null;
+}
+
+// Shareable link for reading an unpublished article; anyone holding the URL can open it
+export interface ArticlePreviewLink {
+  id: number;
+  article_id: number;
+  token: string;
+  url: string;
+  expires_at: string;
+  revoked_at: string | null;
+  last_viewed_at: string | null;
+  created_by: number | null;
+  creator: Pick<User, 'id' | 'username'> | null;
+  created_at: string;
+}
+
+// Article as the public API returns it
+export interface PublicArticle {
+  id: number;
+  title: string;
+  slug: string;
+  content: string;
+  excerpt?: string | null;
+  thumbnail_url?: string | null;
+  category_id: number;
+  category_name: string | null;
+  category_slug: string | null;
+  tags: Tag[];
+  author_username: string | null;
+  status: ArticleStatus;
+  view_count: number;
+  like_count: number;
+  published_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// An article opened through a preview link
+export interface ArticlePreview {
+  article: PublicArticle;
+  preview: {
+    expires_at: string;
+  };
+}
+
+// One resized copy of an uploaded image
+export interface ImageVariant {
+  width: number;
+  height: number;
+  url: string;
+  mime: string;
+  size: number;
+}
+
+// An image with its resized variants, from an upload or the media library
+export interface ProcessedImage {
+  url: string;
+  width: number | null;
+  height: number | null;
+  variants: ImageVariant[];
+  // srcset attribute values keyed by mime type
+  srcset: Record<string, string>;
+}
+
+// Upload response: the processed original plus its resized variants
+export interface UploadedImage extends ProcessedImage {
+  // Media library id
+  id: number;
+  filename: string;
+  originalName: string;
+  size: number;
+  mimetype: string;
+  width: number;
+  height: number;
+  blurhash: string;
+}
+
+// Article that shows a media item as its thumbnail or in its content
+export interface MediaArticle {
+  id: number;
+  title: string;
+  slug: string;
+  status: ArticleStatus;
+}
+
+export interface MediaItem extends ProcessedImage {
+  id: number;
+  filename: string;
+  original_name: string | null;
+  mime_type: string;
+  size: number;
+  blurhash: string | null;
+  alt_text: string;
+  uploaded_by: number | null;
+  uploader: Pick<User, 'id' | 'username'> | null;
+  created_at: string;
+  updated_at: string;
+  articles: MediaArticle[];
+}
+
+export interface OrphanedUpload {
+  filename: string;
+  size: number;
+  modified_at: string;
+}
+
+// Result of scanning the uploads folder for files no article references
+export interface UploadCleanupReport {
+  dry_run: boolean;
+  grace_hours: number;
+  quarantine_hours: number;
+  orphans: OrphanedUpload[];
+  orphan_bytes: number;
+  quarantined: number;
+  restored: string[];
+  purged: number;
+}
+
+// Present on articles returned by a full-text search; title and snippet
+// are escaped HTML with matches wrapped in <mark>
+export interface ArticleSearchMatch {
+  rank: number;
+  title: string;
+  snippet: string;
+}
+
+// Snapshot of an article saved by each content update. List responses omit content.
+export interface ArticleRevision {
+  id: number;
+  article_id: number;
+  revision_number: number;
+  title: string;
+  content?: string;
+  content_format: ContentFormat;
+  excerpt: string | null;
+  thumbnail_url: string | null;
+  category_id: number | null;
+  author_id: number | null;
+  author: Pick<User, 'id' | 'username'> | null;
+  created_at: string;
+}
+
+export interface TextChange {
+  type: 'equal' | 'insert' | 'delete';
+  value: string;
+}
+
+// Comparison of one field between a revision and the current article.
+// html marks the changes with <ins>/<del> and is only present for changed text fields.
+export interface RevisionFieldDiff<T = string | number | null> {
+  revision: T;
+  current: T;
+  changed: boolean;
+  html?: string;
+  changes?: TextChange[];
+}
+
+export interface ArticleRevisionDiff {
+  changed: Array<'title' | 'content' | 'content_format' | 'excerpt' | 'thumbnail_url' | 'category_id'>;
+  fields: {
+    title: RevisionFieldDiff<string>;
+    content: RevisionFieldDiff<string>;
+    content_format: RevisionFieldDiff<ContentFormat>;
+    excerpt: RevisionFieldDiff<string | null>;
+    thumbnail_url: RevisionFieldDiff<string | null>;
+    category_id: RevisionFieldDiff<number | null>;
+  };
 }
 
 export interface DashboardMetrics {
@@ -71,4 +291,33 @@ export interface AuthResponse {
     token_type: string;
     expires_in: string;
   };
+  recovery_codes_remaining?: number;
+}
+
+// Returned by login instead of tokens when a second factor is needed.
+// enrollment_required means two-factor authentication has to be set up first.
+export interface MfaChallenge {
+  mfa_required: true;
+  enrollment_required: boolean;
+  mfa_token: string;
+}
+
+export type LoginResult = AuthResponse | MfaChallenge;
+
+// Either a code from the authenticator app or a recovery code
+export interface MfaCode {
+  code?: string;
+  recoveryCode?: string;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauth_url: string;
+  qr_code: string;
+}
+
+export interface TwoFactorActivation {
+  user: User;
+  recovery_codes: string[];
+  tokens?: AuthResponse['tokens'];
 }
\ No newline at end of file
@@ -1,9 +1,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { mount, shallowMount } from '@vue/test-utils'
 import { ElMessage, ElMessageBox } from 'element-plus'
+import { createPinia, setActivePinia } from 'pinia'
 import Articles from '../Articles.vue'
 import { articleService } from '@/services/articles'
 import { categoryService } from '@/services/categories'
+import { useAuthStore } from '@/stores/auth'
 import type { Article, Category } from '@/types'
 
 // Mock the services
@@ -18,6 +20,7 @@ vi.mock('element-plus', async () => {
     ElMessage: {
       success: vi.fn(),
       error: vi.fn(),
+      warning: vi.fn(),
     },
     ElMessageBox: {
       confirm: vi.fn(),
@@ -116,9 +119,15 @@ const mockCategoryListResponse = {
   offset: 0,
 }
 
+const setRole = (role: string) => {
+  useAuthStore().user = { id: 1, username: 'testuser', email: 'test@example.com', role, created_at: '', updated_at: '' }
+}
+
 describe('Articles.vue', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    setActivePinia(createPinia())
+    setRole('admin')
     vi.mocked(articleService.getArticles).mockResolvedValue(mockArticleListResponse)
     vi.mocked(categoryService.getCategories).mockResolvedValue(mockCategoryListResponse)
   })
@@ -136,6 +145,28 @@ describe('Articles.vue', () => {
     expect(wrapper.find('.articles-table').exists()).toBe(true)
   })
 
+  it('shows the create button to roles that can write articles', () => {
+    const wrapper = shallowMount(Articles, {
+      global: {
+        stubs: globalStubs
+      }
+    })
+
+    expect(wrapper.find('.header-actions el-button-stub').exists()).toBe(true)
+  })
+
+  it('hides the create button from viewers', () => {
+    setRole('viewer')
+
+    const wrapper = shallowMount(Articles, {
+      global: {
+        stubs: globalStubs
+      }
+    })
+
+    expect(wrapper.find('.header-actions el-button-stub').exists()).toBe(false)
+  })
+
   it('loads articles and categories on mount', async () => {
     shallowMount(Articles, {
       global: {
@@ -262,17 +293,22 @@ describe('Articles.vue', () => {
     await wrapper.vm.deleteArticle(mockArticles[0])
     
     expect(ElMessageBox.confirm).toHaveBeenCalledWith(
-      'Are you sure you want to delete "Test Article 1"? This action cannot be undone.',
-      'Confirm Delete',
-      { type: 'error' }
+      'Move "Test Article 1" to the trash? You can restore it from the Trash page.',
+      'Move to Trash',
+      { type: 'warning' }
     )
     expect(articleService.deleteArticle).toHaveBeenCalledWith(1)
-    expect(ElMessage.success).toHaveBeenCalledWith('Article deleted successfully')
+    expect(ElMessage.success).toHaveBeenCalledWith('Article moved to trash')
   })
 
   it('handles bulk status update', async () => {
     vi.mocked(ElMessageBox.confirm).mockResolvedValue('confirm')
-    vi.mocked(articleService.bulkUpdateStatus).mockResolvedValue()
+    vi.mocked(articleService.bulkUpdateStatus).mockResolvedValue({
+      action: 'publish',
+      results: [{ id: 1, success: true }, { id: 2, success: true }],
+      succeeded: 2,
+      failed: 0
+    })
     
     const wrapper = shallowMount(Articles, {
       global: {
@@ -300,7 +336,12 @@ describe('Articles.vue', () => {
 
   it('handles bulk delete', async () => {
     vi.mocked(ElMessageBox.confirm).mockResolvedValue('confirm')
-    vi.mocked(articleService.bulkDelete).mockResolvedValue()
+    vi.mocked(articleService.bulkDelete).mockResolvedValue({
+      action: 'delete',
+      results: [{ id: 1, success: true }, { id: 2, success: true }],
+      succeeded: 2,
+      failed: 0
+    })
     
     const wrapper = shallowMount(Articles, {
       global: {
@@ -318,12 +359,41 @@ describe('Articles.vue', () => {
     await wrapper.vm.bulkDelete()
     
     expect(ElMessageBox.confirm).toHaveBeenCalledWith(
-      'Are you sure you want to delete 2 article(s)? This action cannot be undone.',
-      'Confirm Bulk Delete',
-      { type: 'error' }
+      'Move 2 article(s) to the trash? You can restore them from the Trash page.',
+      'Move to Trash',
+      { type: 'warning' }
     )
     expect(articleService.bulkDelete).toHaveBeenCalledWith([1, 2])
-    expect(ElMessage.success).toHaveBeenCalledWith('Successfully deleted 2 article(s)')
+    expect(ElMessage.success).toHaveBeenCalledWith('Successfully trashed 2 article(s)')
+  })
+
+  it('reports articles a bulk action could not change', async () => {
+    vi.mocked(ElMessageBox.confirm).mockResolvedValue('confirm')
+    vi.mocked(articleService.bulkMoveCategory).mockResolvedValue({
+      action: 'move-category',
+      results: [
+        { id: 1, success: true },
+        { id: 2, success: false, error: { code: 'ACCESS_DENIED', message: 'You can only modify your own articles' } }
+      ],
+      succeeded: 1,
+      failed: 1
+    })
+
+    const wrapper = shallowMount(Articles, {
+      global: {
+        stubs: globalStubs
+      }
+    })
+
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    wrapper.vm.selectedArticles = [mockArticles[0], mockArticles[1]]
+    await wrapper.vm.bulkMoveCategory(1)
+
+    expect(articleService.bulkMoveCategory).toHaveBeenCalledWith([1, 2], 1)
+    expect(ElMessage.warning).toHaveBeenCalledWith(
+      expect.objectContaining({ message: '1 article(s) moved, 1 failed: You can only modify your own articles' })
+    )
   })
 
   it('opens article preview dialog', async () => {
@@ -1,169 +1,143 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { mount } from '@vue/test-utils'
-import { ElTable, ElButton, ElInput, ElMessageBox } from 'element-plus'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus, { ElTree } from 'element-plus'
 import Categories from '../Categories.vue'
 import CategoryForm from '@/components/CategoryForm.vue'
 import { categoryService } from '@/services/categories'
-import type { Category } from '@/types'
+import { confirmTrash, notificationService } from '@/services/notifications'
+import type { CategoryTreeNode } from '@/types'
 
 // Mock the category service
 vi.mock('@/services/categories', () => ({
   categoryService: {
-    getCategories: vi.fn(),
+    getCategoryTree: vi.fn(),
+    updateCategory: vi.fn(),
     deleteCategory: vi.fn()
   }
 }))
 
-// Mock Element Plus components
-vi.mock('element-plus', async () => {
-  const actual = await vi.importActual('element-plus')
-  return {
-    ...actual,
-    ElMessage: {
-      success: vi.fn(),
-      error: vi.fn()
-    },
-    ElMessageBox: {
-      confirm: vi.fn()
-    }
+vi.mock('@/services/notifications', () => ({
+  confirmTrash: vi.fn(),
+  notificationService: {
+    success: vi.fn(),
+    error: vi.fn()
   }
-})
+}))
+
+// Keep the dialog out of the way; only its props matter here
+vi.mock('@/components/CategoryForm.vue', () => ({
+  default: {
+    name: 'CategoryForm',
+    template: '<div class="mock-category-form"></div>',
+    props: ['visible', 'category'],
+    emits: ['close', 'success']
+  }
+}))
 
-const mockCategories: Category[] = [
+const mockTree: CategoryTreeNode[] = [
   {
     id: 1,
-    name: 'Technology',
-    description: 'Tech related articles',
-    slug: 'technology',
+    name: 'Machine Learning',
+    description: 'ML articles',
+    slug: 'machine-learning',
+    parent_id: null,
     created_at: '2024-01-01T00:00:00Z',
-    updated_at: '2024-01-01T00:00:00Z'
-  },
-  {
-    id: 2,
-    name: 'Science',
-    description: 'Science articles',
-    slug: 'science',
-    created_at: '2024-01-02T00:00:00Z',
-    updated_at: '2024-01-02T00:00:00Z'
+    updated_at: '2024-01-01T00:00:00Z',
+    children: [
+      {
+        id: 2,
+        name: 'Reinforcement Learning',
+        slug: 'reinforcement-learning',
+        parent_id: 1,
+        created_at: '2024-01-02T00:00:00Z',
+        updated_at: '2024-01-02T00:00:00Z',
+        children: []
+      }
+    ]
   },
   {
     id: 3,
     name: 'AI News',
-    description: null,
     slug: 'ai-news',
+    parent_id: null,
     created_at: '2024-01-03T00:00:00Z',
-    updated_at: '2024-01-03T00:00:00Z'
+    updated_at: '2024-01-03T00:00:00Z',
+    children: []
   }
 ]
 
+const mountCategories = () => mount(Categories, {
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
 describe('Categories', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    vi.mocked(categoryService.getCategories).mockResolvedValue({
-      categories: mockCategories,
-      total: mockCategories.length,
-      limit: null,
-      offset: 0
-    })
+    vi.mocked(categoryService.getCategoryTree).mockResolvedValue(mockTree)
   })
 
   it('renders page header correctly', () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+    const wrapper = mountCategories()
 
     expect(wrapper.find('h1').text()).toBe('Category Management')
     expect(wrapper.find('.header-content p').text()).toBe('Manage article categories and types')
     expect(wrapper.find('.el-button--primary').text()).toContain('Create Category')
   })
 
-  it('loads categories on mount', async () => {
-    mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
-
-    expect(categoryService.getCategories).toHaveBeenCalledWith({
-      orderBy: 'name',
-      orderDir: 'ASC'
-    })
-  })
-
-  it('displays categories in table', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+  it('loads and renders the category tree', async () => {
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    // Wait for categories to load
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(categoryService.getCategoryTree).toHaveBeenCalled()
+    expect(wrapper.findComponent(ElTree).props('draggable')).toBe(true)
 
-    const table = wrapper.findComponent(ElTable)
-    expect(table.props('data')).toEqual(mockCategories)
+    const names = wrapper.findAll('.tree-node strong').map(node => node.text())
+    expect(names).toEqual(['Machine Learning', 'Reinforcement Learning', 'AI News'])
   })
 
   it('filters categories based on search query', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+    const wrapper = mountCategories()
+    await flushPromises()
+
+    await wrapper.find('input[placeholder="Search categories..."]').setValue('reinforcement')
+    await flushPromises()
+
+    // Matches stay visible together with their ancestors
+    const tree = wrapper.findComponent(ElTree).vm
+    expect(tree.getNode(2).visible).toBe(true)
+    expect(tree.getNode(1).visible).toBe(true)
+    expect(tree.getNode(3).visible).toBe(false)
+    expect(wrapper.find('.empty-state').exists()).toBe(false)
+  })
 
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+  it('shows empty state when no categories exist', async () => {
+    vi.mocked(categoryService.getCategoryTree).mockResolvedValue([])
 
-    // Enter search query
-    const searchInput = wrapper.find('input[placeholder="Search categories..."]')
-    await searchInput.setValue('tech')
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    await wrapper.vm.$nextTick()
+    expect(wrapper.find('.empty-state').exists()).toBe(true)
+    expect(wrapper.find('.empty-state h3').text()).toBe('No categories found')
+  })
+
+  it('shows empty state for search with no results', async () => {
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    // Should filter to only Technology category
-    const table = wrapper.findComponent(ElTable)
-    const filteredData = table.props('data')
-    expect(filteredData).toHaveLength(1)
-    expect(filteredData[0].name).toBe('Technology')
+    await wrapper.find('input[placeholder="Search categories..."]').setValue('nonexistent')
+    await flushPromises()
+
+    expect(wrapper.find('.empty-state').exists()).toBe(true)
+    expect(wrapper.find('.empty-state p').text()).toContain('No categories match your search criteria')
   })
 
   it('opens create form when create button is clicked', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    const createButton = wrapper.find('.header-actions .el-button--primary')
-    await createButton.trigger('click')
+    await wrapper.find('.header-actions .el-button--primary').trigger('click')
 
     const categoryForm = wrapper.findComponent(CategoryForm)
     expect(categoryForm.props('visible')).toBe(true)
@@ -171,233 +145,139 @@ describe('Categories', () => {
   })
 
   it('opens edit form when edit button is clicked', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
-
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    // Find and click edit button (assuming it's rendered in table)
-    const editButtons = wrapper.findAll('.action-buttons .el-button--primary')
-    if (editButtons.length > 0) {
-      await editButtons[0].trigger('click')
+    await wrapper.findAll('.action-buttons .el-button--primary')[1].trigger('click')
 
-      const categoryForm = wrapper.findComponent(CategoryForm)
-      expect(categoryForm.props('visible')).toBe(true)
-      expect(categoryForm.props('category')).toEqual(mockCategories[0])
-    }
+    const categoryForm = wrapper.findComponent(CategoryForm)
+    expect(categoryForm.props('visible')).toBe(true)
+    expect(categoryForm.props('category')).toMatchObject({ id: 2, name: 'Reinforcement Learning' })
   })
 
-  it('handles delete confirmation and deletion', async () => {
-    vi.mocked(ElMessageBox.confirm).mockResolvedValue('confirm')
-    vi.mocked(categoryService.deleteCategory).mockResolvedValue(undefined)
+  it('nests a category when dropped onto another', async () => {
+    vi.mocked(categoryService.updateCategory).mockResolvedValue({} as any)
 
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
+    const wrapper = mountCategories()
+    await flushPromises()
+
+    wrapper.findComponent(ElTree).vm.$emit('node-drop', { data: mockTree[1] }, { data: mockTree[0] }, 'inner')
+    await flushPromises()
+
+    expect(categoryService.updateCategory).toHaveBeenCalledWith(3, {
+      name: 'AI News',
+      description: undefined,
+      slug: 'ai-news',
+      parent_id: 1
     })
+    expect(notificationService.success).toHaveBeenCalledWith('Category moved successfully')
+    expect(categoryService.getCategoryTree).toHaveBeenCalledTimes(2)
+  })
 
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+  it('moves a category to the top level when dropped next to a root category', async () => {
+    vi.mocked(categoryService.updateCategory).mockResolvedValue({} as any)
 
-    // Simulate delete button click
-    const deleteButtons = wrapper.findAll('.action-buttons .el-button--danger')
-    if (deleteButtons.length > 0) {
-      await deleteButtons[0].trigger('click')
+    const wrapper = mountCategories()
+    await flushPromises()
 
-      expect(ElMessageBox.confirm).toHaveBeenCalledWith(
-        expect.stringContaining('Are you sure you want to delete the category "Technology"?'),
-        'Confirm Delete',
-        expect.any(Object)
-      )
+    const child = mockTree[0].children[0]
+    wrapper.findComponent(ElTree).vm.$emit('node-drop', { data: child }, { data: mockTree[1] }, 'after')
+    await flushPromises()
 
-      await wrapper.vm.$nextTick()
-      expect(categoryService.deleteCategory).toHaveBeenCalledWith(1)
-    }
+    expect(categoryService.updateCategory).toHaveBeenCalledWith(2, expect.objectContaining({ parent_id: null }))
   })
 
-  it('handles delete cancellation', async () => {
-    vi.mocked(ElMessageBox.confirm).mockRejectedValue('cancel')
-
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+  it('reloads the tree when a move is rejected', async () => {
+    vi.mocked(categoryService.updateCategory).mockRejectedValue(
+      new Error('Category cannot be nested under itself or one of its descendants')
+    )
 
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    // Simulate delete button click
-    const deleteButtons = wrapper.findAll('.action-buttons .el-button--danger')
-    if (deleteButtons.length > 0) {
-      await deleteButtons[0].trigger('click')
+    wrapper.findComponent(ElTree).vm.$emit('node-drop', { data: mockTree[1] }, { data: mockTree[0] }, 'inner')
+    await flushPromises()
 
-      await wrapper.vm.$nextTick()
-      expect(categoryService.deleteCategory).not.toHaveBeenCalled()
-    }
+    expect(notificationService.error).toHaveBeenCalledWith('Category cannot be nested under itself or one of its descendants')
+    expect(categoryService.getCategoryTree).toHaveBeenCalledTimes(2)
   })
 
-  it('shows empty state when no categories exist', async () => {
-    vi.mocked(categoryService.getCategories).mockResolvedValue({
-      categories: [],
-      total: 0,
-      limit: null,
-      offset: 0
-    })
+  it('handles delete confirmation and deletion', async () => {
+    vi.mocked(confirmTrash).mockResolvedValue(true)
+    vi.mocked(categoryService.deleteCategory).mockResolvedValue(undefined)
 
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    await wrapper.findAll('.action-buttons .el-button--danger')[2].trigger('click')
+    await flushPromises()
 
-    expect(wrapper.find('.empty-state').exists()).toBe(true)
-    expect(wrapper.find('.empty-content h3').text()).toBe('No categories found')
+    expect(confirmTrash).toHaveBeenCalledWith('AI News')
+    expect(categoryService.deleteCategory).toHaveBeenCalledWith(3)
   })
 
-  it('shows empty state for search with no results', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+  it('reports categories that still have subcategories', async () => {
+    vi.mocked(confirmTrash).mockResolvedValue(true)
+    vi.mocked(categoryService.deleteCategory).mockRejectedValue(new Error('Cannot delete category with subcategories'))
 
-    await wrapper.vm.$nextTick()
-    await new Promise(resolve => setTimeout(resolve, 0))
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    // Search for non-existent category
-    const searchInput = wrapper.find('input[placeholder="Search categories..."]')
-    await searchInput.setValue('nonexistent')
+    await wrapper.findAll('.action-buttons .el-button--danger')[0].trigger('click')
+    await flushPromises()
 
-    await wrapper.vm.$nextTick()
+    expect(notificationService.error).toHaveBeenCalledWith('Cannot delete category that has subcategories')
+  })
 
-    expect(wrapper.find('.empty-state').exists()).toBe(true)
-    expect(wrapper.find('.empty-content p').text()).toContain('No categories match your search criteria')
+  it('handles delete cancellation', async () => {
+    vi.mocked(confirmTrash).mockResolvedValue(false)
+
+    const wrapper = mountCategories()
+    await flushPromises()
+
+    await wrapper.findAll('.action-buttons .el-button--danger')[0].trigger('click')
+    await flushPromises()
+
+    expect(categoryService.deleteCategory).not.toHaveBeenCalled()
   })
 
   it('refreshes categories when refresh button is clicked', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
-
-    // Clear initial call
-    vi.clearAllMocks()
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    const refreshButton = wrapper.find('.toolbar-right .el-button')
-    await refreshButton.trigger('click')
+    await wrapper.find('.toolbar-right .el-button').trigger('click')
+    await flushPromises()
 
-    expect(categoryService.getCategories).toHaveBeenCalledWith({
-      orderBy: 'name',
-      orderDir: 'ASC'
-    })
+    expect(categoryService.getCategoryTree).toHaveBeenCalledTimes(2)
   })
 
   it('closes form when form emits close event', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
-
-    // Open form first
-    const createButton = wrapper.find('.header-actions .el-button--primary')
-    await createButton.trigger('click')
+    const wrapper = mountCategories()
+    await flushPromises()
 
+    await wrapper.find('.header-actions .el-button--primary').trigger('click')
     expect(wrapper.findComponent(CategoryForm).props('visible')).toBe(true)
 
-    // Emit close event
-    const categoryForm = wrapper.findComponent(CategoryForm)
-    await categoryForm.vm.$emit('close')
+    await wrapper.findComponent(CategoryForm).vm.$emit('close')
 
     expect(wrapper.findComponent(CategoryForm).props('visible')).toBe(false)
   })
 
   it('reloads categories when form emits success event', async () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
-
-    // Clear initial call
-    vi.clearAllMocks()
-
-    // Open form and emit success
-    const createButton = wrapper.find('.header-actions .el-button--primary')
-    await createButton.trigger('click')
+    const wrapper = mountCategories()
+    await flushPromises()
 
-    const categoryForm = wrapper.findComponent(CategoryForm)
-    await categoryForm.vm.$emit('success', mockCategories[0])
+    await wrapper.find('.header-actions .el-button--primary').trigger('click')
+    await wrapper.findComponent(CategoryForm).vm.$emit('success', mockTree[0])
+    await flushPromises()
 
-    expect(categoryService.getCategories).toHaveBeenCalledWith({
-      orderBy: 'name',
-      orderDir: 'ASC'
-    })
+    expect(categoryService.getCategoryTree).toHaveBeenCalledTimes(2)
   })
 
   it('formats dates correctly', () => {
-    const wrapper = mount(Categories, {
-      global: {
-        components: {
-          ElTable,
-          ElButton,
-          ElInput,
-          CategoryForm
-        }
-      }
-    })
+    const wrapper = mountCategories()
 
-    const formattedDate = wrapper.vm.formatDate('2024-01-01T00:00:00Z')
+    const formattedDate = (wrapper.vm as any).formatDate('2024-01-01T00:00:00Z')
     expect(formattedDate).toMatch(/Jan 1, 2024/)
   })
-})
\ No newline at end of file
+})
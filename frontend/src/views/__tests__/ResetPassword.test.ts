@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import ElementPlus from 'element-plus'
+import ResetPassword from '../ResetPassword.vue'
+import { authService } from '@/services/auth'
+import { notificationService } from '@/services/notifications'
+
+const mockPush = vi.fn()
+const mockRoute = {
+  query: {} as Record<string, string>
+}
+
+vi.mock('vue-router', () => ({
+  useRouter: () => ({
+    push: mockPush
+  }),
+  useRoute: () => mockRoute
+}))
+
+vi.mock('@/services/auth', () => ({
+  authService: {
+    resetPassword: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  notificationService: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+const mountResetPassword = () => mount(ResetPassword, {
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
+describe('ResetPassword', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockRoute.query = { token: 'reset-token' }
+  })
+
+  it('explains when the link has no token', () => {
+    mockRoute.query = {}
+    const wrapper = mountResetPassword()
+
+    expect(wrapper.find('[data-testid="missing-token"]').exists()).toBe(true)
+    expect(wrapper.find('[data-testid="reset-button"]').exists()).toBe(false)
+  })
+
+  it('resets the password and returns to sign in', async () => {
+    vi.mocked(authService.resetPassword).mockResolvedValue()
+    const wrapper = mountResetPassword()
+
+    await wrapper.find('[data-testid="new-password-input"]').setValue('NewPassword123')
+    await wrapper.find('[data-testid="confirm-password-input"]').setValue('NewPassword123')
+    await wrapper.find('[data-testid="reset-button"]').trigger('click')
+    await flushPromises()
+
+    expect(authService.resetPassword).toHaveBeenCalledWith('reset-token', 'NewPassword123')
+    expect(notificationService.success).toHaveBeenCalled()
+    expect(mockPush).toHaveBeenCalledWith('/login')
+  })
+})
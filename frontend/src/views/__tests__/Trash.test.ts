@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ElementPlus from 'element-plus'
+import Trash from '../Trash.vue'
+import { articleService } from '@/services/articles'
+import { categoryService } from '@/services/categories'
+import { notificationService, confirmDelete } from '@/services/notifications'
+import { useAuthStore } from '@/stores/auth'
+import type { Article, Category, Trashed } from '@/types'
+
+vi.mock('@/services/articles', () => ({
+  articleService: {
+    getTrash: vi.fn(),
+    restoreArticle: vi.fn(),
+    deleteArticlePermanently: vi.fn()
+  }
+}))
+
+vi.mock('@/services/categories', () => ({
+  categoryService: {
+    getTrash: vi.fn(),
+    restoreCategory: vi.fn(),
+    deleteCategoryPermanently: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  notificationService: {
+    success: vi.fn(),
+    error: vi.fn()
+  },
+  confirmDelete: vi.fn()
+}))
+
+const mockArticle = {
+  id: 3,
+  title: 'Old Announcement',
+  slug: 'old-announcement',
+  content: '<p>Outdated</p>',
+  category_id: 2,
+  author_id: 1,
+  status: 'published',
+  view_count: 0,
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-01T00:00:00Z',
+  deleted_at: '2024-03-01 10:00:00',
+  purge_at: '2024-03-31T10:00:00.000Z',
+  category: { id: 2, name: 'News', slug: 'news' }
+} as Trashed<Article>
+
+const mockCategory = {
+  id: 2,
+  name: 'News',
+  slug: 'news',
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-01T00:00:00Z',
+  deleted_at: '2024-03-01 10:00:00',
+  purge_at: '2024-03-31T10:00:00.000Z'
+} as Trashed<Category>
+
+const mockPagination = {
+  currentPage: 1,
+  totalPages: 1,
+  totalCount: 1,
+  limit: 20,
+  hasNext: false,
+  hasPrev: false
+}
+
+const setRole = (role: string) => {
+  useAuthStore().user = { id: 1, username: 'testuser', email: 'test@example.com', role, created_at: '', updated_at: '' }
+}
+
+const mountTrash = () => mount(Trash, {
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
+describe('Trash', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+    setRole('admin')
+    vi.mocked(articleService.getTrash).mockResolvedValue({
+      articles: [mockArticle],
+      retention_days: 30,
+      pagination: mockPagination
+    })
+    vi.mocked(categoryService.getTrash).mockResolvedValue({
+      categories: [mockCategory],
+      total: 1,
+      retention_days: 30
+    })
+  })
+
+  it('loads trashed articles and categories', async () => {
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    expect(articleService.getTrash).toHaveBeenCalledWith({ page: 1, limit: 20 })
+    expect(wrapper.find('[data-testid="trash-articles"]').text()).toContain('Old Announcement')
+    expect(wrapper.find('[data-testid="trash-categories"]').text()).toContain('News')
+    expect(wrapper.find('[data-testid="trash-retention"]').text()).toContain('after 30 days')
+  })
+
+  it('shows only articles to roles that cannot manage categories', async () => {
+    setRole('author')
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    expect(categoryService.getTrash).not.toHaveBeenCalled()
+    expect(wrapper.find('[data-testid="trash-categories"]').exists()).toBe(false)
+  })
+
+  it('says when items are kept until removed', async () => {
+    vi.mocked(articleService.getTrash).mockResolvedValue({
+      articles: [],
+      retention_days: 0,
+      pagination: { ...mockPagination, totalCount: 0 }
+    })
+    vi.mocked(categoryService.getTrash).mockResolvedValue({ categories: [], total: 0, retention_days: 0 })
+
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    expect(wrapper.find('[data-testid="trash-retention"]').text()).toBe('Deleted items are kept until you remove them')
+  })
+
+  it('restores an article and reloads both lists', async () => {
+    const wrapper = mountTrash()
+    await flushPromises()
+    vi.clearAllMocks()
+
+    await (wrapper.vm as any).restoreArticle(mockArticle)
+
+    expect(articleService.restoreArticle).toHaveBeenCalledWith(3)
+    expect(notificationService.success).toHaveBeenCalledWith('Article restored successfully')
+    expect(articleService.getTrash).toHaveBeenCalled()
+    expect(categoryService.getTrash).toHaveBeenCalled()
+  })
+
+  it('deletes an article permanently once confirmed', async () => {
+    vi.mocked(confirmDelete).mockResolvedValue(true)
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    await (wrapper.vm as any).purgeArticle(mockArticle)
+
+    expect(confirmDelete).toHaveBeenCalledWith('Old Announcement')
+    expect(articleService.deleteArticlePermanently).toHaveBeenCalledWith(3)
+    expect(notificationService.success).toHaveBeenCalledWith('Article deleted permanently')
+  })
+
+  it('keeps the article when the deletion is cancelled', async () => {
+    vi.mocked(confirmDelete).mockResolvedValue(false)
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    await (wrapper.vm as any).purgeArticle(mockArticle)
+
+    expect(articleService.deleteArticlePermanently).not.toHaveBeenCalled()
+  })
+
+  it('explains why a category with trashed articles cannot be deleted', async () => {
+    vi.mocked(confirmDelete).mockResolvedValue(true)
+    vi.mocked(categoryService.deleteCategoryPermanently).mockRejectedValue(
+      new Error('Cannot purge category with associated articles')
+    )
+    const wrapper = mountTrash()
+    await flushPromises()
+
+    await (wrapper.vm as any).purgeCategory(mockCategory)
+
+    expect(categoryService.deleteCategoryPermanently).toHaveBeenCalledWith(2)
+    expect(notificationService.error).toHaveBeenCalledWith('Delete the articles in this category first')
+  })
+})
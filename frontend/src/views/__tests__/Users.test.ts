@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import ElementPlus from 'element-plus'
+import Users from '../Users.vue'
+import { userService } from '@/services/users'
+import { notificationService } from '@/services/notifications'
+import { useAuthStore } from '@/stores/auth'
+import type { User } from '@/types'
+
+// Mock the user service
+vi.mock('@/services/users', () => ({
+  userService: {
+    getUsers: vi.fn(),
+    getUser: vi.fn(),
+    disableUser: vi.fn(),
+    enableUser: vi.fn(),
+    resetPassword: vi.fn(),
+    disableTwoFactor: vi.fn(),
+    getTwoFactorPolicy: vi.fn(),
+    updateTwoFactorPolicy: vi.fn(),
+    deleteUser: vi.fn()
+  }
+}))
+
+vi.mock('@/services/notifications', () => ({
+  notificationService: {
+    success: vi.fn(),
+    error: vi.fn(),
+    confirm: vi.fn()
+  }
+}))
+
+// Keep the dialog out of the way; only its props matter here
+vi.mock('@/components/UserForm.vue', () => ({
+  default: {
+    name: 'UserForm',
+    template: '<div class="mock-user-form"></div>',
+    props: ['visible', 'user'],
+    emits: ['close', 'success']
+  }
+}))
+
+const mockUsers: User[] = [
+  {
+    id: 1,
+    username: 'admin',
+    email: 'admin@example.com',
+    role: 'admin',
+    disabled_at: null,
+    password_reset_required: false,
+    created_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-01-01T00:00:00Z'
+  },
+  {
+    id: 2,
+    username: 'writer',
+    email: 'writer@example.com',
+    role: 'author',
+    disabled_at: '2024-02-01T00:00:00Z',
+    password_reset_required: true,
+    created_at: '2024-01-02T00:00:00Z',
+    updated_at: '2024-01-02T00:00:00Z'
+  }
+]
+
+const mockPagination = {
+  currentPage: 1,
+  totalPages: 1,
+  totalCount: 2,
+  limit: 20,
+  hasNext: false,
+  hasPrev: false
+}
+
+const mountUsers = () => mount(Users, {
+  global: {
+    plugins: [ElementPlus]
+  }
+})
+
+describe('Users', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+    useAuthStore().user = { ...mockUsers[0] }
+    vi.mocked(userService.getUsers).mockResolvedValue({ users: mockUsers, pagination: mockPagination })
+  })
+
+  it('loads and renders users', async () => {
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    expect(userService.getUsers).toHaveBeenCalledWith(expect.objectContaining({ page: 1, limit: 20 }))
+    expect(wrapper.find('h1').text()).toBe('User Management')
+    expect(wrapper.text()).toContain('writer@example.com')
+    expect(wrapper.text()).toContain('Disabled')
+    expect(wrapper.text()).toContain('Reset pending')
+  })
+
+  it('does not offer to delete your own account', async () => {
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    const rows = wrapper.findAll('.el-table__body-wrapper tbody tr')
+    expect(rows[0].find('.el-button--danger').exists()).toBe(false)
+    expect(rows[1].find('.el-button--danger').exists()).toBe(true)
+  })
+
+  it('re-enables a disabled user', async () => {
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    await (wrapper.vm as any).handleAction('enable', mockUsers[1])
+
+    expect(userService.enableUser).toHaveBeenCalledWith(2)
+    expect(notificationService.success).toHaveBeenCalledWith('User enabled successfully')
+  })
+
+  it('forces a password reset with a temporary password', async () => {
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    const vm = wrapper.vm as any
+    await vm.handleAction('reset-password', mockUsers[1])
+    vm.resetDialog.temporaryPassword = 'TempPass123'
+    await vm.confirmResetPassword()
+
+    expect(userService.resetPassword).toHaveBeenCalledWith(2, 'TempPass123')
+    expect(vm.resetDialog.visible).toBe(false)
+  })
+
+  it('updates the roles that require two-factor authentication', async () => {
+    vi.mocked(userService.getTwoFactorPolicy).mockResolvedValue({
+      required_roles: ['admin'],
+      roles: ['admin', 'editor', 'author', 'viewer']
+    })
+    vi.mocked(userService.updateTwoFactorPolicy).mockResolvedValue({
+      required_roles: ['admin', 'editor'],
+      roles: ['admin', 'editor', 'author', 'viewer']
+    })
+
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    const vm = wrapper.vm as any
+    await wrapper.find('[data-testid="two-factor-policy-button"]').trigger('click')
+    await flushPromises()
+
+    expect(vm.policyDialog.requiredRoles).toEqual(['admin'])
+
+    vm.policyDialog.requiredRoles.push('editor')
+    await vm.savePolicy()
+
+    expect(userService.updateTwoFactorPolicy).toHaveBeenCalledWith(['admin', 'editor'])
+    expect(vm.policyDialog.visible).toBe(false)
+  })
+
+  it('asks who takes over the articles before deleting an author', async () => {
+    vi.mocked(userService.getUser).mockResolvedValue({ ...mockUsers[1], article_count: 3 })
+
+    const wrapper = mountUsers()
+    await flushPromises()
+
+    const vm = wrapper.vm as any
+    await vm.handleDelete(mockUsers[1])
+    await flushPromises()
+
+    expect(vm.deleteDialog.articleCount).toBe(3)
+    expect(vm.reassignCandidates.map((user: User) => user.id)).toEqual([1])
+
+    vm.deleteDialog.reassignTo = 1
+    await vm.confirmDeleteUser()
+
+    expect(userService.deleteUser).toHaveBeenCalledWith(2, 1)
+    expect(notificationService.success).toHaveBeenCalledWith('User deleted successfully')
+  })
+})